@@ -1,12 +1,11 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config');
 const { TOOL_DEFINITIONS, executeTool } = require('./aiTools');
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY || 'your-api-key-here',
-});
+const { Authors, recordChange } = require('./projectHistory');
+const { getLlmProvider } = require('./llm');
+const { emptyUsage, addUsage } = require('./aiUsage');
+const { errorDiagnostics, formatDiagnosticsForPrompt } = require('./diagnostics');
 
 /**
  * Analyze build failure and suggest fixes
@@ -14,9 +13,11 @@ const anthropic = new Anthropic({
  * @param {string} projectDir - Path to project directory
  * @param {object} logs - Build logs { stdout, stderr }
  * @param {string} errorMessage - Error message
- * @returns {Promise<{success: boolean, fixes: Array, analysis: string}>}
+ * @returns {Promise<{success: boolean, fixes: Array, analysis: string, usage: object}>}
  */
 async function analyzeBuildFailure(buildId, projectDir, logs, errorMessage) {
+  const llm = getLlmProvider();
+  const usage = emptyUsage(llm);
   try {
     console.log(`[${buildId}] AI analyzing build failure...`);
 
@@ -29,15 +30,15 @@ async function analyzeBuildFailure(buildId, projectDir, logs, errorMessage) {
     // Build prompt for Claude
     const prompt = buildAnalysisPrompt(fileTree, keyFiles, logs, errorMessage);
 
-    // Call Claude API (with rate limit retry)
+    // Call the LLM (with rate limit retry)
     let response;
     for (let attempt = 0; attempt < 3; attempt++) {
       try {
-        response = await anthropic.messages.create({
-          model: config.smartBuild.aiModel,
-          max_tokens: 4096,
+        response = await llm.complete({
+          maxTokens: 4096,
           messages: [{ role: 'user', content: prompt }],
         });
+        addUsage(usage, response);
         break;
       } catch (err) {
         const isRateLimit = err.status === 429 || (err.message && err.message.includes('429'));
@@ -51,7 +52,7 @@ async function analyzeBuildFailure(buildId, projectDir, logs, errorMessage) {
       }
     }
 
-    const analysis = response.content[0].text;
+    const analysis = response.text;
     console.log(`[${buildId}] AI analysis complete`);
 
     // Parse Claude's response for fixes
@@ -61,6 +62,7 @@ async function analyzeBuildFailure(buildId, projectDir, logs, errorMessage) {
       success: true,
       analysis,
       fixes,
+      usage,
     };
 
   } catch (error) {
@@ -70,6 +72,7 @@ async function analyzeBuildFailure(buildId, projectDir, logs, errorMessage) {
       error: error.message,
       analysis: '',
       fixes: [],
+      usage,
     };
   }
 }
@@ -259,9 +262,11 @@ function parseFixesFromAnalysis(analysis) {
  * Verify Anchor project structure and generate missing files
  * @param {string} buildId - Build identifier
  * @param {string} projectDir - Path to project directory
- * @returns {Promise<{success: boolean, fixes: Array, analysis: string, autoFixed: boolean}>}
+ * @returns {Promise<{success: boolean, fixes: Array, analysis: string, autoFixed: boolean, usage: object}>}
  */
 async function verifyAndFixStructure(buildId, projectDir) {
+  const llm = getLlmProvider();
+  const usage = emptyUsage(llm);
   try {
     console.log(`[${buildId}] AI verifying project structure...`);
 
@@ -283,15 +288,15 @@ async function verifyAndFixStructure(buildId, projectDir) {
     // STEP 5: Build prompt for Claude with CURRENT structure
     const prompt = buildStructureVerificationPrompt(fileTree, existingFiles);
 
-    // STEP 6: Call Claude API (with rate limit retry)
+    // STEP 6: Call the LLM (with rate limit retry)
     let response;
     for (let attempt = 0; attempt < 3; attempt++) {
       try {
-        response = await anthropic.messages.create({
-          model: config.smartBuild.aiModel,
-          max_tokens: config.smartBuild.aiMaxTokens,
+        response = await llm.complete({
+          maxTokens: config.smartBuild.aiMaxTokens,
           messages: [{ role: 'user', content: prompt }],
         });
+        addUsage(usage, response);
         break;
       } catch (err) {
         const isRateLimit = err.status === 429 || (err.message && err.message.includes('429'));
@@ -305,7 +310,7 @@ async function verifyAndFixStructure(buildId, projectDir) {
       }
     }
 
-    const analysis = response.content[0].text;
+    const analysis = response.text;
     console.log(`[${buildId}] AI structure analysis complete`);
 
     // STEP 7: Parse Claude's response for fixes
@@ -329,7 +334,10 @@ async function verifyAndFixStructure(buildId, projectDir) {
     let autoFixed = false;
     let skippedFiles = [];
     if (fixes.length > 0) {
-      const result = await applyFixes(buildId, projectDir, fixes, true); // skipExisting = true
+      const result = await recordChange(buildId, projectDir, {
+        author: Authors.smartBuild('structure'),
+        message: ({ appliedFixes }) => `Structure fixes: ${appliedFixes} file(s)`,
+      }, () => applyFixes(buildId, projectDir, fixes, true)); // skipExisting = true
       autoFixed = result.success;
       skippedFiles = result.skippedFiles || [];
       console.log(`[${buildId}] Auto-applied ${result.appliedFixes} structure fixes`);
@@ -343,6 +351,7 @@ async function verifyAndFixStructure(buildId, projectDir) {
       analysis,
       fixes,
       autoFixed,
+      usage,
     };
 
   } catch (error) {
@@ -353,6 +362,7 @@ async function verifyAndFixStructure(buildId, projectDir) {
       analysis: '',
       fixes: [],
       autoFixed: false,
+      usage,
     };
   }
 }
@@ -661,18 +671,18 @@ Respond in this exact JSON format:
  * @param {object} logs - Build logs { stdout, stderr }
  * @param {string} errorMessage - Error message
  * @param {number} iteration - Current retry iteration (1+)
- * @returns {Promise<{success: boolean, fixes: Array, analysis: string, cannotFix: boolean}>}
+ * @param {Array} [diagnostics] - The build's compiler diagnostics (diagnostics.js), used instead of the log tail
+ * @returns {Promise<{success: boolean, fixes: Array, analysis: string, cannotFix: boolean, usage: object}>}
+ *   usage: tokens over every LLM call made, retries and tool rounds included
  */
-async function analyzeAndFixBuildFailure(buildId, projectDir, logs, errorMessage, iteration, onProgress, previousFixes) {
+async function analyzeAndFixBuildFailure(buildId, projectDir, logs, errorMessage, iteration, onProgress, previousFixes, diagnostics = null) {
   const MAX_RETRIES = 5;
   const MAX_TOOL_ROUNDS = 8; // Max tool call round-trips per analysis
 
   const allFiles = await readAllSourceFiles(projectDir);
-  const prompt = buildSmartFixPrompt(allFiles, logs, errorMessage, iteration, previousFixes);
-
-  // Log approximate token count (~4 chars per token)
-  const approxTokens = Math.round(prompt.length / 4);
-  console.log(`[${buildId}] Prompt size: ~${approxTokens} tokens (${prompt.length} chars)`);
+  const prompt = buildSmartFixPrompt(allFiles, logs, errorMessage, iteration, previousFixes, diagnostics);
+  const llm = getLlmProvider();
+  const usage = emptyUsage(llm);
 
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
@@ -682,56 +692,53 @@ async function analyzeAndFixBuildFailure(buildId, projectDir, logs, errorMessage
       let messages = [{ role: 'user', content: prompt }];
       let totalToolCalls = 0;
 
-      let response = await anthropic.messages.create({
-        model: config.smartBuild.aiModel,
-        max_tokens: config.smartBuild.aiMaxTokens,
+      let response = await llm.complete({
+        maxTokens: config.smartBuild.aiMaxTokens,
         tools: TOOL_DEFINITIONS,
         messages,
       });
+      addUsage(usage, response);
 
       // Handle tool calls in a loop — the AI researches, then proposes fixes
-      while (response.stop_reason === 'tool_use' && totalToolCalls < MAX_TOOL_ROUNDS) {
-        const toolUseBlocks = response.content.filter(c => c.type === 'tool_use');
-
+      while (response.stopReason === 'tool_use' && totalToolCalls < MAX_TOOL_ROUNDS) {
         const toolResults = [];
-        for (const call of toolUseBlocks) {
+        for (const call of response.toolCalls) {
           totalToolCalls++;
           const inputSummary = JSON.stringify(call.input).slice(0, 120);
           console.log(`[${buildId}] AI tool call #${totalToolCalls}: ${call.name}(${inputSummary})`);
 
           if (onProgress) {
-            const label = call.input.crate_name || call.input.query || call.input.url || '';
+            const { crate_name, query, url, path: filePath, pattern, code, invert } = call.input || {};
+            const label = String(crate_name || query || url || filePath || pattern || code || invert || '');
             onProgress(`Researching: ${call.name}(${label.slice(0, 60)})...`);
           }
 
-          const result = await executeTool(call.name, call.input);
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: call.id,
-            content: typeof result === 'string' ? result : JSON.stringify(result),
+          const result = await llm.runTool(call, async () => {
+            const output = await executeTool(call.name, call.input, { buildId, projectDir });
+            return typeof output === 'string' ? output : JSON.stringify(output);
           });
+          toolResults.push({ callId: call.id, content: result });
         }
 
         // Continue the conversation with tool results
-        messages.push({ role: 'assistant', content: response.content });
-        messages.push({ role: 'user', content: toolResults });
+        messages.push({ role: 'assistant', content: response.text, toolCalls: response.toolCalls });
+        messages.push({ role: 'tool', results: toolResults });
 
         // Brief pause between tool round-trips to avoid rate limits
         await new Promise(r => setTimeout(r, 2000));
 
-        response = await anthropic.messages.create({
-          model: config.smartBuild.aiModel,
-          max_tokens: config.smartBuild.aiMaxTokens,
+        response = await llm.complete({
+          maxTokens: config.smartBuild.aiMaxTokens,
           tools: TOOL_DEFINITIONS,
           messages,
         });
+        addUsage(usage, response);
       }
 
       // Extract the final text response
-      const textBlock = response.content.find(c => c.type === 'text');
-      const analysis = textBlock ? textBlock.text : '';
+      const analysis = response.text;
 
-      console.log(`[${buildId}] AI agent analysis complete (${totalToolCalls} tool calls)`);
+      console.log(`[${buildId}] AI agent analysis complete (${totalToolCalls} tool calls, ${usage.inputTokens} input / ${usage.outputTokens} output tokens)`);
 
       const fixes = parseFixesFromAnalysis(analysis);
       const cannotFix = /"cannotFix"\s*:\s*true/i.test(analysis);
@@ -741,17 +748,15 @@ async function analyzeAndFixBuildFailure(buildId, projectDir, logs, errorMessage
         analysis,
         fixes: cannotFix ? [] : fixes,
         cannotFix,
+        usage,
       };
 
     } catch (error) {
       const isRateLimit = error.status === 429 || (error.message && error.message.includes('429'));
 
       if (isRateLimit && attempt < MAX_RETRIES - 1) {
-        // Parse Retry-After header if available, otherwise wait 65s (just over 1 minute to reset per-minute limit)
-        let waitSec = 65;
-        if (error.headers && error.headers['retry-after']) {
-          waitSec = Math.max(parseInt(error.headers['retry-after'], 10) || 65, 65);
-        }
+        // Use Retry-After if the provider sent it, otherwise wait 65s (just over 1 minute to reset per-minute limit)
+        const waitSec = Math.max(error.retryAfter || 65, 65);
         console.log(`[${buildId}] Rate limited — waiting ${waitSec}s (attempt ${attempt + 1}/${MAX_RETRIES})...`);
         if (onProgress) {
           onProgress(`Rate limited, waiting ${waitSec}s before retry (${attempt + 1}/${MAX_RETRIES})...`);
@@ -767,12 +772,13 @@ async function analyzeAndFixBuildFailure(buildId, projectDir, logs, errorMessage
         analysis: '',
         fixes: [],
         cannotFix: false,
+        usage,
       };
     }
   }
 }
 
-function buildSmartFixPrompt(allFiles, logs, errorMessage, iteration, previousFixes) {
+function buildSmartFixPrompt(allFiles, logs, errorMessage, iteration, previousFixes, diagnostics) {
   const rsFiles = {};
   const tomlFiles = {};
 
@@ -788,8 +794,17 @@ function buildSmartFixPrompt(allFiles, logs, errorMessage, iteration, previousFi
   // Environment info: first 20 lines
   const envLines = allLines.slice(0, 20).join('\n');
 
-  // Error context: last 80 lines (focused on actual errors)
-  const errorLines = allLines.slice(-80).join('\n');
+  // Error context: the compiler's own diagnostics when it reported errors,
+  // else the last 80 log lines (dependency resolution, linker, Anchor errors)
+  const errorContext = errorDiagnostics(diagnostics).length > 0
+    ? `### Compiler diagnostics (errors first):
+\`\`\`
+${formatDiagnosticsForPrompt(diagnostics)}
+\`\`\``
+    : `### Build logs (last 80 lines):
+\`\`\`
+${allLines.slice(-80).join('\n')}
+\`\`\``;
 
   // Truncate source files to stay under token limits
   // ~4 chars per token, budget ~6000 tokens for source = ~24000 chars total
@@ -797,21 +812,27 @@ function buildSmartFixPrompt(allFiles, logs, errorMessage, iteration, previousFi
   const MAX_TOTAL_RS = 16000;  // total .rs content
   const MAX_TOML_CHARS = 2000; // per .toml file
 
+  // Past the budget, files are only named — the model reads them with read_file
   let totalRsChars = 0;
   const truncatedRs = {};
+  const notInlined = [];
   for (const [p, c] of Object.entries(rsFiles)) {
-    const truncated = c.length > MAX_RS_CHARS ? c.slice(0, MAX_RS_CHARS) + '\n// ... [truncated]' : c;
+    const truncated = c.length > MAX_RS_CHARS
+      ? c.slice(0, MAX_RS_CHARS) + `\n// ... [truncated — read_file("${p}") for all ${c.split('\n').length} lines]`
+      : c;
     if (totalRsChars + truncated.length <= MAX_TOTAL_RS) {
       truncatedRs[p] = truncated;
       totalRsChars += truncated.length;
     } else {
-      truncatedRs[p] = c.slice(0, 500) + '\n// ... [large file truncated — ' + c.length + ' chars total]';
+      notInlined.push(`${p} (${c.length} chars)`);
     }
   }
 
   const truncatedToml = {};
   for (const [p, c] of Object.entries(tomlFiles)) {
-    truncatedToml[p] = c.length > MAX_TOML_CHARS ? c.slice(0, MAX_TOML_CHARS) + '\n# ... [truncated]' : c;
+    truncatedToml[p] = c.length > MAX_TOML_CHARS
+      ? c.slice(0, MAX_TOML_CHARS) + `\n# ... [truncated — read_file("${p}") for the rest]`
+      : c;
   }
 
   // Build previous fixes summary
@@ -829,8 +850,13 @@ ${previousFixes.map((pf, i) => `${i + 1}. ${pf.files.join(', ')}: ${pf.summary.s
 - **lookup_crate_deps(crate_name, version)** — dependencies of a crate version
 - **search_web(query)** — search for error solutions
 - **fetch_page(url)** — read docs/READMEs
+- **read_file(path, start_line?, end_line?)** — full contents of a project file (the ones below are truncated)
+- **list_files(path?)** — the project's files
+- **grep_project(pattern, path?)** — find where something is defined or used
+- **explain_error_code(code)** — rustc's explanation of an error code like E0425
+- **cargo_tree(package?, invert?, depth?, duplicates?)** — the resolved dependency tree
 
-DO NOT GUESS version numbers. Look them up first.
+DO NOT GUESS version numbers. Look them up first. Read a file before rewriting it.
 
 ## REASONING (fill "reasoning" field):
 1. Read error details 2. Classify: config/dependency/code 3. Research with tools 4. Root cause 5. Minimal fix 6. Self-validate
@@ -858,13 +884,10 @@ ${Object.entries(truncatedToml).map(([p, c]) => `**${p}:**\n\`\`\`toml\n${c}\n\`
 
 ### Rust files:
 ${Object.entries(truncatedRs).map(([p, c]) => `**${p}:**\n\`\`\`rust\n${c}\n\`\`\``).join('\n')}
-
+${notInlined.length > 0 ? `\nNot shown (over the prompt budget — use read_file): ${notInlined.join(', ')}\n` : ''}
 ### Error: ${errorMessage}
 
-### Build logs (last 80 lines):
-\`\`\`
-${errorLines}
-\`\`\`
+${errorContext}
 
 ## RESPOND with JSON:
 \`\`\`json
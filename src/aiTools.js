@@ -7,8 +7,23 @@
  *   lookup_crate_deps   — look up dependencies of a specific crate version
  *   search_web          — web search for error solutions / documentation
  *   fetch_page          — fetch and extract text from a URL
+ *
+ * plus the project tools in projectTools.js (read_file, list_files,
+ * grep_project, explain_error_code, cargo_tree), which read the build's own
+ * project instead of the outside world.
+ *
+ * lookup_crate, lookup_crate_deps and fetch_page results are cached
+ * (toolCache.js). When crates.io can't be reached the crate tools fall back
+ * to the local index snapshot (cratesIndex.js), then to an expired cache
+ * entry; with AI_TOOLS_OFFLINE=true they never touch the network.
  */
 
+const config = require('./config');
+const { getCachedResult, setCachedResult } = require('./toolCache');
+const { lookupCrateInIndex, lookupCrateDepsInIndex } = require('./cratesIndex');
+const { assertFetchAllowed, safeFetch, URL_BLOCKED } = require('./safeFetch');
+const { executeProjectTool } = require('./projectTools');
+
 // ── Rate limiter for crates.io (1 req/sec) ──────────────────────
 let lastCratesIoReq = 0;
 async function rateLimitCratesIo() {
@@ -97,28 +112,228 @@ const TOOL_DEFINITIONS = [
       required: ['url'],
     },
   },
+  {
+    name: 'read_file',
+    description:
+      'Read a file from the project being built, with line numbers. ' +
+      'Files in the prompt are truncated — use this for the full contents, ' +
+      'or pass start_line/end_line to read just the part around an error.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path relative to the project root (e.g. "programs/my_program/src/lib.rs")',
+        },
+        start_line: {
+          type: 'integer',
+          description: 'First line to return (1-based, optional)',
+        },
+        end_line: {
+          type: 'integer',
+          description: 'Last line to return (optional)',
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'list_files',
+    description:
+      'List the files in the project (or one directory of it) with their sizes. ' +
+      'Build output, node_modules and .git are left out.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Directory relative to the project root (default: the root)',
+        },
+      },
+    },
+  },
+  {
+    name: 'grep_project',
+    description:
+      'Search the project\'s files for a regular expression (extended syntax). ' +
+      'Returns matching lines as path:line:text. Use this to find where a type, ' +
+      'function or module is defined or used before changing it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description: 'Extended regular expression (e.g. "struct Initialize|fn initialize")',
+        },
+        path: {
+          type: 'string',
+          description: 'Limit the search to this file or directory (relative to the project root)',
+        },
+        ignore_case: {
+          type: 'boolean',
+          description: 'Case-insensitive match',
+        },
+      },
+      required: ['pattern'],
+    },
+  },
+  {
+    name: 'explain_error_code',
+    description:
+      'Get the rustc explanation of an error code (rustc --explain), from the ' +
+      'same Rust toolchain the build used, with examples of the error and its fix.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        code: {
+          type: 'string',
+          description: 'Error code from the build log (e.g. "E0425")',
+        },
+      },
+      required: ['code'],
+    },
+  },
+  {
+    name: 'cargo_tree',
+    description:
+      'Show the project\'s resolved dependency tree (cargo tree), offline against the ' +
+      'crates the build already fetched. Use invert to see what pulls in a crate, or ' +
+      'duplicates to find crates resolved at more than one version.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        package: {
+          type: 'string',
+          description: 'Workspace member to show the tree for (default: all)',
+        },
+        invert: {
+          type: 'string',
+          description: 'Show what depends on this crate (name or name@version)',
+        },
+        depth: {
+          type: 'integer',
+          description: 'Maximum depth (default 2; unlimited with invert or duplicates)',
+        },
+        duplicates: {
+          type: 'boolean',
+          description: 'Only show crates resolved at more than one version',
+        },
+      },
+    },
+  },
 ];
 
 // ── Tool Execution ───────────────────────────────────────────────
-async function executeTool(toolName, input) {
+/**
+ * @param {string} toolName
+ * @param {object} input - The model's tool input
+ * @param {{buildId?: string, projectDir?: string}} [context] - buildId tags fetch
+ *   audit entries and picks the toolchain; projectDir is what the project tools read
+ * @returns {Promise<string>}
+ */
+async function executeTool(toolName, input, { buildId = null, projectDir = null } = {}) {
   try {
+    const projectResult = await executeProjectTool(toolName, input || {}, { buildId, projectDir });
+    if (projectResult !== null) return projectResult;
+
     switch (toolName) {
-      case 'lookup_crate':
-        return await lookupCrate(input.crate_name);
-      case 'lookup_crate_deps':
-        return await lookupCrateDeps(input.crate_name, input.version);
+      case 'lookup_crate': {
+        const crateName = String(input.crate_name || '').trim();
+        return await runCached(toolName, crateName.toLowerCase(), {
+          live: () => lookupCrate(crateName),
+          local: () => lookupCrateInIndex(crateName),
+        });
+      }
+      case 'lookup_crate_deps': {
+        const crateName = String(input.crate_name || '').trim();
+        const version = String(input.version || '').trim();
+        return await runCached(toolName, `${crateName.toLowerCase()}@${version}`, {
+          live: () => lookupCrateDeps(crateName, version),
+          local: () => lookupCrateDepsInIndex(crateName, version),
+        });
+      }
       case 'search_web':
+        if (config.aiTools.offline) {
+          return JSON.stringify({ error: 'Web search is unavailable: research tools are running offline' });
+        }
         return await searchWeb(input.query);
-      case 'fetch_page':
-        return await fetchPage(input.url);
+      case 'fetch_page': {
+        const url = String(input.url || '').trim();
+        // Policy first, so a cached page doesn't outlive a tightened allow-list
+        await assertFetchAllowed(url, { buildId });
+        return await runCached(toolName, url, { live: () => fetchPage(url, { buildId }) });
+      }
       default:
         return JSON.stringify({ error: `Unknown tool: ${toolName}` });
     }
   } catch (err) {
+    if (err.code === URL_BLOCKED) {
+      return JSON.stringify({ error: `Blocked by URL policy: ${err.message}` });
+    }
     return JSON.stringify({ error: `Tool ${toolName} failed: ${err.message}` });
   }
 }
 
+// ── Cache / offline fallback ────────────────────────────────────
+
+// Thrown for failures worth falling back on (no network, timeout, 429, 5xx),
+// as opposed to answers like "crate not found"
+function unavailableError(message) {
+  const err = new Error(message);
+  err.unavailable = true;
+  return err;
+}
+
+function throwIfUnavailable(res, what) {
+  if (res.status === 429 || res.status >= 500) {
+    throw unavailableError(`${what} unavailable (HTTP ${res.status})`);
+  }
+}
+
+const isErrorResult = result => result.startsWith('{"error"');
+
+function staleResult(cached, reason) {
+  return `[Cached result from ${cached.createdAt} — ${reason}]\n${cached.result}`;
+}
+
+/**
+ * Fresh cache entry → live source (cached on success) → local index →
+ * expired cache entry. Offline, the live source is skipped.
+ * @param {string} tool
+ * @param {string} key - Normalized input
+ * @param {{live: Function, local?: Function}} sources - local resolves null when it has no answer
+ */
+async function runCached(tool, key, { live, local = null }) {
+  const cached = await getCachedResult(tool, key);
+  if (cached && cached.fresh) return cached.result;
+
+  const fallback = async (reason) => {
+    const fromIndex = local ? await local() : null;
+    // A version missing from an older snapshot shouldn't hide a cached answer
+    if (fromIndex && !(cached && isErrorResult(fromIndex))) return fromIndex;
+    if (cached) return staleResult(cached, reason);
+    return fromIndex;
+  };
+
+  if (config.aiTools.offline) {
+    return await fallback('research tools are running offline')
+      || JSON.stringify({ error: `${tool} has no offline answer for "${key}" (not in the ${local ? 'local index or ' : ''}cache)` });
+  }
+
+  let result;
+  try {
+    result = await live();
+  } catch (err) {
+    const networkFailure = err.unavailable || err.name === 'TimeoutError' || err.name === 'TypeError';
+    const fallbackResult = networkFailure ? await fallback(`live lookup failed: ${err.message}`) : null;
+    if (fallbackResult) return fallbackResult;
+    throw err;
+  }
+
+  if (!isErrorResult(result)) await setCachedResult(tool, key, result);
+  return result;
+}
+
 // ── crates.io: lookup crate ─────────────────────────────────────
 async function lookupCrate(crateName) {
   await rateLimitCratesIo();
@@ -130,6 +345,7 @@ async function lookupCrate(crateName) {
   });
 
   if (!res.ok) {
+    throwIfUnavailable(res, 'crates.io');
     return JSON.stringify({
       error: `Crate "${crateName}" not found on crates.io (HTTP ${res.status})`,
     });
@@ -168,6 +384,7 @@ async function lookupCrateDeps(crateName, version) {
   });
 
   if (!res.ok) {
+    throwIfUnavailable(res, 'crates.io');
     return JSON.stringify({
       error: `Version "${version}" of "${crateName}" not found (HTTP ${res.status}). ` +
              `This version may not exist — try looking up available versions with lookup_crate first.`,
@@ -261,27 +478,37 @@ async function searchWeb(query) {
 }
 
 // ── Fetch page content ──────────────────────────────────────────
-async function fetchPage(url) {
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0.0.0',
-    },
-    signal: AbortSignal.timeout(15000),
-    redirect: 'follow',
-  });
+// Goes through safeFetch: allow-listed public hosts only, redirects
+// re-checked, body capped, every fetch audited
+async function fetchPage(url, { buildId = null } = {}) {
+  let res;
+  try {
+    res = await safeFetch(url, {
+      buildId,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0.0.0',
+      },
+    });
+  } catch (err) {
+    if (err.code === URL_BLOCKED) throw err;
+    throw unavailableError(`${url} unreachable: ${err.message}`);
+  }
 
   if (!res.ok) {
+    throwIfUnavailable(res, url);
     return JSON.stringify({ error: `Failed to fetch ${url} (HTTP ${res.status})` });
   }
 
-  const contentType = res.headers.get('content-type') || '';
+  const contentType = res.headers['content-type'] || '';
+  const body = res.body.toString('utf-8');
 
-  if (contentType.includes('json')) {
-    const json = await res.json();
-    return JSON.stringify(json, null, 2).slice(0, 8000);
+  if (contentType.includes('json') && !res.truncated) {
+    try {
+      return JSON.stringify(JSON.parse(body), null, 2).slice(0, 8000);
+    } catch { /* not actually JSON — treat as text */ }
   }
 
-  const html = await res.text();
+  const html = body;
 
   // Strip scripts, styles, then HTML tags
   const text = html
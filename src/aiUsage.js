@@ -0,0 +1,240 @@
+const config = require('./config');
+const { runQuery, getOne, getAll } = require('./db');
+
+/**
+ * LLM token accounting for the smart build.
+ *
+ * Providers report the input/output tokens of every request (src/llm/);
+ * ai.js sums them per analysis, and smartBuild() records one ai_usage row
+ * per AI phase of an iteration, tagged with the build's agent. Totals per
+ * iteration and per build come back in the smart-build result; totals per
+ * agent and calendar month (UTC) are checked against the agent's token
+ * budget before each AI call.
+ *
+ * A budget is checked, not reserved: the call that crosses it still
+ * completes, and the next one is refused.
+ */
+
+const BUDGET_EXCEEDED = 'ai_budget_exceeded';
+
+function usageError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/**
+ * Running total for one analysis (every LLM call it makes, retries and tool
+ * rounds included)
+ * @param {{name: string, model: string}} llm - The provider making the calls
+ */
+function emptyUsage(llm) {
+  return { provider: llm.name, model: llm.model, inputTokens: 0, outputTokens: 0, calls: 0 };
+}
+
+function addUsage(total, response) {
+  const usage = response.usage || {};
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+  total.calls++;
+  return total;
+}
+
+function estimateCostUsd({ inputTokens, outputTokens }) {
+  const { inputPerMTok, outputPerMTok } = config.llm.pricing;
+  const cost = (inputTokens * inputPerMTok + outputTokens * outputPerMTok) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function summarize(rows) {
+  const inputTokens = rows.reduce((sum, row) => sum + row.inputTokens, 0);
+  const outputTokens = rows.reduce((sum, row) => sum + row.outputTokens, 0);
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    calls: rows.reduce((sum, row) => sum + row.calls, 0),
+    costUsd: Math.round(rows.reduce((sum, row) => sum + row.costUsd, 0) * 1e6) / 1e6,
+  };
+}
+
+/**
+ * Store the usage of one AI phase
+ * @param {string} buildId
+ * @param {{agentId?: string, iteration?: number, phase: string, usage: object}} entry -
+ *   usage as built by emptyUsage/addUsage
+ * @returns {Promise<object>} The stored entry, with its cost estimate
+ */
+async function recordAiUsage(buildId, { agentId = null, iteration = null, phase, usage }) {
+  const entry = {
+    iteration,
+    phase,
+    provider: usage.provider || null,
+    model: usage.model || null,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    calls: usage.calls,
+    costUsd: estimateCostUsd(usage),
+  };
+
+  await runQuery(
+    `INSERT INTO ai_usage (build_id, agent_id, iteration, phase, provider, model, input_tokens, output_tokens, calls, cost_usd, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [buildId, agentId, iteration, phase, entry.provider, entry.model,
+      entry.inputTokens, entry.outputTokens, entry.calls, entry.costUsd, new Date().toISOString()]
+  );
+  return entry;
+}
+
+function currentMonth(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+// The agent's own budget if an admin set one, else the server default (null = unlimited)
+function budgetFor(agent) {
+  if (agent && agent.ai_monthly_token_budget !== null && agent.ai_monthly_token_budget !== undefined) {
+    return agent.ai_monthly_token_budget;
+  }
+  return config.agent.aiMonthlyTokenBudget;
+}
+
+/**
+ * An agent's usage this calendar month (UTC) against its budget
+ * @param {string} agentId
+ * @returns {Promise<{period, inputTokens, outputTokens, totalTokens, calls, costUsd, budget, remaining}>}
+ */
+async function getAgentAiUsage(agentId) {
+  const period = currentMonth();
+  const [agent, totals] = await Promise.all([
+    getOne(`SELECT ai_monthly_token_budget FROM agents WHERE agent_id = ?`, [agentId]),
+    getOne(
+      `SELECT COALESCE(SUM(input_tokens), 0) AS input_tokens, COALESCE(SUM(output_tokens), 0) AS output_tokens,
+              COALESCE(SUM(calls), 0) AS calls, COALESCE(SUM(cost_usd), 0) AS cost_usd
+       FROM ai_usage WHERE agent_id = ? AND created_at >= ? AND created_at < ?`,
+      [agentId, period.start, period.end]
+    ),
+  ]);
+
+  const usage = summarize([{
+    inputTokens: totals.input_tokens,
+    outputTokens: totals.output_tokens,
+    calls: totals.calls,
+    costUsd: totals.cost_usd,
+  }]);
+  const budget = budgetFor(agent);
+  return {
+    period,
+    ...usage,
+    budget,
+    remaining: budget === null ? null : Math.max(budget - usage.totalTokens, 0),
+  };
+}
+
+/**
+ * Why the agent can't make another AI call this month, or null if it can
+ * (always null for builds without an agent)
+ */
+async function aiBudgetExceeded(agentId) {
+  if (!agentId) return null;
+  const usage = await getAgentAiUsage(agentId);
+  if (usage.budget === null || usage.totalTokens < usage.budget) return null;
+  return `Monthly AI token budget exhausted (${usage.totalTokens} of ${usage.budget} tokens used; resets ${usage.period.end})`;
+}
+
+/**
+ * Throw 429 (code ai_budget_exceeded) if the agent has used up its budget
+ */
+async function assertAiBudget(agentId) {
+  const reason = await aiBudgetExceeded(agentId);
+  if (reason) throw usageError(reason, 429, BUDGET_EXCEEDED);
+}
+
+/**
+ * Set an agent's monthly token budget; null goes back to the server default
+ * @returns {Promise<boolean>} false if the agent does not exist
+ */
+async function setAgentAiBudget(agentId, monthlyTokens) {
+  if (monthlyTokens !== null && !(Number.isSafeInteger(monthlyTokens) && monthlyTokens >= 0)) {
+    throw usageError('monthly_tokens must be a non-negative integer, or null for the server default', 400);
+  }
+  const result = await runQuery(
+    `UPDATE agents SET ai_monthly_token_budget = ? WHERE agent_id = ?`,
+    [monthlyTokens, agentId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Usage of every smart-build AI call on a build, all runs included
+ */
+async function getBuildAiUsage(buildId) {
+  const rows = await getAll(
+    `SELECT input_tokens, output_tokens, calls, cost_usd FROM ai_usage WHERE build_id = ?`,
+    [buildId]
+  );
+  return summarize(rows.map(row => ({
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    calls: row.calls,
+    costUsd: row.cost_usd,
+  })));
+}
+
+/**
+ * Per-run accounting for smartBuild(): records each phase's usage and keeps
+ * the per-iteration totals for the result
+ * @param {string} buildId
+ * @param {{agentId?: string}} [options] - The build's agent, charged for the usage
+ */
+function createUsageTracker(buildId, { agentId = null } = {}) {
+  const entries = [];
+
+  return {
+    agentId,
+
+    async record(iteration, phase, usage) {
+      if (!usage || usage.calls === 0) return;
+      let entry;
+      try {
+        entry = await recordAiUsage(buildId, { agentId, iteration, phase, usage });
+      } catch (err) {
+        // Never fail a build over bookkeeping, but keep the numbers for the result
+        console.warn(`[${buildId}] Could not record AI usage: ${err.message}`);
+        entry = { iteration, phase, ...usage, costUsd: estimateCostUsd(usage) };
+      }
+      entries.push(entry);
+      console.log(`[${buildId}] AI usage (${phase}, iteration ${iteration + 1}): ${usage.inputTokens} in / ${usage.outputTokens} out over ${usage.calls} call(s)`);
+    },
+
+    budgetExceeded() {
+      return aiBudgetExceeded(agentId);
+    },
+
+    summary() {
+      const iterations = [...new Set(entries.map(entry => entry.iteration))]
+        .map(iteration => ({
+          iteration,
+          ...summarize(entries.filter(entry => entry.iteration === iteration)),
+        }));
+      const models = [...new Set(entries.map(entry => entry.model).filter(Boolean))];
+      return { ...summarize(entries), models, iterations };
+    },
+  };
+}
+
+module.exports = {
+  BUDGET_EXCEEDED,
+  emptyUsage,
+  addUsage,
+  estimateCostUsd,
+  recordAiUsage,
+  getAgentAiUsage,
+  getBuildAiUsage,
+  aiBudgetExceeded,
+  assertAiBudget,
+  setAgentAiBudget,
+  createUsageTracker,
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar');
+const config = require('./config');
+
+/**
+ * Uploaded project archives: .zip, .tar.gz / .tgz and plain .tar.
+ *
+ * Entries are checked one at a time as the archive is read, against the
+ * limits in config.builds.archive (total uncompressed bytes, entry count,
+ * path depth). The whole archive is rejected for any entry that would land
+ * outside the project directory, is a link, device or other special file,
+ * or has a name that isn't valid UTF-8. Rejections carry
+ * `code: 'archive_rejected'` and status 400, and anything already
+ * extracted is removed.
+ *
+ * Zips are streamed entry by entry, and each entry's inflated size is
+ * checked against its header as it's written. Tarballs are listed in full before anything is
+ * written, since a tar stream can't be rewound.
+ */
+
+const ARCHIVE_REJECTED = 'archive_rejected';
+
+const ARCHIVE_EXTENSIONS = [
+  ['.tar.gz', 'tar.gz'],
+  ['.tgz', 'tar.gz'],
+  ['.tar', 'tar'],
+  ['.zip', 'zip'],
+];
+
+// Entry types written to disk; everything else (links, devices, FIFOs) rejects the archive
+const TAR_ENTRY_TYPES = new Set(['File', 'OldFile', 'ContiguousFile', 'Directory']);
+
+// Unix file type bits in a zip entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function archiveError(message) {
+  const err = new Error(`Invalid archive: ${message}`);
+  err.status = 400;
+  err.code = ARCHIVE_REJECTED;
+  return err;
+}
+
+/**
+ * Archive type from an upload's file name
+ * @returns {'zip'|'tar.gz'|'tar'|null}
+ */
+function archiveTypeFor(filename) {
+  const name = (filename || '').toLowerCase();
+  const match = ARCHIVE_EXTENSIONS.find(([ext]) => name.endsWith(ext));
+  return match ? match[1] : null;
+}
+
+// Reject absolute paths and anything that climbs out of the project directory
+function checkEntryPath(entryPath, destDir) {
+  if (!entryPath || entryPath.includes('\0') || entryPath.includes('\\')) {
+    throw archiveError('entry with an empty or malformed name');
+  }
+  if (path.isAbsolute(entryPath) || /^[a-zA-Z]:/.test(entryPath)) {
+    throw archiveError(`absolute path '${entryPath}'`);
+  }
+  const resolved = path.resolve(destDir, entryPath);
+  if (resolved !== destDir && !resolved.startsWith(destDir + path.sep)) {
+    throw archiveError(`path '${entryPath}' escapes the project directory`);
+  }
+}
+
+// Running totals for one archive, checked as each entry is read
+function createLimits() {
+  const { maxExtractedSize, maxEntries, maxPathDepth } = config.builds.archive;
+  let entries = 0;
+  let bytes = 0;
+
+  return {
+    entry(entryPath, size) {
+      entries++;
+      if (entries > maxEntries) {
+        throw archiveError(`more than ${maxEntries} entries`);
+      }
+      const depth = entryPath.split('/').filter(part => part && part !== '.').length;
+      if (depth > maxPathDepth) {
+        throw archiveError(`'${entryPath}' is nested more than ${maxPathDepth} levels deep`);
+      }
+      bytes += size;
+      if (bytes > maxExtractedSize) {
+        throw archiveError(`contents exceed ${maxExtractedSize / 1024 / 1024} MB uncompressed`);
+      }
+    },
+  };
+}
+
+function openZip(filePath) {
+  return new Promise((resolve, reject) => {
+    // Names are decoded (and UTF-8 checked) here rather than by yauzl.
+    // yauzl's own size validation is off: on current Node its errors are
+    // swallowed and the entry stream stalls, so entrySizeGuard does it.
+    yauzl.open(filePath, { lazyEntries: true, decodeStrings: false, validateEntrySizes: false }, (err, zip) => {
+      if (err) reject(archiveError(`unreadable zip (${err.message})`));
+      else resolve(zip);
+    });
+  });
+}
+
+function openZipEntry(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (err, stream) => {
+      if (err) reject(archiveError(`unreadable zip entry (${err.message})`));
+      else resolve(stream);
+    });
+  });
+}
+
+// Fails the entry if it inflates to more or fewer bytes than its header
+// declared, so a lying header can't get past the size limit
+function entrySizeGuard(name, declaredSize) {
+  let actual = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      actual += chunk.length;
+      if (actual > declaredSize) {
+        callback(archiveError(`'${name}' is larger than its header declares`));
+      } else {
+        callback(null, chunk);
+      }
+    },
+    flush(callback) {
+      callback(actual < declaredSize ? archiveError(`'${name}' is smaller than its header declares`) : null);
+    },
+  });
+}
+
+async function extractZipEntry(zip, entry, destDir, limits) {
+  let name;
+  try {
+    name = utf8.decode(entry.fileName);
+  } catch {
+    throw archiveError('entry name is not valid UTF-8');
+  }
+
+  const mode = entry.externalFileAttributes >>> 16;
+  const fileType = mode & S_IFMT;
+  if (fileType && fileType !== S_IFREG && fileType !== S_IFDIR) {
+    throw archiveError(`'${name}' is a ${fileType === S_IFLNK ? 'symbolic link' : 'special file'} — only files and directories are allowed`);
+  }
+  if (entry.isEncrypted()) {
+    throw archiveError(`'${name}' is encrypted`);
+  }
+
+  checkEntryPath(name, destDir);
+  const isDirectory = name.endsWith('/') || fileType === S_IFDIR;
+  limits.entry(name, isDirectory ? 0 : entry.uncompressedSize);
+
+  const target = path.resolve(destDir, name);
+  if (isDirectory) {
+    await fs.promises.mkdir(target, { recursive: true });
+    return;
+  }
+
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  const stream = await openZipEntry(zip, entry);
+  await pipeline(
+    stream,
+    entrySizeGuard(name, entry.uncompressedSize),
+    fs.createWriteStream(target, { mode: mode & 0o111 ? 0o755 : 0o644 })
+  ).catch((err) => {
+    // Filesystem errors pass through; anything else is bad zip data
+    if (err.code === ARCHIVE_REJECTED || err.syscall) throw err;
+    throw archiveError(`corrupt zip entry '${name}' (${err.message})`);
+  });
+}
+
+async function extractZip(filePath, destDir) {
+  const zip = await openZip(filePath);
+  const limits = createLimits();
+
+  await new Promise((resolve, reject) => {
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      zip.close();
+      reject(err.code === ARCHIVE_REJECTED || err.syscall ? err : archiveError(`unreadable zip (${err.message})`));
+    };
+
+    zip.on('error', fail);
+    zip.on('end', resolve);
+    zip.on('entry', (entry) => {
+      extractZipEntry(zip, entry, destDir, limits)
+        .then(() => zip.readEntry())
+        .catch(fail);
+    });
+    zip.readEntry();
+  });
+}
+
+/**
+ * First pass over a tarball: check every entry without writing anything
+ */
+async function validateTarball(filePath, destDir) {
+  const limits = createLimits();
+  let rejection = null;
+
+  try {
+    await tar.t({
+      file: filePath,
+      strict: true,
+      onentry: (entry) => {
+        if (rejection) return;
+        try {
+          // node-tar decodes names as UTF-8, replacing invalid bytes
+          if (entry.path.includes('\uFFFD')) {
+            throw archiveError('entry name is not valid UTF-8');
+          }
+          if (!TAR_ENTRY_TYPES.has(entry.type)) {
+            throw archiveError(`'${entry.path}' is a ${entry.type} — only files and directories are allowed`);
+          }
+          checkEntryPath(entry.path, destDir);
+          limits.entry(entry.path, entry.size || 0);
+        } catch (err) {
+          rejection = err;
+        }
+      },
+    });
+  } catch (err) {
+    throw archiveError(`unreadable tarball (${err.message})`);
+  }
+
+  if (rejection) throw rejection;
+}
+
+async function extractTarball(filePath, destDir) {
+  await validateTarball(filePath, destDir);
+
+  // Second line of defence: only files and directories are ever written
+  await tar.x({
+    file: filePath,
+    cwd: destDir,
+    strict: true,
+    preservePaths: false,
+    preserveOwner: false,
+    filter: (entryPath, entry) => TAR_ENTRY_TYPES.has(entry.type),
+  });
+}
+
+/**
+ * Extract an uploaded archive into destDir (which must exist). On rejection
+ * destDir is left empty.
+ * @param {string} type - 'zip', 'tar.gz' or 'tar' (see archiveTypeFor)
+ * @throws {Error} code 'archive_rejected', status 400, for a bad or oversized archive
+ */
+async function extractArchive(filePath, destDir, type) {
+  const dir = path.resolve(destDir);
+  try {
+    if (type === 'zip') {
+      await extractZip(filePath, dir);
+    } else if (type === 'tar.gz' || type === 'tar') {
+      await extractTarball(filePath, dir);
+    } else {
+      throw archiveError(`unsupported file type '${type}'`);
+    }
+  } catch (err) {
+    if (err.code === ARCHIVE_REJECTED) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      await fs.promises.mkdir(dir, { recursive: true });
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  archiveTypeFor,
+  extractArchive,
+  ARCHIVE_REJECTED,
+};
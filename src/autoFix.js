@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const { resolveProjectPath } = require('./projectTools');
+const { errorDiagnostics } = require('./diagnostics');
+
+/**
+ * Deterministic fixes for the smart build: rustc's own suggestions marked
+ * `MachineApplicable` (missing imports, unused `mut`, a missing `&`), applied
+ * the way `cargo fix` would, before the AI is asked.
+ *
+ * The suggestions come from the build's diagnostics (diagnostics.js), so
+ * nothing is compiled here: this only turns them into whole-file fixes that
+ * smartBuild.js writes through the same safety rules and history as AI fixes.
+ *
+ * One suggestion can span several edits (e.g. two sides of a borrow); they
+ * are applied together or not at all. A suggestion overlapping one already
+ * taken is left for the next build.
+ */
+
+const MACHINE_APPLICABLE = 'MachineApplicable';
+
+// Identifies a suggestion across builds, so one that didn't help isn't applied twice
+function suggestionKey(suggestion) {
+  return suggestion.edits
+    .map(edit => `${edit.file}:${edit.lineStart}:${edit.columnStart}-${edit.lineEnd}:${edit.columnEnd}=${edit.replacement}`)
+    .join('|');
+}
+
+/**
+ * Machine-applicable suggestions of a build's diagnostics, with the parts of
+ * each one grouped together. Only builds with at least one error qualify —
+ * a warning-only build has nothing to fix.
+ * @returns {Array<{code: string|null, message: string, edits: Array, key: string}>}
+ */
+function machineApplicableSuggestions(diagnostics) {
+  if (errorDiagnostics(diagnostics).length === 0) return [];
+
+  const suggestions = [];
+  const seen = new Set();
+  for (const diagnostic of diagnostics) {
+    const groups = new Map(); // suggestion message → edits
+    for (const edit of diagnostic.suggestions || []) {
+      if (edit.applicability !== MACHINE_APPLICABLE) continue;
+      if (!groups.has(edit.message)) groups.set(edit.message, []);
+      groups.get(edit.message).push(edit);
+    }
+    for (const [message, edits] of groups) {
+      const suggestion = { code: diagnostic.code, message, diagnostic: diagnostic.message, edits };
+      suggestion.key = suggestionKey(suggestion);
+      // Several diagnostics can carry the same fix (e.g. one missing import)
+      if (seen.has(suggestion.key)) continue;
+      seen.add(suggestion.key);
+      suggestions.push(suggestion);
+    }
+  }
+  return suggestions;
+}
+
+// UTF-16 offset of a 1-based line and column (rustc columns count characters)
+function offsetOf(lineStarts, content, line, column) {
+  const start = lineStarts[line - 1];
+  if (start === undefined) return -1;
+  let offset = start;
+  for (let chars = 1; chars < column; chars++) {
+    if (offset >= content.length) return -1;
+    offset += content.codePointAt(offset) > 0xffff ? 2 : 1;
+  }
+  return offset;
+}
+
+function lineStartsOf(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+/**
+ * Apply suggestions' edits to one file's content
+ * @param {string} content
+ * @param {Array<{edits: Array}>} suggestions - Edits already narrowed to this file
+ * @returns {{content: string, applied: Array, skipped: Array}}
+ */
+function applyEdits(content, suggestions) {
+  const lineStarts = lineStartsOf(content);
+  const taken = []; // [start, end] ranges
+  const applied = [];
+  const skipped = [];
+  const replacements = [];
+
+  const overlaps = (start, end) => taken.some(([s, e]) =>
+    (start < e && end > s) || (start === end && start > s && start < e) || (start === s && end === e));
+
+  for (const suggestion of suggestions) {
+    const ranges = suggestion.edits.map(edit => ({
+      start: offsetOf(lineStarts, content, edit.lineStart, edit.columnStart),
+      end: offsetOf(lineStarts, content, edit.lineEnd, edit.columnEnd),
+      replacement: edit.replacement,
+    }));
+    if (ranges.some(range => range.start < 0 || range.end < range.start)) {
+      skipped.push({ ...suggestion, reason: 'Span is outside the file (changed since the build?)' });
+      continue;
+    }
+    if (ranges.some(range => overlaps(range.start, range.end))) {
+      skipped.push({ ...suggestion, reason: 'Overlaps another suggestion' });
+      continue;
+    }
+    ranges.forEach(range => taken.push([range.start, range.end]));
+    replacements.push(...ranges);
+    applied.push(suggestion);
+  }
+
+  // Back to front, so earlier offsets stay valid
+  let fixed = content;
+  for (const { start, end, replacement } of replacements.sort((a, b) => b.start - a.start || b.end - a.end)) {
+    fixed = fixed.slice(0, start) + replacement + fixed.slice(end);
+  }
+  return { content: fixed, applied, skipped };
+}
+
+/**
+ * Turn a build's machine-applicable suggestions into whole-file fixes
+ * (nothing is written)
+ * @param {string} projectDir
+ * @param {Array} diagnostics - From the failed build
+ * @param {{exclude?: Set<string>}} [options] - Keys of suggestions already tried
+ * @returns {Promise<{fixes: Array<{action: 'update', path: string, content: string, suggestions: Array}>,
+ *   suggestions: Array, skipped: Array}>}
+ */
+async function planAutoFixes(projectDir, diagnostics, { exclude = new Set() } = {}) {
+  const skipped = [];
+  const byFile = new Map();
+
+  for (const suggestion of machineApplicableSuggestions(diagnostics)) {
+    if (exclude.has(suggestion.key)) continue;
+    const files = [...new Set(suggestion.edits.map(edit => edit.file))];
+    // Only the project's own Rust sources, never the crate registry
+    if (files.length !== 1 || !files[0].endsWith('.rs') || !(await resolveProjectPath(projectDir, files[0]))) {
+      skipped.push({ ...suggestion, reason: 'Not a single project .rs file' });
+      continue;
+    }
+    if (!byFile.has(files[0])) byFile.set(files[0], []);
+    byFile.get(files[0]).push(suggestion);
+  }
+
+  const fixes = [];
+  const suggestions = [];
+  for (const [filePath, fileSuggestions] of byFile) {
+    const fullPath = await resolveProjectPath(projectDir, filePath);
+    const content = await fs.readFile(fullPath, 'utf-8');
+    const result = applyEdits(content, fileSuggestions);
+    skipped.push(...result.skipped);
+    if (result.applied.length === 0 || result.content === content) continue;
+
+    fixes.push({ action: 'update', path: filePath, content: result.content, suggestions: result.applied });
+    suggestions.push(...result.applied);
+  }
+
+  return { fixes, suggestions, skipped };
+}
+
+/**
+ * One line per suggestion, for logs, history and review
+ */
+function describeSuggestion(suggestion) {
+  const edit = suggestion.edits[0];
+  return `${edit.file}:${edit.lineStart}: ${suggestion.message}${suggestion.code ? ` (${suggestion.code})` : ''}`;
+}
+
+module.exports = {
+  MACHINE_APPLICABLE,
+  machineApplicableSuggestions,
+  applyEdits,
+  planAutoFixes,
+  describeSuggestion,
+};
@@ -0,0 +1,241 @@
+const Docker = require('dockerode');
+const crypto = require('crypto');
+const config = require('./config');
+
+const docker = new Docker();
+
+/**
+ * Dependency caches for builder containers, labelled `opencompiler.cache=true`:
+ *   - cargo registry  → /usr/local/cargo/registry  (CARGO_HOME of the rust image)
+ *   - cargo git       → /usr/local/cargo/git
+ *   - target cache    → /cache/target  (compiled dependencies; seeded into
+ *                       target/ before a build, refreshed after a successful one)
+ *
+ * Build scripts and proc macros are untrusted code, so nothing they can write
+ * to is shared between tenants. The registry and git volumes are shared per
+ * toolchain, but only the fetch phase (`cargo fetch`, which runs no project
+ * code) mounts them writable; builds, tests and tools get them read-only. The
+ * target cache holds compiled code and is one volume per toolchain and tenant.
+ *
+ * Keying by toolchain keeps artifacts from one Anchor/Solana version from
+ * being fed to another. With network isolation on, the registry and git
+ * volumes are also the crate mirror offline builds resolve against.
+ */
+
+const CACHE_LABEL = 'opencompiler.cache';
+const TOOLCHAIN_LABEL = 'opencompiler.toolchain';
+const TENANT_LABEL = 'opencompiler.tenant';
+const PROJECT_TARGET_LABEL = 'opencompiler.project-target';
+
+// Tenants are agent IDs or client IPs: hashed, so volume names stay valid and don't expose them
+function tenantKey(tenant) {
+  return crypto.createHash('sha256').update(String(tenant)).digest('hex').slice(0, 16);
+}
+
+function volumeNames(toolchain, tenant) {
+  const key = toolchain.replace(/[^a-zA-Z0-9_.-]/g, '-');
+  return {
+    registry: `opencompiler-cargo-registry-${key}`,
+    git: `opencompiler-cargo-git-${key}`,
+    target: `opencompiler-target-cache-${key}-${tenantKey(tenant)}`,
+  };
+}
+
+// Creating an existing named volume returns it unchanged
+async function createCacheVolume(name, toolchain, labels = {}) {
+  await docker.createVolume({
+    Name: name,
+    Labels: { [CACHE_LABEL]: 'true', [TOOLCHAIN_LABEL]: toolchain, ...labels },
+  });
+}
+
+/**
+ * Create a toolchain's cargo registry/git volumes (no-op if they exist) and
+ * return their read-only bind specs — the crate mirror, for containers that
+ * only read dependencies
+ * @returns {Promise<string[]>}
+ */
+async function prepareCrateMirror(toolchain) {
+  const names = volumeNames(toolchain, null);
+  await createCacheVolume(names.registry, toolchain);
+  await createCacheVolume(names.git, toolchain);
+  return [
+    `${names.registry}:/usr/local/cargo/registry:ro`,
+    `${names.git}:/usr/local/cargo/git:ro`,
+  ];
+}
+
+/**
+ * Create the cache volumes for a toolchain and tenant (no-op if they exist)
+ * and return the bind specs for the container's HostConfig:
+ *   - fetchBinds: registry and git, writable — for the fetch phase only
+ *   - binds: registry and git read-only, plus the tenant's target cache
+ *   - mirrorBinds: registry and git read-only, nothing else
+ * @param {string} toolchain
+ * @param {string} tenant - Agent ID or client IP (buildQueue's tenant)
+ * @returns {Promise<{toolchain: string, fetchBinds: string[], binds: string[], mirrorBinds: string[]}>}
+ */
+async function prepareBuildCache(toolchain, tenant) {
+  const names = volumeNames(toolchain, tenant);
+  const mirrorBinds = await prepareCrateMirror(toolchain);
+  await createCacheVolume(names.target, toolchain, { [TENANT_LABEL]: tenantKey(tenant) });
+
+  return {
+    toolchain,
+    fetchBinds: [
+      `${names.registry}:/usr/local/cargo/registry:rw`,
+      `${names.git}:/usr/local/cargo/git:rw`,
+    ],
+    binds: [...mirrorBinds, `${names.target}:/cache/target:rw`],
+    mirrorBinds,
+  };
+}
+
+/**
+ * Per-project target/ volume, kept between builds of the same project so a
+ * rebuild only recompiles the crates whose sources changed.
+ */
+function projectTargetVolume(buildId) {
+  return `opencompiler-target-${buildId}`;
+}
+
+/**
+ * Create (or reuse) a project's target volume.
+ * @returns {Promise<string>} Volume name
+ */
+async function prepareProjectTarget(buildId) {
+  const name = projectTargetVolume(buildId);
+  await docker.createVolume({
+    Name: name,
+    Labels: { [PROJECT_TARGET_LABEL]: 'true', 'opencompiler.build-id': buildId },
+  });
+  return name;
+}
+
+/**
+ * Drop a project's target volume (clean build, or build cleanup).
+ * @returns {Promise<boolean>} false if there was no volume
+ * @throws {Error} 409 while a container still has the volume mounted
+ */
+async function removeProjectTarget(buildId) {
+  try {
+    await docker.getVolume(projectTargetVolume(buildId)).remove();
+    console.log(`[${buildId}] Removed project target volume`);
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) return false;
+    if (err.statusCode === 409) {
+      const inUse = new Error('The project\'s target directory is still in use by a build container. Try again once it has stopped.');
+      inUse.status = 409;
+      throw inUse;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Shell fragment run before `anchor build`. A non-empty target/ (the
+ * project's own volume from an earlier build) is used as-is. Otherwise the
+ * tenant's cached dependency artifacts are copied in — sources are touched
+ * first so cargo always rebuilds the project's own crates rather than
+ * trusting a same-named crate from the cache. A failed restore only costs a
+ * cold build.
+ */
+const TARGET_CACHE_RESTORE = `
+  echo "=== Restoring target cache ===" &&
+  if [ -n "$(ls -A target 2>/dev/null)" ]; then
+    echo "=== Target cache: project ===" ;
+  elif [ -d /cache/target/data ]; then
+    find . -path ./target -prune -o -type f -exec touch {} + ;
+    { mkdir -p target && flock -s /cache/target/.lock cp -a /cache/target/data/. target/ && echo "=== Target cache: hit ===" ; } ||
+      echo "=== Target cache: miss (restore failed) ===" ;
+  else
+    echo "=== Target cache: miss ===" ;
+  fi`;
+
+/**
+ * Shell fragment run after a successful build: replace the tenant's cached
+ * target/ with this build's, minus artifacts specific to this project — deploy/
+ * (program keypairs), idl/, types/ and the workspace's own crates.
+ */
+const TARGET_CACHE_SAVE = `
+  echo "=== Saving target cache ===" &&
+  { flock -x /cache/target/.lock sh -c '
+      rm -rf /cache/target/data.new &&
+      cp -a target /cache/target/data.new &&
+      rm -rf /cache/target/data.new/deploy /cache/target/data.new/idl /cache/target/data.new/types &&
+      for member in $(ls programs 2>/dev/null | tr - _); do
+        find /cache/target/data.new -name "*$member*" -prune -exec rm -rf {} + ;
+      done ;
+      rm -rf /cache/target/data &&
+      mv /cache/target/data.new /cache/target/data
+    ' || echo "=== Target cache save failed (ignored) ===" ; }`;
+
+/**
+ * Summarize cache effectiveness from raw (verbose) cargo output.
+ * `Fresh` crates were reused from the target cache; `Downloaded` crates
+ * were missing from the registry cache.
+ */
+function parseCacheMetrics(rawOutput, toolchain) {
+  const text = (rawOutput || '').replace(/\x1b\[[0-9;]*m/g, '');
+  const count = (re) => (text.match(re) || []).length;
+
+  const fresh = count(/^\s*Fresh\s/gm);
+  const compiled = count(/^\s*Compiling\s/gm);
+  const downloaded = count(/^\s*Downloaded\s/gm);
+
+  let target = null;
+  if (text.includes('=== Target cache: project ===')) target = 'project';
+  else if (text.includes('=== Target cache: hit ===')) target = 'hit';
+  else if (text.includes('=== Target cache: miss')) target = 'miss';
+
+  const total = fresh + compiled;
+  return {
+    toolchain,
+    target,
+    crates: { fresh, compiled, downloaded },
+    hitRate: total > 0 ? Math.round((fresh / total) * 100) / 100 : null,
+  };
+}
+
+/**
+ * Remove cache volumes (all toolchains, or one). Volumes mounted by a
+ * running build can't be removed and are reported in `inUse`.
+ */
+async function purgeBuildCache(toolchain = null) {
+  const labels = [`${CACHE_LABEL}=true`];
+  if (toolchain) labels.push(`${TOOLCHAIN_LABEL}=${toolchain}`);
+
+  const { Volumes: volumes = [] } = await docker.listVolumes({
+    filters: JSON.stringify({ label: labels }),
+  });
+
+  const removed = [];
+  const inUse = [];
+  for (const volume of volumes) {
+    try {
+      await docker.getVolume(volume.Name).remove();
+      removed.push(volume.Name);
+      console.log(`[cache] Removed volume ${volume.Name}`);
+    } catch (err) {
+      if (err.statusCode === 409) {
+        inUse.push(volume.Name);
+      } else {
+        throw err;
+      }
+    }
+  }
+
+  return { removed, inUse };
+}
+
+module.exports = {
+  prepareCrateMirror,
+  prepareBuildCache,
+  prepareProjectTarget,
+  removeProjectTarget,
+  parseCacheMetrics,
+  purgeBuildCache,
+  TARGET_CACHE_RESTORE,
+  TARGET_CACHE_SAVE,
+};
@@ -1,15 +1,25 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const extractZip = require('extract-zip');
 const crypto = require('crypto');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
-const { executeAnchorBuild } = require('./docker');
+const { executeAnchorBuild, executeAnchorTest } = require('./docker');
+const { extractArchive, ARCHIVE_REJECTED } = require('./archive');
+const { parseRepoUrl, validateRef, tokenUsername, cloneRepository } = require('./gitSource');
+const { Authors, startHistory, removeHistory } = require('./projectHistory');
+const { enqueueBuild } = require('./buildQueue');
+const { removeProjectTarget } = require('./buildCache');
+const { resolveToolchain } = require('./toolchains');
 const config = require('./config');
-
-const builds = new Map();
+const {
+  insertBuild,
+  updateBuildRecord,
+  getBuildRecord,
+  listBuildRecords,
+  listBuildsUpdatedBefore,
+  deleteBuildRecord,
+  recordBuildEvent,
+  transitionBuildsWithStatus,
+} = require('./buildStore');
 
 // Generate a secure download token for each build
 function generateDownloadToken() {
@@ -18,18 +28,110 @@ function generateDownloadToken() {
 
 const BuildStatus = {
   PENDING: 'pending',
+  QUEUED: 'queued', // Waiting for a free build worker
   RUNNING: 'running',
   SUCCESS: 'success',
   FAILED: 'failed',
+  INTERRUPTED: 'interrupted', // Process restarted while the build was running
+  CANCELLED: 'cancelled', // Stopped by the user
+};
+
+// Status of a build's latest `anchor test` run (kept apart from the build status)
+const TestStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PASSED: 'passed',
+  FAILED: 'failed',
+  ERROR: 'error', // Didn't get as far as running the tests
+  CANCELLED: 'cancelled',
+  INTERRUPTED: 'interrupted',
 };
 
+// In-flight builds and test runs that can be cancelled: buildId → AbortController.
+// Each run has its own controller, and its signal is the run's token: a
+// cancelled run that settles after the next run on the build started must
+// not release or overwrite that run (see isCurrentRun).
+const buildControllers = new Map();
+
+/**
+ * Register an in-flight build (or test run, kind 'test') so cancelBuild()
+ * can stop it. Callers must releaseBuildController() once it settles.
+ * @returns {AbortSignal} Identifies this run to isCurrentRun() and releaseBuildController()
+ */
+function createBuildController(buildId, kind = 'build') {
+  const controller = new AbortController();
+  controller.kind = kind;
+  buildControllers.set(buildId, controller);
+  return controller.signal;
+}
+
+/**
+ * Register a new run on an existing build, unless one is already in flight.
+ * Synchronous, so of two concurrent requests only one gets a signal: routes
+ * claim before their first await and release on their early-error paths.
+ * @returns {AbortSignal|null} null if a build or test run is in flight
+ */
+function claimBuildController(buildId, kind = 'build') {
+  if (buildControllers.has(buildId)) return null;
+  return createBuildController(buildId, kind);
+}
+
+/**
+ * Whether a run may still record its outcome: it is the build's registered
+ * run, or it was cancelled and no other run has started since
+ */
+function isCurrentRun(buildId, signal) {
+  const controller = buildControllers.get(buildId);
+  return controller ? controller.signal === signal : signal.aborted;
+}
+
+/**
+ * Unregister a run that settled, unless a newer run has replaced it
+ * @returns {boolean} isCurrentRun() as it was before the release
+ */
+function releaseBuildController(buildId, signal) {
+  const current = isCurrentRun(buildId, signal);
+  const controller = buildControllers.get(buildId);
+  if (controller && controller.signal === signal) buildControllers.delete(buildId);
+  return current;
+}
+
+/**
+ * Cancel an in-flight build: drops it from the queue or stops its container,
+ * and ends a smart-build loop at its next checkpoint. A test run is stopped
+ * the same way; its run record is updated by queueAnchorTest().
+ * @returns {Promise<string|false>} 'build' or 'test', or false if nothing is in flight
+ */
+async function cancelBuild(buildId) {
+  const controller = buildControllers.get(buildId);
+  if (!controller) return false;
+
+  console.log(`[${buildId}] Cancellation requested`);
+  controller.abort();
+  buildControllers.delete(buildId);
+
+  if (controller.kind === 'test') return 'test';
+
+  await updateBuildStatus(buildId, BuildStatus.CANCELLED, {
+    error: 'Build cancelled',
+    completedAt: new Date(),
+  });
+  return 'build';
+}
+
+// Final status for a build result (smartBuild or executeAnchorBuild)
+function resultStatus(result) {
+  if (result.cancelled) return BuildStatus.CANCELLED;
+  return result.success ? BuildStatus.SUCCESS : BuildStatus.FAILED;
+}
+
 // Extract project without starting build
 async function extractProject(buildId, filePath, fileType = 'zip') {
   const projectDir = path.join(config.builds.uploadDir, buildId);
   const outputDir = path.join(config.builds.buildDir, buildId);
 
   const downloadToken = generateDownloadToken();
-  builds.set(buildId, {
+  await insertBuild({
     id: buildId,
     status: 'ready', // Not running yet
     createdAt: new Date(),
@@ -46,14 +148,11 @@ async function extractProject(buildId, filePath, fileType = 'zip') {
     await fs.mkdir(outputDir, { recursive: true });
     
     // Make output directory writable by anyone (Docker container needs this)
-    await execPromise(`chmod -R 777 "${outputDir}"`);
+    await fs.chmod(outputDir, 0o777);
     
-    console.log(`[${buildId}] Extracting project...`);
-    if (fileType === 'zip') {
-      await extractZip(filePath, { dir: path.resolve(projectDir) });
-    } else {
-      throw new Error(`Unsupported file type: ${fileType}`);
-    }
+    console.log(`[${buildId}] Extracting project (${fileType})...`);
+    await extractArchive(filePath, projectDir, fileType);
+    await startHistory(buildId, projectDir, { author: Authors.user, message: `Upload project (${fileType})` });
 
     const anchorRoot = await findAnchorRoot(projectDir);
     if (!anchorRoot) {
@@ -72,8 +171,9 @@ async function extractProject(buildId, filePath, fileType = 'zip') {
     return buildId;
   } catch (error) {
     console.error(`[${buildId}] Extraction failed:`, error.message);
-    updateBuildStatus(buildId, BuildStatus.FAILED, {
+    await updateBuildStatus(buildId, BuildStatus.FAILED, {
       error: error.message,
+      errorCode: error.code === ARCHIVE_REJECTED ? ARCHIVE_REJECTED : undefined,
       logs: { stdout: '', stderr: error.message },
     });
     throw error;
@@ -85,13 +185,23 @@ function generateBuildId() {
   return uuidv4();
 }
 
-async function startBuild(filePath, fileType = 'zip') {
+/**
+ * Extract an uploaded project and build it through the build queue
+ * @param {string} filePath - Uploaded archive
+ * @param {string} fileType - Archive type: 'zip', 'tar.gz' or 'tar'
+ * @param {object} [options]
+ * @param {string} [options.tenantId] - Queue fairness key for non-agent callers
+ * @param {function} [options.onLogUpdate] - Live build log callback
+ * @param {function} [options.onStatusChange] - Called with each new status
+ * @returns {Promise<string>} Build ID
+ */
+async function startBuild(filePath, fileType = 'zip', { tenantId, onLogUpdate = null, onStatusChange = null } = {}) {
   const buildId = uuidv4();
   const projectDir = path.join(config.builds.uploadDir, buildId);
   const outputDir = path.join(config.builds.buildDir, buildId);
 
   const downloadToken = generateDownloadToken();
-  builds.set(buildId, {
+  await insertBuild({
     id: buildId,
     status: BuildStatus.PENDING,
     createdAt: new Date(),
@@ -100,22 +210,22 @@ async function startBuild(filePath, fileType = 'zip') {
     outputDir,
     downloadToken,
     downloaded: false,
+    tenantId,
   });
 
+  const signal = createBuildController(buildId);
+
   (async () => {
     try {
       await fs.mkdir(projectDir, { recursive: true });
       await fs.mkdir(outputDir, { recursive: true });
       
       // Make output directory writable by anyone (Docker container needs this)
-      await execPromise(`chmod -R 777 "${outputDir}"`);
+      await fs.chmod(outputDir, 0o777);
       
-      console.log(`[${buildId}] Extracting project...`);
-      if (fileType === 'zip') {
-        await extractZip(filePath, { dir: path.resolve(projectDir) });
-      } else {
-        throw new Error(`Unsupported file type: ${fileType}`);
-      }
+      console.log(`[${buildId}] Extracting project (${fileType})...`);
+      await extractArchive(filePath, projectDir, fileType);
+      await startHistory(buildId, projectDir, { author: Authors.user, message: `Upload project (${fileType})` });
 
       const anchorRoot = await findAnchorRoot(projectDir);
       if (!anchorRoot) {
@@ -123,30 +233,37 @@ async function startBuild(filePath, fileType = 'zip') {
       }
 
       console.log(`[${buildId}] Found Anchor project at: ${anchorRoot}`);
-      updateBuildStatus(buildId, BuildStatus.RUNNING);
 
       // Calculate relative path from projectDir to anchorRoot
       const anchorSubdir = path.relative(projectDir, anchorRoot);
       console.log(`[${buildId}] Anchor subdirectory: '${anchorSubdir}'`);
 
       // Execute build (pass full projectDir, not anchorRoot, so we copy everything)
-      const result = await executeAnchorBuild(buildId, projectDir, outputDir, anchorSubdir);
+      const result = await queueAnchorBuild(buildId, projectDir, outputDir, anchorSubdir, onLogUpdate, { onStatusChange, signal });
+      if (!isCurrentRun(buildId, signal)) return;
 
-      updateBuildStatus(buildId, result.success ? BuildStatus.SUCCESS : BuildStatus.FAILED, {
+      const status = resultStatus(result);
+      await updateBuildStatus(buildId, status, {
         logs: result.logs,
         exitCode: result.exitCode,
         error: result.error,
+        cache: result.cache,
         completedAt: new Date(),
       });
+      if (onStatusChange) onStatusChange(status);
 
     } catch (error) {
       console.error(`[${buildId}] Build setup failed:`, error.message);
-      updateBuildStatus(buildId, BuildStatus.FAILED, {
+      if (!isCurrentRun(buildId, signal)) return;
+      await updateBuildStatus(buildId, BuildStatus.FAILED, {
         error: error.message,
+        errorCode: error.code === ARCHIVE_REJECTED ? ARCHIVE_REJECTED : undefined,
         logs: { stdout: '', stderr: error.message },
         completedAt: new Date(),
       });
+      if (onStatusChange) onStatusChange(BuildStatus.FAILED);
     } finally {
+      releaseBuildController(buildId, signal);
       try {
         await fs.unlink(filePath);
       } catch (err) {
@@ -180,29 +297,217 @@ async function findAnchorRoot(dir) {
   return null;
 }
 
-function updateBuildStatus(buildId, status, additionalData = {}) {
-  const build = builds.get(buildId);
-  if (build) {
-    builds.set(buildId, {
-      ...build,
+async function updateBuildStatus(buildId, status, additionalData = {}) {
+  const build = await getBuildRecord(buildId);
+  if (!build) return;
+
+  await updateBuildRecord(buildId, {
+    ...additionalData,
+    status,
+    updatedAt: new Date(),
+  });
+
+  if (build.status !== status) {
+    await recordBuildEvent(buildId, 'status', {
       status,
-      updatedAt: new Date(),
-      ...additionalData,
+      message: additionalData.error || null,
     });
   }
 }
 
-function getBuildStatus(buildId) {
-  return builds.get(buildId) || null;
+/**
+ * Run an Anchor build through the build queue. Takes the same arguments as
+ * executeAnchorBuild; the build is QUEUED until a worker picks it up, then RUNNING.
+ * The queue tenant is the build's agent, or the tenantId stored at creation.
+ * The toolchain is the build's requestedToolchain, or detected from the project.
+ * The compiler diagnostics of the run replace the build's `diagnostics`.
+ * @param {object} [options]
+ * @param {function} [options.onStatusChange] - Called with QUEUED, then RUNNING
+ * @param {AbortSignal} [options.signal] - From createBuildController()
+ * @returns {Promise<object>} executeAnchorBuild's result; `cancelled: true` if aborted
+ */
+async function queueAnchorBuild(buildId, projectDir, outputDir, anchorSubdir = '', onLogUpdate = null, { onStatusChange = null, signal = null } = {}) {
+  const cancelled = {
+    success: false,
+    cancelled: true,
+    error: 'Build cancelled',
+    logs: { stdout: '', stderr: 'Build cancelled by user' },
+  };
+  if (signal && signal.aborted) return cancelled;
+
+  const build = await getBuildRecord(buildId);
+  const tenant = (build && (build.agentId || build.tenantId)) || 'anonymous';
+
+  // Toolchain: explicit request stored on the build, else detected from the project
+  const { toolchain, reason } = await resolveToolchain(
+    path.join(projectDir, anchorSubdir),
+    build && build.requestedToolchain
+  );
+  console.log(`[${buildId}] Toolchain: ${toolchain.id} (${reason})`);
+  await updateBuild(buildId, { toolchain: toolchain.id, diagnostics: null });
+
+  await updateBuildStatus(buildId, BuildStatus.QUEUED);
+  if (onStatusChange) onStatusChange(BuildStatus.QUEUED);
+
+  try {
+    const result = await enqueueBuild(
+      buildId,
+      () => executeAnchorBuild(buildId, projectDir, outputDir, anchorSubdir, onLogUpdate, { signal, tenant, toolchain }),
+      {
+        tenant,
+        signal,
+        onStart: async () => {
+          await updateBuildStatus(buildId, BuildStatus.RUNNING);
+          if (onStatusChange) onStatusChange(BuildStatus.RUNNING);
+        },
+      }
+    );
+    if (result.diagnostics && (!signal || isCurrentRun(buildId, signal))) {
+      await updateBuild(buildId, { diagnostics: result.diagnostics });
+    }
+    return result;
+  } catch (err) {
+    if (err.cancelled) return cancelled;
+    throw err;
+  }
 }
 
-function listBuilds() {
-  return Array.from(builds.values());
+// Final status for an executeAnchorTest result
+function testResultStatus(result) {
+  if (result.cancelled) return TestStatus.CANCELLED;
+  if (result.success) return TestStatus.PASSED;
+  return result.results && result.results.ran ? TestStatus.FAILED : TestStatus.ERROR;
+}
+
+/**
+ * Run `anchor test` through the build queue, like queueAnchorBuild(). The
+ * run is recorded on the build as `testRun` (status, per-test results, logs);
+ * the build's own status is left alone.
+ * @param {object} [options]
+ * @param {function} [options.onStatusChange] - Called with each TestStatus
+ * @param {AbortSignal} [options.signal] - From createBuildController(buildId, 'test')
+ * @returns {Promise<object>} executeAnchorTest's result plus `status` (and `error` unless the tests ran)
+ */
+async function queueAnchorTest(buildId, projectDir, anchorSubdir = '', onLogUpdate = null, { onStatusChange = null, signal = null } = {}) {
+  const setTestRun = async (status, fields = {}) => {
+    if (signal && !isCurrentRun(buildId, signal)) return; // A newer run owns testRun
+    const build = await getBuildRecord(buildId);
+    await updateBuild(buildId, { testRun: { ...(build && build.testRun), ...fields, status } });
+    await recordBuildEvent(buildId, 'test', { status, message: fields.error || null });
+    if (onStatusChange) onStatusChange(status);
+  };
+
+  const build = await getBuildRecord(buildId);
+  const tenant = (build && (build.agentId || build.tenantId)) || 'anonymous';
+
+  const { toolchain, reason } = await resolveToolchain(
+    path.join(projectDir, anchorSubdir),
+    build && build.requestedToolchain
+  );
+  console.log(`[${buildId}] Test toolchain: ${toolchain.id} (${reason})`);
+
+  await updateBuild(buildId, {
+    testRun: { status: TestStatus.QUEUED, toolchain: toolchain.id, queuedAt: new Date() },
+  });
+  if (onStatusChange) onStatusChange(TestStatus.QUEUED);
+
+  let result;
+  try {
+    result = signal && signal.aborted
+      ? { success: false, cancelled: true, error: 'Test run cancelled', logs: { stdout: '', stderr: '' } }
+      : await enqueueBuild(
+        buildId,
+        () => executeAnchorTest(buildId, projectDir, anchorSubdir, onLogUpdate, { signal, toolchain, tenant }),
+        {
+          tenant,
+          signal,
+          onStart: () => setTestRun(TestStatus.RUNNING, { startedAt: new Date() }),
+        }
+      );
+  } catch (err) {
+    if (!err.cancelled) {
+      await setTestRun(TestStatus.ERROR, { error: err.message, completedAt: new Date() });
+      throw err;
+    }
+    result = { success: false, cancelled: true, error: 'Test run cancelled', logs: { stdout: '', stderr: '' } };
+  }
+
+  const status = testResultStatus(result);
+  let error = null;
+  if (status === TestStatus.CANCELLED) error = 'Test run cancelled';
+  else if (status === TestStatus.ERROR) error = result.error || 'Tests did not run (see logs)';
+  await setTestRun(status, {
+    completedAt: new Date(),
+    exitCode: result.exitCode ?? null,
+    results: result.results || null,
+    logs: result.logs,
+    error,
+  });
+  return { ...result, status, error };
+}
+
+/**
+ * A build's latest test run. A run left queued/running by a restart is
+ * reported as interrupted.
+ */
+async function getTestRun(buildId) {
+  const build = await getBuildRecord(buildId);
+  if (!build || !build.testRun) return null;
+
+  const testRun = build.testRun;
+  const active = [TestStatus.QUEUED, TestStatus.RUNNING].includes(testRun.status);
+  if (active && !buildControllers.has(buildId)) {
+    return { ...testRun, status: TestStatus.INTERRUPTED };
+  }
+  return testRun;
+}
+
+/**
+ * Update build fields without a status transition (live logs, smart-build phase)
+ */
+async function updateBuild(buildId, fields) {
+  await updateBuildRecord(buildId, { ...fields, updatedAt: new Date() });
+}
+
+/**
+ * Persist a smart-build progress event to the build's history
+ */
+async function recordBuildPhase(buildId, { phase, iteration, message }) {
+  await updateBuildRecord(buildId, {
+    smartBuildPhase: phase,
+    smartBuildIteration: iteration,
+    updatedAt: new Date(),
+  });
+  await recordBuildEvent(buildId, 'phase', { phase, iteration, message });
+}
+
+async function getBuildStatus(buildId) {
+  return getBuildRecord(buildId);
+}
+
+async function listBuilds() {
+  return listBuildRecords();
+}
+
+/**
+ * Mark builds that were in flight when the process died as interrupted,
+ * so pollers get a terminal status instead of a build stuck in `running`.
+ */
+async function recoverInterruptedBuilds() {
+  const buildIds = await transitionBuildsWithStatus(
+    [BuildStatus.PENDING, BuildStatus.QUEUED, BuildStatus.RUNNING],
+    BuildStatus.INTERRUPTED,
+    'Build was interrupted by a server restart. Start the build again.'
+  );
+  for (const buildId of buildIds) {
+    console.log(`[${buildId}] Marked as interrupted (server restarted mid-build)`);
+  }
+  return buildIds;
 }
 
 // Verify download token — only the build owner can access artifacts
-function verifyDownloadToken(buildId, token) {
-  const build = builds.get(buildId);
+async function verifyDownloadToken(buildId, token) {
+  const build = await getBuildRecord(buildId);
   if (!build) return false;
   if (!build.downloadToken) return false;
   return crypto.timingSafeEqual(
@@ -213,12 +518,14 @@ function verifyDownloadToken(buildId, token) {
 
 // Delete build artifacts from disk (after download)
 async function deleteBuildArtifacts(buildId) {
-  const build = builds.get(buildId);
+  const build = await getBuildRecord(buildId);
   if (!build) return;
   try {
     if (build.outputDir) await fs.rm(build.outputDir, { recursive: true, force: true });
     if (build.projectDir) await fs.rm(build.projectDir, { recursive: true, force: true });
-    build.downloaded = true;
+    await removeHistory(buildId);
+    await removeProjectTarget(buildId);
+    await updateBuild(buildId, { downloaded: true });
     console.log(`[${buildId}] [security] Artifacts deleted from disk after download`);
   } catch (err) {
     console.warn(`[${buildId}] Failed to delete artifacts: ${err.message}`);
@@ -226,7 +533,7 @@ async function deleteBuildArtifacts(buildId) {
 }
 
 async function getBuildArtifacts(buildId, token) {
-  const build = builds.get(buildId);
+  const build = await getBuildRecord(buildId);
   if (!build) {
     throw new Error('Build not found');
   }
@@ -237,7 +544,7 @@ async function getBuildArtifacts(buildId, token) {
 
   // If build has a download token, verify it
   if (build.downloadToken && token) {
-    if (!verifyDownloadToken(buildId, token)) {
+    if (!(await verifyDownloadToken(buildId, token))) {
       throw new Error('Invalid download token. Only the build owner can access artifacts.');
     }
   }
@@ -247,6 +554,11 @@ async function getBuildArtifacts(buildId, token) {
   }
 
   const artifacts = await scanArtifacts(build.outputDir);
+
+  // Keep artifact metadata on the build record (names/types only survive restarts
+  // as long as the files do, but the record tells pollers what was produced)
+  await updateBuildRecord(buildId, { artifacts });
+
   return artifacts;
 }
 
@@ -332,21 +644,36 @@ async function scanArtifacts(outputDir) {
 async function cleanupOldBuilds() {
   if (!config.cleanup.enableAutoCleanup) return;
 
-  const cutoffTime = Date.now() - config.cleanup.cleanupAfterMinutes * 60 * 1000;
+  const cutoffTime = new Date(Date.now() - config.cleanup.cleanupAfterMinutes * 60 * 1000);
 
-  for (const [buildId, build] of builds.entries()) {
-    if (build.updatedAt.getTime() < cutoffTime) {
-      console.log(`Cleaning up old build: ${buildId}`);
-      
-      try {
-        await fs.rm(build.projectDir, { recursive: true, force: true });
-        await fs.rm(build.outputDir, { recursive: true, force: true });
-      } catch (err) {
-        console.warn(`Failed to delete build directories: ${err.message}`);
-      }
+  let staleBuilds;
+  try {
+    staleBuilds = await listBuildsUpdatedBefore(cutoffTime);
+  } catch (err) {
+    console.warn(`Build cleanup skipped: ${err.message}`);
+    return;
+  }
+
+  for (const build of staleBuilds) {
+    if (build.status === BuildStatus.RUNNING || build.status === BuildStatus.QUEUED) continue;
 
-      builds.delete(buildId);
+    console.log(`Cleaning up old build: ${build.id}`);
+
+    try {
+      await fs.rm(build.projectDir, { recursive: true, force: true });
+      await fs.rm(build.outputDir, { recursive: true, force: true });
+      await removeHistory(build.id);
+    } catch (err) {
+      console.warn(`Failed to delete build directories: ${err.message}`);
+    }
+
+    try {
+      await removeProjectTarget(build.id);
+    } catch (err) {
+      console.warn(`Failed to remove target volume for ${build.id}: ${err.message}`);
     }
+
+    await deleteBuildRecord(build.id);
   }
 }
 
@@ -355,48 +682,44 @@ if (config.cleanup.enableAutoCleanup) {
 }
 
 /**
- * Parse GitHub URL to extract repo, branch, and subfolder
- * Supports: https://github.com/user/repo/tree/branch/subfolder
+ * Resolve a subfolder of a fresh clone. Symlinks are followed, so a repo
+ * can't point the subfolder at files outside the clone.
+ * @throws {Error} If it doesn't exist, isn't a directory or leaves the clone
  */
-function parseGithubUrl(url) {
-  // Match: github.com/owner/repo/tree/branch/optional-path
-  const treeMatch = url.match(/github\.com\/([\w.-]+)\/([\w.-]+)\/tree\/([\w.-]+)(?:\/(.+))?/);
-  if (treeMatch) {
-    return {
-      cloneUrl: `https://github.com/${treeMatch[1]}/${treeMatch[2]}`,
-      branch: treeMatch[3],
-      subfolder: treeMatch[4] || '',
-    };
+async function resolveCloneSubfolder(cloneDir, subfolder) {
+  const root = await fs.realpath(cloneDir);
+  const subPath = await fs.realpath(path.join(root, subfolder));
+  if (!subPath.startsWith(root + path.sep) || !(await fs.stat(subPath)).isDirectory()) {
+    throw new Error(`Subfolder '${subfolder}' is not a directory inside the repository`);
   }
-  // Plain repo URL: github.com/owner/repo
-  const repoMatch = url.match(/github\.com\/([\w.-]+)\/([\w.-]+)/);
-  if (repoMatch) {
-    return {
-      cloneUrl: `https://github.com/${repoMatch[1]}/${repoMatch[2]}`,
-      branch: null,
-      subfolder: '',
-    };
-  }
-  return { cloneUrl: url, branch: null, subfolder: '' };
+  return subPath;
 }
 
 /**
- * Start a build from GitHub repository
- * @param {string} repoUrl - GitHub repository URL
+ * Start a build from a git repository (GitHub, GitLab, Bitbucket or any
+ * https git host — see gitSource.js)
+ * @param {string} repoUrl - Repository URL, optionally a link to a branch/folder
+ * @param {object} [source]
+ * @param {string} [source.ref] - Branch, tag or full commit SHA (overrides one in the URL)
+ * @param {{username?: string, token: string}} [source.auth] - Credentials for a private repo
  * @returns {Promise<string>} Build ID
+ * @throws {Error} status 400 for a bad URL/ref or a failed clone
  */
-async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}) {
+async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}, { ref, auth } = {}) {
   const buildId = uuidv4();
   const cloneDir = path.join(config.builds.uploadDir, `${buildId}-clone`);
   const projectDir = path.join(config.builds.uploadDir, buildId);
   const outputDir = path.join(config.builds.buildDir, buildId);
 
-  // Parse GitHub URL for branch/subfolder support
-  const { cloneUrl, branch, subfolder } = parseGithubUrl(repoUrl);
+  // Branch/tag/commit and subfolder can come from the URL itself
+  const source = parseRepoUrl(repoUrl);
+  if (ref) source.ref = validateRef(ref);
+  const { cloneUrl, subfolder } = source;
+  if (auth && !auth.username) auth = { ...auth, username: tokenUsername(source.host) };
 
   // Initialize build record
   const downloadToken = generateDownloadToken();
-  builds.set(buildId, {
+  await insertBuild({
     id: buildId,
     status: autoBuild ? BuildStatus.PENDING : 'ready',
     createdAt: new Date(),
@@ -407,6 +730,7 @@ async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}) {
     downloaded: false,
     source: 'github',
     repoUrl,
+    gitRef: source.ref || undefined,
     logs: { stdout: '', stderr: '' },
     ...metadata,
   });
@@ -415,37 +739,37 @@ async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}) {
   await fs.mkdir(cloneDir, { recursive: true });
   await fs.mkdir(projectDir, { recursive: true });
   await fs.mkdir(outputDir, { recursive: true });
-  await execPromise(`chmod -R 777 "${outputDir}"`);
+  await fs.chmod(outputDir, 0o777);
 
-  console.log(`[${buildId}] Cloning from GitHub: ${cloneUrl} (branch: ${branch || 'default'}, subfolder: ${subfolder || 'root'})`);
+  console.log(`[${buildId}] Cloning ${cloneUrl} (ref: ${source.ref || 'default'}, subfolder: ${subfolder || 'root'}${auth ? ', authenticated' : ''})`);
 
+  let commitSha;
   try {
-    const branchFlag = branch ? `--branch "${branch}"` : '';
-    await execPromise(`git clone --depth 1 ${branchFlag} "${cloneUrl}" "${cloneDir}"`, {
-      timeout: 120000,
-    });
+    ({ commitSha } = await cloneRepository(source, cloneDir, auth));
+    await updateBuild(buildId, { commitSha });
+    console.log(`[${buildId}] Checked out ${commitSha}`);
   } catch (cloneError) {
     // Clean up
     try { await fs.rm(cloneDir, { recursive: true, force: true }); } catch {}
-    updateBuildStatus(buildId, BuildStatus.FAILED, {
-      error: `Failed to clone repository: ${cloneError.message}`,
+    await updateBuildStatus(buildId, BuildStatus.FAILED, {
+      error: cloneError.message,
+      errorCode: cloneError.code,
       logs: { stdout: '', stderr: cloneError.message },
       completedAt: new Date(),
     });
-    throw new Error(`Failed to clone repository: ${cloneError.message}`);
+    throw cloneError;
   }
 
   // If subfolder specified, copy only that folder to projectDir
   if (subfolder) {
-    const subPath = path.join(cloneDir, subfolder);
     try {
-      await fs.access(subPath);
-      await execPromise(`cp -r "${subPath}/." "${projectDir}/"`);
+      const subPath = await resolveCloneSubfolder(cloneDir, subfolder);
+      await fs.cp(subPath, projectDir, { recursive: true, verbatimSymlinks: true });
       console.log(`[${buildId}] Extracted subfolder: ${subfolder}`);
     } catch (err) {
       try { await fs.rm(cloneDir, { recursive: true, force: true }); } catch {}
       const msg = `Subfolder '${subfolder}' not found in repository`;
-      updateBuildStatus(buildId, BuildStatus.FAILED, {
+      await updateBuildStatus(buildId, BuildStatus.FAILED, {
         error: msg,
         logs: { stdout: '', stderr: msg },
         completedAt: new Date(),
@@ -454,17 +778,22 @@ async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}) {
     }
   } else {
     // No subfolder, move entire clone to projectDir
-    await execPromise(`cp -r "${cloneDir}/." "${projectDir}/"`);
+    await fs.cp(cloneDir, projectDir, { recursive: true, verbatimSymlinks: true });
   }
 
   // Clean up clone dir
   try { await fs.rm(cloneDir, { recursive: true, force: true }); } catch {}
 
+  await startHistory(buildId, projectDir, {
+    author: Authors.system,
+    message: `Clone ${cloneUrl}${subfolder ? ` (${subfolder})` : ''} at ${commitSha}`,
+  });
+
   console.log(`[${buildId}] Repository cloned successfully`);
 
   // If autoBuild is false, mark as ready and return (files are available now)
   if (!autoBuild) {
-    updateBuildStatus(buildId, 'ready', {
+    await updateBuildStatus(buildId, 'ready', {
       logs: {
         stdout: 'Repository cloned and ready for editing',
         stderr: ''
@@ -474,6 +803,8 @@ async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}) {
   }
 
   // Auto-build path: start build asynchronously
+  const signal = createBuildController(buildId);
+
   (async () => {
     try {
       const anchorRoot = await findAnchorRoot(projectDir);
@@ -482,27 +813,31 @@ async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}) {
       }
 
       console.log(`[${buildId}] Found Anchor project at: ${anchorRoot}`);
-      updateBuildStatus(buildId, BuildStatus.RUNNING);
 
       const anchorSubdir = path.relative(projectDir, anchorRoot);
       console.log(`[${buildId}] Anchor subdirectory: '${anchorSubdir}'`);
 
-      const result = await executeAnchorBuild(buildId, projectDir, outputDir, anchorSubdir);
+      const result = await queueAnchorBuild(buildId, projectDir, outputDir, anchorSubdir, null, { signal });
+      if (!isCurrentRun(buildId, signal)) return;
 
-      updateBuildStatus(buildId, result.success ? BuildStatus.SUCCESS : BuildStatus.FAILED, {
+      await updateBuildStatus(buildId, resultStatus(result), {
         logs: result.logs,
         exitCode: result.exitCode,
         error: result.error,
+        cache: result.cache,
         completedAt: new Date(),
       });
 
     } catch (error) {
       console.error(`[${buildId}] GitHub build failed:`, error.message);
-      updateBuildStatus(buildId, BuildStatus.FAILED, {
+      if (!isCurrentRun(buildId, signal)) return;
+      await updateBuildStatus(buildId, BuildStatus.FAILED, {
         error: error.message,
         logs: { stdout: '', stderr: error.message },
         completedAt: new Date(),
       });
+    } finally {
+      releaseBuildController(buildId, signal);
     }
   })();
 
@@ -512,15 +847,16 @@ async function startBuildFromGithub(repoUrl, autoBuild = false, metadata = {}) {
 /**
  * Create a project from a map of file paths to contents (for agent API).
  * No ZIP upload needed — agents send code as JSON.
+ * @param {object} [author] - History author of the initial commit (projectHistory.Authors)
  */
-async function createProjectFromFiles(name, files, metadata = {}) {
+async function createProjectFromFiles(name, files, metadata = {}, author = Authors.system) {
   const buildId = uuidv4();
   const projectDir = path.join(config.builds.uploadDir, buildId);
   const outputDir = path.join(config.builds.buildDir, buildId);
 
   await fs.mkdir(projectDir, { recursive: true });
   await fs.mkdir(outputDir, { recursive: true });
-  await execPromise(`chmod -R 777 "${outputDir}"`);
+  await fs.chmod(outputDir, 0o777);
 
   for (const [filePath, content] of Object.entries(files)) {
     const safePath = path.normalize(filePath).replace(/^(\.\.(\/|\\|$))+/, '');
@@ -533,7 +869,7 @@ async function createProjectFromFiles(name, files, metadata = {}) {
   }
 
   const downloadToken = generateDownloadToken();
-  builds.set(buildId, {
+  await insertBuild({
     id: buildId,
     status: 'ready',
     createdAt: new Date(),
@@ -546,6 +882,8 @@ async function createProjectFromFiles(name, files, metadata = {}) {
     ...metadata,
   });
 
+  await startHistory(buildId, projectDir, { author, message: `Create project '${name}'` });
+
   console.log(`[${buildId}] Project '${name}' created from ${Object.keys(files).length} files (agent API)`);
   return buildId;
 }
@@ -559,8 +897,21 @@ module.exports = {
   extractProject,
   generateBuildId,
   updateBuildStatus,
+  updateBuild,
+  queueAnchorBuild,
+  queueAnchorTest,
+  getTestRun,
+  createBuildController,
+  claimBuildController,
+  isCurrentRun,
+  releaseBuildController,
+  cancelBuild,
+  resultStatus,
+  recordBuildPhase,
+  recoverInterruptedBuilds,
   createProjectFromFiles,
   verifyDownloadToken,
   deleteBuildArtifacts,
   BuildStatus,
+  TestStatus,
 };
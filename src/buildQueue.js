@@ -0,0 +1,202 @@
+const config = require('./config');
+
+/**
+ * Build job queue — caps how many Docker builds run at once.
+ *
+ * Jobs are grouped per tenant (agent ID, or client IP for the legacy /compile
+ * routes). Each tenant's jobs run FIFO, and free workers are handed out
+ * round-robin across tenants so one busy agent can't starve everyone else.
+ */
+
+const tenantQueues = new Map(); // tenant → [job, ...] (FIFO)
+let tenantOrder = []; // round-robin order of tenants with waiting jobs
+const runningJobs = new Set(); // jobs, not build IDs: a cancelled run's job may outlive it
+const recentDurations = []; // seconds, most recent last
+
+const DURATION_SAMPLE_SIZE = 20;
+
+function queuedCount() {
+  let count = 0;
+  for (const jobs of tenantQueues.values()) count += jobs.length;
+  return count;
+}
+
+function queueFullError() {
+  const err = new Error(
+    `Build queue is full (${config.queue.maxQueued} builds waiting). Try again in a few minutes.`
+  );
+  err.status = 503;
+  return err;
+}
+
+/**
+ * Throw a 503 error if the queue can't take another job.
+ * Routes call this before creating a build so clients get an immediate answer.
+ */
+function assertQueueCapacity() {
+  if (queuedCount() >= config.queue.maxQueued) {
+    throw queueFullError();
+  }
+}
+
+/**
+ * Add a build job to the queue.
+ * @param {string} buildId
+ * @param {function} run - async () => result; called once a worker is free
+ * @param {object} [options]
+ * @param {string} [options.tenant] - Fairness key (agent ID or client IP)
+ * @param {function} [options.onStart] - Called when the job leaves the queue
+ * @param {AbortSignal} [options.signal] - Aborting while still queued drops the
+ *   job and rejects with an error flagged `cancelled`
+ * @returns {Promise<*>} Resolves with run()'s result
+ */
+function enqueueBuild(buildId, run, { tenant = 'anonymous', onStart = null, signal = null } = {}) {
+  if (queuedCount() >= config.queue.maxQueued) {
+    return Promise.reject(queueFullError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const job = { buildId, tenant, run, onStart, resolve, reject, enqueuedAt: Date.now() };
+
+    if (!tenantQueues.has(tenant)) {
+      tenantQueues.set(tenant, []);
+      tenantOrder.push(tenant);
+    }
+    tenantQueues.get(tenant).push(job);
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (removeQueuedJob(job)) {
+          console.log(`[${buildId}] Removed from queue (cancelled)`);
+          const err = new Error('Build cancelled');
+          err.cancelled = true;
+          reject(err);
+        }
+      }, { once: true });
+    }
+
+    console.log(`[${buildId}] Queued (tenant: ${tenant}, waiting: ${queuedCount()}, running: ${runningJobs.size})`);
+    dispatch();
+  });
+}
+
+/**
+ * Drop a job that hasn't started yet.
+ * @returns {boolean} false if the job already left the queue
+ */
+function removeQueuedJob(job) {
+  const jobs = tenantQueues.get(job.tenant);
+  const index = jobs ? jobs.indexOf(job) : -1;
+  if (index === -1) return false;
+
+  jobs.splice(index, 1);
+  if (jobs.length === 0) {
+    tenantQueues.delete(job.tenant);
+    tenantOrder = tenantOrder.filter(t => t !== job.tenant);
+  }
+  return true;
+}
+
+/**
+ * Take the next job in round-robin order, rotating the tenant to the back.
+ */
+function takeNextJob() {
+  const tenant = tenantOrder.shift();
+  if (tenant === undefined) return null;
+
+  const jobs = tenantQueues.get(tenant);
+  const job = jobs.shift();
+  if (jobs.length > 0) {
+    tenantOrder.push(tenant);
+  } else {
+    tenantQueues.delete(tenant);
+  }
+  return job;
+}
+
+function dispatch() {
+  while (runningJobs.size < config.queue.workers) {
+    const job = takeNextJob();
+    if (!job) return;
+    startJob(job);
+  }
+}
+
+async function startJob(job) {
+  runningJobs.add(job);
+  const startedAt = Date.now();
+  const waited = Math.round((startedAt - job.enqueuedAt) / 1000);
+  console.log(`[${job.buildId}] Dequeued after ${waited}s (running: ${runningJobs.size}/${config.queue.workers})`);
+
+  try {
+    if (job.onStart) await job.onStart();
+    const result = await job.run();
+    recordDuration((Date.now() - startedAt) / 1000);
+    job.resolve(result);
+  } catch (err) {
+    job.reject(err);
+  } finally {
+    runningJobs.delete(job);
+    dispatch();
+  }
+}
+
+function recordDuration(seconds) {
+  recentDurations.push(seconds);
+  if (recentDurations.length > DURATION_SAMPLE_SIZE) recentDurations.shift();
+}
+
+function averageBuildSeconds() {
+  if (recentDurations.length === 0) return config.queue.defaultBuildSeconds;
+  return recentDurations.reduce((sum, s) => sum + s, 0) / recentDurations.length;
+}
+
+/**
+ * Replay the round-robin schedule to find where a build sits in line.
+ * @returns {{position: number, estimatedWaitSeconds: number}|null} null if not queued
+ */
+function getQueuePosition(buildId) {
+  const cursors = new Map(tenantOrder.map(t => [t, 0]));
+  const order = [...tenantOrder];
+  let position = 0;
+
+  while (order.length > 0) {
+    const tenant = order.shift();
+    const jobs = tenantQueues.get(tenant);
+    const index = cursors.get(tenant);
+    position++;
+
+    if (jobs[index].buildId === buildId) {
+      // Builds ahead of us drain `workers` at a time
+      const rounds = Math.ceil(position / config.queue.workers);
+      return {
+        position,
+        estimatedWaitSeconds: Math.round(rounds * averageBuildSeconds()),
+      };
+    }
+
+    if (index + 1 < jobs.length) {
+      cursors.set(tenant, index + 1);
+      order.push(tenant);
+    }
+  }
+
+  return null;
+}
+
+function getQueueStats() {
+  return {
+    workers: config.queue.workers,
+    running: runningJobs.size,
+    queued: queuedCount(),
+    maxQueued: config.queue.maxQueued,
+    averageBuildSeconds: Math.round(averageBuildSeconds()),
+  };
+}
+
+module.exports = {
+  enqueueBuild,
+  assertQueueCapacity,
+  getQueuePosition,
+  getQueueStats,
+};
@@ -0,0 +1,262 @@
+const { runQuery, getOne, getAll } = require('./db');
+
+/**
+ * Build record persistence — maps the camelCase build objects used across the
+ * service to rows in the `builds` table. Fields without a dedicated column
+ * are kept in the `metadata` JSON column so callers can still attach extra
+ * data (e.g. via startBuildFromGithub's metadata argument).
+ */
+const FIELDS = {
+  status: { column: 'status' },
+  source: { column: 'source' },
+  repoUrl: { column: 'repo_url' },
+  agentId: { column: 'agent_id' },
+  projectDir: { column: 'project_dir' },
+  outputDir: { column: 'output_dir' },
+  downloadToken: { column: 'download_token' },
+  downloaded: { column: 'downloaded', type: 'bool' },
+  exitCode: { column: 'exit_code' },
+  error: { column: 'error' },
+  smartBuild: { column: 'smart_build', type: 'bool' },
+  smartBuildPhase: { column: 'smart_build_phase' },
+  smartBuildIteration: { column: 'smart_build_iteration' },
+  smartBuildResult: { column: 'smart_build_result', type: 'json' },
+  artifacts: { column: 'artifacts', type: 'json' },
+  diagnostics: { column: 'diagnostics', type: 'json' },
+  createdAt: { column: 'created_at', type: 'date' },
+  updatedAt: { column: 'updated_at', type: 'date' },
+  completedAt: { column: 'completed_at', type: 'date' },
+};
+
+function toColumnValue(value, type) {
+  if (value === undefined || value === null) return null;
+  switch (type) {
+    case 'bool':
+      return value ? 1 : 0;
+    case 'json':
+      return JSON.stringify(value);
+    case 'date':
+      return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+    default:
+      return value;
+  }
+}
+
+function fromColumnValue(value, type) {
+  if (value === null || value === undefined) return type === 'bool' ? false : undefined;
+  switch (type) {
+    case 'bool':
+      return value === 1;
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return undefined;
+      }
+    case 'date':
+      return new Date(value);
+    default:
+      return value;
+  }
+}
+
+function rowToBuild(row) {
+  if (!row) return null;
+
+  let metadata = {};
+  if (row.metadata) {
+    try {
+      metadata = JSON.parse(row.metadata);
+    } catch { /* corrupt metadata — ignore */ }
+  }
+
+  const build = { ...metadata, id: row.build_id };
+  for (const [key, { column, type }] of Object.entries(FIELDS)) {
+    const value = fromColumnValue(row[column], type);
+    if (value !== undefined) build[key] = value;
+  }
+  build.logs = { stdout: row.logs_stdout || '', stderr: row.logs_stderr || '' };
+  return build;
+}
+
+/**
+ * Split a partial build object into column assignments and metadata extras.
+ */
+function splitFields(fields) {
+  const columns = {};
+  const extras = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === 'id') continue;
+    if (key === 'logs') {
+      columns.logs_stdout = (value && value.stdout) || '';
+      columns.logs_stderr = (value && value.stderr) || '';
+    } else if (FIELDS[key]) {
+      columns[FIELDS[key].column] = toColumnValue(value, FIELDS[key].type);
+    } else {
+      extras[key] = value;
+    }
+  }
+
+  return { columns, extras };
+}
+
+async function insertBuild(build) {
+  const { columns, extras } = splitFields(build);
+  columns.build_id = build.id;
+  if (Object.keys(extras).length > 0) {
+    columns.metadata = JSON.stringify(extras);
+  }
+
+  const names = Object.keys(columns);
+  await runQuery(
+    `INSERT INTO builds (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    names.map(n => columns[n])
+  );
+  await recordBuildEvent(build.id, 'status', { status: build.status });
+}
+
+async function updateBuildRecord(buildId, fields) {
+  const { columns, extras } = splitFields(fields);
+
+  if (Object.keys(extras).length > 0) {
+    const row = await getOne(`SELECT metadata FROM builds WHERE build_id = ?`, [buildId]);
+    if (!row) return false;
+    let metadata = {};
+    try {
+      metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    } catch { /* corrupt metadata — overwrite */ }
+    columns.metadata = JSON.stringify({ ...metadata, ...extras });
+  }
+
+  const names = Object.keys(columns);
+  if (names.length === 0) return false;
+
+  const result = await runQuery(
+    `UPDATE builds SET ${names.map(n => `${n} = ?`).join(', ')} WHERE build_id = ?`,
+    [...names.map(n => columns[n]), buildId]
+  );
+  return result.changes > 0;
+}
+
+async function getBuildRecord(buildId) {
+  return rowToBuild(await getOne(`SELECT * FROM builds WHERE build_id = ?`, [buildId]));
+}
+
+async function listBuildRecords() {
+  const rows = await getAll(`SELECT * FROM builds ORDER BY created_at DESC`);
+  return rows.map(rowToBuild);
+}
+
+async function listBuildsUpdatedBefore(cutoff) {
+  const rows = await getAll(
+    `SELECT * FROM builds WHERE updated_at < ?`,
+    [toColumnValue(cutoff, 'date')]
+  );
+  return rows.map(rowToBuild);
+}
+
+async function deleteBuildRecord(buildId) {
+  await runQuery(`DELETE FROM build_events WHERE build_id = ?`, [buildId]);
+  await runQuery(`DELETE FROM build_collaborators WHERE build_id = ?`, [buildId]);
+  const result = await runQuery(`DELETE FROM builds WHERE build_id = ?`, [buildId]);
+  return result.changes > 0;
+}
+
+/**
+ * Append to a build's history — kind is 'status' for status transitions
+ * or 'phase' for smart-build progress phases.
+ */
+async function recordBuildEvent(buildId, kind, { status = null, phase = null, iteration = null, message = null } = {}) {
+  await runQuery(
+    `INSERT INTO build_events (build_id, kind, status, phase, iteration, message, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [buildId, kind, status, phase, iteration, message, new Date().toISOString()]
+  );
+}
+
+async function listBuildEvents(buildId) {
+  return getAll(
+    `SELECT kind, status, phase, iteration, message, created_at FROM build_events
+     WHERE build_id = ? ORDER BY id ASC`,
+    [buildId]
+  );
+}
+
+/**
+ * Move every build left in one of `statuses` to `newStatus`.
+ * Used on startup for builds whose process died mid-build.
+ * @returns {Promise<string[]>} IDs of the builds that were updated
+ */
+async function transitionBuildsWithStatus(statuses, newStatus, error) {
+  const placeholders = statuses.map(() => '?').join(', ');
+  const rows = await getAll(
+    `SELECT build_id FROM builds WHERE status IN (${placeholders})`,
+    statuses
+  );
+  if (rows.length === 0) return [];
+
+  const now = new Date().toISOString();
+  await runQuery(
+    `UPDATE builds SET status = ?, error = ?, updated_at = ?, completed_at = ?
+     WHERE status IN (${placeholders})`,
+    [newStatus, error, now, now, ...statuses]
+  );
+  for (const row of rows) {
+    await recordBuildEvent(row.build_id, 'status', { status: newStatus, message: error });
+  }
+  return rows.map(r => r.build_id);
+}
+
+/**
+ * Grant (or change) another agent's access to a build.
+ * @param {'read'|'write'} permission
+ */
+async function upsertBuildCollaborator(buildId, agentId, permission, grantedBy) {
+  await runQuery(
+    `INSERT INTO build_collaborators (build_id, agent_id, permission, granted_by, created_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(build_id, agent_id) DO UPDATE SET permission = excluded.permission, granted_by = excluded.granted_by`,
+    [buildId, agentId, permission, grantedBy, new Date().toISOString()]
+  );
+}
+
+async function getBuildCollaborator(buildId, agentId) {
+  return getOne(
+    `SELECT agent_id, permission, granted_by, created_at FROM build_collaborators
+     WHERE build_id = ? AND agent_id = ?`,
+    [buildId, agentId]
+  );
+}
+
+async function listBuildCollaborators(buildId) {
+  return getAll(
+    `SELECT agent_id, permission, granted_by, created_at FROM build_collaborators
+     WHERE build_id = ? ORDER BY created_at ASC`,
+    [buildId]
+  );
+}
+
+async function deleteBuildCollaborator(buildId, agentId) {
+  const result = await runQuery(
+    `DELETE FROM build_collaborators WHERE build_id = ? AND agent_id = ?`,
+    [buildId, agentId]
+  );
+  return result.changes > 0;
+}
+
+module.exports = {
+  insertBuild,
+  updateBuildRecord,
+  getBuildRecord,
+  listBuildRecords,
+  listBuildsUpdatedBefore,
+  deleteBuildRecord,
+  recordBuildEvent,
+  listBuildEvents,
+  transitionBuildsWithStatus,
+  upsertBuildCollaborator,
+  getBuildCollaborator,
+  listBuildCollaborators,
+  deleteBuildCollaborator,
+};
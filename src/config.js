@@ -2,17 +2,46 @@ module.exports = {
   // Server configuration
   port: process.env.PORT || 3000,
   
-  // Docker image (replace with your actual image name)
+  // Docker image (replace with your actual image name) — used for the default toolchain
   dockerImage: process.env.DOCKER_IMAGE || 'anchor-builder:latest',
+
+  // Builder toolchains (see src/toolchains.js). Non-default toolchains use
+  // images tagged `<imagePrefix>:<anchorVersion>`.
+  toolchains: {
+    default: process.env.DEFAULT_TOOLCHAIN || 'anchor-0.31.1-solana-3.1.8',
+    imagePrefix: process.env.TOOLCHAIN_IMAGE_PREFIX || 'anchor-builder',
+  },
   
   // Build configuration
   builds: {
     uploadDir: process.env.UPLOAD_DIR || './uploads',
     buildDir: process.env.BUILD_DIR || './builds',
     maxUploadSize: 100 * 1024 * 1024, // 100MB
+    // Limits on uploaded archives (see src/archive.js)
+    archive: {
+      maxExtractedSize: 500 * 1024 * 1024, // 500MB uncompressed
+      maxEntries: 10000,
+      maxPathDepth: 32,
+    },
     timeout: parseInt(process.env.BUILD_TIMEOUT || '600', 10), // 10 minutes
+    // Keep each project's target/ in a Docker volume between builds
+    incremental: process.env.INCREMENTAL_BUILDS !== 'false',
   },
   
+  // Build queue — caps concurrent Docker builds (each uses the limits below)
+  queue: {
+    workers: parseInt(process.env.BUILD_WORKERS || '2', 10),
+    maxQueued: parseInt(process.env.BUILD_QUEUE_MAX || '50', 10),
+    defaultBuildSeconds: 300, // Wait estimate until real build durations are known
+  },
+
+  // Cargo registry/git caches (Docker volumes per toolchain, filled only by a
+  // `cargo fetch` phase and read-only to builds) and compiled-dependency
+  // caches (per toolchain and tenant)
+  cache: {
+    enabled: process.env.BUILD_CACHE_ENABLED !== 'false',
+  },
+
   // Docker resource limits
   docker: {
     memory: 2 * 1024 * 1024 * 1024, // 2GB
@@ -21,6 +50,18 @@ module.exports = {
     networkDisabled: false, // Enable network for cargo dependencies
     readonlyRootfs: false, // Anchor needs to write to /root/.cargo
     autoRemove: true, // Remove container after completion
+    // Two-phase builds: `cargo fetch` (no user code runs) fills the cargo
+    // registry volumes with network access, then the build itself runs with
+    // no network against those volumes
+    isolation: {
+      enabled: process.env.BUILD_NETWORK_ISOLATION === 'true',
+      // Docker network for the fetch phase — an egress-filtered network that
+      // only reaches the crate registry. Isolation needs this or fetchProxy.
+      fetchNetwork: process.env.FETCH_NETWORK || null,
+      // HTTP(S) proxy for the fetch phase, e.g. one that only allows
+      // index.crates.io and static.crates.io
+      fetchProxy: process.env.FETCH_PROXY || null,
+    },
   },
   
   // Cleanup configuration
@@ -34,6 +75,69 @@ module.exports = {
     maxIterations: parseInt(process.env.SMART_BUILD_MAX_ITERATIONS || '8', 10),
     aiModel: process.env.AI_MODEL || 'claude-sonnet-4-20250514',
     aiMaxTokens: parseInt(process.env.AI_MAX_TOKENS || '16384', 10),
+    // Review mode: seconds to wait for decisions on an iteration's fixes
+    reviewTimeout: parseInt(process.env.SMART_BUILD_REVIEW_TIMEOUT || '1800', 10),
+    // Apply rustc's machine-applicable suggestions before asking the AI
+    autoFix: process.env.SMART_BUILD_AUTOFIX !== 'false',
+  },
+
+  // Research tools the smart-build AI can call (see src/aiTools.js)
+  aiTools: {
+    // No network at all: crate tools answer from the local index, fetch_page
+    // only from the cache, and search_web is unavailable
+    offline: process.env.AI_TOOLS_OFFLINE === 'true',
+    // Local crates.io sparse-index snapshot (same layout as index.crates.io),
+    // used offline and when crates.io can't be reached
+    cratesIndexDir: process.env.CRATES_INDEX_DIR || null,
+    // grep_project search limit (ms); the model's regex runs in git, killed after this
+    grepTimeout: 10000,
+    // Persistent result cache (SQLite), per-tool TTLs in seconds
+    cache: {
+      enabled: process.env.AI_TOOLS_CACHE !== 'false',
+      ttl: {
+        lookup_crate: parseInt(process.env.AI_TOOLS_CACHE_TTL_CRATE || '3600', 10),
+        // A published version's dependencies never change
+        lookup_crate_deps: 30 * 24 * 3600,
+        fetch_page: parseInt(process.env.AI_TOOLS_CACHE_TTL_PAGE || '86400', 10),
+        // Keyed by toolchain, and a toolchain's error index doesn't change
+        explain_error_code: 30 * 24 * 3600,
+      },
+      // Expired entries are kept this long as a fallback when the network is down
+      staleRetention: 30 * 24 * 3600,
+    },
+    // URL policy for fetch_page (see src/safeFetch.js). Only public http(s)
+    // hosts on default ports are reachable; these domains and their
+    // subdomains are allowed ('*' = any public host).
+    fetch: {
+      allowedDomains: (process.env.AI_FETCH_ALLOWED_DOMAINS ||
+        'docs.rs,crates.io,github.com,raw.githubusercontent.com,gist.github.com,' +
+        'doc.rust-lang.org,rust-lang.org,solana.com,anchor-lang.com,stackoverflow.com,solana.stackexchange.com')
+        .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+      maxBytes: parseInt(process.env.AI_FETCH_MAX_BYTES || String(2 * 1024 * 1024), 10),
+      maxRedirects: 5,
+      timeout: 15000,
+    },
+  },
+
+  // LLM behind the smart build (see src/llm/). The model is smartBuild.aiModel.
+  llm: {
+    // anthropic | openai (any OpenAI-compatible /chat/completions server) | fixture
+    provider: process.env.LLM_PROVIDER || 'anthropic',
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY || null,
+    // OpenAI-compatible server, e.g. http://localhost:11434/v1 (Ollama), http://localhost:8000/v1 (vLLM)
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY || null,
+    timeout: parseInt(process.env.LLM_TIMEOUT || '300', 10) * 1000,
+    // Recorded responses, replayed by the fixture provider
+    fixturesDir: process.env.LLM_FIXTURES_DIR || './fixtures/llm',
+    // Also save every response from the real provider as a fixture
+    record: process.env.LLM_RECORD === 'true',
+    // USD per million tokens, for the cost estimates in AI usage records
+    // (defaults are Claude Sonnet's list prices; set 0 for self-hosted models)
+    pricing: {
+      inputPerMTok: parseFloat(process.env.AI_INPUT_PRICE_PER_MTOK || '3'),
+      outputPerMTok: parseFloat(process.env.AI_OUTPUT_PRICE_PER_MTOK || '15'),
+    },
   },
 
   // Deploy configuration
@@ -41,10 +145,30 @@ module.exports = {
     rpc: {
       devnet: process.env.DEVNET_RPC || 'https://api.devnet.solana.com',
       mainnet: process.env.MAINNET_RPC || 'https://api.mainnet-beta.solana.com',
+      // Optional local validator (e.g. solana-test-validator) for trying deploys
+      localnet: process.env.LOCALNET_RPC || null,
     },
     timeout: 300, // 5 minutes for deployment
   },
 
+  // Git repository sources (see src/gitSource.js, src/gitCredentials.js)
+  git: {
+    cloneTimeout: 120000, // 2 minutes per git command
+    // Encrypts agents' stored git tokens (32 bytes hex); token storage is
+    // disabled without it
+    credentialsKey: process.env.GIT_CREDENTIALS_KEY || null,
+    // GitHub App for private repos: agents register an installation ID,
+    // proven with a user access token for the app, and each clone gets a
+    // short-lived, read-only installation token
+    githubApp: {
+      appId: process.env.GITHUB_APP_ID || null,
+      privateKeyPath: process.env.GITHUB_APP_PRIVATE_KEY_PATH || null,
+      // Shown to agents so they can get a user access token (e.g. device flow)
+      clientId: process.env.GITHUB_APP_CLIENT_ID || null,
+    },
+    githubApiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+  },
+
   // CORS — comma-separated origins or '*' for all
   corsOrigin: process.env.CORS_ORIGIN || '*',
 
@@ -55,5 +179,10 @@ module.exports = {
     maxFilesPerProject: 100,
     maxTotalFileSize: 10 * 1024 * 1024, // 10MB
     buildTimeout: 600, // 10 min max for synchronous builds
+    // Default monthly LLM token budget per agent (input + output tokens,
+    // calendar month UTC); unset = unlimited. Admins can override it per agent.
+    aiMonthlyTokenBudget: process.env.AI_MONTHLY_TOKEN_BUDGET
+      ? parseInt(process.env.AI_MONTHLY_TOKEN_BUDGET, 10)
+      : null,
   },
 };
@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Local snapshot of the crates.io sparse index (config.aiTools.cratesIndexDir),
+ * for the crate tools in aiTools.js when crates.io is unreachable or the
+ * tool layer runs offline.
+ *
+ * The directory has the same layout as https://index.crates.io/ — e.g.
+ * `1/a`, `2/ab`, `3/a/abc`, `an/ch/anchor-lang` — and each file holds one
+ * JSON line per published version: { name, vers, deps, yanked, ... }. A
+ * snapshot has no descriptions or publish dates, only versions and
+ * dependencies.
+ */
+
+function indexPath(name) {
+  const lower = name.toLowerCase();
+  if (lower.length === 1) return path.join('1', lower);
+  if (lower.length === 2) return path.join('2', lower);
+  if (lower.length === 3) return path.join('3', lower[0], lower);
+  return path.join(lower.slice(0, 2), lower.slice(2, 4), lower);
+}
+
+function isIndexAvailable() {
+  return !!config.aiTools.cratesIndexDir;
+}
+
+/**
+ * Every version of a crate in the snapshot, or null if it isn't there.
+ * crates.io treats - and _ in names as the same crate, so both spellings are tried.
+ */
+async function readIndexEntries(crateName) {
+  if (!isIndexAvailable() || !/^[A-Za-z0-9_-]{1,64}$/.test(crateName)) return null;
+
+  const spellings = [...new Set([crateName, crateName.replace(/-/g, '_'), crateName.replace(/_/g, '-')])];
+  for (const name of spellings) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(config.aiTools.cratesIndexDir, indexPath(name)), 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    return content.split('\n').filter(line => line.trim()).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // Skip a corrupt line rather than lose the crate
+      }
+    });
+  }
+  return null;
+}
+
+// ── semver ordering (newest first) ──────────────────────────────
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?/.exec(version);
+  if (!match) return null;
+  return { core: match.slice(1, 4).map(Number), pre: match[4] ? match[4].split('.') : [] };
+}
+
+function comparePre(a, b) {
+  if (a.length === 0 || b.length === 0) return b.length - a.length; // release > prerelease
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const numA = /^\d+$/.test(a[i]);
+    const numB = /^\d+$/.test(b[i]);
+    if (numA && numB && Number(a[i]) !== Number(b[i])) return Number(a[i]) - Number(b[i]);
+    if (numA !== numB) return numA ? -1 : 1;
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return a.length - b.length;
+}
+
+function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return va ? 1 : vb ? -1 : 0;
+  for (let i = 0; i < 3; i++) {
+    if (va.core[i] !== vb.core[i]) return va.core[i] - vb.core[i];
+  }
+  return comparePre(va.pre, vb.pre);
+}
+
+/**
+ * lookup_crate from the snapshot — same shape as the crates.io answer
+ * @returns {Promise<string|null>} null if the crate isn't in the snapshot
+ */
+async function lookupCrateInIndex(crateName) {
+  const entries = await readIndexEntries(crateName);
+  if (!entries || entries.length === 0) return null;
+
+  const sorted = entries.slice().sort((a, b) => compareVersions(b.vers, a.vers));
+  const stable = sorted.filter(entry => !entry.yanked && parseVersion(entry.vers) && parseVersion(entry.vers).pre.length === 0);
+
+  return JSON.stringify({
+    name: sorted[0].name,
+    description: null,
+    repository: null,
+    documentation: null,
+    max_version: sorted[0].vers,
+    max_stable_version: stable.length > 0 ? stable[0].vers : sorted[0].vers,
+    versions: sorted.slice(0, 30).map(entry => ({
+      version: entry.vers,
+      yanked: entry.yanked || false,
+      published: null,
+    })),
+    total_versions: sorted.length,
+    source: 'local crates.io index snapshot (may be missing recent releases)',
+    hint: 'Use "=X.Y.Z" (with equals sign) in Cargo.toml to pin to an exact version. ' +
+          '"X.Y.Z" without = means ^X.Y.Z which may resolve to a newer version!',
+  }, null, 2);
+}
+
+/**
+ * lookup_crate_deps from the snapshot — same shape as the crates.io answer
+ * @returns {Promise<string|null>} null if the crate isn't in the snapshot
+ */
+async function lookupCrateDepsInIndex(crateName, version) {
+  const entries = await readIndexEntries(crateName);
+  if (!entries) return null;
+
+  const entry = entries.find(candidate => candidate.vers === version);
+  if (!entry) {
+    return JSON.stringify({
+      error: `Version "${version}" of "${crateName}" is not in the local crates.io index. ` +
+             `This version may not exist — try looking up available versions with lookup_crate first.`,
+    });
+  }
+
+  const deps = (entry.deps || []).map(dep => ({
+    // A renamed dependency (`foo = { package = "bar" }`) is the crate `bar`
+    name: dep.package || dep.name,
+    version_req: dep.req,
+    kind: dep.kind || 'normal',
+    optional: dep.optional || false,
+    default_features: dep.default_features !== false,
+    features: dep.features || [],
+  }));
+  const dev = deps.filter(d => d.kind === 'dev');
+  const build = deps.filter(d => d.kind === 'build');
+
+  return JSON.stringify({
+    crate: entry.name,
+    version,
+    dependencies: deps.filter(d => d.kind === 'normal'),
+    dev_dependencies: dev.length > 0 ? dev : undefined,
+    build_dependencies: build.length > 0 ? build : undefined,
+    source: 'local crates.io index snapshot',
+  }, null, 2);
+}
+
+module.exports = {
+  indexPath,
+  isIndexAvailable,
+  readIndexEntries,
+  compareVersions,
+  lookupCrateInIndex,
+  lookupCrateDepsInIndex,
+};
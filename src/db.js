@@ -5,6 +5,169 @@ const config = require('./config');
 
 let db = null;
 
+/**
+ * Versioned schema migrations, applied in order on startup.
+ * The applied version is tracked in SQLite's user_version pragma — append
+ * new entries, never edit ones that have already shipped.
+ */
+const MIGRATIONS = [
+  // 1: persistent build records (previously an in-memory Map)
+  [
+    `CREATE TABLE IF NOT EXISTS builds (
+      build_id TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      source TEXT,
+      repo_url TEXT,
+      agent_id TEXT,
+      project_dir TEXT NOT NULL,
+      output_dir TEXT NOT NULL,
+      download_token TEXT,
+      downloaded INTEGER NOT NULL DEFAULT 0,
+      logs_stdout TEXT NOT NULL DEFAULT '',
+      logs_stderr TEXT NOT NULL DEFAULT '',
+      exit_code INTEGER,
+      error TEXT,
+      smart_build INTEGER NOT NULL DEFAULT 0,
+      smart_build_phase TEXT,
+      smart_build_iteration INTEGER,
+      smart_build_result TEXT,
+      artifacts TEXT,
+      metadata TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      completed_at TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_builds_status ON builds(status)`,
+    `CREATE INDEX IF NOT EXISTS idx_builds_agent_id ON builds(agent_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_builds_updated_at ON builds(updated_at)`,
+    `CREATE TABLE IF NOT EXISTS build_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      build_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      status TEXT,
+      phase TEXT,
+      iteration INTEGER,
+      message TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_build_events_build_id ON build_events(build_id)`,
+  ],
+  // 2: agents other than a build's owner, granted access by the owner
+  [
+    `CREATE TABLE IF NOT EXISTS build_collaborators (
+      build_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      permission TEXT NOT NULL,
+      granted_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (build_id, agent_id)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_build_collaborators_agent_id ON build_collaborators(agent_id)`,
+  ],
+  // 3: server-side program deployments
+  [
+    `CREATE TABLE IF NOT EXISTS deployments (
+      deployment_id TEXT PRIMARY KEY,
+      build_id TEXT NOT NULL,
+      network TEXT NOT NULL,
+      status TEXT NOT NULL,
+      program_name TEXT,
+      program_id TEXT,
+      program_size INTEGER,
+      deployer_address TEXT NOT NULL,
+      wallet_address TEXT,
+      estimated_lamports INTEGER,
+      phase TEXT,
+      chunks_written INTEGER,
+      total_chunks INTEGER,
+      signature TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      completed_at TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_deployments_build_id ON deployments(build_id)`,
+  ],
+  // 4: program upgrades and on-chain verification; history is queried per program ID.
+  // Upgrades are signed by the client, so keep the authority and the staged buffer
+  [
+    `ALTER TABLE deployments ADD COLUMN mode TEXT NOT NULL DEFAULT 'deploy'`,
+    `ALTER TABLE deployments ADD COLUMN program_hash TEXT`,
+    `ALTER TABLE deployments ADD COLUMN onchain_hash TEXT`,
+    `ALTER TABLE deployments ADD COLUMN verified INTEGER`,
+    `ALTER TABLE deployments ADD COLUMN upgrade_authority TEXT`,
+    `ALTER TABLE deployments ADD COLUMN buffer_address TEXT`,
+    `CREATE INDEX IF NOT EXISTS idx_deployments_program_id ON deployments(program_id)`,
+  ],
+  // 5: per-agent credentials for private git repositories (token secrets encrypted)
+  [
+    `CREATE TABLE IF NOT EXISTS agent_git_credentials (
+      agent_id TEXT NOT NULL,
+      host TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      username TEXT,
+      secret TEXT,
+      installation_id TEXT,
+      installation_account TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (agent_id, host)
+    )`,
+  ],
+  // 6: LLM token usage per smart-build call, and per-agent monthly token budgets
+  [
+    `CREATE TABLE IF NOT EXISTS ai_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      build_id TEXT NOT NULL,
+      agent_id TEXT,
+      iteration INTEGER,
+      phase TEXT NOT NULL,
+      provider TEXT,
+      model TEXT,
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      calls INTEGER NOT NULL DEFAULT 0,
+      cost_usd REAL NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_ai_usage_build_id ON ai_usage(build_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_ai_usage_agent_created ON ai_usage(agent_id, created_at)`,
+    `ALTER TABLE agents ADD COLUMN ai_monthly_token_budget INTEGER`,
+  ],
+  // 7: cached results of the smart-build AI's research tools (crates.io, web pages)
+  [
+    `CREATE TABLE IF NOT EXISTS tool_cache (
+      tool TEXT NOT NULL,
+      cache_key TEXT NOT NULL,
+      result TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      PRIMARY KEY (tool, cache_key)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_tool_cache_expires_at ON tool_cache(expires_at)`,
+  ],
+  // 8: audit log of every URL the AI's fetch_page tool asked for
+  [
+    `CREATE TABLE IF NOT EXISTS fetch_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      build_id TEXT,
+      url TEXT NOT NULL,
+      final_url TEXT,
+      outcome TEXT NOT NULL,
+      http_status INTEGER,
+      bytes INTEGER,
+      reason TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_fetch_audit_build_id ON fetch_audit(build_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_fetch_audit_created_at ON fetch_audit(created_at)`,
+  ],
+  // 9: structured compiler diagnostics of a build's last compile (JSON)
+  [
+    `ALTER TABLE builds ADD COLUMN diagnostics TEXT`,
+  ],
+];
+
 function runQuery(query, params = []) {
   return new Promise((resolve, reject) => {
     db.run(query, params, function (err) {
@@ -32,6 +195,26 @@ function getAll(query, params = []) {
   });
 }
 
+async function runMigrations() {
+  const row = await getOne('PRAGMA user_version');
+  const current = row ? row.user_version : 0;
+
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    await runQuery('BEGIN');
+    try {
+      for (const statement of MIGRATIONS[version]) {
+        await runQuery(statement);
+      }
+      await runQuery(`PRAGMA user_version = ${version + 1}`);
+      await runQuery('COMMIT');
+    } catch (err) {
+      await runQuery('ROLLBACK');
+      throw err;
+    }
+    console.log(`Database migrated to schema version ${version + 1}`);
+  }
+}
+
 async function initDatabase() {
   const dbPath = config.agent.dbPath;
   const dbDir = path.dirname(dbPath);
@@ -42,6 +225,10 @@ async function initDatabase() {
     db = new sqlite3.Database(dbPath, async (err) => {
       if (err) return reject(err);
 
+      // Execute statements in the order they are issued — build status and
+      // log writes are fired from progress callbacks and must not reorder.
+      db.serialize();
+
       try {
         await runQuery(`
           CREATE TABLE IF NOT EXISTS agents (
@@ -72,6 +259,8 @@ async function initDatabase() {
           CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_verification_code ON agents(verification_code)
         `);
 
+        await runMigrations();
+
         console.log(`Agent database initialized at ${dbPath}`);
         resolve();
       } catch (migrationErr) {
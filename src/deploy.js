@@ -0,0 +1,1076 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const {
+  Connection,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+  SYSVAR_RENT_PUBKEY,
+  SYSVAR_CLOCK_PUBKEY,
+  LAMPORTS_PER_SOL,
+} = require('@solana/web3.js');
+const config = require('./config');
+const { runQuery, getOne, getAll } = require('./db');
+const { getBuildArtifacts } = require('./buildManager');
+
+/**
+ * Server-side program deployment through the BPF upgradeable loader.
+ *
+ * prepare → the server generates an ephemeral deployer keypair and returns its
+ *           address with the estimated cost; the caller funds it.
+ * execute → the deployer writes the .so into a buffer account in chunks,
+ *           deploys it, hands the upgrade authority to the caller's wallet and
+ *           refunds whatever SOL is left.
+ *
+ * In upgrade mode the server never sees the upgrade authority's secret: the
+ * deployer writes the buffer and hands it to the authority's public key, and
+ * the caller signs and submits the unsigned Upgrade transaction, then confirms.
+ * Either way the on-chain program data is hashed and compared with the
+ * artifact before the deployment counts as a success.
+ *
+ * Deployer and program keypairs are held in memory only (like build keypairs,
+ * they never touch disk). The `deployments` table tracks status and progress
+ * so pollers survive reconnects, and doubles as the deployment history of
+ * each program ID.
+ */
+
+const DeployMode = {
+  DEPLOY: 'deploy',
+  UPGRADE: 'upgrade',
+};
+
+const DeployStatus = {
+  PREPARED: 'prepared',
+  DEPLOYING: 'deploying',
+  AWAITING_SIGNATURE: 'awaiting_signature',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted',
+};
+
+const BPF_LOADER_UPGRADEABLE_ID = new PublicKey('BPFLoaderUpgradeab1e11111111111111111111111');
+
+// UpgradeableLoaderState sizes (bincode): buffer header, program account, programdata header
+const BUFFER_METADATA_SIZE = 37;
+const PROGRAM_ACCOUNT_SIZE = 36;
+const PROGRAMDATA_METADATA_SIZE = 45;
+
+// Largest Write payload that fits a 1232-byte transaction with a single signer
+const WRITE_CHUNK_SIZE = 950;
+const WRITE_BATCH_SIZE = 8;
+const WRITE_ATTEMPTS = 3;
+const SIGNATURE_FEE_LAMPORTS = 5000;
+
+// deploymentId → { deployer: Keypair, programKeypair?: Keypair }
+const deploymentKeys = new Map();
+
+function deployError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function rpcUrlFor(network) {
+  const url = config.deploy.rpc[network];
+  if (!url) {
+    const available = Object.keys(config.deploy.rpc).filter(n => config.deploy.rpc[n]);
+    throw deployError(`Unknown network '${network}'. Available: ${available.join(', ')}`);
+  }
+  return url;
+}
+
+function explorerUrl(network, programId) {
+  if (!programId) return null;
+  const base = `https://explorer.solana.com/address/${programId}`;
+  if (network === 'mainnet') return base;
+  if (network === 'devnet') return `${base}?cluster=devnet`;
+  return `${base}?cluster=custom&customUrl=${encodeURIComponent(config.deploy.rpc[network])}`;
+}
+
+function parsePublicKey(value, field) {
+  try {
+    return new PublicKey(value);
+  } catch {
+    throw deployError(`${field} is not a valid base58 public key`);
+  }
+}
+
+function parseKeypair(secret, field) {
+  if (!Array.isArray(secret) || secret.length !== 64 || !secret.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+    throw deployError(`${field} must be a 64-byte secret key array`);
+  }
+  return Keypair.fromSecretKey(Uint8Array.from(secret));
+}
+
+// ============================================================
+// LOADER INSTRUCTIONS (UpgradeableLoaderInstruction, bincode-encoded)
+// ============================================================
+
+function loaderInstruction(keys, data) {
+  return new TransactionInstruction({ programId: BPF_LOADER_UPGRADEABLE_ID, keys, data });
+}
+
+function initializeBufferInstruction(buffer, authority) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(0, 0);
+  return loaderInstruction([
+    { pubkey: buffer, isSigner: false, isWritable: true },
+    { pubkey: authority, isSigner: false, isWritable: false },
+  ], data);
+}
+
+function writeInstruction(buffer, authority, offset, bytes) {
+  const data = Buffer.alloc(16 + bytes.length);
+  data.writeUInt32LE(1, 0);
+  data.writeUInt32LE(offset, 4);
+  data.writeBigUInt64LE(BigInt(bytes.length), 8);
+  bytes.copy(data, 16);
+  return loaderInstruction([
+    { pubkey: buffer, isSigner: false, isWritable: true },
+    { pubkey: authority, isSigner: true, isWritable: false },
+  ], data);
+}
+
+function deployWithMaxDataLenInstruction({ payer, programData, program, buffer, authority, maxDataLen }) {
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(2, 0);
+  data.writeBigUInt64LE(BigInt(maxDataLen), 4);
+  return loaderInstruction([
+    { pubkey: payer, isSigner: true, isWritable: true },
+    { pubkey: programData, isSigner: false, isWritable: true },
+    { pubkey: program, isSigner: false, isWritable: true },
+    { pubkey: buffer, isSigner: false, isWritable: true },
+    { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+    { pubkey: SYSVAR_CLOCK_PUBKEY, isSigner: false, isWritable: false },
+    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+    { pubkey: authority, isSigner: true, isWritable: false },
+  ], data);
+}
+
+function setAuthorityInstruction(account, currentAuthority, newAuthority) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(4, 0);
+  return loaderInstruction([
+    { pubkey: account, isSigner: false, isWritable: true },
+    { pubkey: currentAuthority, isSigner: true, isWritable: false },
+    { pubkey: newAuthority, isSigner: false, isWritable: false },
+  ], data);
+}
+
+function upgradeInstruction({ programData, program, buffer, spill, authority }) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(3, 0);
+  return loaderInstruction([
+    { pubkey: programData, isSigner: false, isWritable: true },
+    { pubkey: program, isSigner: false, isWritable: true },
+    { pubkey: buffer, isSigner: false, isWritable: true },
+    { pubkey: spill, isSigner: false, isWritable: true },
+    { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+    { pubkey: SYSVAR_CLOCK_PUBKEY, isSigner: false, isWritable: false },
+    { pubkey: authority, isSigner: true, isWritable: false },
+  ], data);
+}
+
+function extendProgramInstruction({ programData, program, payer, additionalBytes }) {
+  const data = Buffer.alloc(8);
+  data.writeUInt32LE(6, 0);
+  data.writeUInt32LE(additionalBytes, 4);
+  return loaderInstruction([
+    { pubkey: programData, isSigner: false, isWritable: true },
+    { pubkey: program, isSigner: false, isWritable: true },
+    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+    { pubkey: payer, isSigner: true, isWritable: true },
+  ], data);
+}
+
+function closeBufferInstruction(buffer, recipient, authority) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(5, 0);
+  return loaderInstruction([
+    { pubkey: buffer, isSigner: false, isWritable: true },
+    { pubkey: recipient, isSigner: false, isWritable: true },
+    { pubkey: authority, isSigner: true, isWritable: false },
+  ], data);
+}
+
+function programDataAddress(programId) {
+  return PublicKey.findProgramAddressSync([programId.toBuffer()], BPF_LOADER_UPGRADEABLE_ID)[0];
+}
+
+// ProgramData account: u32 tag (3) | u64 slot | Option<Pubkey> upgrade authority | ELF
+function parseProgramData(data) {
+  if (data.length < PROGRAMDATA_METADATA_SIZE || data.readUInt32LE(0) !== 3) return null;
+  return {
+    authority: data[12] === 1 ? new PublicKey(data.subarray(13, PROGRAMDATA_METADATA_SIZE)) : null,
+    capacity: data.length - PROGRAMDATA_METADATA_SIZE,
+  };
+}
+
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * Check that a program can be upgraded by `authority`.
+ * @returns {Promise<{programData: PublicKey, capacity: number, lamports: number}>}
+ */
+async function inspectUpgradeTarget(connection, programId, authority) {
+  const programAccount = await connection.getAccountInfo(programId);
+  if (!programAccount) {
+    throw deployError(`Program ${programId.toBase58()} does not exist on this network`, 404);
+  }
+  if (!programAccount.owner.equals(BPF_LOADER_UPGRADEABLE_ID) || programAccount.data.length < PROGRAM_ACCOUNT_SIZE) {
+    throw deployError(`${programId.toBase58()} is not an upgradeable program`);
+  }
+
+  const programData = new PublicKey(programAccount.data.subarray(4, PROGRAM_ACCOUNT_SIZE));
+  const programDataAccount = await connection.getAccountInfo(programData);
+  const state = programDataAccount && parseProgramData(programDataAccount.data);
+  if (!state) {
+    throw deployError(`Program data account for ${programId.toBase58()} is missing or malformed`);
+  }
+  if (!state.authority) {
+    throw deployError(`Program ${programId.toBase58()} is immutable (no upgrade authority)`);
+  }
+  if (!state.authority.equals(authority)) {
+    throw deployError(`upgradeAuthority ${authority.toBase58()} is not the program's upgrade authority (${state.authority.toBase58()})`, 403);
+  }
+
+  return { programData, capacity: state.capacity, lamports: programDataAccount.lamports };
+}
+
+/**
+ * Hash the program bytes now on chain and compare with the artifact. The
+ * loader zero-fills the rest of the programdata account, so that must be empty.
+ */
+async function verifyProgramData(connection, programId, artifact) {
+  const account = await connection.getAccountInfo(programDataAddress(programId), 'confirmed');
+  if (!account || !parseProgramData(account.data)) {
+    return { programHash: sha256(artifact), onchainHash: null, verified: false };
+  }
+
+  const elf = account.data.subarray(PROGRAMDATA_METADATA_SIZE);
+  const onchain = elf.subarray(0, artifact.length);
+  const padding = elf.subarray(artifact.length);
+  return {
+    programHash: sha256(artifact),
+    onchainHash: sha256(onchain),
+    verified: onchain.equals(artifact) && padding.every(b => b === 0),
+  };
+}
+
+async function sendTransaction(connection, instructions, payer, extraSigners = []) {
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const tx = new Transaction({ feePayer: payer.publicKey, blockhash, lastValidBlockHeight }).add(...instructions);
+  tx.sign(payer, ...extraSigners);
+
+  const signature = await connection.sendRawTransaction(tx.serialize(), { preflightCommitment: 'confirmed' });
+  const confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+  if (confirmation.value.err) {
+    throw new Error(`Transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+  }
+  return signature;
+}
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+
+function rowToDeployment(row) {
+  if (!row) return null;
+  return {
+    deploymentId: row.deployment_id,
+    buildId: row.build_id,
+    network: row.network,
+    mode: row.mode,
+    status: row.status,
+    programName: row.program_name,
+    programId: row.program_id,
+    programSize: row.program_size,
+    deployerAddress: row.deployer_address,
+    walletAddress: row.wallet_address,
+    upgradeAuthority: row.upgrade_authority,
+    bufferAddress: row.buffer_address,
+    estimatedLamports: row.estimated_lamports,
+    phase: row.phase,
+    chunksWritten: row.chunks_written,
+    totalChunks: row.total_chunks,
+    signature: row.signature,
+    programHash: row.program_hash,
+    onchainHash: row.onchain_hash,
+    verified: row.verified === null ? null : !!row.verified,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+  };
+}
+
+const DEPLOYMENT_COLUMNS = {
+  network: 'network',
+  mode: 'mode',
+  status: 'status',
+  programName: 'program_name',
+  programId: 'program_id',
+  programSize: 'program_size',
+  deployerAddress: 'deployer_address',
+  walletAddress: 'wallet_address',
+  upgradeAuthority: 'upgrade_authority',
+  bufferAddress: 'buffer_address',
+  estimatedLamports: 'estimated_lamports',
+  phase: 'phase',
+  chunksWritten: 'chunks_written',
+  totalChunks: 'total_chunks',
+  signature: 'signature',
+  programHash: 'program_hash',
+  onchainHash: 'onchain_hash',
+  verified: 'verified',
+  error: 'error',
+  completedAt: 'completed_at',
+};
+
+/**
+ * Update a deployment's columns. With `expectedStatus` the update only applies
+ * while the row is still in that status, which makes it a compare-and-swap.
+ * @returns {Promise<boolean>} Whether the row was updated
+ */
+async function updateDeployment(deploymentId, fields, expectedStatus = null) {
+  const sets = ['updated_at = ?'];
+  const values = [new Date().toISOString()];
+  for (const [key, value] of Object.entries(fields)) {
+    sets.push(`${DEPLOYMENT_COLUMNS[key]} = ?`);
+    if (value instanceof Date) values.push(value.toISOString());
+    else if (typeof value === 'boolean') values.push(value ? 1 : 0);
+    else values.push(value);
+  }
+  let where = 'deployment_id = ?';
+  values.push(deploymentId);
+  if (expectedStatus) {
+    where += ' AND status = ?';
+    values.push(expectedStatus);
+  }
+  const result = await runQuery(`UPDATE deployments SET ${sets.join(', ')} WHERE ${where}`, values);
+  return result.changes > 0;
+}
+
+async function getLatestDeployment(buildId) {
+  return rowToDeployment(await getOne(
+    `SELECT * FROM deployments WHERE build_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1`,
+    [buildId]
+  ));
+}
+
+/**
+ * Deployments that were preparing or running when the process died lost
+ * their in-memory keypairs and can't continue.
+ * @returns {Promise<object[]>} The deployments that were marked interrupted
+ */
+async function recoverInterruptedDeployments() {
+  const rows = await getAll(
+    `SELECT * FROM deployments WHERE status IN (?, ?)`,
+    [DeployStatus.PREPARED, DeployStatus.DEPLOYING]
+  );
+  for (const row of rows) {
+    await updateDeployment(row.deployment_id, {
+      status: DeployStatus.INTERRUPTED,
+      error: `Server restarted; any SOL left at deployer ${row.deployer_address} can no longer be refunded automatically`,
+      completedAt: new Date(),
+    });
+  }
+  return rows.map(rowToDeployment);
+}
+
+// ============================================================
+// PREPARE / EXECUTE / STATUS
+// ============================================================
+
+async function loadProgram(buildId, programName) {
+  let artifacts;
+  try {
+    artifacts = await getBuildArtifacts(buildId);
+  } catch (err) {
+    throw deployError(err.message, err.message.includes('not found') ? 404 : 400);
+  }
+
+  if (artifacts.programs.length === 0) {
+    throw deployError('Build has no compiled program (.so)');
+  }
+
+  const program = programName
+    ? artifacts.programs.find(a => a.name === programName || a.name === `${programName}.so`)
+    : artifacts.programs[0];
+  if (!program) {
+    throw deployError(`Program '${programName}' not found. Available: ${artifacts.programs.map(a => a.name).join(', ')}`);
+  }
+
+  const name = program.name.replace(/\.so$/, '');
+  const keypairArtifact = (artifacts.deploy || []).find(a => a.name === `${name}-keypair.json`);
+  const data = await fs.readFile(program.path);
+
+  return { name, data, keypairPath: keypairArtifact ? keypairArtifact.path : null };
+}
+
+/**
+ * Lamports the deployer needs for a fresh deploy: the buffer and program
+ * accounts, programdata sized for twice the program (room for upgrades, as
+ * the Solana CLI does), and transaction fees. The buffer's rent comes back
+ * when the program is deployed, and anything unspent is refunded.
+ */
+async function estimateDeployCost(connection, programSize) {
+  const totalChunks = Math.ceil(programSize / WRITE_CHUNK_SIZE);
+  const [bufferRent, programRent, programDataRent] = await Promise.all([
+    connection.getMinimumBalanceForRentExemption(BUFFER_METADATA_SIZE + programSize),
+    connection.getMinimumBalanceForRentExemption(PROGRAM_ACCOUNT_SIZE),
+    connection.getMinimumBalanceForRentExemption(PROGRAMDATA_METADATA_SIZE + programSize * 2),
+  ]);
+  // buffer create, writes, deploy, set authority, refund — two signatures at most each
+  const fees = (totalChunks + 4) * SIGNATURE_FEE_LAMPORTS * 2;
+  return { lamports: bufferRent + programRent + programDataRent + fees, totalChunks };
+}
+
+/**
+ * Lamports for an upgrade: the buffer (spilled to the wallet by the Upgrade
+ * instruction), extra programdata rent if the new build no longer fits, and
+ * fees. The Upgrade transaction itself is paid by the upgrade authority.
+ */
+async function estimateUpgradeCost(connection, programSize, target) {
+  const totalChunks = Math.ceil(programSize / WRITE_CHUNK_SIZE);
+  const bufferRent = await connection.getMinimumBalanceForRentExemption(BUFFER_METADATA_SIZE + programSize);
+  let extensionRent = 0;
+  if (programSize > target.capacity) {
+    const needed = await connection.getMinimumBalanceForRentExemption(PROGRAMDATA_METADATA_SIZE + programSize);
+    extensionRent = Math.max(0, needed - target.lamports);
+  }
+  // buffer create, writes, extend, buffer authority, refund
+  const fees = (totalChunks + 4) * SIGNATURE_FEE_LAMPORTS * 2;
+  return { lamports: bufferRent + extensionRent + fees, totalChunks };
+}
+
+/**
+ * Create (or refresh) the pending deployment for a build.
+ * @param {string} buildId
+ * @param {object} options
+ * @param {string} options.network - Key of config.deploy.rpc (devnet, mainnet, ...)
+ * @param {'deploy'|'upgrade'} [options.mode] - Fresh deploy (default) or upgrade of an existing program
+ * @param {string} [options.walletAddress] - Receives the refund (and, for a fresh deploy, the
+ *   upgrade authority). Required for deploys; upgrades default to the upgrade authority
+ * @param {number[]} [options.programKeypair] - Deploy: program secret key, required once the
+ *   build's keypair file has been delivered and deleted
+ * @param {string} [options.programId] - Upgrade: the deployed program
+ * @param {string} [options.upgradeAuthority] - Upgrade: public key of the program's upgrade
+ *   authority, which signs the final Upgrade transaction itself
+ * @param {string} [options.program] - Program name for multi-program workspaces
+ * @param {boolean} [options.byOwner] - The caller is the build's authenticated owner, who may
+ *   re-prepare a pending deployment for a different wallet
+ */
+async function prepareDeployment(buildId, {
+  network = 'devnet',
+  mode = DeployMode.DEPLOY,
+  walletAddress,
+  programKeypair,
+  programId,
+  upgradeAuthority,
+  program,
+  byOwner = false,
+} = {}) {
+  const rpcUrl = rpcUrlFor(network);
+  if (!Object.values(DeployMode).includes(mode)) {
+    throw deployError(`mode must be one of: ${Object.values(DeployMode).join(', ')}`);
+  }
+
+  const previous = await getLatestDeployment(buildId);
+  if (previous && previous.status === DeployStatus.DEPLOYING) {
+    throw deployError('A deployment is already in progress for this build', 409);
+  }
+
+  const { name, data, keypairPath } = await loadProgram(buildId, program);
+  const connection = new Connection(rpcUrl, 'confirmed');
+
+  const keys = {};
+  let programAddress;
+  let authority = null;
+  let wallet;
+  let estimate;
+
+  if (mode === DeployMode.UPGRADE) {
+    if (!programId) throw deployError('programId is required for an upgrade');
+    if (!upgradeAuthority) throw deployError('upgradeAuthority is required for an upgrade');
+    if (typeof upgradeAuthority !== 'string') {
+      throw deployError('upgradeAuthority must be the base58 public key of the upgrade authority, not its secret key');
+    }
+    const target = parsePublicKey(programId, 'programId');
+    authority = parsePublicKey(upgradeAuthority, 'upgradeAuthority');
+    wallet = walletAddress ? parsePublicKey(walletAddress, 'walletAddress') : authority;
+
+    const upgradeTarget = await inspectUpgradeTarget(connection, target, authority);
+    programAddress = target;
+    estimate = await estimateUpgradeCost(connection, data.length, upgradeTarget);
+  } else {
+    if (!walletAddress) {
+      throw deployError('walletAddress is required (it receives the upgrade authority and any unspent SOL)');
+    }
+    wallet = parsePublicKey(walletAddress, 'walletAddress');
+
+    if (programKeypair) {
+      keys.programKeypair = parseKeypair(programKeypair, 'programKeypair');
+    } else if (keypairPath) {
+      keys.programKeypair = parseKeypair(JSON.parse(await fs.readFile(keypairPath, 'utf-8')), 'Program keypair file');
+    } else {
+      throw deployError('programKeypair is required: the program keypair is no longer on the server');
+    }
+
+    programAddress = keys.programKeypair.publicKey;
+    if (await connection.getAccountInfo(programAddress)) {
+      throw deployError(
+        `Program ${programAddress.toBase58()} is already deployed on ${network}; use mode "upgrade" with its upgrade authority`,
+        409
+      );
+    }
+    estimate = await estimateDeployCost(connection, data.length);
+  }
+
+  // Re-preparing keeps the same deployer so SOL already sent to it isn't stranded.
+  // That deployer refunds to the wallet it was prepared for, which never changes:
+  // anyone else re-preparing is refused, and an owner switching wallets gets a
+  // new deployer while the old one is refunded to its own wallet
+  const pending = previous && previous.status === DeployStatus.PREPARED ? previous : null;
+  let reusable = pending && deploymentKeys.get(pending.deploymentId);
+  if (reusable && pending.walletAddress !== wallet.toBase58()) {
+    if (!byOwner) {
+      throw deployError(
+        `A deployment for wallet ${pending.walletAddress} is already prepared; re-prepare it with that walletAddress`,
+        403
+      );
+    }
+    await abandonDeployment(pending, reusable.deployer);
+    reusable = null;
+  }
+  keys.deployer = reusable ? reusable.deployer : Keypair.generate();
+  const balance = await connection.getBalance(keys.deployer.publicKey);
+
+  const fields = {
+    network,
+    mode,
+    status: DeployStatus.PREPARED,
+    programName: name,
+    programId: programAddress.toBase58(),
+    programSize: data.length,
+    deployerAddress: keys.deployer.publicKey.toBase58(),
+    walletAddress: wallet.toBase58(),
+    upgradeAuthority: authority ? authority.toBase58() : null,
+    estimatedLamports: estimate.lamports,
+    totalChunks: estimate.totalChunks,
+    programHash: sha256(data),
+  };
+
+  let deploymentId;
+  if (reusable) {
+    deploymentId = pending.deploymentId;
+    // Keys first: an execute that claims the refreshed row must find the matching keys
+    deploymentKeys.set(deploymentId, keys);
+    if (!(await updateDeployment(deploymentId, fields, DeployStatus.PREPARED))) {
+      throw deployError('A deployment is already in progress for this build', 409);
+    }
+  } else {
+    deploymentId = uuidv4();
+    const now = new Date().toISOString();
+    await runQuery(
+      `INSERT INTO deployments (deployment_id, build_id, network, mode, status, program_name, program_id, program_size,
+         deployer_address, wallet_address, upgrade_authority, estimated_lamports, total_chunks, program_hash,
+         created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [deploymentId, buildId, network, mode, fields.status, fields.programName, fields.programId, fields.programSize,
+        fields.deployerAddress, fields.walletAddress, fields.upgradeAuthority, fields.estimatedLamports,
+        fields.totalChunks, fields.programHash, now, now]
+    );
+    deploymentKeys.set(deploymentId, keys);
+  }
+
+  console.log(`[${buildId}] ${mode === DeployMode.UPGRADE ? 'Upgrade' : 'Deployment'} prepared on ${network}: program ${fields.programId}, deployer ${fields.deployerAddress}`);
+
+  return {
+    buildId,
+    deploymentId,
+    mode,
+    network,
+    programName: name,
+    programAddress: fields.programId,
+    programSize: data.length,
+    programHash: fields.programHash,
+    deployerAddress: fields.deployerAddress,
+    estimatedCostLamports: estimate.lamports,
+    estimatedCostSol: estimate.lamports / LAMPORTS_PER_SOL,
+    deployerBalanceSol: balance / LAMPORTS_PER_SOL,
+  };
+}
+
+/**
+ * Start the prepared deployment once the deployer is funded. Runs in the
+ * background; progress goes to onProgress and the deployments table.
+ * @param {string} buildId
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - (event) => void, for WebSocket broadcast
+ * @returns {Promise<object>} The deployment record, now `deploying`
+ */
+async function executeDeployment(buildId, { onProgress = null } = {}) {
+  const latest = await getLatestDeployment(buildId);
+  const inProgress = () => deployError('A deployment is already in progress for this build', 409);
+  if (!latest || latest.status !== DeployStatus.PREPARED) {
+    throw latest && latest.status === DeployStatus.DEPLOYING
+      ? inProgress()
+      : deployError('No prepared deployment. Call deploy/prepare first.', 409);
+  }
+  if (!deploymentKeys.has(latest.deploymentId)) {
+    throw deployError('Prepared deployment expired. Call deploy/prepare again.', 409);
+  }
+
+  // Claim it: of two concurrent executes (or an execute racing a re-prepare)
+  // only one moves the row out of `prepared`
+  const claimed = await updateDeployment(
+    latest.deploymentId,
+    { status: DeployStatus.DEPLOYING, phase: 'starting', chunksWritten: 0 },
+    DeployStatus.PREPARED
+  );
+  if (!claimed) throw inProgress();
+  const keys = deploymentKeys.get(latest.deploymentId);
+  const deployment = await getLatestDeployment(buildId);
+  const unclaim = () => updateDeployment(
+    deployment.deploymentId, { status: DeployStatus.PREPARED, phase: null }, DeployStatus.DEPLOYING
+  );
+
+  // A re-prepare that lost the race may have swapped the keys in already
+  if (deployment.mode === DeployMode.DEPLOY &&
+      (!keys.programKeypair || keys.programKeypair.publicKey.toBase58() !== deployment.programId)) {
+    await unclaim();
+    throw deployError('The deployment was re-prepared concurrently; retry', 409);
+  }
+
+  const connection = new Connection(rpcUrlFor(deployment.network), 'confirmed');
+  let balance;
+  try {
+    balance = await connection.getBalance(keys.deployer.publicKey);
+  } catch (err) {
+    await unclaim();
+    throw err;
+  }
+  if (balance < deployment.estimatedLamports) {
+    await unclaim();
+    const err = deployError(
+      `Deployer ${deployment.deployerAddress} has ${balance / LAMPORTS_PER_SOL} SOL; ` +
+      `fund it with at least ${deployment.estimatedLamports / LAMPORTS_PER_SOL} SOL and retry`,
+      402
+    );
+    err.details = { balanceLamports: balance, requiredLamports: deployment.estimatedLamports };
+    throw err;
+  }
+
+  runDeployment(connection, deployment, keys, onProgress)
+    .finally(() => deploymentKeys.delete(deployment.deploymentId));
+
+  return { ...deployment, status: DeployStatus.DEPLOYING, phase: 'starting' };
+}
+
+async function runDeployment(connection, deployment, { deployer, programKeypair }, onProgress) {
+  const { buildId, deploymentId } = deployment;
+  const wallet = new PublicKey(deployment.walletAddress);
+  const bufferKeypair = Keypair.generate();
+  let bufferCreated = false;
+
+  const report = async (phase, fields = {}, message = null) => {
+    await updateDeployment(deploymentId, { phase, ...fields });
+    console.log(`[${buildId}] Deploy: ${message || phase}`);
+    if (onProgress) {
+      onProgress({ deploymentId, phase, message, ...fields });
+    }
+  };
+
+  try {
+    const { data } = await loadProgram(buildId, deployment.programName);
+    if (data.length !== deployment.programSize) {
+      throw new Error('Program binary changed since deploy/prepare; prepare again');
+    }
+
+    // 1. Buffer account owned by the loader, with the deployer as its authority
+    await report('buffer', { bufferAddress: bufferKeypair.publicKey.toBase58() }, 'Creating buffer account');
+    const bufferSize = BUFFER_METADATA_SIZE + data.length;
+    await sendTransaction(connection, [
+      SystemProgram.createAccount({
+        fromPubkey: deployer.publicKey,
+        newAccountPubkey: bufferKeypair.publicKey,
+        lamports: await connection.getMinimumBalanceForRentExemption(bufferSize),
+        space: bufferSize,
+        programId: BPF_LOADER_UPGRADEABLE_ID,
+      }),
+      initializeBufferInstruction(bufferKeypair.publicKey, deployer.publicKey),
+    ], deployer, [bufferKeypair]);
+    bufferCreated = true;
+
+    // 2. Program bytes, in parallel batches; a Write is idempotent so failed chunks are retried
+    const totalChunks = Math.ceil(data.length / WRITE_CHUNK_SIZE);
+    let chunksWritten = 0;
+    await report('write', { chunksWritten, totalChunks }, `Writing ${totalChunks} chunks`);
+
+    const writeChunk = async (index) => {
+      const offset = index * WRITE_CHUNK_SIZE;
+      const bytes = data.subarray(offset, offset + WRITE_CHUNK_SIZE);
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await sendTransaction(connection, [
+            writeInstruction(bufferKeypair.publicKey, deployer.publicKey, offset, bytes),
+          ], deployer);
+          return;
+        } catch (err) {
+          if (attempt >= WRITE_ATTEMPTS) throw err;
+        }
+      }
+    };
+
+    for (let start = 0; start < totalChunks; start += WRITE_BATCH_SIZE) {
+      const batch = [];
+      for (let i = start; i < Math.min(start + WRITE_BATCH_SIZE, totalChunks); i++) {
+        batch.push(writeChunk(i));
+      }
+      await Promise.all(batch);
+      chunksWritten += batch.length;
+      await report('write', { chunksWritten, totalChunks }, `Wrote ${chunksWritten}/${totalChunks} chunks`);
+    }
+
+    // 3. Swap the buffer in (the loader consumes it), or for an upgrade hand it
+    //    to the upgrade authority, whose own signature swaps it in
+    const programId = new PublicKey(deployment.programId);
+    const swap = { deployer, buffer: bufferKeypair.publicKey, size: data.length, report };
+    if (deployment.mode === DeployMode.UPGRADE) {
+      await stageUpgrade(connection, { ...swap, programId, upgradeAuthority: new PublicKey(deployment.upgradeAuthority) });
+      bufferCreated = false;
+      await refundDeployer(connection, deployer, wallet, buildId);
+
+      await updateDeployment(deploymentId, { status: DeployStatus.AWAITING_SIGNATURE, phase: 'sign' });
+      console.log(`[${buildId}] Upgrade buffer ${bufferKeypair.publicKey.toBase58()} ready; waiting for the upgrade authority to sign`);
+      if (onProgress) {
+        // Pollers get it from deploy/status too, so a failure here isn't fatal
+        const upgradeTransaction = await buildUpgradeTransaction(connection, {
+          ...deployment,
+          bufferAddress: bufferKeypair.publicKey.toBase58(),
+        }).catch(() => null);
+        onProgress({ deploymentId, phase: 'sign', status: DeployStatus.AWAITING_SIGNATURE, ...upgradeTransaction });
+      }
+      return;
+    }
+
+    const signature = await deployFromBuffer(connection, { ...swap, programKeypair, wallet });
+    bufferCreated = false;
+
+    await refundDeployer(connection, deployer, wallet, buildId);
+
+    // 4. The program bytes on chain must be exactly the artifact
+    await report('verify', { signature }, 'Verifying on-chain program data');
+    const verification = await verifyProgramData(connection, programId, data);
+    await updateDeployment(deploymentId, verification);
+    if (!verification.verified) {
+      throw new Error(`On-chain program data (sha256 ${verification.onchainHash}) does not match the artifact (sha256 ${verification.programHash})`);
+    }
+
+    await updateDeployment(deploymentId, {
+      status: DeployStatus.SUCCESS,
+      phase: 'done',
+      signature,
+      completedAt: new Date(),
+    });
+    console.log(`[${buildId}] Deployed program ${programId.toBase58()} on ${deployment.network}`);
+    if (onProgress) {
+      onProgress({
+        deploymentId,
+        phase: 'done',
+        status: DeployStatus.SUCCESS,
+        programId: programId.toBase58(),
+        programHash: verification.programHash,
+        signature,
+        explorerUrl: explorerUrl(deployment.network, programId.toBase58()),
+      });
+    }
+  } catch (err) {
+    console.error(`[${buildId}] Deploy failed:`, err.message);
+
+    // Best effort: reclaim the buffer's rent and return everything to the wallet
+    try {
+      if (bufferCreated) {
+        await sendTransaction(connection, [
+          closeBufferInstruction(bufferKeypair.publicKey, deployer.publicKey, deployer.publicKey),
+        ], deployer);
+      }
+      await refundDeployer(connection, deployer, wallet, buildId);
+    } catch (refundErr) {
+      console.error(`[${buildId}] Deploy refund failed:`, refundErr.message);
+    }
+
+    await updateDeployment(deploymentId, {
+      status: DeployStatus.FAILED,
+      error: err.message,
+      completedAt: new Date(),
+    }).catch(e => console.error(`[${buildId}] Failed to persist deploy failure:`, e.message));
+    if (onProgress) {
+      onProgress({ deploymentId, phase: 'failed', status: DeployStatus.FAILED, error: err.message });
+    }
+  }
+}
+
+/**
+ * Fresh deploy: create the program account and programdata from the buffer
+ * (the loader closes the buffer into the payer), then hand the upgrade
+ * authority from the soon-forgotten deployer to the caller's wallet.
+ * @returns {Promise<string>} Deploy transaction signature
+ */
+async function deployFromBuffer(connection, { deployer, programKeypair, wallet, buffer, size, report }) {
+  await report('deploy', {}, 'Deploying program');
+  const programId = programKeypair.publicKey;
+  const programData = programDataAddress(programId);
+  const signature = await sendTransaction(connection, [
+    SystemProgram.createAccount({
+      fromPubkey: deployer.publicKey,
+      newAccountPubkey: programId,
+      lamports: await connection.getMinimumBalanceForRentExemption(PROGRAM_ACCOUNT_SIZE),
+      space: PROGRAM_ACCOUNT_SIZE,
+      programId: BPF_LOADER_UPGRADEABLE_ID,
+    }),
+    deployWithMaxDataLenInstruction({
+      payer: deployer.publicKey,
+      programData,
+      program: programId,
+      buffer,
+      authority: deployer.publicKey,
+      maxDataLen: size * 2,
+    }),
+  ], deployer, [programKeypair]);
+
+  await report('authority', { signature }, `Transferring upgrade authority to ${wallet.toBase58()}`);
+  await sendTransaction(connection, [
+    setAuthorityInstruction(programData, deployer.publicKey, wallet),
+  ], deployer);
+
+  return signature;
+}
+
+/**
+ * Upgrade: grow programdata if the new build doesn't fit (anyone may pay for
+ * that), then make the upgrade authority the buffer's authority. From here
+ * only the authority can use or close the buffer.
+ */
+async function stageUpgrade(connection, { deployer, upgradeAuthority, programId, buffer, size, report }) {
+  const target = await inspectUpgradeTarget(connection, programId, upgradeAuthority);
+
+  if (size > target.capacity) {
+    const additionalBytes = size - target.capacity;
+    await report('extend', {}, `Extending program data by ${additionalBytes} bytes`);
+    await sendTransaction(connection, [
+      extendProgramInstruction({
+        programData: target.programData,
+        program: programId,
+        payer: deployer.publicKey,
+        additionalBytes,
+      }),
+    ], deployer);
+  }
+
+  await report('authority', {}, `Handing buffer ${buffer.toBase58()} to upgrade authority ${upgradeAuthority.toBase58()}`);
+  await sendTransaction(connection, [
+    setAuthorityInstruction(buffer, deployer.publicKey, upgradeAuthority),
+  ], deployer);
+}
+
+/**
+ * The Upgrade transaction for a staged buffer, unsigned. The upgrade authority
+ * is its fee payer and only signer, so the caller may also swap in a newer
+ * blockhash before signing. The buffer's rent is spilled to the wallet.
+ * @returns {Promise<{upgradeTransaction: string, blockhash: string, lastValidBlockHeight: number}>}
+ *   upgradeTransaction is the base64 wire format
+ */
+async function buildUpgradeTransaction(connection, deployment) {
+  const programId = new PublicKey(deployment.programId);
+  const authority = new PublicKey(deployment.upgradeAuthority);
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const tx = new Transaction({ feePayer: authority, blockhash, lastValidBlockHeight }).add(
+    upgradeInstruction({
+      programData: programDataAddress(programId),
+      program: programId,
+      buffer: new PublicKey(deployment.bufferAddress),
+      spill: new PublicKey(deployment.walletAddress),
+      authority,
+    })
+  );
+  const upgradeTransaction = tx.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+  return { upgradeTransaction, blockhash, lastValidBlockHeight };
+}
+
+/**
+ * Finish an upgrade once the caller has submitted the signed Upgrade
+ * transaction: check it landed, then verify the on-chain program data.
+ * @param {string} buildId
+ * @param {object} options
+ * @param {string} options.signature - Signature of the submitted Upgrade transaction
+ * @returns {Promise<object>} The deployment status
+ */
+async function confirmUpgrade(buildId, { signature } = {}) {
+  const deployment = await getLatestDeployment(buildId);
+  if (!deployment || deployment.status !== DeployStatus.AWAITING_SIGNATURE) {
+    throw deployError('No upgrade is waiting for its signed transaction', 409);
+  }
+  if (typeof signature !== 'string' || !signature) {
+    throw deployError('signature of the submitted Upgrade transaction is required');
+  }
+
+  const connection = new Connection(rpcUrlFor(deployment.network), 'confirmed');
+  const { value: [txStatus] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+  if (!txStatus || !['confirmed', 'finalized'].includes(txStatus.confirmationStatus)) {
+    throw deployError(`Transaction ${signature} is not confirmed yet; retry shortly`, 409);
+  }
+  if (txStatus.err) {
+    throw deployError(`Transaction ${signature} failed: ${JSON.stringify(txStatus.err)}`);
+  }
+
+  const { data } = await loadProgram(buildId, deployment.programName);
+  const verification = await verifyProgramData(connection, new PublicKey(deployment.programId), data);
+  const fields = verification.verified
+    ? { status: DeployStatus.SUCCESS, phase: 'done' }
+    : {
+      status: DeployStatus.FAILED,
+      error: `On-chain program data (sha256 ${verification.onchainHash}) does not match the artifact (sha256 ${verification.programHash})`,
+    };
+  const settled = await updateDeployment(deployment.deploymentId, {
+    ...fields,
+    ...verification,
+    signature,
+    completedAt: new Date(),
+  }, DeployStatus.AWAITING_SIGNATURE);
+  if (!settled) {
+    throw deployError('The upgrade was already confirmed', 409);
+  }
+
+  if (verification.verified) {
+    console.log(`[${buildId}] Upgraded program ${deployment.programId} on ${deployment.network}`);
+  } else {
+    console.error(`[${buildId}] Upgrade verification failed: ${fields.error}`);
+  }
+  return getDeploymentStatus(buildId);
+}
+
+/**
+ * Retire a prepared deployment whose owner re-prepared it for another wallet.
+ * The refund to its own wallet runs in the background.
+ */
+async function abandonDeployment(deployment, deployer) {
+  const { buildId, deploymentId } = deployment;
+  const retired = await updateDeployment(deploymentId, {
+    status: DeployStatus.FAILED,
+    error: 'Superseded by a deployment prepared for another wallet',
+    completedAt: new Date(),
+  }, DeployStatus.PREPARED);
+  if (!retired) {
+    throw deployError('A deployment is already in progress for this build', 409);
+  }
+  deploymentKeys.delete(deploymentId);
+
+  const connection = new Connection(rpcUrlFor(deployment.network), 'confirmed');
+  refundDeployer(connection, deployer, new PublicKey(deployment.walletAddress), buildId)
+    .catch(err => console.error(`[${buildId}] Refund of superseded deployer ${deployment.deployerAddress} failed:`, err.message));
+}
+
+async function refundDeployer(connection, deployer, wallet, buildId) {
+  const balance = await connection.getBalance(deployer.publicKey);
+  const refund = balance - SIGNATURE_FEE_LAMPORTS;
+  if (refund <= 0) return;
+
+  await sendTransaction(connection, [
+    SystemProgram.transfer({ fromPubkey: deployer.publicKey, toPubkey: wallet, lamports: refund }),
+  ], deployer);
+  console.log(`[${buildId}] Refunded ${refund / LAMPORTS_PER_SOL} SOL to ${wallet.toBase58()}`);
+}
+
+/**
+ * Latest deployment for a build, shaped for API responses.
+ * @returns {Promise<object|null>}
+ */
+async function getDeploymentStatus(buildId) {
+  const deployment = await getLatestDeployment(buildId);
+  if (!deployment) return null;
+
+  // Rebuilt on every poll so the blockhash is fresh
+  let upgradeTransaction = null;
+  if (deployment.status === DeployStatus.AWAITING_SIGNATURE) {
+    try {
+      const connection = new Connection(rpcUrlFor(deployment.network), 'confirmed');
+      upgradeTransaction = await buildUpgradeTransaction(connection, deployment);
+    } catch (err) {
+      console.error(`[${buildId}] Could not build the upgrade transaction:`, err.message);
+    }
+  }
+
+  return {
+    buildId,
+    deploymentId: deployment.deploymentId,
+    mode: deployment.mode,
+    status: deployment.status,
+    network: deployment.network,
+    programName: deployment.programName,
+    programId: deployment.programId,
+    deployerAddress: deployment.deployerAddress,
+    walletAddress: deployment.walletAddress,
+    upgradeAuthority: deployment.upgradeAuthority,
+    bufferAddress: deployment.bufferAddress,
+    estimatedCostSol: deployment.estimatedLamports / LAMPORTS_PER_SOL,
+    phase: deployment.phase,
+    progress: deployment.totalChunks
+      ? { chunksWritten: deployment.chunksWritten || 0, totalChunks: deployment.totalChunks }
+      : null,
+    signature: deployment.signature,
+    programHash: deployment.programHash,
+    onchainHash: deployment.onchainHash,
+    verified: deployment.verified,
+    explorerUrl: deployment.status === DeployStatus.SUCCESS ? explorerUrl(deployment.network, deployment.programId) : null,
+    ...upgradeTransaction,
+    error: deployment.error,
+    createdAt: deployment.createdAt,
+    updatedAt: deployment.updatedAt,
+    completedAt: deployment.completedAt,
+  };
+}
+
+/**
+ * Deployment history of a program ID across builds, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function listProgramDeployments(programId) {
+  const rows = await getAll(
+    `SELECT * FROM deployments WHERE program_id = ? AND status != ? ORDER BY created_at DESC, rowid DESC`,
+    [programId, DeployStatus.PREPARED]
+  );
+  return rows.map(rowToDeployment).map(d => ({
+    deploymentId: d.deploymentId,
+    buildId: d.buildId,
+    mode: d.mode,
+    status: d.status,
+    network: d.network,
+    programName: d.programName,
+    programSize: d.programSize,
+    programHash: d.programHash,
+    onchainHash: d.onchainHash,
+    verified: d.verified,
+    signature: d.signature,
+    error: d.error,
+    createdAt: d.createdAt,
+    completedAt: d.completedAt,
+  }));
+}
+
+module.exports = {
+  prepareDeployment,
+  executeDeployment,
+  confirmUpgrade,
+  getDeploymentStatus,
+  listProgramDeployments,
+  recoverInterruptedDeployments,
+  DeployMode,
+  DeployStatus,
+};
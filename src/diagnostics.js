@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Structured compiler diagnostics for builds, instead of scraping the log.
+ *
+ * cargo always runs rustc with `--error-format=json` and renders what comes
+ * back. `anchor build` can't be given `--message-format=json` itself (it
+ * hands its cargo arguments to the IDL build's test binary too), so the
+ * build script puts a RUSTC_WORKSPACE_WRAPPER in front of rustc that keeps
+ * a copy of those JSON messages and leaves the human output untouched.
+ * The wrapper only runs for the workspace's own crates, which is where the
+ * errors worth fixing are. The copy lands in the build's output directory
+ * as diagnostics.jsonl and is read back with readDiagnostics().
+ *
+ * Each line is a rustc diagnostic — the same object cargo puts in the
+ * `message` field of its `compiler-message` records, which are accepted too.
+ * Crates cargo didn't recompile (fresh in the target cache) report nothing,
+ * so warnings from an earlier build aren't repeated.
+ */
+
+const DIAGNOSTICS_FILE = 'diagnostics.jsonl';
+const MAX_DIAGNOSTICS = 100;
+const MAX_RENDERED_CHARS = 4000;
+
+/**
+ * Shell fragment run before `anchor build`: install the rustc wrapper
+ */
+const DIAGNOSTICS_CAPTURE = `
+  mkdir -p /tmp/diagnostics &&
+  printf '%s\\n' '#!/bin/sh' \\
+    'out="$RUSTC_DIAGNOSTICS.$$"' \\
+    '"$@" 2>"$out"' \\
+    'status=$?' \\
+    'cat "$out" >&2' \\
+    'grep "^{" "$out" >> "$RUSTC_DIAGNOSTICS"' \\
+    'rm -f "$out"' \\
+    'exit $status' > /tmp/diagnostics/rustc &&
+  chmod +x /tmp/diagnostics/rustc &&
+  export RUSTC_DIAGNOSTICS=/tmp/diagnostics/rustc.jsonl RUSTC_WORKSPACE_WRAPPER=/tmp/diagnostics/rustc &&
+  : > "$RUSTC_DIAGNOSTICS"`;
+
+/**
+ * Shell fragment run after `anchor build`, whatever its exit code
+ */
+const DIAGNOSTICS_SAVE = `
+  cp "$RUSTC_DIAGNOSTICS" /output/${DIAGNOSTICS_FILE} 2>/dev/null ;
+  chmod a+r /output/${DIAGNOSTICS_FILE} 2>/dev/null ;`;
+
+// Whole-build summaries that aren't about any line of code
+const NOISE = [
+  /^aborting due to/,
+  /^\d+ warnings? emitted/,
+  /^For more information about/,
+  /^Some errors have detailed explanations/,
+];
+
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+// Project-relative path: workspace crates are reported relative to the
+// workspace root (the Anchor.toml directory), everything else absolute
+function projectPath(fileName, workspaceDir) {
+  if (fileName.startsWith('/workspace/')) return fileName.slice('/workspace/'.length);
+  if (path.isAbsolute(fileName)) return fileName;
+  return path.posix.join(workspaceDir, fileName);
+}
+
+function toSpan(span, workspaceDir) {
+  return {
+    file: projectPath(span.file_name, workspaceDir),
+    lineStart: span.line_start,
+    lineEnd: span.line_end,
+    columnStart: span.column_start,
+    columnEnd: span.column_end,
+    primary: !!span.is_primary,
+    label: span.label || null,
+  };
+}
+
+// Help messages with a code change attached, e.g. "use `=` instead: `x = 1`"
+function collectSuggestions(message, workspaceDir, suggestions = []) {
+  for (const child of message.children || []) {
+    for (const span of child.spans || []) {
+      if (span.suggested_replacement === null || span.suggested_replacement === undefined) continue;
+      const { primary, label, ...location } = toSpan(span, workspaceDir);
+      suggestions.push({
+        message: child.message,
+        ...location,
+        replacement: span.suggested_replacement,
+        applicability: span.suggestion_applicability || 'Unspecified',
+      });
+    }
+    collectSuggestions(child, workspaceDir, suggestions);
+  }
+  return suggestions;
+}
+
+/**
+ * One rustc diagnostic in the shape builds expose
+ * @returns {object|null} null for summaries like "aborting due to 2 previous errors"
+ */
+function toDiagnostic(message, workspaceDir) {
+  if (!message || typeof message.message !== 'string') return null;
+  if (!['error', 'warning'].includes(message.level)) return null;
+  if (NOISE.some(pattern => pattern.test(message.message))) return null;
+
+  const spans = (message.spans || []).map(span => toSpan(span, workspaceDir));
+  const primary = spans.find(span => span.primary) || spans[0] || null;
+  const rendered = message.rendered ? stripAnsi(message.rendered).trimEnd() : null;
+
+  return {
+    level: message.level,
+    code: message.code ? message.code.code : null,
+    message: message.message,
+    file: primary ? primary.file : null,
+    line: primary ? primary.lineStart : null,
+    column: primary ? primary.columnStart : null,
+    spans,
+    notes: (message.children || [])
+      .filter(child => child.message && !(child.spans || []).some(span => span.suggested_replacement != null))
+      .map(child => `${child.level}: ${child.message}`),
+    suggestions: collectSuggestions(message, workspaceDir),
+    rendered: rendered && rendered.length > MAX_RENDERED_CHARS
+      ? `${rendered.slice(0, MAX_RENDERED_CHARS)}\n... [truncated]`
+      : rendered,
+  };
+}
+
+/**
+ * Parse JSON lines (rustc diagnostics or cargo compiler-message records)
+ * into diagnostics: errors first, duplicates dropped, at most MAX_DIAGNOSTICS.
+ * Other lines are skipped.
+ * @param {string} text
+ * @param {{workspaceDir?: string}} [options] - Anchor subdirectory, so paths come out project-relative
+ */
+function parseDiagnostics(text, { workspaceDir = '' } = {}) {
+  const seen = new Set();
+  const diagnostics = [];
+
+  for (const line of String(text || '').split('\n')) {
+    if (!line.startsWith('{')) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue; // Cut-off line
+    }
+    const message = record.reason === 'compiler-message' ? record.message
+      : record.$message_type === 'diagnostic' ? record
+      : null;
+    const diagnostic = toDiagnostic(message, workspaceDir);
+    if (!diagnostic) continue;
+
+    // The same crate is compiled more than once (lib, IDL build)
+    const key = [diagnostic.level, diagnostic.code, diagnostic.message, diagnostic.file, diagnostic.line, diagnostic.column].join('|');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    diagnostics.push(diagnostic);
+  }
+
+  return diagnostics
+    .sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1))
+    .slice(0, MAX_DIAGNOSTICS);
+}
+
+/**
+ * Diagnostics a build left in its output directory. The file is removed
+ * once read so it isn't mistaken for an artifact.
+ * @param {string} outputPath
+ * @param {{workspaceDir?: string}} [options] - As for parseDiagnostics()
+ * @returns {Promise<Array|null>} null if the build didn't get as far as compiling
+ */
+async function readDiagnostics(outputPath, options = {}) {
+  const filePath = path.join(outputPath, DIAGNOSTICS_FILE);
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  await fs.unlink(filePath).catch(() => {});
+  return parseDiagnostics(text, options);
+}
+
+function errorDiagnostics(diagnostics) {
+  return (diagnostics || []).filter(diagnostic => diagnostic.level === 'error');
+}
+
+/**
+ * Short one-per-error strings, as returned in a build response's `errors`
+ */
+function describeErrors(diagnostics) {
+  return errorDiagnostics(diagnostics).map(diagnostic => {
+    const head = `error${diagnostic.code ? `[${diagnostic.code}]` : ''}: ${diagnostic.message}`;
+    return diagnostic.file ? `${head}\n--> ${diagnostic.file}:${diagnostic.line}:${diagnostic.column}` : head;
+  });
+}
+
+// rustc's rendering names files relative to the Anchor workspace; add the project path
+function renderedError(diagnostic) {
+  if (!diagnostic.rendered) return describeErrors([diagnostic])[0];
+  if (!diagnostic.file || diagnostic.rendered.includes(`--> ${diagnostic.file}:`)) return diagnostic.rendered;
+  return `${diagnostic.rendered}\n  (project file: ${diagnostic.file}:${diagnostic.line}:${diagnostic.column})`;
+}
+
+/**
+ * Diagnostics as prompt text: errors in rustc's own rendering (which
+ * carries the suggestions), then warnings in one line each
+ */
+function formatDiagnosticsForPrompt(diagnostics, { maxChars = 12000 } = {}) {
+  const parts = [];
+  let used = 0;
+  let omitted = 0;
+
+  for (const diagnostic of diagnostics) {
+    const text = diagnostic.level === 'error'
+      ? renderedError(diagnostic)
+      : `warning: ${diagnostic.message}${diagnostic.file ? ` (${diagnostic.file}:${diagnostic.line})` : ''}`;
+    if (used + text.length > maxChars) {
+      omitted++;
+      continue;
+    }
+    parts.push(text);
+    used += text.length;
+  }
+
+  if (omitted > 0) parts.push(`... ${omitted} more diagnostic(s) not shown`);
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  DIAGNOSTICS_FILE,
+  DIAGNOSTICS_CAPTURE,
+  DIAGNOSTICS_SAVE,
+  parseDiagnostics,
+  readDiagnostics,
+  errorDiagnostics,
+  describeErrors,
+  formatDiagnosticsForPrompt,
+};
@@ -0,0 +1,247 @@
+/**
+ * Line diffs for reviewing proposed file changes.
+ *
+ * diffFile() splits a change into unified-diff hunks; applyHunks() rebuilds
+ * the file from the same two texts with each hunk approved, rejected or
+ * replaced by reviewer-edited text. Hunks are identified by their index, and
+ * both functions diff the texts the same way, so indexes line up as long as
+ * the caller keeps the original old/new text.
+ *
+ * Lines are compared with their '\n', so a missing final newline is a change.
+ */
+
+const DEFAULT_CONTEXT = 3;
+// Past this many inserted + deleted lines, the changed region becomes a single
+// replacement instead of a minimal diff (keeps memory bounded for rewrites)
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+  return (text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Shortest edit script between two line arrays (Myers), as ops in order
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  if (max > MAX_EDIT_DISTANCE) return replaceAll(a, b);
+
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v[-(d+1)..d+1] as it was before step d
+  const trace = [];
+
+  let done = false;
+  for (let d = 0; d <= max && !done; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const prev = trace[d];
+    const at = (k) => prev[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: '+', line: b[prevY] });
+      else ops.push({ type: '-', line: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+function replaceAll(a, b) {
+  return [
+    ...a.map(line => ({ type: '-', line })),
+    ...b.map(line => ({ type: '+', line })),
+  ];
+}
+
+// Common prefix and suffix are matched directly; only the middle is diffed
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  return [
+    ...a.slice(0, start).map(line => ({ type: ' ', line })),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(line => ({ type: ' ', line })),
+  ];
+}
+
+// Group changed ops into hunks with `context` unchanged lines around them.
+// Each hunk keeps its [start, end) range into ops for applyHunks.
+function groupHunks(ops, context) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, i) => {
+    if (op.type === ' ') return;
+    if (current && i - lastChange <= 2 * context) {
+      current.end = Math.min(ops.length, i + 1 + context);
+    } else {
+      current = { start: Math.max(0, i - context), end: Math.min(ops.length, i + 1 + context) };
+      hunks.push(current);
+    }
+    lastChange = i;
+  });
+
+  // Line numbers (1-based) at each hunk's first op
+  let oldLine = 1;
+  let newLine = 1;
+  let opIndex = 0;
+  return hunks.map((hunk, index) => {
+    for (; opIndex < hunk.start; opIndex++) {
+      if (ops[opIndex].type !== '+') oldLine++;
+      if (ops[opIndex].type !== '-') newLine++;
+    }
+    const span = ops.slice(hunk.start, hunk.end);
+    const oldLines = span.filter(op => op.type !== '+').length;
+    const newLines = span.filter(op => op.type !== '-').length;
+    return {
+      index,
+      start: hunk.start,
+      end: hunk.end,
+      // An empty side is numbered by the line before it, as in `diff -u`
+      oldStart: oldLines ? oldLine : oldLine - 1,
+      oldLines,
+      newStart: newLines ? newLine : newLine - 1,
+      newLines,
+      span,
+    };
+  });
+}
+
+function renderHunk({ oldStart, oldLines, newStart, newLines, span }) {
+  const lines = [];
+  for (const { type, line } of span) {
+    lines.push(type + line.replace(/\n$/, ''));
+    if (!line.endsWith('\n')) lines.push('\\ No newline at end of file');
+  }
+  return {
+    header: `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`,
+    lines,
+  };
+}
+
+/**
+ * Unified diff of one file
+ * @param {string} filePath - Project-relative path, used in the patch header
+ * @param {string|null} oldText - null for a new file
+ * @param {string} newText
+ * @param {{context?: number}} [options] - Unchanged lines around each hunk (default 3)
+ * @returns {{path: string, isNew: boolean, additions: number, deletions: number,
+ *   hunks: Array<{index: number, header: string, oldStart: number, oldLines: number,
+ *   newStart: number, newLines: number, lines: string[]}>, patch: string}}
+ */
+function diffFile(filePath, oldText, newText, { context = DEFAULT_CONTEXT } = {}) {
+  const isNew = oldText === null || oldText === undefined;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  const hunks = groupHunks(ops, context).map((hunk) => {
+    const { header, lines } = renderHunk(hunk);
+    return {
+      index: hunk.index,
+      header,
+      oldStart: hunk.oldStart,
+      oldLines: hunk.oldLines,
+      newStart: hunk.newStart,
+      newLines: hunk.newLines,
+      lines,
+    };
+  });
+
+  const patch = hunks.length === 0 ? '' : [
+    `--- ${isNew ? '/dev/null' : `a/${filePath}`}`,
+    `+++ b/${filePath}`,
+    ...hunks.flatMap(hunk => [hunk.header, ...hunk.lines]),
+    '',
+  ].join('\n');
+
+  return {
+    path: filePath,
+    isNew,
+    additions: ops.filter(op => op.type === '+').length,
+    deletions: ops.filter(op => op.type === '-').length,
+    hunks,
+    patch,
+  };
+}
+
+/**
+ * Rebuild a file from a reviewed diff
+ * @param {string|null} oldText
+ * @param {string} newText
+ * @param {Function} decide - (hunkIndex) => 'approve' | 'reject' | {content: string};
+ *   content replaces every line the hunk covers, context included
+ * @param {{context?: number}} [options] - Must match the diffFile call the hunks came from
+ * @returns {string}
+ */
+function applyHunks(oldText, newText, decide, { context = DEFAULT_CONTEXT } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = groupHunks(ops, context);
+  const out = [];
+  let pos = 0;
+
+  for (const hunk of hunks) {
+    for (; pos < hunk.start; pos++) out.push(ops[pos].line);
+
+    const decision = decide(hunk.index);
+    if (decision === 'approve') {
+      out.push(...hunk.span.filter(op => op.type !== '-').map(op => op.line));
+    } else if (decision && typeof decision.content === 'string') {
+      let { content } = decision;
+      // Keep the line break between the edited lines and whatever follows
+      const lastLine = hunk.span[hunk.span.length - 1].line;
+      if (content && !content.endsWith('\n') && (hunk.end < ops.length || lastLine.endsWith('\n'))) {
+        content += '\n';
+      }
+      out.push(content);
+    } else {
+      out.push(...hunk.span.filter(op => op.type !== '+').map(op => op.line));
+    }
+    pos = hunk.end;
+  }
+  for (; pos < ops.length; pos++) out.push(ops[pos].line);
+
+  return out.join('');
+}
+
+module.exports = {
+  diffFile,
+  applyHunks,
+};
@@ -2,6 +2,17 @@ const Docker = require('dockerode');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config');
+const {
+  prepareCrateMirror,
+  prepareBuildCache,
+  prepareProjectTarget,
+  parseCacheMetrics,
+  TARGET_CACHE_RESTORE,
+  TARGET_CACHE_SAVE,
+} = require('./buildCache');
+const { getDefaultToolchain } = require('./toolchains');
+const { parseTestResults } = require('./testResults');
+const { DIAGNOSTICS_CAPTURE, DIAGNOSTICS_SAVE, readDiagnostics, errorDiagnostics } = require('./diagnostics');
 
 const docker = new Docker();
 
@@ -64,81 +75,89 @@ function filterBuildLog(message) {
   return line;
 }
 
-async function executeAnchorBuild(buildId, projectPath, outputPath, anchorSubdir = '', onLogUpdate = null) {
-  const logs = { stdout: [], stderr: [] };
-  let container = null;
+function buildCancelledError() {
+  const err = new Error('Build cancelled');
+  err.cancelled = true;
+  return err;
+}
 
+// Program keypairs the project came with (target/deploy/*-keypair.json) are
+// staged here, outside target/: the project's target volume hides the
+// uploaded target/, and keypairs an earlier build generated are removed
+const UPLOADED_KEYPAIRS_DIR = '/tmp/uploaded-keypairs';
+
+/**
+ * Shell fragment run before `anchor build`: drop program keypairs left in
+ * target/ by an earlier run, then put back the ones the project was uploaded
+ * with, so its program IDs stay the same
+ */
+const PROGRAM_KEYPAIRS_RESTORE = `
+  rm -f target/deploy/*-keypair.json 2>/dev/null ;
+  if [ -n "$(ls -A ${UPLOADED_KEYPAIRS_DIR} 2>/dev/null)" ]; then
+    mkdir -p target/deploy && cp ${UPLOADED_KEYPAIRS_DIR}/*-keypair.json target/deploy/ ;
+  fi ;`;
+
+async function uploadProgramKeypairs(container, projectPath, anchorSubdir) {
+  const deployDir = path.join(projectPath, anchorSubdir, 'target', 'deploy');
+  let keypairs = [];
   try {
-    await fs.mkdir(outputPath, { recursive: true });
-    
-    // Determine working directory (where Anchor.toml is)
-    const workDir = anchorSubdir ? `/workspace/${anchorSubdir}` : '/workspace';
-    console.log(`[${buildId}] Working directory in container: ${workDir}`);
+    keypairs = (await fs.readdir(deployDir)).filter(name => name.endsWith('-keypair.json'));
+  } catch {
+    return; // No target/deploy in the project
+  }
+  if (keypairs.length === 0) return;
 
-    const containerConfig = {
-      Image: config.dockerImage,
-      Cmd: ['sh', '-c', `
-        export CARGO_TERM_VERBOSE=true
-        export RUST_BACKTRACE=1
-        export CARGO_INCREMENTAL=0
-        export CARGO_TERM_COLOR=always
-        export RUST_LOG=info
+  const tar = require('tar');
+  const tarStream = tar.create({ cwd: deployDir, prefix: path.basename(UPLOADED_KEYPAIRS_DIR) }, keypairs);
+  await container.putArchive(tarStream, { path: path.dirname(UPLOADED_KEYPAIRS_DIR) });
+}
 
-        echo "=== Anchor Compiler Service ===" &&
-        anchor --version &&
-        solana --version &&
-        cargo-build-sbf --version 2>/dev/null || echo "cargo-build-sbf not found, using cargo-build-bpf" &&
-        echo "=== Project Structure ===" &&
-        ls -la &&
-        echo "=== Looking for program directories ===" &&
-        ls -la programs/ 2>/dev/null || echo "No programs/ dir" &&
-        ls -la ml/ 2>/dev/null || echo "No ml/ dir" &&
-        echo "=== Fixing structure if needed ===" &&
-        if [ ! -d "programs" ] && [ -d "ml" ]; then
-          echo "Creating programs/ and moving ml into it..." &&
-          mkdir -p programs &&
-          mv ml programs/ml &&
-          ls -la programs/
-        fi &&
-        echo "=== Anchor.toml ===" &&
-        cat Anchor.toml 2>/dev/null || echo "No Anchor.toml" &&
-        echo "=== Running Anchor Build (this may take 3-7 minutes) ===" &&
-        anchor build 2>&1;
-        BUILD_EXIT=$?;
-        echo "=== Build exited with code: $BUILD_EXIT ===" ;
-        if [ $BUILD_EXIT -ne 0 ]; then
-          echo "=== BUILD FAILED ===" ;
-          exit $BUILD_EXIT ;
-        fi ;
-        echo "=== Build Complete ===" &&
-        echo "=== Target Directory ===" &&
-        ls -la target/ &&
-        echo "=== Deploy Directory ===" &&
-        ls -la target/deploy/ 2>/dev/null || echo "No deploy directory found!" &&
-        echo "=== IDL Directory ===" &&
-        ls -la target/idl/ 2>/dev/null || echo "No idl directory found!" &&
-        if [ ! -d "target/deploy" ] || [ -z "$(ls -A target/deploy/*.so 2>/dev/null)" ]; then
-          echo "=== NO .so ARTIFACTS FOUND - BUILD FAILED ===" ;
-          exit 1 ;
-        fi ;
-        echo "=== Copying Artifacts ===" &&
-        mkdir -p /output/target/deploy /output/target/idl /output/target/types &&
-        cp -v target/deploy/*.so /output/target/deploy/ 2>/dev/null || true &&
-        cp -v target/deploy/*-keypair.json /output/target/deploy/ 2>/dev/null || true &&
-        cp -v target/idl/*.json /output/target/idl/ 2>/dev/null || true &&
-        cp -v target/types/*.ts /output/target/types/ 2>/dev/null || true &&
-        chmod -R a+rX /output/target/ &&
-        echo "=== Artifacts Copied ==="
-      `],
+function outputBind(outputPath) {
+  const hostPath = process.env.HOST_BUILD_DIR
+    ? path.join(process.env.HOST_BUILD_DIR, path.basename(outputPath))
+    : path.resolve(outputPath);
+  return `${hostPath}:/output:rw`;
+}
+
+/**
+ * Run a script in a fresh builder container with the project (if any)
+ * copied into /workspace. Streamed output is filtered into onLogUpdate and appended to
+ * `logs`; the container is always removed.
+ * @param {object} options
+ * @param {object} options.toolchain
+ * @param {string} options.script - `sh -c` script, run in options.workDir
+ * @param {string[]} options.binds
+ * @param {boolean} [options.excludeHostTarget] - Leave the host-side target/ out of the upload
+ * @param {boolean} [options.programKeypairs] - Stage the project's program keypairs for PROGRAM_KEYPAIRS_RESTORE
+ * @param {string} [options.networkMode] - Defaults to none/default per config.docker.networkDisabled
+ * @param {string[]} [options.env] - Extra container environment ("KEY=value")
+ * @param {object} options.logs - { stdout: [], stderr: [] }, filled as the container runs
+ * @param {string} [options.label] - "Build", "Test", "Fetch" or "Tool", for log and timeout messages
+ * @param {number} [options.timeout] - Seconds, default config.builds.timeout
+ * @returns {Promise<{exitCode: number, output: string}>} output is the unfiltered stream
+ * @throws the timeout error, or an error flagged `cancelled` when the signal fired
+ */
+async function runBuilderContainer(buildId, {
+  toolchain, script, workDir, binds, projectPath, anchorSubdir = '',
+  excludeHostTarget = false, programKeypairs = false, networkMode = null, env = [],
+  logs, onLogUpdate = null, signal = null, label = 'Build', timeout = config.builds.timeout,
+}) {
+  let container = null;
+  let timeoutId = null;
+  const output = [];
+
+  try {
+    const containerConfig = {
+      Image: toolchain.image,
+      Cmd: ['sh', '-c', script],
+      Env: env,
       WorkingDir: workDir,
       HostConfig: {
-        Binds: [
-          `${process.env.HOST_BUILD_DIR ? path.join(process.env.HOST_BUILD_DIR, path.basename(outputPath)) : path.resolve(outputPath)}:/output:rw`,
-        ],
+        Binds: binds,
         Memory: config.docker.memory,
         MemorySwap: config.docker.memorySwap,
         NanoCpus: config.docker.cpus * 1e9,
-        NetworkMode: config.docker.networkDisabled ? 'none' : 'default',
+        NetworkMode: networkMode || (config.docker.networkDisabled ? 'none' : 'default'),
         AutoRemove: false,
         ReadonlyRootfs: config.docker.readonlyRootfs,
         SecurityOpt: ['no-new-privileges'],
@@ -150,27 +169,34 @@ async function executeAnchorBuild(buildId, projectPath, outputPath, anchorSubdir
       Tty: true,
     };
 
-    console.log(`[${buildId}] Creating container...`);
+    console.log(`[${buildId}] Creating container (${toolchain.id}, image ${toolchain.image})...`);
     container = await docker.createContainer(containerConfig);
 
     // Copy project files INTO container (avoids permission issues)
-    console.log(`[${buildId}] Copying project files...`);
-    const tar = require('tar');
-    const { Readable } = require('stream');
-    
-    // Create tar stream from project directory
-    const tarStream = tar.create(
-      {
-        gzip: false,
-        cwd: projectPath,
-      },
-      ['.']
-    );
-    
-    // Upload tar to container
-    await container.putArchive(tarStream, { path: '/workspace' });
+    if (projectPath) {
+      console.log(`[${buildId}] Copying project files...`);
+      const tar = require('tar');
+
+      // Create tar stream from project directory. A stale host-side target/
+      // would shadow the project's target volume, so leave it out.
+      const hostTarget = path.join('.', anchorSubdir, 'target');
+      const tarStream = tar.create(
+        {
+          gzip: false,
+          cwd: projectPath,
+          filter: (entryPath) => !excludeHostTarget || path.normalize(entryPath) !== hostTarget,
+        },
+        ['.']
+      );
+
+      // Upload tar to container
+      await container.putArchive(tarStream, { path: '/workspace' });
+      if (programKeypairs) await uploadProgramKeypairs(container, projectPath, anchorSubdir);
+    }
+
+    if (signal && signal.aborted) throw buildCancelledError();
 
-    console.log(`[${buildId}] Starting build...`);
+    console.log(`[${buildId}] Starting ${label.toLowerCase()}...`);
     
     // Attach to container for live streams BEFORE starting
     const stream = await container.attach({
@@ -183,6 +209,7 @@ async function executeAnchorBuild(buildId, projectPath, outputPath, anchorSubdir
     // Collect logs as they come
     stream.on('data', (chunk) => {
       const message = chunk.toString('utf8');
+      output.push(message);
       // Remove Docker header (first 8 bytes)
       const cleanMessage = message.length > 8 ? message.slice(8) : message;
 
@@ -214,13 +241,21 @@ async function executeAnchorBuild(buildId, projectPath, outputPath, anchorSubdir
 
     // Wait for container to finish
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Build timeout exceeded')), config.builds.timeout * 1000);
+      timeoutId = setTimeout(() => reject(new Error(`${label} timeout exceeded`)), timeout * 1000);
     });
 
-    const waitPromise = container.wait();
-    const result = await Promise.race([waitPromise, timeoutPromise]);
+    // Cancellation rejects the wait; the finally block force-removes the container
+    const racers = [container.wait(), timeoutPromise];
+    if (signal) {
+      racers.push(new Promise((_, reject) => {
+        if (signal.aborted) return reject(buildCancelledError());
+        signal.addEventListener('abort', () => reject(buildCancelledError()), { once: true });
+      }));
+    }
+
+    const result = await Promise.race(racers);
 
-    console.log(`[${buildId}] Build completed with status code: ${result.StatusCode}`);
+    console.log(`[${buildId}] ${label} completed with status code: ${result.StatusCode}`);
 
     // Get final logs if any were missed
     try {
@@ -260,6 +295,329 @@ async function executeAnchorBuild(buildId, projectPath, outputPath, anchorSubdir
       logs.stderr.push(`Log parsing error: ${logErr.message}`);
     }
 
+    return { exitCode: result.StatusCode, output: output.join('') };
+  } catch (error) {
+    // Try to get logs from failed container
+    if (container && !error.cancelled) {
+      try {
+        const errorLogs = await container.logs({ stdout: true, stderr: true });
+        const errorLogStr = errorLogs.toString('utf8');
+        logs.stderr.push(errorLogStr);
+      } catch (logErr) {
+        console.error(`[${buildId}] Failed to get error logs:`, logErr.message);
+      }
+    }
+    throw error;
+  } finally {
+    if (timeoutId) clearTimeout(timeoutId);
+
+    // Clean up container (force also kills it if still running)
+    if (container) {
+      try {
+        await container.remove({ force: true });
+        console.log(`[${buildId}] Container removed`);
+      } catch (removeErr) {
+        console.warn(`[${buildId}] Failed to remove container:`, removeErr.message);
+      }
+    }
+  }
+}
+
+/**
+ * Short read-only command for the smart-build AI's project tools
+ * (`rustc --explain`, `cargo tree`): no network, the crate mirror (cargo
+ * registry and git, not the target cache) mounted read-only when it exists,
+ * and its own timeout. Nothing from the run is kept — the project is a copy.
+ * @param {string} buildId
+ * @param {{toolchain: object, script: string, projectPath?: string, anchorSubdir?: string, timeout?: number}} options
+ * @returns {Promise<{exitCode: number, output: string}>}
+ */
+async function runToolContainer(buildId, { toolchain, script, projectPath = null, anchorSubdir = '', timeout = 60 }) {
+  let binds = [];
+  try {
+    binds = await prepareCrateMirror(toolchain.id);
+  } catch (err) {
+    console.warn(`[${buildId}] Crate mirror unavailable for tool container: ${err.message}`);
+  }
+
+  return runBuilderContainer(buildId, {
+    toolchain,
+    script,
+    workDir: anchorSubdir ? `/workspace/${anchorSubdir}` : '/workspace',
+    binds,
+    projectPath,
+    anchorSubdir,
+    excludeHostTarget: true,
+    networkMode: 'none',
+    env: ['CARGO_NET_OFFLINE=true', 'CARGO_TERM_COLOR=never'],
+    logs: { stdout: [], stderr: [] },
+    label: 'Tool',
+    timeout,
+  });
+}
+
+/**
+ * Dependency cache volumes and the project's target volume. Both are
+ * best-effort — a Docker volume error means a cold build, not a failed one —
+ * except for network-isolated builds, which get every crate from the cache
+ * volumes (even with config.cache disabled, when only the target cache is skipped).
+ * @param {string} tenant - Whose target cache to use (buildQueue's tenant)
+ * @returns {Promise<{cache: object|null, targetCache: boolean, projectTarget: string|null}>}
+ */
+async function prepareVolumes(buildId, toolchain, tenant) {
+  const isolated = config.docker.isolation.enabled;
+  let cache = null;
+  if (config.cache.enabled || isolated) {
+    try {
+      cache = await prepareBuildCache(toolchain.id, tenant);
+      console.log(`[${buildId}] Using dependency cache for toolchain ${cache.toolchain}`);
+    } catch (err) {
+      if (isolated) throw new Error(`Crate mirror unavailable: ${err.message}`);
+      console.warn(`[${buildId}] Dependency cache unavailable: ${err.message}`);
+    }
+  }
+
+  // The project's own target/ lives in a volume that outlives the container
+  let projectTarget = null;
+  if (config.builds.incremental) {
+    try {
+      projectTarget = await prepareProjectTarget(buildId);
+    } catch (err) {
+      console.warn(`[${buildId}] Project target volume unavailable: ${err.message}`);
+    }
+  }
+
+  return { cache, targetCache: !!cache && config.cache.enabled, projectTarget };
+}
+
+/**
+ * Fetch phase of any build that uses the cache volumes: `cargo fetch`
+ * downloads every dependency into the cargo registry/git volumes. Cargo runs
+ * no build scripts or proc macros here, so this is the only container that
+ * may write to them — no project code runs in it. Network-isolated builds
+ * fetch over config.docker.isolation.fetchNetwork; fetchProxy applies to both.
+ * @returns {Promise<number>} cargo's exit code
+ */
+async function fetchDependencies(buildId, { toolchain, workDir, cache, projectPath, anchorSubdir, logs, onLogUpdate, signal }) {
+  const { fetchProxy } = config.docker.isolation;
+  // Isolated builds have a fetch network or proxy (checked at startup)
+  const fetchNetwork = (config.docker.isolation.enabled && config.docker.isolation.fetchNetwork) || 'default';
+  const env = fetchProxy
+    ? [`HTTPS_PROXY=${fetchProxy}`, `HTTP_PROXY=${fetchProxy}`, `CARGO_HTTP_PROXY=${fetchProxy}`]
+    : [];
+
+  const script = `
+        export CARGO_TERM_COLOR=never
+        export CARGO_REGISTRIES_CRATES_IO_PROTOCOL=sparse
+
+        if [ ! -d "programs" ] && [ -d "ml" ]; then
+          mkdir -p programs && mv ml programs/ml ;
+        fi ;
+        echo "=== Fetching dependencies (network: ${fetchNetwork}${fetchProxy ? ', proxied' : ''}) ===" &&
+        cargo fetch 2>&1 ;
+        FETCH_EXIT=$? ;
+        echo "=== Fetch exited with code: $FETCH_EXIT ===" ;
+        exit $FETCH_EXIT
+      `;
+
+  const { exitCode } = await runBuilderContainer(buildId, {
+    toolchain,
+    script,
+    workDir,
+    binds: cache.fetchBinds,
+    projectPath,
+    anchorSubdir,
+    excludeHostTarget: true,
+    networkMode: fetchNetwork,
+    env,
+    logs,
+    onLogUpdate,
+    signal,
+    label: 'Fetch',
+  });
+  return exitCode;
+}
+
+/**
+ * Container settings for the build/test phase. With the cache volumes, cargo
+ * works offline from the read-only registry the fetch phase filled; with
+ * isolation on, the container has no network at all.
+ */
+function phaseSettings(cache, targetCache) {
+  if (!cache) return { cacheBinds: [], networkMode: null, env: [] };
+  return {
+    cacheBinds: targetCache ? cache.binds : cache.mirrorBinds,
+    networkMode: config.docker.isolation.enabled ? 'none' : null,
+    env: ['CARGO_NET_OFFLINE=true'],
+  };
+}
+
+// Result for a build whose fetch phase failed
+function fetchFailedResult(exitCode, logs, toolchain) {
+  return {
+    success: false,
+    exitCode,
+    error: 'Dependency fetch failed',
+    logs: {
+      stdout: logs.stdout.join(''),
+      stderr: logs.stderr.join(''),
+    },
+    toolchain: toolchain.id,
+  };
+}
+
+// Result for a run that threw: cancelled, timed out or Docker failed
+function failedRunResult(buildId, error, logs, label) {
+  if (error.cancelled) {
+    console.log(`[${buildId}] ${label} cancelled — stopping container`);
+    return {
+      success: false,
+      cancelled: true,
+      error: error.message,
+      logs: {
+        stdout: logs.stdout.join(''),
+        stderr: logs.stderr.join('') + `\n\n${label} cancelled by user`,
+      },
+    };
+  }
+
+  console.error(`[${buildId}] ${label} error:`, error.message);
+  return {
+    success: false,
+    error: error.message,
+    logs: {
+      stdout: logs.stdout.join(''),
+      stderr: logs.stderr.join('') + `\n\nFatal error: ${error.message}`,
+    },
+  };
+}
+
+/**
+ * Run `anchor build` in a fresh container
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting stops and removes the container
+ * @param {string} [options.tenant] - Whose target cache to use (buildQueue's tenant)
+ * @param {object} [options.toolchain] - From toolchains.resolveToolchain(); default toolchain if omitted
+ * @returns {Promise<object>} { success, exitCode, logs, outputPath, cache, diagnostics, toolchain } —
+ *   diagnostics from diagnostics.readDiagnostics(), null if nothing was compiled; or
+ *   { success: false, cancelled: true, ... } when the signal fired
+ */
+async function executeAnchorBuild(buildId, projectPath, outputPath, anchorSubdir = '', onLogUpdate = null, { signal = null, toolchain = null, tenant = 'anonymous' } = {}) {
+  toolchain = toolchain || getDefaultToolchain();
+  const logs = { stdout: [], stderr: [] };
+
+  try {
+    if (signal && signal.aborted) throw buildCancelledError();
+
+    await fs.mkdir(outputPath, { recursive: true });
+    
+    // Determine working directory (where Anchor.toml is)
+    const workDir = anchorSubdir ? `/workspace/${anchorSubdir}` : '/workspace';
+    console.log(`[${buildId}] Working directory in container: ${workDir}`);
+
+    const { cache, targetCache, projectTarget } = await prepareVolumes(buildId, toolchain, tenant);
+
+    if (cache) {
+      const fetchExit = await fetchDependencies(buildId, {
+        toolchain, workDir, cache, projectPath, anchorSubdir, logs, onLogUpdate, signal,
+      });
+      if (fetchExit !== 0) return { ...fetchFailedResult(fetchExit, logs, toolchain), outputPath, cache: null };
+    }
+    const { cacheBinds, networkMode, env } = phaseSettings(cache, targetCache);
+
+    const script = `
+        export CARGO_TERM_VERBOSE=true
+        export RUST_BACKTRACE=1
+        export CARGO_INCREMENTAL=0
+        export CARGO_TERM_COLOR=always
+        export RUST_LOG=info
+${PROGRAM_KEYPAIRS_RESTORE}
+        echo "=== Anchor Compiler Service ===" &&
+        anchor --version &&
+        solana --version &&
+        cargo-build-sbf --version 2>/dev/null || echo "cargo-build-sbf not found, using cargo-build-bpf" &&
+        echo "=== Project Structure ===" &&
+        ls -la &&
+        echo "=== Looking for program directories ===" &&
+        ls -la programs/ 2>/dev/null || echo "No programs/ dir" &&
+        ls -la ml/ 2>/dev/null || echo "No ml/ dir" &&
+        echo "=== Fixing structure if needed ===" &&
+        if [ ! -d "programs" ] && [ -d "ml" ]; then
+          echo "Creating programs/ and moving ml into it..." &&
+          mkdir -p programs &&
+          mv ml programs/ml &&
+          ls -la programs/
+        fi &&
+        echo "=== Anchor.toml ===" &&
+        cat Anchor.toml 2>/dev/null || echo "No Anchor.toml" &&${targetCache ? `${TARGET_CACHE_RESTORE} &&` : ''}${DIAGNOSTICS_CAPTURE} &&
+        echo "=== Running Anchor Build (this may take 3-7 minutes) ===" &&
+        anchor build 2>&1;
+        BUILD_EXIT=$?;${DIAGNOSTICS_SAVE}
+        echo "=== Build exited with code: $BUILD_EXIT ===" ;
+        if [ $BUILD_EXIT -ne 0 ]; then
+          echo "=== BUILD FAILED ===" ;
+          exit $BUILD_EXIT ;
+        fi ;
+        echo "=== Build Complete ===" &&
+        echo "=== Target Directory ===" &&
+        ls -la target/ &&
+        echo "=== Deploy Directory ===" &&
+        ls -la target/deploy/ 2>/dev/null || echo "No deploy directory found!" &&
+        echo "=== IDL Directory ===" &&
+        ls -la target/idl/ 2>/dev/null || echo "No idl directory found!" &&
+        if [ ! -d "target/deploy" ] || [ -z "$(ls -A target/deploy/*.so 2>/dev/null)" ]; then
+          echo "=== NO .so ARTIFACTS FOUND - BUILD FAILED ===" ;
+          exit 1 ;
+        fi ;
+        echo "=== Copying Artifacts ===" &&
+        mkdir -p /output/target/deploy /output/target/idl /output/target/types &&
+        cp -v target/deploy/*.so /output/target/deploy/ 2>/dev/null || true &&
+        cp -v target/deploy/*-keypair.json /output/target/deploy/ 2>/dev/null || true &&
+        cp -v target/idl/*.json /output/target/idl/ 2>/dev/null || true &&
+        cp -v target/types/*.ts /output/target/types/ 2>/dev/null || true &&
+        chmod -R a+rX /output/target/ &&
+        echo "=== Artifacts Copied ===" &&
+        rm -f target/deploy/*-keypair.json${targetCache ? ` &&${TARGET_CACHE_SAVE}` : ''}
+      `;
+
+    const { exitCode } = await runBuilderContainer(buildId, {
+      toolchain,
+      script,
+      workDir,
+      binds: [
+        outputBind(outputPath),
+        ...cacheBinds,
+        ...(projectTarget ? [`${projectTarget}:${workDir}/target:rw`] : []),
+      ],
+      projectPath,
+      anchorSubdir,
+      excludeHostTarget: !!projectTarget,
+      programKeypairs: true,
+      networkMode,
+      env,
+      logs,
+      onLogUpdate,
+      signal,
+    });
+
+    // Streamed output is verbose cargo output — count what the caches saved
+    const cacheMetrics = targetCache ? parseCacheMetrics(logs.stdout.join(''), cache.toolchain) : null;
+    if (cacheMetrics) {
+      const { fresh, compiled, downloaded } = cacheMetrics.crates;
+      console.log(`[${buildId}] Cache: target ${cacheMetrics.target || 'n/a'}, ${fresh} fresh / ${compiled} compiled / ${downloaded} downloaded`);
+    }
+
+    let diagnostics = null;
+    try {
+      diagnostics = await readDiagnostics(outputPath, { workspaceDir: anchorSubdir });
+      if (diagnostics) {
+        const errors = errorDiagnostics(diagnostics).length;
+        console.log(`[${buildId}] Diagnostics: ${errors} error(s), ${diagnostics.length - errors} warning(s)`);
+      }
+    } catch (err) {
+      console.warn(`[${buildId}] Could not read diagnostics: ${err.message}`);
+    }
+
     // Log what's in output directory
     try {
       const outputContents = await fs.readdir(outputPath);
@@ -269,47 +627,133 @@ async function executeAnchorBuild(buildId, projectPath, outputPath, anchorSubdir
     }
 
     return {
-      success: result.StatusCode === 0,
-      exitCode: result.StatusCode,
+      success: exitCode === 0,
+      exitCode,
       logs: {
         stdout: logs.stdout.join(''),
         stderr: logs.stderr.join(''),
       },
       outputPath,
+      cache: cacheMetrics,
+      diagnostics,
+      toolchain: toolchain.id,
     };
 
   } catch (error) {
-    console.error(`[${buildId}] Build error:`, error.message);
-    
-    // Try to get logs from failed container
-    if (container) {
-      try {
-        const errorLogs = await container.logs({ stdout: true, stderr: true });
-        const errorLogStr = errorLogs.toString('utf8');
-        logs.stderr.push(errorLogStr);
-      } catch (logErr) {
-        console.error(`[${buildId}] Failed to get error logs:`, logErr.message);
-      }
+    return failedRunResult(buildId, error, logs, 'Build');
+  }
+}
+
+const TEST_PHASE_MARKER = '=== Running Anchor Test ===';
+
+/**
+ * Run `anchor test` in a fresh container: the workspace is built once, then
+ * `anchor test --skip-build` starts a local solana-test-validator inside the
+ * container, deploys the programs and runs the project's test script.
+ *
+ * Program keypairs the project was uploaded with are used; others are never
+ * kept between runs, so fresh ones are generated. Either way `anchor keys
+ * sync` points declare_id!/Anchor.toml at them before the build — in the
+ * container's copy only. Test dependencies (node_modules) are installed when
+ * the project has a package.json but no node_modules — except with network
+ * isolation on, where tests run offline like builds.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting stops and removes the container
+ * @param {string} [options.tenant] - Whose target cache to use (buildQueue's tenant)
+ * @param {object} [options.toolchain] - From toolchains.resolveToolchain(); default toolchain if omitted
+ * @returns {Promise<object>} { success, exitCode, logs, results, toolchain } — results from
+ *   testResults.parseTestResults(); or { success: false, cancelled: true, ... } when the signal fired
+ */
+async function executeAnchorTest(buildId, projectPath, anchorSubdir = '', onLogUpdate = null, { signal = null, toolchain = null, tenant = 'anonymous' } = {}) {
+  toolchain = toolchain || getDefaultToolchain();
+  const logs = { stdout: [], stderr: [] };
+
+  try {
+    if (signal && signal.aborted) throw buildCancelledError();
+
+    const workDir = anchorSubdir ? `/workspace/${anchorSubdir}` : '/workspace';
+    const { cache, targetCache, projectTarget } = await prepareVolumes(buildId, toolchain, tenant);
+    const isolated = config.docker.isolation.enabled;
+
+    if (cache) {
+      const fetchExit = await fetchDependencies(buildId, {
+        toolchain, workDir, cache, projectPath, anchorSubdir, logs, onLogUpdate, signal,
+      });
+      if (fetchExit !== 0) return { ...fetchFailedResult(fetchExit, logs, toolchain), results: parseTestResults('') };
     }
-    
+    const { cacheBinds, networkMode, env } = phaseSettings(cache, targetCache);
+
+    // Offline test containers can't install node_modules — it must be uploaded
+    const installDeps = isolated
+      ? `if [ -f package.json ] && [ ! -d node_modules ]; then
+          echo "=== node_modules missing: test dependencies can't be installed with network isolation on ===" ;
+        fi ;`
+      : `if [ -f package.json ] && [ ! -d node_modules ]; then
+          echo "=== Installing test dependencies ===" &&
+          if [ -f yarn.lock ]; then yarn install --frozen-lockfile --non-interactive 2>&1 ;
+          else npm install --no-audit --no-fund 2>&1 ; fi ;
+        fi ;`;
+
+    const script = `
+        export RUST_BACKTRACE=1
+        export CARGO_INCREMENTAL=0
+        export CARGO_TERM_COLOR=never
+${PROGRAM_KEYPAIRS_RESTORE}
+        echo "=== Anchor Test Runner ===" &&
+        anchor --version &&
+        solana --version &&
+        if [ ! -f "$HOME/.config/solana/id.json" ]; then
+          mkdir -p "$HOME/.config/solana" &&
+          solana-keygen new --no-bip39-passphrase --silent --force -o "$HOME/.config/solana/id.json" >/dev/null ;
+        fi &&
+        ${installDeps}${targetCache ? `${TARGET_CACHE_RESTORE} ;` : ''}
+        anchor keys sync 2>&1 &&
+        echo "=== Building programs ===" &&
+        anchor build 2>&1 &&
+        echo "${TEST_PHASE_MARKER}" &&
+        anchor test --skip-build --provider.cluster localnet --provider.wallet "$HOME/.config/solana/id.json" 2>&1 ;
+        TEST_EXIT=$? ;
+        echo "=== Tests exited with code: $TEST_EXIT ===" ;
+        rm -f target/deploy/*-keypair.json ;
+        exit $TEST_EXIT
+      `;
+
+    const { exitCode, output } = await runBuilderContainer(buildId, {
+      toolchain,
+      script,
+      workDir,
+      binds: [
+        ...cacheBinds,
+        ...(projectTarget ? [`${projectTarget}:${workDir}/target:rw`] : []),
+      ],
+      projectPath,
+      anchorSubdir,
+      excludeHostTarget: !!projectTarget,
+      programKeypairs: true,
+      networkMode,
+      env,
+      logs,
+      onLogUpdate,
+      signal,
+      label: 'Test',
+    });
+
+    const markerAt = output.indexOf(TEST_PHASE_MARKER);
+    const results = parseTestResults(markerAt === -1 ? '' : output.slice(markerAt));
+    console.log(`[${buildId}] Tests: ${results.passed} passing, ${results.failed} failing, ${results.pending} pending`);
+
     return {
-      success: false,
-      error: error.message,
+      success: exitCode === 0 && results.failed === 0,
+      exitCode,
       logs: {
         stdout: logs.stdout.join(''),
-        stderr: logs.stderr.join('') + `\n\nFatal error: ${error.message}`,
+        stderr: logs.stderr.join(''),
       },
+      results,
+      toolchain: toolchain.id,
     };
-  } finally {
-    // Clean up container
-    if (container) {
-      try {
-        await container.remove({ force: true });
-        console.log(`[${buildId}] Container removed`);
-      } catch (removeErr) {
-        console.warn(`[${buildId}] Failed to remove container:`, removeErr.message);
-      }
-    }
+  } catch (error) {
+    return failedRunResult(buildId, error, logs, 'Test');
   }
 }
 
@@ -345,5 +789,7 @@ async function verifyDockerImage() {
 
 module.exports = {
   executeAnchorBuild,
+  executeAnchorTest,
+  runToolContainer,
   verifyDockerImage,
 };
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { diffFile, applyHunks } = require('./diff');
+
+/**
+ * Review mode for smart-build fixes.
+ *
+ * Instead of writing an iteration's fixes, smartBuild() calls requestReview(),
+ * which holds them as unified diffs and waits. The reviewer answers each hunk
+ * with approve, reject or edit (POST /compile/:buildId/review or a `review`
+ * WebSocket message → submitReview()), and the loop resumes with the files
+ * rebuilt from those decisions. Unanswered hunks get the review's `default`
+ * (reject unless given).
+ *
+ * Pending reviews live in memory: a restart interrupts the build anyway.
+ */
+
+const HunkDecision = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  EDIT: 'edit',
+};
+
+const pendingReviews = new Map(); // buildId → review
+
+function reviewError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// What the reviewer sees (no resolve functions or full file texts)
+function publicView(review) {
+  return {
+    reviewId: review.id,
+    iteration: review.iteration,
+    analysis: review.analysis,
+    requestedAt: review.requestedAt,
+    expiresAt: review.expiresAt,
+    fixes: review.files.map(({ diff, action }) => ({ action, ...diff })),
+  };
+}
+
+/**
+ * Hold an iteration's fixes for review
+ * @param {string} buildId
+ * @param {{iteration: number, analysis?: string,
+ *   fixes: Array<{path: string, action: string, oldContent: string|null, content: string}>}} proposal
+ * @param {{signal?: AbortSignal, onRequested?: Function}} [options] - onRequested gets the public view
+ * @returns {Promise<{status: 'reviewed'|'timeout'|'cancelled',
+ *   files?: Array<{path: string, oldContent: string|null, content: string, approved: number, rejected: number, edited: number}>}>}
+ *   For 'reviewed', files holds each fix with at least one approved or edited hunk
+ */
+function requestReview(buildId, { iteration, analysis = '', fixes }, { signal = null, onRequested } = {}) {
+  if (pendingReviews.has(buildId)) {
+    throw reviewError('A review is already pending for this build', 409);
+  }
+
+  const timeoutMs = config.smartBuild.reviewTimeout * 1000;
+  const files = fixes
+    .map(fix => ({ ...fix, diff: diffFile(fix.path, fix.oldContent, fix.content) }))
+    .filter(file => file.diff.hunks.length > 0);
+
+  return new Promise((resolve) => {
+    const review = {
+      id: crypto.randomUUID(),
+      buildId,
+      iteration,
+      analysis,
+      files,
+      requestedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + timeoutMs).toISOString(),
+    };
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      pendingReviews.delete(buildId);
+      resolve(result);
+    };
+    const onAbort = () => finish({ status: 'cancelled' });
+    const timer = setTimeout(() => {
+      console.log(`[${buildId}] Fix review ${review.id} timed out`);
+      finish({ status: 'timeout' });
+    }, timeoutMs);
+
+    review.finish = finish;
+    pendingReviews.set(buildId, review);
+
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort);
+    }
+    console.log(`[${buildId}] Fix review ${review.id}: ${files.length} file(s), waiting for decisions`);
+    if (onRequested) onRequested(publicView(review));
+  });
+}
+
+/**
+ * The build's pending review, or null
+ */
+function getPendingReview(buildId) {
+  const review = pendingReviews.get(buildId);
+  return review ? publicView(review) : null;
+}
+
+// Decision for each hunk of one file: explicit entries, else the default
+function hunkDecisions(file, entries, fallback) {
+  const byHunk = new Map();
+  for (const entry of entries) {
+    const hunks = entry.hunk === undefined || entry.hunk === null
+      ? file.diff.hunks.map(h => h.index)
+      : [entry.hunk];
+    for (const index of hunks) {
+      if (!Number.isInteger(index) || !file.diff.hunks[index]) {
+        throw reviewError(`${file.path} has no hunk ${entry.hunk}`);
+      }
+      byHunk.set(index, entry);
+    }
+  }
+
+  return (index) => {
+    const entry = byHunk.get(index);
+    const decision = entry ? entry.decision : fallback;
+    if (decision === HunkDecision.EDIT) return { content: entry.content };
+    return decision;
+  };
+}
+
+function checkDecisionEntry(entry, paths) {
+  if (!entry || typeof entry !== 'object') {
+    throw reviewError('Each decision must be an object');
+  }
+  if (!paths.has(entry.path)) {
+    throw reviewError(`'${entry.path}' is not part of this review`);
+  }
+  if (!Object.values(HunkDecision).includes(entry.decision)) {
+    throw reviewError(`decision must be one of: ${Object.values(HunkDecision).join(', ')}`);
+  }
+  if (entry.decision === HunkDecision.EDIT) {
+    if (entry.hunk === undefined || entry.hunk === null) {
+      throw reviewError(`An edit needs the hunk it replaces (${entry.path})`);
+    }
+    if (typeof entry.content !== 'string') {
+      throw reviewError(`An edit needs content: the text for every line the hunk covers (${entry.path})`);
+    }
+  }
+}
+
+/**
+ * Answer a pending review. Resumes the smart build.
+ * @param {string} buildId
+ * @param {{reviewId: string, decisions?: Array<{path: string, hunk?: number,
+ *   decision: 'approve'|'reject'|'edit', content?: string}>, default?: 'approve'|'reject'}} answer
+ *   An entry without `hunk` applies to every hunk of the file
+ * @returns {{reviewId: string, files: Array<{path: string, approved: number, rejected: number, edited: number}>}}
+ * @throws {Error} 404 no pending review, 409 stale reviewId, 400 invalid decisions
+ */
+function submitReview(buildId, { reviewId, decisions = [], default: fallback = HunkDecision.REJECT } = {}) {
+  const review = pendingReviews.get(buildId);
+  if (!review) {
+    throw reviewError('No fix review is pending for this build', 404);
+  }
+  if (reviewId !== review.id) {
+    throw reviewError(`reviewId does not match the pending review (${review.id})`, 409);
+  }
+  if (!Array.isArray(decisions)) {
+    throw reviewError('decisions must be an array');
+  }
+  if (![HunkDecision.APPROVE, HunkDecision.REJECT].includes(fallback)) {
+    throw reviewError("default must be 'approve' or 'reject'");
+  }
+
+  const paths = new Set(review.files.map(file => file.path));
+  decisions.forEach(entry => checkDecisionEntry(entry, paths));
+
+  const results = review.files.map((file) => {
+    const decide = hunkDecisions(file, decisions.filter(entry => entry.path === file.path), fallback);
+    const counts = { approved: 0, rejected: 0, edited: 0 };
+    for (const hunk of file.diff.hunks) {
+      const decision = decide(hunk.index);
+      if (decision === HunkDecision.APPROVE) counts.approved++;
+      else if (decision === HunkDecision.REJECT) counts.rejected++;
+      else counts.edited++;
+    }
+    return {
+      path: file.path,
+      oldContent: file.oldContent,
+      content: applyHunks(file.oldContent, file.content, decide),
+      ...counts,
+    };
+  });
+
+  console.log(`[${buildId}] Fix review ${review.id} answered: ${results.map(r => `${r.path} (+${r.approved} -${r.rejected} ~${r.edited})`).join(', ')}`);
+  review.finish({
+    status: 'reviewed',
+    files: results.filter(result => result.approved + result.edited > 0),
+  });
+
+  return {
+    reviewId: review.id,
+    files: results.map(({ path, approved, rejected, edited }) => ({ path, approved, rejected, edited })),
+  };
+}
+
+module.exports = {
+  HunkDecision,
+  requestReview,
+  getPendingReview,
+  submitReview,
+};
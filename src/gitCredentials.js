@@ -0,0 +1,286 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('./config');
+const { runQuery, getOne, getAll } = require('./db');
+const { tokenUsername } = require('./gitSource');
+
+/**
+ * Per-agent credentials for private git repositories, one per host.
+ *
+ *   token      — a deploy token / personal access token, stored encrypted
+ *                (AES-256-GCM under GIT_CREDENTIALS_KEY)
+ *   github_app — a GitHub App installation ID; a short-lived, read-only
+ *                installation token is minted for each clone with the app's
+ *                private key (GITHUB_APP_ID / GITHUB_APP_PRIVATE_KEY_PATH).
+ *                Installation IDs are guessable, so one is only stored once a
+ *                user access token for the app shows that user can reach it
+ *
+ * Secrets never leave this module except as the auth handed to
+ * gitSource.cloneRepository; listings only show host, kind and username.
+ */
+
+const CredentialKind = {
+  TOKEN: 'token',
+  GITHUB_APP: 'github_app',
+};
+
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9.-]*[a-z0-9])?(:\d{1,5})?$/;
+const MAX_TOKEN_LENGTH = 1024;
+
+// Installation tokens are valid for an hour; reuse them until shortly before expiry
+const installationTokens = new Map(); // installationId → { token, expiresAt }
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function credentialError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function normalizeHost(host) {
+  const normalized = String(host || '').trim().toLowerCase().replace(/^www\./, '');
+  if (!HOST_PATTERN.test(normalized)) {
+    throw credentialError(`Invalid host '${host}'. Use the bare host name, e.g. github.com`);
+  }
+  return normalized;
+}
+
+function encryptionKey() {
+  const hex = config.git.credentialsKey;
+  if (!hex) {
+    throw credentialError('Git credential storage is not configured on this server', 503);
+  }
+  if (!/^[0-9a-f]{64}$/i.test(hex)) {
+    throw credentialError('GIT_CREDENTIALS_KEY must be 32 bytes of hex (openssl rand -hex 32)', 500);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (
+    typeof part === 'string' ? part : part.toString('base64')
+  )).join(':');
+}
+
+function decryptSecret(stored) {
+  const [version, iv, tag, ciphertext] = stored.split(':');
+  if (version !== 'v1') throw new Error('Unknown git credential format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function rowToCredential(row) {
+  return {
+    host: row.host,
+    kind: row.kind,
+    username: row.username || undefined,
+    installationId: row.installation_id || undefined,
+    installationAccount: row.installation_account || undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function githubAppConfigured() {
+  const { appId, privateKeyPath } = config.git.githubApp;
+  return !!(appId && privateKeyPath);
+}
+
+function githubHeaders(authorization) {
+  return {
+    Authorization: authorization,
+    Accept: 'application/vnd.github+json',
+    'User-Agent': 'opencompiler',
+    'X-GitHub-Api-Version': '2022-11-28',
+  };
+}
+
+/**
+ * Check that the user behind `userToken` — a user access token for this
+ * server's GitHub App — has access to the installation
+ * (GET /user/installations lists exactly those).
+ * @returns {Promise<string>} The account (user or org) the app is installed on
+ * @throws {Error} 403 if the token is rejected or doesn't reach the installation
+ */
+async function verifyInstallationAccess(installationId, userToken) {
+  const { appId } = config.git.githubApp;
+  for (let page = 1; page <= 10; page++) {
+    const response = await fetch(`${config.git.githubApiUrl}/user/installations?per_page=100&page=${page}`, {
+      headers: githubHeaders(`Bearer ${userToken}`),
+      signal: AbortSignal.timeout(15000),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401 || response.status === 403) {
+      throw credentialError(`GitHub rejected github_token (${response.status}): ${data.message || 'unauthorized'}`, 403);
+    }
+    if (!response.ok || !Array.isArray(data.installations)) {
+      throw credentialError(`GitHub installation lookup failed (${response.status}): ${data.message || 'unexpected response'}`, 502);
+    }
+
+    const match = data.installations.find(inst => (
+      String(inst.id) === installationId && String(inst.app_id) === String(appId)
+    ));
+    if (match) return (match.account && match.account.login) || 'unknown';
+    if (data.installations.length < 100) break;
+  }
+  throw credentialError(`Installation ${installationId} of this server's GitHub App is not accessible with github_token`, 403);
+}
+
+/**
+ * Store (or replace) an agent's credential for a host
+ * @param {string} agentId
+ * @param {object} credential
+ * @param {string} credential.host
+ * @param {string} [credential.token] - Deploy/access token for the host
+ * @param {string} [credential.username] - Basic-auth username to go with the token
+ * @param {string|number} [credential.installationId] - GitHub App installation ID
+ * @param {string} [credential.githubToken] - With installationId: a user access token for this
+ *   server's GitHub App, from a user with access to the installation. Checked, never stored
+ * @returns {Promise<object>} The stored credential, without the secret
+ */
+async function setGitCredential(agentId, { host, token, username, installationId, githubToken }) {
+  const normalizedHost = normalizeHost(host);
+  let kind;
+  let secret = null;
+  let installation = null;
+  let installationAccount = null;
+
+  if (installationId !== undefined && installationId !== null) {
+    if (normalizedHost !== 'github.com') {
+      throw credentialError('GitHub App installations can only be used for github.com');
+    }
+    if (!githubAppConfigured()) {
+      throw credentialError('No GitHub App is configured on this server', 503);
+    }
+    if (!/^\d{1,20}$/.test(String(installationId))) {
+      throw credentialError('installation_id must be a numeric GitHub App installation ID');
+    }
+    if (typeof githubToken !== 'string' || !githubToken.trim() || githubToken.length > MAX_TOKEN_LENGTH) {
+      const { clientId } = config.git.githubApp;
+      throw credentialError(
+        'github_token is required with installation_id: a GitHub user access token for this server\'s GitHub App' +
+        `${clientId ? ` (client ID ${clientId}, e.g. from the device flow)` : ''}, from a user with access to the installation`
+      );
+    }
+    kind = CredentialKind.GITHUB_APP;
+    installation = String(installationId);
+    installationAccount = await verifyInstallationAccess(installation, githubToken.trim());
+  } else {
+    if (typeof token !== 'string' || !token.trim() || token.length > MAX_TOKEN_LENGTH) {
+      throw credentialError('token is required (a deploy token or access token for this host)');
+    }
+    if (username !== undefined && (typeof username !== 'string' || !/^[\w.@+-]{1,100}$/.test(username))) {
+      throw credentialError('Invalid username');
+    }
+    kind = CredentialKind.TOKEN;
+    secret = encryptSecret(token.trim());
+  }
+
+  const now = new Date().toISOString();
+  await runQuery(
+    `INSERT INTO agent_git_credentials (agent_id, host, kind, username, secret, installation_id, installation_account,
+       created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(agent_id, host) DO UPDATE SET
+       kind = excluded.kind, username = excluded.username, secret = excluded.secret,
+       installation_id = excluded.installation_id, installation_account = excluded.installation_account,
+       updated_at = excluded.updated_at`,
+    [agentId, normalizedHost, kind, kind === CredentialKind.TOKEN ? (username || null) : null, secret, installation,
+      installationAccount, now, now]
+  );
+
+  const row = await getOne(
+    `SELECT * FROM agent_git_credentials WHERE agent_id = ? AND host = ?`,
+    [agentId, normalizedHost]
+  );
+  return rowToCredential(row);
+}
+
+async function listGitCredentials(agentId) {
+  const rows = await getAll(
+    `SELECT * FROM agent_git_credentials WHERE agent_id = ? ORDER BY host`,
+    [agentId]
+  );
+  return rows.map(rowToCredential);
+}
+
+/**
+ * @returns {Promise<boolean>} Whether a credential was removed
+ */
+async function deleteGitCredential(agentId, host) {
+  const result = await runQuery(
+    `DELETE FROM agent_git_credentials WHERE agent_id = ? AND host = ?`,
+    [agentId, normalizeHost(host)]
+  );
+  return result.changes > 0;
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+// App JWT (RS256), valid for 9 minutes; backdated for clock drift
+function githubAppJwt() {
+  const { appId, privateKeyPath } = config.git.githubApp;
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + 540, iss: String(appId) }));
+  const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+async function mintInstallationToken(installationId) {
+  const cached = installationTokens.get(installationId);
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+  if (!githubAppConfigured()) {
+    throw credentialError('No GitHub App is configured on this server', 503);
+  }
+
+  const response = await fetch(`${config.git.githubApiUrl}/app/installations/${installationId}/access_tokens`, {
+    method: 'POST',
+    headers: githubHeaders(`Bearer ${githubAppJwt()}`),
+    // Clones only need to read repository contents
+    body: JSON.stringify({ permissions: { contents: 'read' } }),
+    signal: AbortSignal.timeout(15000),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.token) {
+    throw credentialError(`GitHub App installation token request failed (${response.status}): ${data.message || 'no token returned'}`, 502);
+  }
+
+  installationTokens.set(installationId, { token: data.token, expiresAt: new Date(data.expires_at).getTime() });
+  return data.token;
+}
+
+/**
+ * Auth for cloning from a host with an agent's stored credential
+ * @returns {Promise<{username: string, token: string}|null>} null if the agent has none for this host
+ */
+async function resolveGitAuth(agentId, host) {
+  if (!agentId) return null;
+  const row = await getOne(
+    `SELECT * FROM agent_git_credentials WHERE agent_id = ? AND host = ?`,
+    [agentId, normalizeHost(host)]
+  );
+  if (!row) return null;
+
+  if (row.kind === CredentialKind.GITHUB_APP) {
+    return { username: 'x-access-token', token: await mintInstallationToken(row.installation_id) };
+  }
+  return { username: row.username || tokenUsername(row.host), token: decryptSecret(row.secret) };
+}
+
+module.exports = {
+  CredentialKind,
+  setGitCredential,
+  listGitCredentials,
+  deleteGitCredential,
+  resolveGitAuth,
+};
@@ -0,0 +1,261 @@
+const net = require('net');
+const dns = require('dns').promises;
+const { execFile } = require('child_process');
+const util = require('util');
+const config = require('./config');
+const { isBlockedAddress } = require('./safeFetch');
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Git repository sources for /compile/github and agent builds.
+ *
+ * Any https git host works (GitHub, GitLab, Bitbucket, self-hosted). Web UI
+ * links to a branch or folder are understood for the big three:
+ *
+ *   https://github.com/owner/repo/tree/<ref>/<subfolder>
+ *   https://gitlab.com/group/repo/-/tree/<ref>/<subfolder>
+ *   https://bitbucket.org/owner/repo/src/<ref>/<subfolder>
+ *
+ * A ref can be a branch, a tag or a full 40-character commit SHA. git runs
+ * through execFile (no shell) and private-repo tokens are handed to it as an
+ * Authorization header in environment config, so they never appear in the
+ * clone URL, the process list or .git/config.
+ *
+ * A clone must not reach into the server's own network: the host is resolved
+ * first and every address checked with safeFetch's blocklist, then git is
+ * pinned to exactly those addresses (http.curloptResolve, git >= 2.37) and
+ * doesn't follow redirects, so neither a rebinding DNS answer nor a redirect
+ * can point it elsewhere.
+ */
+
+const COMMIT_SHA = /^[0-9a-f]{40}$/i;
+// Branch and tag names: git check-ref-format rules, minus the obscure corners
+const REF_NAME = /^[A-Za-z0-9_][A-Za-z0-9._\/-]*$/;
+const MAX_REF_LENGTH = 255;
+
+// Usernames that go with a bare token in HTTP basic auth, per host
+const TOKEN_USERNAMES = {
+  'github.com': 'x-access-token',
+  'gitlab.com': 'oauth2',
+  'bitbucket.org': 'x-token-auth',
+};
+
+function gitSourceError(message, code) {
+  const err = new Error(message);
+  err.status = 400;
+  if (code) err.code = code;
+  return err;
+}
+
+function isCommitSha(ref) {
+  return COMMIT_SHA.test(ref || '');
+}
+
+/**
+ * Check a branch, tag or commit SHA before it goes anywhere near git
+ * @throws {Error} status 400
+ */
+function validateRef(ref) {
+  const valid = typeof ref === 'string'
+    && ref.length <= MAX_REF_LENGTH
+    && REF_NAME.test(ref)
+    && !ref.includes('..')
+    && !ref.includes('//')
+    && !ref.endsWith('/')
+    && !ref.endsWith('.')
+    && !ref.endsWith('.lock');
+  if (!valid) {
+    throw gitSourceError(`Invalid ref '${ref}'. Use a branch, tag or full commit SHA.`);
+  }
+  return ref;
+}
+
+function bareHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Resolve the repository host and require every address to be public
+ * @returns {Promise<string|null>} A curl resolve entry (`host:port:addr[,addr]`) pinning the
+ *   clone to them; null for an IP address, which needs no pinning
+ * @throws {Error} status 400
+ */
+async function resolvePublicHost(cloneUrl) {
+  const url = new URL(cloneUrl);
+  const hostname = bareHostname(url);
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) throw gitSourceError(`Repository host '${hostname}' is not allowed`);
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = (await dns.lookup(hostname, { all: true, verbatim: true })).map(a => a.address);
+  } catch (err) {
+    throw gitSourceError(`Could not resolve repository host '${hostname}' (${err.code || err.message})`, 'clone_failed');
+  }
+
+  const blocked = addresses.find(address => isBlockedAddress(address));
+  if (blocked) {
+    throw gitSourceError(`Repository host '${hostname}' resolves to a non-public address (${blocked})`);
+  }
+  const pinned = addresses.map(address => (net.isIPv6(address) ? `[${address}]` : address));
+  return `${url.hostname}:${url.port || 443}:${pinned.join(',')}`;
+}
+
+function decodeSegments(segments) {
+  return segments.map((segment) => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      throw gitSourceError('Invalid repository URL');
+    }
+  });
+}
+
+/**
+ * Parse a repository URL (optionally a web UI link to a branch/folder)
+ * @param {string} repoUrl
+ * @returns {{cloneUrl: string, host: string, ref: string|null, subfolder: string}}
+ * @throws {Error} status 400
+ */
+function parseRepoUrl(repoUrl) {
+  let url;
+  try {
+    url = new URL(repoUrl);
+  } catch {
+    throw gitSourceError('Invalid repository URL');
+  }
+  if (url.protocol !== 'https:') {
+    throw gitSourceError('Repository URL must use https://');
+  }
+  if (url.username || url.password) {
+    throw gitSourceError('Repository URL must not contain credentials. Store a token with PUT /api/v1/git-credentials instead.');
+  }
+  // Host names are checked when they are resolved, right before cloning
+  const hostname = bareHostname(url);
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw gitSourceError(`Repository host '${hostname}' is not allowed`);
+  }
+
+  const host = url.host.toLowerCase().replace(/^www\./, '');
+  const segments = decodeSegments(url.pathname.split('/').filter(Boolean));
+  let repoPath = segments;
+  let ref = null;
+  let subfolder = [];
+
+  const gitlabTree = segments.indexOf('-');
+  if (gitlabTree > 0 && ['tree', 'blob'].includes(segments[gitlabTree + 1])) {
+    repoPath = segments.slice(0, gitlabTree);
+    ref = segments[gitlabTree + 2] || null;
+    subfolder = segments.slice(gitlabTree + 3);
+  } else if (host === 'github.com' || host === 'bitbucket.org') {
+    const treeWord = host === 'github.com' ? 'tree' : 'src';
+    repoPath = segments.slice(0, 2);
+    if (segments[2] === treeWord) {
+      ref = segments[3] || null;
+      subfolder = segments.slice(4);
+    }
+  }
+
+  if (repoPath.length < 2) {
+    throw gitSourceError('Repository URL must include the owner and repository name');
+  }
+  // Segments are decoded, so an encoded slash can hide a '..' inside one
+  const subfolderParts = subfolder.join('/').split('/');
+  if (subfolderParts.some(part => part === '..' || part === '.' || /[\x00-\x1f\\]/.test(part))) {
+    throw gitSourceError('Invalid subfolder in repository URL');
+  }
+  if (ref) validateRef(ref);
+
+  return {
+    cloneUrl: `https://${host}/${repoPath.join('/')}`,
+    host,
+    ref,
+    subfolder: subfolder.join('/'),
+  };
+}
+
+/**
+ * Default basic-auth username for a bare token on this host
+ */
+function tokenUsername(host) {
+  return TOKEN_USERNAMES[host] || 'git';
+}
+
+// Git config passed through the environment (git >= 2.31), never argv
+function gitEnv(auth, resolve) {
+  const env = {
+    ...process.env,
+    GIT_TERMINAL_PROMPT: '0', // fail instead of waiting for a password
+  };
+  const settings = [['http.followRedirects', 'false']];
+  if (resolve) settings.push(['http.curloptResolve', resolve]);
+  if (auth && auth.token) {
+    const basic = Buffer.from(`${auth.username || 'git'}:${auth.token}`).toString('base64');
+    settings.push(['http.extraHeader', `Authorization: Basic ${basic}`]);
+  }
+  env.GIT_CONFIG_COUNT = String(settings.length);
+  settings.forEach(([key, value], i) => {
+    env[`GIT_CONFIG_KEY_${i}`] = key;
+    env[`GIT_CONFIG_VALUE_${i}`] = value;
+  });
+  return env;
+}
+
+async function git(args, { cwd, auth, resolve } = {}) {
+  const { stdout } = await execFilePromise('git', args, {
+    cwd,
+    env: gitEnv(auth, resolve),
+    timeout: config.git.cloneTimeout,
+    maxBuffer: 10 * 1024 * 1024,
+  });
+  return stdout.trim();
+}
+
+function cloneError(error, auth) {
+  let detail = (error.stderr || error.message || '').trim();
+  if (auth && auth.token) detail = detail.split(auth.token).join('***');
+  if (error.killed) detail = `timed out after ${config.git.cloneTimeout / 1000}s`;
+  return gitSourceError(`Failed to clone repository: ${detail}`, 'clone_failed');
+}
+
+/**
+ * Shallow-clone a repository at a branch, tag or commit SHA
+ * @param {{cloneUrl: string, ref?: string|null}} source
+ * @param {string} destDir - Must not exist or be empty
+ * @param {{username?: string, token: string}|null} [auth]
+ * @returns {Promise<{commitSha: string}>} The commit that was checked out
+ * @throws {Error} status 400, code 'clone_failed' (or no code if the host isn't public)
+ */
+async function cloneRepository(source, destDir, auth = null) {
+  const { cloneUrl, ref } = source;
+  if (ref) validateRef(ref);
+  const resolve = await resolvePublicHost(cloneUrl);
+
+  try {
+    if (isCommitSha(ref)) {
+      // A commit can't be named in `clone --branch`; fetch just that commit
+      await git(['init', '--quiet', destDir]);
+      await git(['fetch', '--quiet', '--depth', '1', cloneUrl, ref], { cwd: destDir, auth, resolve });
+      await git(['checkout', '--quiet', '--detach', 'FETCH_HEAD'], { cwd: destDir });
+    } else {
+      const args = ['clone', '--quiet', '--depth', '1', '--no-tags'];
+      if (ref) args.push('--branch', ref);
+      args.push('--', cloneUrl, destDir);
+      await git(args, { auth, resolve });
+    }
+    return { commitSha: await git(['rev-parse', 'HEAD'], { cwd: destDir }) };
+  } catch (error) {
+    throw cloneError(error, auth);
+  }
+}
+
+module.exports = {
+  parseRepoUrl,
+  validateRef,
+  isCommitSha,
+  tokenUsername,
+  cloneRepository,
+};
@@ -11,7 +11,15 @@ const cors = require('cors');
 const config = require('./config');
 const logger = require('./logger');
 const { verifyDockerImage } = require('./docker');
-const { initWebSocket, broadcastLog, broadcastStatus, broadcastSmartBuildProgress } = require('./websocket');
+const {
+  initWebSocket,
+  broadcastLog,
+  broadcastStatus,
+  broadcastSmartBuildProgress,
+  broadcastDeployProgress,
+  broadcastTestProgress,
+  onClientAction,
+} = require('./websocket');
 
 // Middleware
 const {
@@ -25,10 +33,11 @@ const {
 
 const {
   validateBuildId,
-  validateGithubRepo,
+  validateGitRepo,
   validateFilePath,
   validateFileContent,
   validateRestart,
+  validateSmartBuild,
 } = require('./middleware/validators');
 
 // Build Manager
@@ -38,9 +47,48 @@ const {
   getBuildStatus,
   listBuilds,
   getBuildArtifacts,
+  updateBuildStatus,
+  updateBuild,
+  queueAnchorBuild,
+  queueAnchorTest,
+  getTestRun,
+  claimBuildController,
+  isCurrentRun,
+  releaseBuildController,
+  cancelBuild,
+  resultStatus,
+  recordBuildPhase,
+  recoverInterruptedBuilds,
   BuildStatus,
+  TestStatus,
 } = require('./buildManager');
 
+// Build queue
+const { assertQueueCapacity, getQueuePosition, getQueueStats } = require('./buildQueue');
+const { removeProjectTarget } = require('./buildCache');
+
+// Deployment
+const {
+  prepareDeployment,
+  executeDeployment,
+  confirmUpgrade,
+  getDeploymentStatus,
+  listProgramDeployments,
+  recoverInterruptedDeployments,
+} = require('./deploy');
+
+// Upload archives
+const { archiveTypeFor } = require('./archive');
+
+// Project history
+const { Authors, recordChange, listHistory, diffRevisions, revertToRevision } = require('./projectHistory');
+
+// Smart-build fix review
+const { getPendingReview, submitReview } = require('./fixReview');
+
+// AI token accounting
+const { recordAiUsage, getBuildAiUsage } = require('./aiUsage');
+
 // Database
 const { initDatabase } = require('./db');
 
@@ -83,13 +131,12 @@ const upload = multer({
     files: 1,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.zip', '.tar.gz', '.tgz'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    
-    if (allowedTypes.some(type => file.originalname.endsWith(type))) {
+    if (archiveTypeFor(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only .zip and .tar.gz files are allowed'));
+      const err = new Error('Only .zip, .tar.gz, .tgz and .tar files are allowed');
+      err.status = 400;
+      cb(err);
     }
   },
 });
@@ -100,9 +147,25 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Queue fairness key for the API-key routes, which have no agent identity
+const tenantFor = (req) => `ip:${req.ip}`;
+
 // ===== AGENT API =====
 app.use('/api/v1', agentRouter);
 
+// Agent-owned builds are only reachable through the authenticated /api/v1
+// routes; the unauthenticated /compile/:buildId routes treat them as missing
+app.param('buildId', (req, res, next, buildId) => {
+  getBuildStatus(buildId)
+    .then((build) => {
+      if (build && build.agentId) {
+        return res.status(404).json({ error: 'Build not found' });
+      }
+      next();
+    })
+    .catch(next);
+});
+
 // Serve skill.md for agent discovery
 app.get('/skill.md', asyncHandler(async (req, res) => {
   const skillPath = path.join(__dirname, '..', 'skill.md');
@@ -147,6 +210,7 @@ app.get('/health', asyncHandler(async (req, res) => {
     version: '1.0.0',
     timestamp: new Date().toISOString(),
     docker: dockerStatus ? 'ready' : 'not found',
+    queue: getQueueStats(),
     uptime: process.uptime(),
   });
 }));
@@ -164,13 +228,16 @@ app.post('/compile',
       return res.status(400).json({ error: 'No project file uploaded' });
     }
 
-    const fileType = req.file.originalname.endsWith('.zip') ? 'zip' : 'tar.gz';
+    const fileType = archiveTypeFor(req.file.originalname);
     const autoBuild = req.query.autoBuild !== 'false';
     
     logger.info(`Upload received: ${req.file.originalname} (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
     
     if (autoBuild) {
+      assertQueueCapacity();
+
       const buildId = await startBuild(req.file.path, fileType, {
+        tenantId: tenantFor(req),
         onLogUpdate: (logs) => broadcastLog(buildId, logs),
         onStatusChange: (status) => broadcastStatus(buildId, status),
       });
@@ -178,7 +245,7 @@ app.post('/compile',
       res.status(202).json({
         buildId,
         status: 'accepted',
-        message: 'Build started',
+        message: 'Build queued',
         statusUrl: `/compile/${buildId}/status`,
         artifactsUrl: `/compile/${buildId}/artifacts`,
         wsUrl: `/ws?buildId=${buildId}`,
@@ -202,25 +269,34 @@ app.post('/compile',
 
 /**
  * POST /compile/github?autoBuild=false
- * Clone from GitHub repository (optionally auto-build)
+ * Clone from a git repository — GitHub, GitLab, Bitbucket or any https host
+ * (optionally auto-build). Body: { repoUrl, ref?, token?, username? }; the
+ * token is used for this clone only and never stored.
  */
 app.post('/compile/github',
   apiLimiter,
   requireApiKey,
-  validateGithubRepo,
+  validateGitRepo,
   asyncHandler(async (req, res) => {
-    const { repoUrl } = req.body;
+    const { repoUrl, ref, token, username } = req.body;
     const autoBuild = req.query.autoBuild !== 'false';
     
-    logger.info(`GitHub ${autoBuild ? 'build' : 'clone'} requested: ${repoUrl}`);
-    
-    const buildId = await startBuildFromGithub(repoUrl, autoBuild);
+    logger.info(`Git ${autoBuild ? 'build' : 'clone'} requested: ${repoUrl}${ref ? ` @ ${ref}` : ''}`);
+
+    if (autoBuild) assertQueueCapacity();
+
+    const buildId = await startBuildFromGithub(repoUrl, autoBuild, { tenantId: tenantFor(req) }, {
+      ref,
+      auth: token ? { token, username } : undefined,
+    });
+    const build = await getBuildStatus(buildId);
 
     if (autoBuild) {
       res.status(202).json({
         buildId,
         status: 'accepted',
-        message: 'Build started from GitHub',
+        message: 'Build queued from repository',
+        commitSha: build.commitSha,
         statusUrl: `/compile/${buildId}/status`,
         artifactsUrl: `/compile/${buildId}/artifacts`,
         wsUrl: `/ws?buildId=${buildId}`,
@@ -230,6 +306,7 @@ app.post('/compile/github',
         buildId,
         status: 'ready',
         message: 'Repository cloned, ready for editing',
+        commitSha: build.commitSha,
         statusUrl: `/compile/${buildId}/status`,
         filesUrl: `/compile/${buildId}/files`,
       });
@@ -244,7 +321,7 @@ app.post('/compile/github',
 app.get('/compile/:buildId/status',
   validateBuildId,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
 
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
@@ -257,7 +334,7 @@ app.get('/compile/:buildId/status',
       updatedAt: build.updatedAt,
     };
 
-    if (build.status === BuildStatus.SUCCESS || build.status === BuildStatus.FAILED) {
+    if ([BuildStatus.SUCCESS, BuildStatus.FAILED, BuildStatus.INTERRUPTED, BuildStatus.CANCELLED].includes(build.status)) {
       response.completedAt = build.completedAt;
       response.logs = build.logs;
       response.exitCode = build.exitCode;
@@ -265,11 +342,38 @@ app.get('/compile/:buildId/status',
       if (build.error) {
         response.error = build.error;
       }
+      if (build.errorCode) {
+        response.errorCode = build.errorCode;
+      }
+      if (build.cache) {
+        response.cache = build.cache;
+      }
+      if (build.toolchain) {
+        response.toolchain = build.toolchain;
+      }
     } else {
       // Return partial logs for running builds
       response.logs = build.logs;
     }
 
+    if (build.source === 'github') {
+      response.git = { repoUrl: build.repoUrl, ref: build.gitRef || null, commitSha: build.commitSha || null };
+    }
+
+    // Compiler errors and warnings of the last compile, [] until it finishes
+    response.diagnostics = build.diagnostics || [];
+
+    if (build.status === BuildStatus.QUEUED) {
+      const queue = getQueuePosition(build.id);
+      if (queue) response.queue = queue;
+    }
+
+    const review = getPendingReview(build.id);
+    if (review) response.review = review;
+
+    // LLM tokens spent on this build so far, every smart-build run included
+    if (build.smartBuild) response.aiUsage = await getBuildAiUsage(build.id);
+
     res.json(response);
   })
 );
@@ -281,7 +385,7 @@ app.get('/compile/:buildId/status',
 app.get('/compile/:buildId/artifacts',
   validateBuildId,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
 
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
@@ -311,7 +415,7 @@ app.get('/compile/:buildId/artifacts/download/:type/:filename',
   validateBuildId,
   asyncHandler(async (req, res) => {
     const { buildId, type, filename } = req.params;
-    const build = getBuildStatus(buildId);
+    const build = await getBuildStatus(buildId);
 
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
@@ -349,7 +453,7 @@ app.get('/compile/:buildId/artifacts/download/:type/:filename',
 app.get('/compile/:buildId/files',
   validateBuildId,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
@@ -407,7 +511,7 @@ app.get('/compile/:buildId/file',
   validateBuildId,
   validateFilePath,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
@@ -440,17 +544,20 @@ app.put('/compile/:buildId/file',
   validateBuildId,
   validateFileContent,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
 
     const { path: filePath, content } = req.body;
     const safePath = path.normalize(filePath).replace(/^(\.\.(\/|\\|$))+/, '');
-    const fullPath = path.join(config.builds.uploadDir, req.params.buildId, safePath);
+    const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
+    const fullPath = path.join(projectDir, safePath);
 
-    await fs.mkdir(path.dirname(fullPath), { recursive: true });
-    await fs.writeFile(fullPath, content, 'utf-8');
+    await recordChange(req.params.buildId, projectDir, { author: Authors.user, message: `Update ${safePath}` }, async () => {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, content, 'utf-8');
+    });
 
     logger.build(req.params.buildId, 'info', `File saved: ${safePath}`);
 
@@ -470,7 +577,7 @@ app.put('/compile/:buildId/file',
 app.delete('/compile/:buildId/file',
   validateBuildId,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
@@ -489,16 +596,86 @@ app.delete('/compile/:buildId/file',
     }
 
     const stats = await fs.stat(fullPath);
-    if (stats.isDirectory()) {
-      await fs.rm(fullPath, { recursive: true, force: true });
-    } else {
-      await fs.unlink(fullPath);
-    }
+    await recordChange(req.params.buildId, projectDir, { author: Authors.user, message: `Delete ${safePath}` }, async () => {
+      if (stats.isDirectory()) {
+        await fs.rm(fullPath, { recursive: true, force: true });
+      } else {
+        await fs.unlink(fullPath);
+      }
+    });
 
     res.json({ buildId: req.params.buildId, path: safePath, success: true });
   })
 );
 
+/**
+ * GET /compile/:buildId/history?path=<file_path>&limit=50
+ * Project history: one commit per write, newest first
+ */
+app.get('/compile/:buildId/history',
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const build = await getBuildStatus(req.params.buildId);
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    const history = await listHistory(req.params.buildId, build.projectDir, {
+      path: req.query.path,
+      limit: req.query.limit,
+    });
+    res.json({ buildId: req.params.buildId, history });
+  })
+);
+
+/**
+ * GET /compile/:buildId/diff?from=<rev>&to=<rev>&path=<file_path>
+ * Unified diff between two revisions (default: the latest commit's change)
+ */
+app.get('/compile/:buildId/diff',
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const build = await getBuildStatus(req.params.buildId);
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    const result = await diffRevisions(req.params.buildId, build.projectDir, {
+      from: req.query.from,
+      to: req.query.to || 'HEAD',
+      path: req.query.path,
+    });
+    res.json({ buildId: req.params.buildId, ...result });
+  })
+);
+
+/**
+ * POST /compile/:buildId/revert
+ * Restore one file ({ revision, path }) or the whole project ({ revision })
+ */
+app.post('/compile/:buildId/revert',
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const build = await getBuildStatus(req.params.buildId);
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    const { revision, path: filePath } = req.body || {};
+    if (!revision) {
+      return res.status(400).json({ error: 'Missing revision' });
+    }
+
+    const result = await revertToRevision(req.params.buildId, build.projectDir, {
+      revision,
+      path: filePath,
+      author: Authors.user,
+    });
+    logger.build(req.params.buildId, 'info', `Reverted ${result.path || 'project'} to ${result.revision}`);
+    res.json({ buildId: req.params.buildId, ...result });
+  })
+);
+
 /**
  * POST /compile/:buildId/folder
  * Create a folder
@@ -506,7 +683,7 @@ app.delete('/compile/:buildId/file',
 app.post('/compile/:buildId/folder',
   validateBuildId,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
@@ -532,7 +709,7 @@ app.post('/compile/:buildId/verify-structure',
   aiLimiter,
   validateBuildId,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
@@ -543,6 +720,9 @@ app.post('/compile/:buildId/verify-structure',
     logger.build(req.params.buildId, 'info', 'AI structure verification started');
 
     const aiResult = await verifyAndFixStructure(req.params.buildId, projectDir);
+    if (aiResult.usage.calls > 0) {
+      await recordAiUsage(req.params.buildId, { phase: 'verifying', usage: aiResult.usage });
+    }
 
     if (!aiResult.success) {
       return res.status(500).json({
@@ -567,87 +747,149 @@ app.post('/compile/:buildId/verify-structure',
 /**
  * POST /compile/:buildId/smart-build
  * AI-powered build loop: verify → build → fix → retry (max 4 iterations)
+ * Body: { mode: 'auto' | 'review' } — in review mode each iteration's fixes
+ * wait for POST /compile/:buildId/review before they're written
  */
 app.post('/compile/:buildId/smart-build',
   aiLimiter,
   validateBuildId,
+  validateSmartBuild,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
 
-    if (build.status === BuildStatus.RUNNING) {
+    if (build.status === BuildStatus.RUNNING || build.status === BuildStatus.QUEUED) {
       return res.status(409).json({ error: 'Build already running' });
     }
+    const buildId = req.params.buildId;
+    // Claimed before the next await, so a concurrent request can't start a second run
+    const signal = claimBuildController(buildId);
+    if (!signal) {
+      return res.status(409).json({ error: 'A build or test run is already in progress' });
+    }
 
-    const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
-    const outputDir = path.join(config.builds.buildDir, req.params.buildId, 'output');
+    const projectDir = path.join(config.builds.uploadDir, buildId);
+    const outputDir = path.join(config.builds.buildDir, buildId, 'output');
     const { smartBuild } = require('./smartBuild');
-
-    logger.build(req.params.buildId, 'info', 'Smart build started');
-
-    build.status = BuildStatus.RUNNING;
-    build.updatedAt = new Date();
-    build.logs = { stdout: '', stderr: '' };
-    build.smartBuild = true;
+    const review = req.body.mode === 'review';
+    const persistError = (err) => logger.build(buildId, 'error', `Failed to persist build state: ${err.message}`);
+
+    try {
+      assertQueueCapacity();
+      logger.build(buildId, 'info', `Smart build started${review ? ' (review mode)' : ''}`);
+      await updateBuildStatus(buildId, BuildStatus.RUNNING, {
+        logs: { stdout: '', stderr: '' },
+        smartBuild: true,
+        smartBuildMode: review ? 'review' : 'auto',
+        error: null,
+        exitCode: null,
+        completedAt: null,
+      });
+    } catch (err) {
+      releaseBuildController(buildId, signal);
+      throw err;
+    }
 
     // Run smart build asynchronously
     smartBuild(
-      req.params.buildId,
+      buildId,
       projectDir,
       outputDir,
       (progressEvent) => {
         // Broadcast progress via WebSocket
-        broadcastSmartBuildProgress(req.params.buildId, progressEvent);
+        broadcastSmartBuildProgress(buildId, progressEvent);
 
         // Forward build logs
         if (progressEvent.type === 'build_log') {
-          build.logs = progressEvent.details;
-          broadcastLog(req.params.buildId, progressEvent.details);
+          broadcastLog(buildId, progressEvent.details);
+          updateBuild(buildId, {
+            logs: progressEvent.details,
+            smartBuildPhase: progressEvent.phase,
+            smartBuildIteration: progressEvent.iteration,
+          }).catch(persistError);
+        } else {
+          recordBuildPhase(buildId, progressEvent).catch(persistError);
         }
-
-        build.smartBuildPhase = progressEvent.phase;
-        build.smartBuildIteration = progressEvent.iteration;
-        build.updatedAt = new Date();
-      }
+      },
+      { signal, review }
     )
-      .then(result => {
-        build.status = result.success ? BuildStatus.SUCCESS : BuildStatus.FAILED;
-        build.completedAt = new Date();
-        build.updatedAt = new Date();
-        build.smartBuildResult = result;
+      .then(async result => {
+        if (!isCurrentRun(buildId, signal)) return; // A newer run owns the build's status
+        const status = resultStatus(result);
+        const update = {
+          completedAt: new Date(),
+          smartBuildResult: result,
+        };
 
         if (result.finalBuild) {
-          build.logs = result.finalBuild.logs || build.logs;
-          build.exitCode = result.finalBuild.exitCode;
+          if (result.finalBuild.logs) update.logs = result.finalBuild.logs;
+          update.exitCode = result.finalBuild.exitCode;
+          update.cache = result.finalBuild.cache;
         }
 
-        if (!result.success) {
-          build.error = result.cannotFixReason || 'Smart build failed after all retries';
+        if (result.cancelled) {
+          update.error = 'Build cancelled';
+        } else if (!result.success) {
+          update.error = result.cannotFixReason || result.error || 'Smart build failed after all retries';
         }
 
-        broadcastStatus(req.params.buildId, build.status);
+        await updateBuildStatus(buildId, status, update);
+        broadcastStatus(buildId, status);
       })
-      .catch(error => {
-        logger.build(req.params.buildId, 'error', `Smart build error: ${error.message}`);
-        build.status = BuildStatus.FAILED;
-        build.completedAt = new Date();
-        build.updatedAt = new Date();
-        build.error = error.message;
-        broadcastStatus(req.params.buildId, BuildStatus.FAILED);
-      });
+      .catch(async error => {
+        logger.build(buildId, 'error', `Smart build error: ${error.message}`);
+        if (!isCurrentRun(buildId, signal)) return;
+        await updateBuildStatus(buildId, BuildStatus.FAILED, {
+          completedAt: new Date(),
+          error: error.message,
+        }).catch(persistError);
+        broadcastStatus(buildId, BuildStatus.FAILED);
+      })
+      .finally(() => releaseBuildController(buildId, signal));
 
     res.status(202).json({
       buildId: req.params.buildId,
       status: 'accepted',
       message: 'Smart build started (AI-powered verify → build → fix → retry)',
+      mode: review ? 'review' : 'auto',
       maxIterations: config.smartBuild.maxIterations,
       wsUrl: `/ws?buildId=${req.params.buildId}`,
     });
   })
 );
 
+/**
+ * GET /compile/:buildId/review
+ * The fixes a review-mode smart build is waiting on, as unified diffs
+ */
+app.get('/compile/:buildId/review',
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const review = getPendingReview(req.params.buildId);
+    if (!review) {
+      return res.status(404).json({ error: 'No fix review is pending for this build' });
+    }
+    res.json({ buildId: req.params.buildId, ...review });
+  })
+);
+
+/**
+ * POST /compile/:buildId/review
+ * Approve, reject or edit each hunk of the pending fixes; the smart build
+ * then writes the result and rebuilds.
+ * Body: { reviewId, decisions: [{ path, hunk?, decision, content? }], default? }
+ */
+app.post('/compile/:buildId/review',
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const result = submitReview(req.params.buildId, req.body || {});
+    logger.build(req.params.buildId, 'info', `Fix review ${result.reviewId} submitted`);
+    res.json({ buildId: req.params.buildId, ...result });
+  })
+);
+
 /**
  * POST /compile/:buildId/restart
  * Restart/trigger build
@@ -656,26 +898,24 @@ app.post('/compile/:buildId/restart',
   validateBuildId,
   validateRestart,
   asyncHandler(async (req, res) => {
-    const build = getBuildStatus(req.params.buildId);
+    const build = await getBuildStatus(req.params.buildId);
     if (!build) {
       return res.status(404).json({ error: 'Build not found' });
     }
 
-    const { clean } = req.body;
-    const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
-
-    if (clean) {
-      const targetDir = path.join(projectDir, 'target');
-      try {
-        await fs.rm(targetDir, { recursive: true, force: true });
-        logger.build(req.params.buildId, 'info', 'Cleaned target directory');
-      } catch (err) {
-        logger.build(req.params.buildId, 'info', 'No target directory to clean');
-      }
+    if (build.status === BuildStatus.RUNNING || build.status === BuildStatus.QUEUED) {
+      return res.status(409).json({ error: 'Build already running' });
+    }
+    const buildId = req.params.buildId;
+    // Claimed before the next await, so a concurrent request can't start a second run
+    const signal = claimBuildController(buildId);
+    if (!signal) {
+      return res.status(409).json({ error: 'A build or test run is already in progress' });
     }
 
-    const { executeAnchorBuild } = require('./docker');
-    const outputPath = path.join(config.builds.buildDir, req.params.buildId, 'output');
+    const { clean } = req.body;
+    const projectDir = path.join(config.builds.uploadDir, buildId);
+    const outputPath = path.join(config.builds.buildDir, buildId, 'output');
 
     async function findAnchorToml(dir, relativePath = '') {
       const entries = await fs.readdir(dir, { withFileTypes: true });
@@ -697,54 +937,285 @@ app.post('/compile/:buildId/restart',
       return null;
     }
 
-    const anchorSubdir = await findAnchorToml(projectDir) || '';
+    const persistError = (err) => logger.build(buildId, 'error', `Failed to persist build state: ${err.message}`);
+
+    let anchorSubdir;
+    try {
+      assertQueueCapacity();
 
-    build.status = BuildStatus.RUNNING;
-    build.updatedAt = new Date();
-    build.logs = { stdout: '', stderr: '' };
+      // Only a missing target is "nothing to clean" — a volume still in use
+      // (409) fails the restart rather than silently building on the stale one
+      if (clean) {
+        await fs.rm(path.join(projectDir, 'target'), { recursive: true, force: true });
+        const removed = await removeProjectTarget(buildId);
+        logger.build(buildId, 'info', removed ? 'Cleaned target directory' : 'No target volume to clean');
+      }
+
+      anchorSubdir = await findAnchorToml(projectDir) || '';
 
-    executeAnchorBuild(
-      req.params.buildId, 
-      projectDir, 
-      outputPath, 
+      await updateBuildStatus(buildId, BuildStatus.QUEUED, {
+        logs: { stdout: '', stderr: '' },
+        error: null,
+        exitCode: null,
+        completedAt: null,
+      });
+    } catch (err) {
+      releaseBuildController(buildId, signal);
+      throw err;
+    }
+
+    queueAnchorBuild(
+      buildId,
+      projectDir,
+      outputPath,
       anchorSubdir,
       (logs) => {
-        build.logs = logs;
-        build.updatedAt = new Date();
-        broadcastLog(req.params.buildId, logs);
-      }
+        broadcastLog(buildId, logs);
+        updateBuild(buildId, { logs }).catch(persistError);
+      },
+      { onStatusChange: (status) => broadcastStatus(buildId, status), signal }
     )
-      .then(result => {
-        build.status = result.success ? BuildStatus.SUCCESS : BuildStatus.FAILED;
-        build.completedAt = new Date();
-        build.updatedAt = new Date();
-        build.logs = result.logs || build.logs;
-        build.exitCode = result.exitCode;
-        
-        if (!result.success) {
-          build.error = result.error || 'Build failed';
-        }
-        
-        broadcastStatus(req.params.buildId, build.status);
+      .then(async result => {
+        if (!isCurrentRun(buildId, signal)) return; // A newer run owns the build's status
+        const status = resultStatus(result);
+        const update = {
+          completedAt: new Date(),
+          exitCode: result.exitCode,
+          cache: result.cache,
+        };
+        if (result.logs) update.logs = result.logs;
+        if (!result.success) update.error = result.error || 'Build failed';
+
+        await updateBuildStatus(buildId, status, update);
+        broadcastStatus(buildId, status);
       })
-      .catch(error => {
-        build.status = BuildStatus.FAILED;
-        build.completedAt = new Date();
-        build.updatedAt = new Date();
-        build.error = error.message;
-        broadcastStatus(req.params.buildId, BuildStatus.FAILED);
-      });
+      .catch(async error => {
+        if (!isCurrentRun(buildId, signal)) return;
+        await updateBuildStatus(buildId, BuildStatus.FAILED, {
+          completedAt: new Date(),
+          error: error.message,
+        }).catch(persistError);
+        broadcastStatus(buildId, BuildStatus.FAILED);
+      })
+      .finally(() => releaseBuildController(buildId, signal));
 
     res.json({
       buildId: req.params.buildId,
       status: 'accepted',
-      message: clean ? 'Clean build started' : 'Build restarted',
+      message: clean ? 'Clean build queued' : 'Build queued',
       clean,
       wsUrl: `/ws?buildId=${req.params.buildId}`,
     });
   })
 );
 
+/**
+ * POST /compile/:buildId/cancel
+ * Cancel a queued or running build (including smart builds)
+ */
+app.post('/compile/:buildId/cancel',
+  apiLimiter,
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const buildId = req.params.buildId;
+    const build = await getBuildStatus(buildId);
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    const cancelled = await cancelBuild(buildId);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: `Build is not in progress (status: ${build.status})`,
+        status: build.status,
+      });
+    }
+
+    if (cancelled === 'test') {
+      broadcastTestProgress(buildId, { status: TestStatus.CANCELLED });
+      logger.build(buildId, 'info', 'Test run cancelled');
+      return res.json({
+        buildId,
+        status: build.status,
+        testStatus: TestStatus.CANCELLED,
+        message: 'Test run cancelled',
+      });
+    }
+
+    broadcastStatus(buildId, BuildStatus.CANCELLED);
+    logger.build(buildId, 'info', 'Build cancelled');
+
+    res.json({
+      buildId,
+      status: BuildStatus.CANCELLED,
+      message: 'Build cancelled',
+    });
+  })
+);
+
+/**
+ * POST /compile/:buildId/test
+ * Run `anchor test` against a local validator. Output streams over the
+ * WebSocket; the final test_progress event and GET /compile/:buildId/test
+ * carry the per-test results.
+ */
+app.post('/compile/:buildId/test',
+  apiLimiter,
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const buildId = req.params.buildId;
+    const build = await getBuildStatus(buildId);
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    const busy = build.status === BuildStatus.RUNNING || build.status === BuildStatus.QUEUED;
+    // Claimed before the next await, so a concurrent request can't start a second run
+    const signal = busy ? null : claimBuildController(buildId, 'test');
+    if (!signal) {
+      return res.status(409).json({ error: 'A build or test run is already in progress' });
+    }
+
+    const projectDir = path.join(config.builds.uploadDir, buildId);
+    const { findAnchorTomlSubdir } = require('./smartBuild');
+    let anchorSubdir;
+    try {
+      assertQueueCapacity();
+      anchorSubdir = await findAnchorTomlSubdir(projectDir) || '';
+    } catch (err) {
+      releaseBuildController(buildId, signal);
+      throw err;
+    }
+
+    queueAnchorTest(
+      buildId,
+      projectDir,
+      anchorSubdir,
+      (logs) => broadcastLog(buildId, { ...logs, source: 'test' }),
+      { onStatusChange: (status) => broadcastTestProgress(buildId, { status }), signal }
+    )
+      .then(result => {
+        const { passed = 0, failed = 0, pending = 0, tests = [] } = result.results || {};
+        logger.build(buildId, 'info', `Tests ${result.status}: ${passed} passing, ${failed} failing`);
+        broadcastTestProgress(buildId, { status: result.status, passed, failed, pending, tests, error: result.error });
+      })
+      .catch(error => {
+        logger.build(buildId, 'error', `Test run error: ${error.message}`);
+        broadcastTestProgress(buildId, { status: TestStatus.ERROR, error: error.message });
+      })
+      .finally(() => releaseBuildController(buildId, signal));
+
+    res.status(202).json({
+      buildId,
+      status: 'accepted',
+      message: 'Test run queued',
+      resultsUrl: `/compile/${buildId}/test`,
+      wsUrl: `/ws?buildId=${buildId}`,
+    });
+  })
+);
+
+/**
+ * GET /compile/:buildId/test
+ * Latest test run and its per-test results
+ */
+app.get('/compile/:buildId/test',
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const testRun = await getTestRun(req.params.buildId);
+    if (!testRun) {
+      return res.status(404).json({ error: 'No test run for this build' });
+    }
+    res.json({ buildId: req.params.buildId, ...testRun });
+  })
+);
+
+/**
+ * POST /compile/:buildId/deploy/prepare
+ * Create an ephemeral deployer and estimate the cost of deploying the program
+ */
+app.post('/compile/:buildId/deploy/prepare',
+  apiLimiter,
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const { network, mode, walletAddress, programKeypair, programId, upgradeAuthority, program } = req.body || {};
+    const prepared = await prepareDeployment(req.params.buildId, {
+      network, mode, walletAddress, programKeypair, programId, upgradeAuthority, program,
+    });
+    logger.build(req.params.buildId, 'info', `Deployment prepared on ${prepared.network}`);
+    res.json(prepared);
+  })
+);
+
+/**
+ * POST /compile/:buildId/deploy/execute
+ * Deploy with the funded deployer (runs in the background)
+ */
+app.post('/compile/:buildId/deploy/execute',
+  apiLimiter,
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const buildId = req.params.buildId;
+    const deployment = await executeDeployment(buildId, {
+      onProgress: (event) => broadcastDeployProgress(buildId, event),
+    });
+
+    res.status(202).json({
+      buildId,
+      deploymentId: deployment.deploymentId,
+      status: deployment.status,
+      network: deployment.network,
+      programId: deployment.programId,
+      statusUrl: `/compile/${buildId}/deploy/status`,
+      wsUrl: `/ws?buildId=${buildId}`,
+    });
+  })
+);
+
+/**
+ * POST /compile/:buildId/deploy/confirm
+ * Verify an upgrade after the client submitted the signed Upgrade transaction
+ */
+app.post('/compile/:buildId/deploy/confirm',
+  apiLimiter,
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const { signature } = req.body || {};
+    res.json(await confirmUpgrade(req.params.buildId, { signature }));
+  })
+);
+
+/**
+ * GET /compile/:buildId/deploy/status
+ * Latest deployment for the build
+ */
+app.get('/compile/:buildId/deploy/status',
+  validateBuildId,
+  asyncHandler(async (req, res) => {
+    const deployment = await getDeploymentStatus(req.params.buildId);
+    if (!deployment) {
+      return res.status(404).json({ error: 'No deployment for this build' });
+    }
+    res.json(deployment);
+  })
+);
+
+/**
+ * GET /programs/:programId/deployments
+ * Deploy/upgrade history of a program (web builds only)
+ */
+app.get('/programs/:programId/deployments',
+  apiLimiter,
+  asyncHandler(async (req, res) => {
+    const deployments = [];
+    for (const deployment of await listProgramDeployments(req.params.programId)) {
+      const build = await getBuildStatus(deployment.buildId);
+      if (!build || !build.agentId) deployments.push(deployment);
+    }
+    res.json({ programId: req.params.programId, deployments });
+  })
+);
+
 /**
  * GET /builds
  * List all builds
@@ -752,9 +1223,9 @@ app.post('/compile/:buildId/restart',
 app.get('/builds',
   apiLimiter,
   asyncHandler(async (req, res) => {
-    const builds = listBuilds();
+    const builds = await listBuilds();
     
-    const summary = builds.map(build => ({
+    const summary = builds.filter(build => !build.agentId).map(build => ({
       buildId: build.id,
       status: build.status,
       createdAt: build.createdAt,
@@ -791,9 +1262,10 @@ app.use((err, req, res, next) => {
     return res.status(400).json({ error: err.message });
   }
 
-  // Default error
+  // Default error (client errors may carry a machine-readable code, e.g. archive_rejected)
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
+    ...(err.status && err.code ? { code: err.code } : {}),
   });
 });
 
@@ -801,6 +1273,12 @@ app.use((err, req, res, next) => {
 
 async function startServer() {
   try {
+    // An isolated build's fetch phase must only reach the crate registry
+    const { isolation } = config.docker;
+    if (isolation.enabled && !isolation.fetchNetwork && !isolation.fetchProxy) {
+      throw new Error('BUILD_NETWORK_ISOLATION=true needs FETCH_NETWORK or FETCH_PROXY to restrict the fetch phase to the crate registry');
+    }
+
     // Verify Docker image exists
     const dockerReady = await verifyDockerImage();
     if (!dockerReady) {
@@ -812,6 +1290,16 @@ async function startServer() {
     // Initialize agent database
     await initDatabase();
 
+    // Builds that were mid-flight when the previous process died will never finish
+    const interrupted = await recoverInterruptedBuilds();
+    if (interrupted.length > 0) {
+      logger.warn(`Marked ${interrupted.length} build(s) as interrupted after restart`);
+    }
+    const interruptedDeploys = await recoverInterruptedDeployments();
+    for (const deployment of interruptedDeploys) {
+      logger.warn(`Deployment ${deployment.deploymentId} (build ${deployment.buildId}) interrupted by restart; deployer ${deployment.deployerAddress}`);
+    }
+
     // Create necessary directories
     await fs.mkdir(config.builds.uploadDir, { recursive: true });
     await fs.mkdir(config.builds.buildDir, { recursive: true });
@@ -819,6 +1307,17 @@ async function startServer() {
     // Initialize WebSocket server
     initWebSocket(server);
 
+    // { action: 'review', buildId, reviewId, decisions, default } — same as POST /compile/:buildId/review
+    onClientAction('review', async ({ buildId, ...answer }) => {
+      const build = typeof buildId === 'string' ? await getBuildStatus(buildId) : null;
+      if (!build || build.agentId) {
+        const err = new Error('Build not found');
+        err.status = 404;
+        throw err;
+      }
+      return submitReview(buildId, answer);
+    });
+
     // Start HTTP server
     const PORT = config.port || 5000;
     server.listen(PORT, () => {
@@ -830,6 +1329,13 @@ async function startServer() {
       logger.info(`Max Upload Size: ${config.builds.maxUploadSize / 1024 / 1024} MB`);
       logger.info(`Memory Limit: ${config.docker.memory / 1024 / 1024 / 1024} GB`);
       logger.info(`CPU Limit: ${config.docker.cpus} cores`);
+      logger.info(`Build Workers: ${config.queue.workers} (max ${config.queue.maxQueued} queued)`);
+      logger.info(`Default Toolchain: ${config.toolchains.default}`);
+      logger.info(`Dependency Cache: ${config.cache.enabled ? 'Enabled' : 'Disabled'}`);
+      logger.info(`Network Isolation: ${config.docker.isolation.enabled ? `Enabled (fetch network: ${config.docker.isolation.fetchNetwork || 'default'}${config.docker.isolation.fetchProxy ? ', proxied' : ''})` : 'Disabled'}`);
+      logger.info(`Git Credentials: ${config.git.credentialsKey ? 'Enabled' : 'Disabled'}${config.git.githubApp.appId ? ` (GitHub App ${config.git.githubApp.appId})` : ''}`);
+      logger.info(`AI Research Tools: ${config.aiTools.offline ? 'Offline' : 'Online'}${config.aiTools.cratesIndexDir ? ` (crates index: ${config.aiTools.cratesIndexDir})` : ''}`);
+      logger.info(`AI Token Budget: ${config.agent.aiMonthlyTokenBudget !== null ? `${config.agent.aiMonthlyTokenBudget} tokens/agent/month` : 'Unlimited'}`);
       logger.info(`WebSocket: Enabled on /ws`);
       logger.info(`API Authentication: ${process.env.API_KEY ? 'Enabled' : 'Disabled'}`);
       logger.info('');
@@ -839,12 +1345,25 @@ async function startServer() {
       logger.info('  POST   /compile/:buildId/restart');
       logger.info('  POST   /compile/:buildId/verify-structure');
       logger.info('  POST   /compile/:buildId/smart-build');
+      logger.info('  GET    /compile/:buildId/review');
+      logger.info('  POST   /compile/:buildId/review');
+      logger.info('  POST   /compile/:buildId/cancel');
+      logger.info('  POST   /compile/:buildId/test');
+      logger.info('  GET    /compile/:buildId/test');
+      logger.info('  POST   /compile/:buildId/deploy/prepare');
+      logger.info('  POST   /compile/:buildId/deploy/execute');
+      logger.info('  POST   /compile/:buildId/deploy/confirm');
+      logger.info('  GET    /compile/:buildId/deploy/status');
+      logger.info('  GET    /programs/:programId/deployments');
       logger.info('  GET    /compile/:buildId/status');
       logger.info('  GET    /compile/:buildId/artifacts');
       logger.info('  GET    /compile/:buildId/artifacts/download/:type/:filename');
       logger.info('  GET    /compile/:buildId/files');
       logger.info('  GET    /compile/:buildId/file?path=...');
       logger.info('  PUT    /compile/:buildId/file');
+      logger.info('  GET    /compile/:buildId/history');
+      logger.info('  GET    /compile/:buildId/diff');
+      logger.info('  POST   /compile/:buildId/revert');
       logger.info('  GET    /builds');
       logger.info('  GET    /health');
       logger.info('  WS     /ws');
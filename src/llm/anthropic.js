@@ -0,0 +1,71 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const { llmError, retryAfterSeconds } = require('./errors');
+
+const STOP_REASONS = {
+  tool_use: 'tool_use',
+  max_tokens: 'max_tokens',
+};
+
+function toAnthropicMessage(message) {
+  if (message.role === 'tool') {
+    return {
+      role: 'user',
+      content: message.results.map(result => ({
+        type: 'tool_result',
+        tool_use_id: result.callId,
+        content: result.content,
+      })),
+    };
+  }
+  if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+    return {
+      role: 'assistant',
+      content: [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input })),
+      ],
+    };
+  }
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Claude through the Anthropic Messages API
+ * @param {{apiKey: string, model: string}} options
+ */
+function createAnthropicProvider({ apiKey, model }) {
+  const client = new Anthropic({ apiKey: apiKey || 'your-api-key-here' });
+
+  return {
+    name: 'anthropic',
+    model,
+
+    async complete({ messages, tools = [], maxTokens }) {
+      let response;
+      try {
+        response = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          messages: messages.map(toAnthropicMessage),
+          ...(tools.length > 0 ? { tools } : {}),
+        });
+      } catch (err) {
+        throw llmError(err.message, err.status, retryAfterSeconds(err.headers));
+      }
+
+      return {
+        text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: response.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, input: block.input })),
+        stopReason: STOP_REASONS[response.stop_reason] || 'end',
+        usage: {
+          inputTokens: response.usage ? response.usage.input_tokens : 0,
+          outputTokens: response.usage ? response.usage.output_tokens : 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,23 @@
+/**
+ * Provider errors carry the HTTP status (429 = rate limited) and, when the
+ * server sent one, how many seconds to wait before retrying
+ */
+function llmError(message, status, retryAfter = null) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+// Retry-After from a fetch Headers object or a plain header map, in seconds
+function retryAfterSeconds(headers) {
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseInt(value, 10);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+module.exports = {
+  llmError,
+  retryAfterSeconds,
+};
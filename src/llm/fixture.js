@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { llmError } = require('./errors');
+
+/**
+ * Recorded-fixture provider: replays saved responses so the smart-build loop
+ * runs offline and deterministically.
+ *
+ * Each request is keyed by a hash of its messages, tool names and max
+ * tokens (not the model), and stored as `<key>.json` in the fixtures
+ * directory with the response and the results of any tools it called. Tool
+ * results are replayed too (runTool), so a replay never touches crates.io or
+ * the web — and since they go back into the next request verbatim, the
+ * whole conversation hashes the same way it did when it was recorded.
+ *
+ * Record by wrapping a real provider (LLM_RECORD=true); a request with no
+ * fixture fails with the missing key. Replays report the recorded token
+ * usage, so AI accounting behaves as it did in the recorded run.
+ */
+
+function fixtureKey({ messages, tools = [], maxTokens }) {
+  const canonical = JSON.stringify({ messages, tools: tools.map(tool => tool.name), maxTokens });
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 24);
+}
+
+/**
+ * @param {{dir: string, recordFrom?: object}} options - recordFrom: the real
+ *   provider to call and record; omit to replay only
+ */
+function createFixtureProvider({ dir, recordFrom = null }) {
+  const fixtureForCall = new Map(); // tool call id → fixture file
+
+  const fixturePath = key => path.join(dir, `${key}.json`);
+
+  async function readFixture(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw llmError(`Unreadable LLM fixture ${file}: ${err.message}`);
+    }
+  }
+
+  async function writeFixture(file, fixture) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+
+  return {
+    name: recordFrom ? `${recordFrom.name}+record` : 'fixture',
+    model: recordFrom ? recordFrom.model : 'fixture',
+
+    async complete(request) {
+      const key = fixtureKey(request);
+      const file = fixturePath(key);
+      let fixture;
+
+      if (recordFrom) {
+        const response = await recordFrom.complete(request);
+        fixture = {
+          key,
+          model: recordFrom.model,
+          // For humans browsing the fixtures
+          prompt: String(request.messages[0].content).slice(0, 300),
+          response,
+          toolResults: {},
+        };
+        await writeFixture(file, fixture);
+      } else {
+        fixture = await readFixture(file);
+        if (!fixture) {
+          throw llmError(`No recorded LLM response for this request (${key}.json in ${dir}). Record it with LLM_RECORD=true.`);
+        }
+      }
+
+      for (const call of fixture.response.toolCalls) fixtureForCall.set(call.id, file);
+      return fixture.response;
+    },
+
+    /**
+     * Result of a tool the model called: recorded, or run and recorded
+     * @param {{id: string, name: string}} call
+     * @param {Function} run - Executes the tool for real
+     */
+    async runTool(call, run) {
+      const file = fixtureForCall.get(call.id);
+      const fixture = file ? await readFixture(file) : null;
+      if (!fixture) {
+        throw llmError(`Tool call ${call.id} (${call.name}) is not from a recorded response`);
+      }
+
+      if (recordFrom) {
+        const result = await run();
+        fixture.toolResults[call.id] = result;
+        await writeFixture(file, fixture);
+        return result;
+      }
+
+      if (!(call.id in fixture.toolResults)) {
+        throw llmError(`No recorded result for tool call ${call.id} (${call.name}) in ${path.basename(file)}`);
+      }
+      return fixture.toolResults[call.id];
+    },
+  };
+}
+
+module.exports = {
+  createFixtureProvider,
+  fixtureKey,
+};
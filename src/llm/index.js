@@ -0,0 +1,82 @@
+const config = require('../config');
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAiCompatibleProvider } = require('./openaiCompatible');
+const { createFixtureProvider } = require('./fixture');
+
+/**
+ * LLM providers for the smart build (ai.js).
+ *
+ * A provider is `{ name, model, complete(request), runTool(call, run) }`:
+ *
+ *   complete({ messages, tools?, maxTokens }) →
+ *     Promise<{ text, toolCalls: [{ id, name, input }], stopReason: 'end' | 'tool_use' | 'max_tokens',
+ *               usage: { inputTokens, outputTokens } }>
+ *
+ * messages are `{ role: 'user', content }`, `{ role: 'assistant', content, toolCalls? }`
+ * and `{ role: 'tool', results: [{ callId, content }] }`; tools use Anthropic's
+ * `{ name, description, input_schema }` shape. Errors carry `status` (429 for
+ * rate limits) and `retryAfter` seconds (see errors.js).
+ *
+ * runTool(call, run) returns the result of a tool call — `run()` for real
+ * providers, the recorded result for fixtures.
+ */
+
+const Providers = {
+  ANTHROPIC: 'anthropic',
+  OPENAI: 'openai',
+  FIXTURE: 'fixture',
+};
+
+let current = null;
+
+function withDefaults(provider) {
+  return { runTool: (call, run) => run(), ...provider };
+}
+
+/**
+ * Build a provider from config (config.llm and config.smartBuild.aiModel by default)
+ */
+function createLlmProvider(options = {}) {
+  const settings = { ...config.llm, model: config.smartBuild.aiModel, ...options };
+
+  let provider;
+  switch (settings.provider) {
+    case Providers.ANTHROPIC:
+      provider = createAnthropicProvider({ apiKey: settings.anthropicApiKey, model: settings.model });
+      break;
+    case Providers.OPENAI:
+      provider = createOpenAiCompatibleProvider(settings);
+      break;
+    case Providers.FIXTURE:
+      return withDefaults(createFixtureProvider({ dir: settings.fixturesDir }));
+    default:
+      throw new Error(`Unknown LLM_PROVIDER '${settings.provider}' (use ${Object.values(Providers).join(', ')})`);
+  }
+
+  if (settings.record) {
+    return withDefaults(createFixtureProvider({ dir: settings.fixturesDir, recordFrom: provider }));
+  }
+  return withDefaults(provider);
+}
+
+/**
+ * The process-wide provider, created from config on first use
+ */
+function getLlmProvider() {
+  if (!current) current = createLlmProvider();
+  return current;
+}
+
+/**
+ * Swap the provider (offline runs, tests); null goes back to config
+ */
+function setLlmProvider(provider) {
+  current = provider ? withDefaults(provider) : null;
+}
+
+module.exports = {
+  Providers,
+  createLlmProvider,
+  getLlmProvider,
+  setLlmProvider,
+};
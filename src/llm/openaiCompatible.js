@@ -0,0 +1,111 @@
+const { llmError, retryAfterSeconds } = require('./errors');
+
+const STOP_REASONS = {
+  tool_calls: 'tool_use',
+  length: 'max_tokens',
+};
+
+function toOpenAiMessages(message) {
+  if (message.role === 'tool') {
+    return message.results.map(result => ({
+      role: 'tool',
+      tool_call_id: result.callId,
+      content: result.content,
+    }));
+  }
+  if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+    return [{
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.input) },
+      })),
+    }];
+  }
+  return [{ role: message.role, content: message.content }];
+}
+
+// Tool definitions are kept in Anthropic's shape (name, description, input_schema)
+function toOpenAiTool(tool) {
+  return {
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+  };
+}
+
+function parseArguments(call) {
+  try {
+    return JSON.parse(call.function.arguments || '{}');
+  } catch {
+    console.warn(`LLM returned unparseable arguments for tool ${call.function.name}`);
+    return {};
+  }
+}
+
+/**
+ * Any server implementing OpenAI's /chat/completions (vLLM, Ollama,
+ * llama.cpp, LM Studio, ...). Tool calling needs a model and server that
+ * support it.
+ * @param {{baseUrl: string, apiKey?: string, model: string, timeout: number}} options
+ */
+function createOpenAiCompatibleProvider({ baseUrl, apiKey, model, timeout }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+
+    async complete({ messages, tools = [], maxTokens }) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model,
+            max_tokens: maxTokens,
+            messages: messages.flatMap(toOpenAiMessages),
+            ...(tools.length > 0 ? { tools: tools.map(toOpenAiTool) } : {}),
+          }),
+          signal: AbortSignal.timeout(timeout),
+        });
+      } catch (err) {
+        throw llmError(`LLM server ${baseUrl} unreachable: ${err.message}`);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const detail = (data.error && (data.error.message || data.error)) || response.statusText;
+        throw llmError(`LLM server returned ${response.status}: ${detail}`, response.status, retryAfterSeconds(response.headers));
+      }
+
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message) {
+        throw llmError('LLM server returned no choices');
+      }
+      const toolCalls = (choice.message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        input: parseArguments(call),
+      }));
+
+      return {
+        text: choice.message.content || '',
+        toolCalls,
+        stopReason: toolCalls.length > 0 ? 'tool_use' : (STOP_REASONS[choice.finish_reason] || 'end'),
+        // Some servers omit usage (or only send it when streaming)
+        usage: {
+          inputTokens: (data.usage && data.usage.prompt_tokens) || 0,
+          outputTokens: (data.usage && data.usage.completion_tokens) || 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAiCompatibleProvider };
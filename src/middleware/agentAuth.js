@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const { verifyAgentKey } = require('../agentAuth');
+const { getBuildRecord, getBuildCollaborator } = require('../buildStore');
 const config = require('../config');
 
 /**
@@ -48,6 +49,53 @@ function requireAdminKey(req, res, next) {
   next();
 }
 
+/**
+ * Access levels on an agent build, lowest first. The owner (the agent that
+ * created the build) can do everything, including managing collaborators.
+ */
+const ACCESS_LEVELS = ['read', 'write', 'owner'];
+
+/**
+ * Resolve an agent's access to a build.
+ * @returns {Promise<'owner'|'write'|'read'|null>} null if the agent has no access
+ */
+async function getBuildAccess(build, agentId) {
+  if (!build || !build.agentId) return null;
+  if (build.agentId === agentId) return 'owner';
+  const grant = await getBuildCollaborator(build.id, agentId);
+  return grant ? grant.permission : null;
+}
+
+/**
+ * Middleware factory: require at least `level` access to :buildId. Must run
+ * after requireAgentKey. Builds the caller can't access get the same 404 as
+ * missing ones, so buildIds can't be probed; collaborators below `level`
+ * already know the build exists and get a 403. Sets req.build and
+ * req.buildAccess.
+ * @param {'read'|'write'|'owner'} level
+ */
+function requireBuildAccess(level) {
+  return async (req, res, next) => {
+    try {
+      const build = await getBuildRecord(req.params.buildId);
+      const access = await getBuildAccess(build, req.agent.agent_id);
+      if (!access) {
+        return res.status(404).json({ error: 'Build not found' });
+      }
+      if (ACCESS_LEVELS.indexOf(access) < ACCESS_LEVELS.indexOf(level)) {
+        return res.status(403).json({ error: `This action requires ${level} access to the build`, access });
+      }
+
+      req.build = build;
+      req.buildAccess = access;
+      next();
+    } catch (err) {
+      console.error('Build access check error:', err.message);
+      return res.status(500).json({ error: 'Authorization error' });
+    }
+  };
+}
+
 /**
  * Agent-specific rate limiters (higher limits than browser users)
  */
@@ -74,6 +122,8 @@ const agentBuildLimiter = rateLimit({
 module.exports = {
   requireAgentKey,
   requireAdminKey,
+  requireBuildAccess,
+  getBuildAccess,
   agentApiLimiter,
   agentBuildLimiter,
 };
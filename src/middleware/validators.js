@@ -25,12 +25,25 @@ const validateBuildId = [
   handleValidationErrors,
 ];
 
-const validateGithubRepo = [
+const validateGitRepo = [
   body('repoUrl')
-    .isURL()
-    .withMessage('Invalid URL')
-    .matches(/^https?:\/\/(www\.)?github\.com\/[\w-]+\/[\w.-]+/)
-    .withMessage('Must be a valid GitHub repository URL'),
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Must be an https:// git repository URL'),
+  body('ref')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('ref must be a branch, tag or commit SHA'),
+  body('token')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('token must be a string'),
+  body('username')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('username must be a string'),
   handleValidationErrors,
 ];
 
@@ -74,11 +87,20 @@ const validateRestart = [
   handleValidationErrors,
 ];
 
+const validateSmartBuild = [
+  body('mode')
+    .optional()
+    .isIn(['auto', 'review'])
+    .withMessage("Mode must be 'auto' or 'review'"),
+  handleValidationErrors,
+];
+
 module.exports = {
   validateBuildId,
-  validateGithubRepo,
+  validateGitRepo,
   validateFilePath,
   validateFileContent,
   validateRestart,
+  validateSmartBuild,
   handleValidationErrors,
 };
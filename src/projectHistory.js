@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const config = require('./config');
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Git-backed history of each project's source files.
+ *
+ * Every write to a project (file endpoints, smart-build fixes, reverts) goes
+ * through recordChange, which commits the result with the writer as author.
+ * The repository's git dir lives next to the project (`<buildId>.history`
+ * in the upload dir), not inside it: the project tree is user-supplied, and
+ * a `.git` in it (config, hooks) must never be read by git on the host. For
+ * the same reason system/global git config is ignored.
+ *
+ * History is best-effort — if git fails, the write still happens and a
+ * warning is logged.
+ */
+
+// Build output and dependencies are never versioned
+const EXCLUDES = ['target/', 'node_modules/', '.anchor/', 'test-ledger/', '.git'];
+
+const REVISION = /^(HEAD(~\d{1,4})?|[0-9a-f]{4,40})$/i;
+const LOG_FIELD = '\x1f';
+const LOG_RECORD = '\x1e';
+const MAX_DIFF_LENGTH = 1024 * 1024;
+const MAX_HISTORY_ENTRIES = 200;
+
+// Commit authors
+const Authors = {
+  user: { name: 'user', email: 'user@opencompiler.local' },
+  agent: (agent) => ({ name: `agent:${agent.name}`, email: `${agent.agent_id}@agents.opencompiler.local` }),
+  // step: the iteration number, or a phase such as 'structure'
+  smartBuild: (step) => ({
+    name: `smart-build (${typeof step === 'number' ? `iteration ${step}` : step})`,
+    email: 'smart-build@opencompiler.local',
+  }),
+  system: { name: 'opencompiler', email: 'system@opencompiler.local' },
+};
+
+// One git operation at a time per project (git holds an index lock)
+const historyLocks = new Map(); // buildId → Promise
+
+function historyDir(buildId) {
+  return path.resolve(config.builds.uploadDir, `${buildId}.history`);
+}
+
+function historyError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function git(buildId, projectDir, args, { author = Authors.system, maxBuffer = 10 * 1024 * 1024 } = {}) {
+  const { stdout } = await execFilePromise('git', args, {
+    cwd: projectDir,
+    maxBuffer,
+    timeout: 30000,
+    env: {
+      PATH: process.env.PATH,
+      GIT_DIR: historyDir(buildId),
+      GIT_WORK_TREE: path.resolve(projectDir),
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_CONFIG_GLOBAL: '/dev/null',
+      GIT_TERMINAL_PROMPT: '0',
+      GIT_AUTHOR_NAME: author.name,
+      GIT_AUTHOR_EMAIL: author.email,
+      GIT_COMMITTER_NAME: Authors.system.name,
+      GIT_COMMITTER_EMAIL: Authors.system.email,
+    },
+  });
+  return stdout;
+}
+
+function withHistoryLock(buildId, fn) {
+  const previous = historyLocks.get(buildId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  historyLocks.set(buildId, tail);
+  tail.then(() => {
+    if (historyLocks.get(buildId) === tail) historyLocks.delete(buildId);
+  });
+  return run;
+}
+
+async function hasHistory(buildId) {
+  try {
+    await fs.access(path.join(historyDir(buildId), 'HEAD'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Stage everything and commit if anything changed; returns the new commit SHA
+async function commitAll(buildId, projectDir, author, message) {
+  await git(buildId, projectDir, ['add', '--all', '--', '.']);
+  const status = await git(buildId, projectDir, ['status', '--porcelain']);
+  if (!status.trim()) return null;
+  await git(buildId, projectDir, ['commit', '--quiet', '--no-verify', '-m', message], { author });
+  return (await git(buildId, projectDir, ['rev-parse', 'HEAD'])).trim();
+}
+
+// Create the repository, committing the project as it is now
+async function initHistory(buildId, projectDir, author = Authors.system, message = 'Initial project state') {
+  const dir = historyDir(buildId);
+  await git(buildId, projectDir, ['init', '--quiet', '--initial-branch=main']);
+  await git(buildId, projectDir, ['config', 'core.hooksPath', '/dev/null']);
+  await git(buildId, projectDir, ['config', 'core.quotePath', 'false']);
+  await git(buildId, projectDir, ['config', 'commit.gpgsign', 'false']);
+  await fs.writeFile(path.join(dir, 'info', 'exclude'), `${EXCLUDES.join('\n')}\n`);
+  return commitAll(buildId, projectDir, author, message);
+}
+
+/**
+ * Start a new project's history with its initial files (upload, clone or
+ * agent file map)
+ */
+function startHistory(buildId, projectDir, { author, message }) {
+  return withHistoryLock(buildId, async () => {
+    try {
+      if (await hasHistory(buildId)) {
+        await commitAll(buildId, projectDir, author, message);
+      } else {
+        await initHistory(buildId, projectDir, author, message);
+      }
+    } catch (err) {
+      console.warn(`[${buildId}] Project history unavailable: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Apply a change to a project and commit it. The project's state before the
+ * change is committed first if the project has no history yet.
+ * @param {{name: string, email: string}} author - One of Authors
+ * @param {string|Function} message - Commit message, or a function of applyChange's result
+ * @param {Function} [applyChange] - Performs the write; omit to commit what's on disk
+ * @returns {Promise<*>} Whatever applyChange returns
+ */
+function recordChange(buildId, projectDir, { author, message }, applyChange = async () => {}) {
+  return withHistoryLock(buildId, async () => {
+    let tracked = true;
+    try {
+      if (!(await hasHistory(buildId))) await initHistory(buildId, projectDir);
+    } catch (err) {
+      tracked = false;
+      console.warn(`[${buildId}] Project history unavailable: ${err.message}`);
+    }
+
+    const result = await applyChange();
+
+    if (tracked) {
+      try {
+        const text = typeof message === 'function' ? message(result) : message;
+        const sha = await commitAll(buildId, projectDir, author, text);
+        if (sha) console.log(`[${buildId}] History: ${sha.slice(0, 10)} ${text} (${author.name})`);
+      } catch (err) {
+        console.warn(`[${buildId}] Failed to record history: ${err.message}`);
+      }
+    }
+    return result;
+  });
+}
+
+function checkRevision(revision) {
+  if (typeof revision !== 'string' || !REVISION.test(revision)) {
+    throw historyError(`Invalid revision '${revision}'. Use a commit SHA or HEAD~N.`);
+  }
+  return revision;
+}
+
+// Project-relative path, or throws
+function checkPath(filePath) {
+  const normalized = path.posix.normalize(String(filePath).replace(/\\/g, '/'));
+  if (!normalized || normalized === '.' || normalized.startsWith('../') || normalized === '..'
+    || path.posix.isAbsolute(normalized) || normalized.includes('\0')) {
+    throw historyError('Invalid file path');
+  }
+  return normalized;
+}
+
+async function resolveRevision(buildId, projectDir, revision) {
+  checkRevision(revision);
+  try {
+    return (await git(buildId, projectDir, ['rev-parse', '--verify', '--quiet', `${revision}^{commit}`])).trim();
+  } catch {
+    throw historyError(`Unknown revision '${revision}'`, 404);
+  }
+}
+
+async function requireHistory(buildId) {
+  if (!(await hasHistory(buildId))) {
+    throw historyError('This project has no history yet', 404);
+  }
+}
+
+/**
+ * Commits, newest first
+ * @param {{path?: string, limit?: number}} [options] - Only commits touching path
+ * @returns {Promise<Array<{sha: string, author: string, date: string, message: string,
+ *   files: Array<{status: string, path: string}>}>>}
+ */
+async function listHistory(buildId, projectDir, { path: filePath, limit = 50 } = {}) {
+  if (!(await hasHistory(buildId))) return [];
+
+  const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_HISTORY_ENTRIES);
+  const args = [
+    'log', `--max-count=${count}`, '--name-status', '--no-renames',
+    `--format=${LOG_RECORD}%H${LOG_FIELD}%an${LOG_FIELD}%aI${LOG_FIELD}%s`,
+  ];
+  if (filePath) args.push('--', checkPath(filePath));
+
+  const output = await git(buildId, projectDir, args);
+  return output.split(LOG_RECORD).filter(record => record.trim()).map((record) => {
+    const [header, ...fileLines] = record.split('\n');
+    const [sha, author, date, message] = header.split(LOG_FIELD);
+    const files = fileLines.filter(Boolean).map((line) => {
+      const [status, ...rest] = line.split('\t');
+      return { status, path: rest.join('\t') };
+    });
+    return { sha, author, date, message, files };
+  });
+}
+
+/**
+ * Unified diff between two revisions (default: the latest commit's change)
+ * @param {{from?: string, to?: string, path?: string}} [options]
+ * @returns {Promise<{from: string, to: string, diff: string, truncated: boolean}>}
+ */
+async function diffRevisions(buildId, projectDir, { from, to = 'HEAD', path: filePath } = {}) {
+  await requireHistory(buildId);
+
+  const toSha = await resolveRevision(buildId, projectDir, to);
+  let fromSha;
+  if (from) {
+    fromSha = await resolveRevision(buildId, projectDir, from);
+  } else {
+    // The parent of `to`; the initial commit is diffed against the empty tree
+    const parents = (await git(buildId, projectDir, ['rev-list', '--parents', '-n', '1', toSha])).trim().split(' ');
+    fromSha = parents[1] || (await git(buildId, projectDir, ['hash-object', '-t', 'tree', '/dev/null'])).trim();
+  }
+
+  const args = ['diff', '--no-color', '--no-ext-diff', '--no-renames', fromSha, toSha];
+  if (filePath) args.push('--', checkPath(filePath));
+  let diff = await git(buildId, projectDir, args, { maxBuffer: 20 * 1024 * 1024 });
+
+  const truncated = diff.length > MAX_DIFF_LENGTH;
+  if (truncated) diff = diff.slice(0, MAX_DIFF_LENGTH);
+  return { from: fromSha, to: toSha, diff, truncated };
+}
+
+/**
+ * Restore the whole project, or one file, to a revision. The revert is
+ * itself a new commit, so it can be undone the same way.
+ * @param {{revision: string, path?: string, author: object}} options
+ * @returns {Promise<{revision: string, path: string|null, commit: string|null}>}
+ */
+async function revertToRevision(buildId, projectDir, { revision, path: filePath, author }) {
+  await requireHistory(buildId);
+  const target = filePath ? checkPath(filePath) : null;
+
+  return withHistoryLock(buildId, async () => {
+    const sha = await resolveRevision(buildId, projectDir, revision);
+    // Anything not yet committed (e.g. a write that failed to record) is kept in history first
+    await commitAll(buildId, projectDir, Authors.system, 'Uncommitted changes before revert');
+
+    if (target) {
+      const existed = await git(buildId, projectDir, ['ls-tree', '--name-only', sha, '--', target]);
+      if (existed.trim()) {
+        await git(buildId, projectDir, ['checkout', sha, '--', target]);
+      } else {
+        // Didn't exist at that revision — reverting removes it
+        await git(buildId, projectDir, ['rm', '-r', '--quiet', '--ignore-unmatch', '--', target]);
+      }
+    } else {
+      // Tracked files are reset to the revision; files added since are removed
+      await git(buildId, projectDir, ['read-tree', '--reset', '-u', sha]);
+    }
+
+    const message = `Revert ${target || 'project'} to ${sha.slice(0, 10)}`;
+    const commit = await commitAll(buildId, projectDir, author, message);
+    console.log(`[${buildId}] ${message} (${author.name})`);
+    return { revision: sha, path: target, commit };
+  });
+}
+
+/**
+ * Remove a project's history (with the project itself)
+ */
+async function removeHistory(buildId) {
+  await fs.rm(historyDir(buildId), { recursive: true, force: true });
+}
+
+module.exports = {
+  Authors,
+  startHistory,
+  recordChange,
+  listHistory,
+  diffRevisions,
+  revertToRevision,
+  removeHistory,
+};
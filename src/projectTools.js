@@ -0,0 +1,277 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const config = require('./config');
+const { getBuildRecord } = require('./buildStore');
+const { findToolchain, getDefaultToolchain } = require('./toolchains');
+const { runToolContainer } = require('./docker');
+const { getCachedResult, setCachedResult } = require('./toolCache');
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Project-aware tools for the smart-build AI, so it can pull context on
+ * demand instead of getting every file inlined in the prompt:
+ *
+ *   read_file           — a file (or a line range of one) from the project
+ *   list_files          — the project tree with sizes
+ *   grep_project        — regex search across the project (git grep)
+ *   explain_error_code  — `rustc --explain` from the build's toolchain image
+ *   cargo_tree          — `cargo tree` in a no-network builder container
+ *
+ * Paths are relative to the project root and can't leave it (symlinks
+ * included). Results are plain strings for the model, capped in size.
+ */
+
+const PROJECT_TOOLS = ['read_file', 'list_files', 'grep_project', 'cargo_tree'];
+const IGNORED_DIRS = ['node_modules', 'target', '.git', '.anchor', 'test-ledger'];
+const MAX_READ_BYTES = 100 * 1024;
+const MAX_READ_LINES = 1500;
+const MAX_LIST_ENTRIES = 500;
+const MAX_GREP_LINES = 200;
+const MAX_COMMAND_OUTPUT = 20000;
+const TOOL_CONTAINER_TIMEOUT = 120; // seconds
+
+function toolError(message) {
+  return JSON.stringify({ error: message });
+}
+
+/**
+ * Resolve a project-relative path, refusing anything outside the project
+ * @returns {Promise<string|null>} Absolute real path, or null if it escapes or doesn't exist
+ */
+async function resolveProjectPath(projectDir, relPath = '.') {
+  const normalized = path.normalize(String(relPath || '.')).replace(/^(\.\/)+/, '');
+  if (path.isAbsolute(normalized) || normalized === '..' || normalized.startsWith(`..${path.sep}`)) {
+    return null;
+  }
+  try {
+    const root = await fs.realpath(projectDir);
+    const target = await fs.realpath(path.join(root, normalized));
+    if (target !== root && !target.startsWith(root + path.sep)) return null;
+    return target;
+  } catch {
+    return null;
+  }
+}
+
+// ── read_file ───────────────────────────────────────────────────
+async function readProjectFile(projectDir, { path: relPath, start_line: startLine, end_line: endLine }) {
+  const fullPath = await resolveProjectPath(projectDir, relPath);
+  if (!fullPath) return toolError(`No such file in the project: ${relPath}`);
+
+  const stat = await fs.stat(fullPath);
+  if (!stat.isFile()) return toolError(`${relPath} is not a file (use list_files for directories)`);
+
+  const buffer = await fs.readFile(fullPath);
+  if (buffer.includes(0)) return toolError(`${relPath} is a binary file`);
+
+  const lines = buffer.toString('utf-8').split('\n');
+  const first = Math.max(parseInt(startLine, 10) || 1, 1);
+  let last = Math.min(parseInt(endLine, 10) || lines.length, lines.length, first + MAX_READ_LINES - 1);
+
+  const numbered = [];
+  let bytes = 0;
+  for (let n = first; n <= last; n++) {
+    const line = `${String(n).padStart(5)}| ${lines[n - 1]}`;
+    if (bytes + line.length > MAX_READ_BYTES) {
+      last = n - 1;
+      break;
+    }
+    numbered.push(line);
+    bytes += line.length + 1;
+  }
+
+  const more = last < lines.length
+    ? `\n[lines ${first}-${last} of ${lines.length} — read_file with start_line=${last + 1} for more]`
+    : '';
+  return `${relPath} (${lines.length} lines)\n${numbered.join('\n')}${more}`;
+}
+
+// ── list_files ──────────────────────────────────────────────────
+async function listProjectFiles(projectDir, { path: relPath = '.' } = {}) {
+  const start = await resolveProjectPath(projectDir, relPath);
+  if (!start) return toolError(`No such directory in the project: ${relPath}`);
+
+  const root = await fs.realpath(projectDir);
+  const entries = [];
+  let truncated = false;
+
+  async function walk(dir) {
+    let children;
+    try {
+      children = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    children.sort((a, b) => a.name.localeCompare(b.name));
+    for (const child of children) {
+      if (entries.length >= MAX_LIST_ENTRIES) {
+        truncated = true;
+        return;
+      }
+      const fullPath = path.join(dir, child.name);
+      const rel = path.relative(root, fullPath);
+      if (child.isDirectory()) {
+        if (IGNORED_DIRS.includes(child.name)) continue;
+        entries.push(`${rel}/`);
+        await walk(fullPath);
+      } else if (child.isFile()) {
+        const { size } = await fs.stat(fullPath);
+        entries.push(`${rel} (${size} bytes)`);
+      }
+    }
+  }
+
+  if ((await fs.stat(start)).isFile()) {
+    return listProjectFiles(projectDir, { path: path.dirname(path.relative(root, start)) || '.' });
+  }
+  await walk(start);
+  return entries.join('\n') + (truncated ? `\n[listing stopped at ${MAX_LIST_ENTRIES} entries — list a subdirectory]` : '');
+}
+
+// ── grep_project ────────────────────────────────────────────────
+// git grep (no repository needed) keeps the model's regex out of this
+// process: no catastrophic backtracking on the event loop, and a hard timeout
+async function grepProject(projectDir, { pattern, path: relPath = '.', ignore_case: ignoreCase = false }) {
+  if (typeof pattern !== 'string' || !pattern || pattern.length > 500) {
+    return toolError('pattern is required (an extended regular expression, up to 500 characters)');
+  }
+  const searchPath = await resolveProjectPath(projectDir, relPath);
+  if (!searchPath) return toolError(`No such path in the project: ${relPath}`);
+
+  const root = await fs.realpath(projectDir);
+  const args = [
+    'grep', '--no-index', '--no-color', '-n', '-I', '-E', '--max-count', '20',
+    ...(ignoreCase ? ['-i'] : []),
+    '-e', pattern,
+    '--', path.relative(root, searchPath) || '.',
+    ...IGNORED_DIRS.map(dir => `:(exclude,glob)**/${dir}/**`),
+  ];
+
+  let stdout;
+  try {
+    ({ stdout } = await execFilePromise('git', args, {
+      cwd: root,
+      timeout: config.aiTools.grepTimeout,
+      maxBuffer: 2 * 1024 * 1024,
+      env: { ...process.env, GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_GLOBAL: '/dev/null' },
+    }));
+  } catch (err) {
+    if (err.code === 1) return `No matches for /${pattern}/`;
+    if (err.killed) return toolError(`grep timed out after ${config.aiTools.grepTimeout / 1000}s — narrow the pattern or path`);
+    return toolError(`grep failed: ${(err.stderr || err.message).trim().slice(0, 300)}`);
+  }
+
+  const lines = stdout.split('\n').filter(Boolean);
+  const shown = lines.slice(0, MAX_GREP_LINES).map(line => (line.length > 300 ? `${line.slice(0, 300)}…` : line));
+  return shown.join('\n') + (lines.length > MAX_GREP_LINES ? `\n[${lines.length - MAX_GREP_LINES} more matches — narrow the search]` : '');
+}
+
+// ── Builder-container tools ─────────────────────────────────────
+// The toolchain the build last used, so answers match the compiler that produced the errors
+async function toolchainFor(buildId) {
+  const build = buildId ? await getBuildRecord(buildId) : null;
+  return (build && build.toolchain && findToolchain(build.toolchain)) || getDefaultToolchain();
+}
+
+function commandOutput({ exitCode, output }) {
+  const text = output.replace(/\r\n/g, '\n').trim();
+  const capped = text.length > MAX_COMMAND_OUTPUT
+    ? `${text.slice(0, MAX_COMMAND_OUTPUT)}\n[output truncated at ${MAX_COMMAND_OUTPUT} characters]`
+    : text;
+  return exitCode === 0 ? capped : `[exit code ${exitCode}]\n${capped}`;
+}
+
+async function explainErrorCode(buildId, { code }) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!/^E\d{4}$/.test(normalized)) {
+    return toolError('code must be a rustc error code like E0425');
+  }
+
+  // Same answer for every project on a toolchain
+  const toolchain = await toolchainFor(buildId);
+  const key = `${toolchain.id}:${normalized}`;
+  const cached = await getCachedResult('explain_error_code', key);
+  if (cached) return cached.result;
+
+  const result = await runToolContainer(buildId, {
+    toolchain,
+    script: `rustc --explain ${normalized} 2>&1`,
+    timeout: TOOL_CONTAINER_TIMEOUT,
+  });
+  const text = commandOutput(result);
+  if (result.exitCode === 0) await setCachedResult('explain_error_code', key, text);
+  return text;
+}
+
+const PACKAGE_SPEC = /^[A-Za-z0-9_-]{1,64}(@[0-9A-Za-z.+-]{1,64})?$/;
+
+async function cargoTree(buildId, projectDir, { package: pkg, invert, depth, duplicates = false } = {}) {
+  for (const [name, value] of [['package', pkg], ['invert', invert]]) {
+    if (value !== undefined && !PACKAGE_SPEC.test(String(value))) {
+      return toolError(`${name} must be a crate name, optionally name@version`);
+    }
+  }
+  const maxDepth = depth === undefined ? (invert || duplicates ? null : 2) : parseInt(depth, 10);
+  if (maxDepth !== null && !(maxDepth >= 0 && maxDepth <= 10)) {
+    return toolError('depth must be between 0 and 10');
+  }
+
+  const { findAnchorTomlSubdir } = require('./smartBuild');
+  const anchorSubdir = await findAnchorTomlSubdir(projectDir) || '';
+  const args = [
+    '--offline', '-e', 'normal,build',
+    ...(maxDepth !== null ? ['--depth', String(maxDepth)] : []),
+    ...(pkg ? ['-p', pkg] : []),
+    ...(invert ? ['-i', invert] : []),
+    ...(duplicates ? ['-d'] : []),
+  ];
+
+  const result = await runToolContainer(buildId, {
+    toolchain: await toolchainFor(buildId),
+    projectPath: projectDir,
+    anchorSubdir,
+    script: `cargo tree ${args.join(' ')} 2>&1`,
+    timeout: TOOL_CONTAINER_TIMEOUT,
+  });
+  const text = commandOutput(result);
+  if (result.exitCode !== 0 && /offline|no matching package|failed to (load|select)/i.test(text)) {
+    return `${text}\n[cargo tree runs offline against the build's crate cache — dependencies that were never fetched can't be resolved; use lookup_crate_deps instead]`;
+  }
+  return text;
+}
+
+/**
+ * Run a project tool
+ * @param {string} toolName
+ * @param {object} input - The model's tool input
+ * @param {{buildId: string, projectDir: string}} context
+ * @returns {Promise<string|null>} null if toolName isn't a project tool
+ */
+async function executeProjectTool(toolName, input, { buildId, projectDir }) {
+  if (PROJECT_TOOLS.includes(toolName) && !projectDir) {
+    return toolError(`${toolName} is only available while fixing a project`);
+  }
+
+  switch (toolName) {
+    case 'read_file':
+      return readProjectFile(projectDir, input);
+    case 'list_files':
+      return listProjectFiles(projectDir, input);
+    case 'grep_project':
+      return grepProject(projectDir, input);
+    case 'explain_error_code':
+      return explainErrorCode(buildId, input);
+    case 'cargo_tree':
+      return cargoTree(buildId, projectDir, input);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  executeProjectTool,
+  resolveProjectPath,
+};
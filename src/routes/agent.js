@@ -2,16 +2,46 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const config = require('../config');
-const { registerAgent, claimAgent, getAgentByCode, listAgents, revokeAgent } = require('../agentAuth');
-const { requireAgentKey, requireAdminKey, agentApiLimiter, agentBuildLimiter } = require('../middleware/agentAuth');
+const { registerAgent, claimAgent, getAgentByCode, getAgent, listAgents, revokeAgent } = require('../agentAuth');
+const {
+  requireAgentKey,
+  requireAdminKey,
+  requireBuildAccess,
+  getBuildAccess,
+  agentApiLimiter,
+  agentBuildLimiter,
+} = require('../middleware/agentAuth');
+const { upsertBuildCollaborator, listBuildCollaborators, deleteBuildCollaborator } = require('../buildStore');
 const {
   getBuildStatus,
   getBuildArtifacts,
   createProjectFromFiles,
   startBuildFromGithub,
   updateBuildStatus,
+  queueAnchorBuild,
+  queueAnchorTest,
+  getTestRun,
+  createBuildController,
+  claimBuildController,
+  releaseBuildController,
+  cancelBuild,
+  resultStatus,
   BuildStatus,
+  TestStatus,
 } = require('../buildManager');
+const { assertQueueCapacity, getQueuePosition } = require('../buildQueue');
+const { broadcastLog, broadcastStatus, broadcastDeployProgress, broadcastTestProgress } = require('../websocket');
+const { removeProjectTarget } = require('../buildCache');
+const { findToolchain, listToolchains } = require('../toolchains');
+const {
+  prepareDeployment, executeDeployment, confirmUpgrade, getDeploymentStatus, listProgramDeployments,
+} = require('../deploy');
+const { parseRepoUrl, validateRef } = require('../gitSource');
+const { setGitCredential, listGitCredentials, deleteGitCredential, resolveGitAuth } = require('../gitCredentials');
+const { Authors, recordChange, listHistory, diffRevisions, revertToRevision } = require('../projectHistory');
+const { getAgentAiUsage, assertAiBudget, setAgentAiBudget } = require('../aiUsage');
+const { listFetchAudit } = require('../safeFetch');
+const { errorDiagnostics, describeErrors } = require('../diagnostics');
 
 const router = express.Router();
 
@@ -24,12 +54,29 @@ function getActiveAgentBuild(agentId) {
   return activeAgentBuilds.get(agentId) || null;
 }
 
+// Returns the lock itself: only its holder can clear it
 function setActiveAgentBuild(agentId, buildId) {
-  activeAgentBuilds.set(agentId, { buildId, startedAt: Date.now() });
+  const lock = { buildId, startedAt: Date.now() };
+  activeAgentBuilds.set(agentId, lock);
+  return lock;
+}
+
+// Clears the lock only if it is still the one given — a cancelled run's
+// handler must not release the agent's next run, even on the same build
+function clearActiveAgentBuild(agentId, lock) {
+  if (lock && activeAgentBuilds.get(agentId) === lock) activeAgentBuilds.delete(agentId);
+}
+
+// Release whichever agent's lock is held by this build — a collaborator may
+// have started it
+function clearBuildLocks(buildId) {
+  for (const [agentId, active] of activeAgentBuilds) {
+    if (active.buildId === buildId) activeAgentBuilds.delete(agentId);
+  }
 }
 
-function clearActiveAgentBuild(agentId) {
-  activeAgentBuilds.delete(agentId);
+function artifactDownloadUrl(buildId, artifact) {
+  return `/api/v1/build/${buildId}/artifacts/download/${artifact.type}/${artifact.name}`;
 }
 
 // ============================================================
@@ -37,10 +84,12 @@ function clearActiveAgentBuild(agentId) {
 // ============================================================
 
 /**
- * Extract meaningful compilation errors from raw Docker build logs.
- * Returns an array of error strings, max 20.
+ * Extract meaningful compilation errors, max 20 strings. From the build's
+ * compiler diagnostics when it has any errors, else scraped from raw
+ * Docker build logs (dependency resolution, linker and Anchor errors).
  */
-function extractCompilationErrors(logs) {
+function extractCompilationErrors(logs, diagnostics = null) {
+  if (errorDiagnostics(diagnostics).length > 0) return describeErrors(diagnostics).slice(0, 20);
   if (!logs) return [];
   const stdout = typeof logs === 'object' ? (logs.stdout || '') : String(logs);
   const stderr = typeof logs === 'object' ? (logs.stderr || '') : '';
@@ -73,6 +122,12 @@ function extractCompilationErrors(logs) {
   return [...new Set(errors)].slice(0, 20);
 }
 
+// Repository, ref and resolved commit of a build cloned from git
+function gitInfo(build) {
+  if (!build) return undefined;
+  return { repoUrl: build.repoUrl, ref: build.gitRef || null, commitSha: build.commitSha || null };
+}
+
 // ============================================================
 // KEYPAIR EXTRACTION — inline in response, then delete from disk
 // ============================================================
@@ -180,7 +235,8 @@ router.post('/agent/register', async (req, res) => {
           method: 'POST',
           url: baseUrl + '/api/v1/build',
           headers: { 'X-Agent-Key': agent.api_key, 'Content-Type': 'application/json' },
-          body: '{ "github_url": "https://github.com/user/repo" }',
+          body: '{ "github_url": "https://github.com/user/repo", "ref": "<branch, tag or commit SHA — optional>" }',
+          note: 'Any https git host (GitLab, Bitbucket, self-hosted) works. For private repos, first PUT /api/v1/git-credentials',
         },
         check_status: 'GET ' + baseUrl + '/api/v1/build/:buildId',
         get_artifacts: 'GET ' + baseUrl + '/api/v1/build/:buildId/artifacts',
@@ -248,6 +304,30 @@ router.get('/agent/status', requireAgentKey, async (req, res) => {
   });
 });
 
+/**
+ * GET /api/v1/agent/usage
+ * Own LLM token usage this calendar month (UTC) and the monthly budget
+ */
+router.get('/agent/usage', agentApiLimiter, requireAgentKey, async (req, res) => {
+  try {
+    const usage = await getAgentAiUsage(req.agent.agent_id);
+    res.json({
+      agent_id: req.agent.agent_id,
+      period: usage.period,
+      input_tokens: usage.inputTokens,
+      output_tokens: usage.outputTokens,
+      total_tokens: usage.totalTokens,
+      calls: usage.calls,
+      cost_usd: usage.costUsd,
+      budget_tokens: usage.budget,
+      remaining_tokens: usage.remaining,
+    });
+  } catch (error) {
+    console.error('Agent usage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/v1/agent/list
  * List all registered agents (admin only)
@@ -279,6 +359,154 @@ router.post('/agent/:agentId/revoke', requireAdminKey, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/v1/agent/:agentId/ai-budget
+ * Set an agent's monthly LLM token budget (admin only)
+ * Body: { monthly_tokens: number | null } — null uses the server default
+ */
+router.put('/agent/:agentId/ai-budget', requireAdminKey, async (req, res) => {
+  try {
+    if (!req.body || !('monthly_tokens' in req.body)) {
+      return res.status(400).json({ error: 'monthly_tokens is required (a token count, or null for the server default)' });
+    }
+    const updated = await setAgentAiBudget(req.params.agentId, req.body.monthly_tokens);
+    if (!updated) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const usage = await getAgentAiUsage(req.params.agentId);
+    res.json({
+      agent_id: req.params.agentId,
+      budget_tokens: usage.budget,
+      used_tokens: usage.totalTokens,
+      remaining_tokens: usage.remaining,
+    });
+  } catch (error) {
+    if (!error.status) console.error('Agent budget error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/toolchains
+ * List registered Anchor/Solana toolchains and whether each is installed
+ */
+router.get('/toolchains', agentApiLimiter, async (req, res) => {
+  try {
+    const toolchains = await listToolchains();
+    res.json({
+      default: toolchains.find(t => t.default).id,
+      toolchains: toolchains.map(t => ({
+        id: t.id,
+        anchorVersion: t.anchorVersion,
+        solanaVersion: t.solanaVersion,
+        installed: t.installed,
+        default: t.default,
+      })),
+    });
+  } catch (error) {
+    console.error('Toolchain list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/v1/admin/cache?toolchain=<id>
+ * Purge dependency cache volumes (admin only). Volumes used by a running
+ * build are skipped and listed in `inUse`.
+ */
+router.delete('/admin/cache', requireAdminKey, async (req, res) => {
+  try {
+    const { purgeBuildCache } = require('../buildCache');
+    const result = await purgeBuildCache(req.query.toolchain || null);
+    res.json({
+      message: `Removed ${result.removed.length} cache volume(s)`,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/admin/fetch-audit?build_id=<id>&outcome=fetched|blocked|failed&limit=100
+ * URLs the smart-build AI fetched or tried to fetch, newest first (admin only)
+ */
+router.get('/admin/fetch-audit', requireAdminKey, async (req, res) => {
+  try {
+    const entries = await listFetchAudit({
+      buildId: req.query.build_id || null,
+      outcome: req.query.outcome || null,
+      limit: req.query.limit,
+    });
+    res.json({ entries });
+  } catch (error) {
+    console.error('Fetch audit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// GIT CREDENTIALS (private repositories)
+// ============================================================
+
+/**
+ * GET /api/v1/git-credentials
+ * List your stored git credentials (hosts and kinds — never the secrets)
+ */
+router.get('/git-credentials', agentApiLimiter, requireAgentKey, async (req, res) => {
+  try {
+    const credentials = await listGitCredentials(req.agent.agent_id);
+    res.json({ credentials });
+  } catch (error) {
+    console.error('Agent list git credentials error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/v1/git-credentials
+ * Store the credential used to clone private repos from a host:
+ * { host, token, username? } for a deploy/access token, or
+ * { host: "github.com", installation_id, github_token } for this server's GitHub App,
+ * where github_token is a user access token proving access to the installation.
+ * Replaces any existing credential for the host.
+ */
+router.put('/git-credentials', agentApiLimiter, requireAgentKey, async (req, res) => {
+  try {
+    const {
+      host, token, username, installation_id: installationId, github_token: githubToken,
+    } = req.body || {};
+    if (!host || typeof host !== 'string') {
+      return res.status(400).json({ error: 'host is required (e.g. github.com, gitlab.com, git.example.com)' });
+    }
+
+    const credential = await setGitCredential(req.agent.agent_id, { host, token, username, installationId, githubToken });
+    console.log(`Agent ${req.agent.agent_id} stored a ${credential.kind} git credential for ${credential.host}`);
+    res.json(credential);
+  } catch (error) {
+    console.error('Agent store git credential error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/v1/git-credentials/:host
+ * Remove your stored credential for a host
+ */
+router.delete('/git-credentials/:host', agentApiLimiter, requireAgentKey, async (req, res) => {
+  try {
+    const removed = await deleteGitCredential(req.agent.agent_id, req.params.host);
+    if (!removed) {
+      return res.status(404).json({ error: 'No git credential stored for this host' });
+    }
+    res.json({ host: req.params.host, success: true });
+  } catch (error) {
+    console.error('Agent delete git credential error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ============================================================
 // PROJECT CREATION
 // ============================================================
@@ -319,7 +547,7 @@ router.post('/project/create', agentApiLimiter, requireAgentKey, async (req, res
     const buildId = await createProjectFromFiles(name, files, {
       source: 'agent',
       agentId: req.agent.agent_id,
-    });
+    }, Authors.agent(req.agent));
 
     res.status(201).json({
       buildId,
@@ -342,9 +570,14 @@ router.post('/project/create', agentApiLimiter, requireAgentKey, async (req, res
  * Send code + get compiled result (synchronous, up to 10 min)
  */
 router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
+  let agentLock = null;
   try {
-    const { name, files, github_url, timeout = 600 } = req.body;
-    const useSmartBuild = false; // Agents must fix errors themselves — no AI assistance
+    const { name, files, github_url, repo_url, ref, toolchain, timeout = 600, smart_build: useSmartBuild = false } = req.body;
+
+    // Agents fix errors themselves unless they opt into the AI fix loop, which is charged to them
+    if (typeof useSmartBuild !== 'boolean') {
+      return res.status(400).json({ error: 'smart_build must be a boolean' });
+    }
 
     // ── Per-agent concurrency check ──
     const agentId = req.agent.agent_id;
@@ -358,8 +591,10 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
       });
     }
 
-    // Must provide either files or github_url
-    const isGithubBuild = !!github_url;
+    // Must provide either files or a repository URL (github_url or repo_url — any https git host)
+    const repoUrl = repo_url || github_url;
+    const isGithubBuild = !!repoUrl;
+    let gitSource = null;
 
     if (!isGithubBuild) {
       // ── Inline files mode ──
@@ -367,7 +602,7 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
         return res.status(400).json({ error: 'name is required' });
       }
       if (!files || typeof files !== 'object' || Object.keys(files).length === 0) {
-        return res.status(400).json({ error: 'files is required (non-empty object mapping paths to contents). Or use github_url to build from a GitHub repo.' });
+        return res.status(400).json({ error: 'files is required (non-empty object mapping paths to contents). Or use repo_url to build from a git repository.' });
       }
 
       const fileKeys = Object.keys(files);
@@ -388,13 +623,30 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
         });
       }
     } else {
-      // ── GitHub URL mode ──
-      const githubRegex = /^https?:\/\/(www\.)?github\.com\/[\w.-]+\/[\w.-]+/;
-      if (!githubRegex.test(github_url)) {
-        return res.status(400).json({ error: 'Invalid github_url. Must be a GitHub repository URL (https://github.com/owner/repo).' });
+      // ── Git repository mode ──
+      try {
+        gitSource = parseRepoUrl(typeof repoUrl === 'string' ? repoUrl : '');
+        if (ref !== undefined) validateRef(ref);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
       }
     }
 
+    // Optional explicit toolchain — otherwise detected from Anchor.toml / Cargo.toml at build time
+    let requestedToolchain;
+    if (toolchain !== undefined) {
+      const match = findToolchain(toolchain);
+      if (!match) {
+        return res.status(400).json({
+          error: `Unknown toolchain '${toolchain}'. See GET /api/v1/toolchains`,
+        });
+      }
+      requestedToolchain = match.id;
+    }
+
+    assertQueueCapacity();
+    if (useSmartBuild) await assertAiBudget(agentId);
+
     // Set long timeout for this request
     const effectiveTimeout = Math.min(timeout, config.agent.buildTimeout) * 1000;
     req.setTimeout(effectiveTimeout + 10000);
@@ -404,45 +656,52 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
 
     let buildId;
     if (isGithubBuild) {
-      // Clone repo (autoBuild=false so we control the build ourselves)
-      buildId = await startBuildFromGithub(github_url, false, { agentId: req.agent.agent_id });
+      // Clone repo (autoBuild=false so we control the build ourselves), with
+      // the agent's stored credential for the host if it has one
+      const auth = await resolveGitAuth(agentId, gitSource.host);
+      buildId = await startBuildFromGithub(repoUrl, false, { agentId: req.agent.agent_id, requestedToolchain }, { ref, auth });
     } else {
       buildId = await createProjectFromFiles(name, files, {
         source: 'agent',
         agentId: req.agent.agent_id,
-      });
+        requestedToolchain,
+      }, Authors.agent(req.agent));
     }
 
     // ── Lock: mark this agent as having an active build ──
-    setActiveAgentBuild(agentId, buildId);
+    agentLock = setActiveAgentBuild(agentId, buildId);
 
     const projectDir = path.join(config.builds.uploadDir, buildId);
     const outputDir = path.join(config.builds.buildDir, buildId);
 
+    const signal = createBuildController(buildId);
+
     let result;
+    let currentRun = false;
     try {
       if (useSmartBuild) {
         const { smartBuild } = require('../smartBuild');
-        result = await smartBuild(buildId, projectDir, outputDir, null);
+        result = await smartBuild(buildId, projectDir, outputDir, null, { signal });
       } else {
-        const { executeAnchorBuild } = require('../docker');
         const { findAnchorTomlSubdir } = require('../smartBuild');
         const anchorSubdir = await findAnchorTomlSubdir(projectDir) || '';
-        result = await executeAnchorBuild(buildId, projectDir, outputDir, anchorSubdir);
+        result = await queueAnchorBuild(buildId, projectDir, outputDir, anchorSubdir, null, { signal });
       }
     } finally {
       // ── Unlock: always clear active build, even on error ──
-      clearActiveAgentBuild(agentId);
+      currentRun = releaseBuildController(buildId, signal);
+      clearActiveAgentBuild(agentId, agentLock);
     }
 
-    // Update build status in the map
-    const build = getBuildStatus(buildId);
-    if (build) {
+    // Persist final build status, unless a newer run on the build owns it
+    const build = await getBuildStatus(buildId);
+    if (build && currentRun) {
       const finalLogs = result.finalBuild?.logs || result.logs || build.logs;
       const finalExitCode = result.finalBuild?.exitCode ?? result.exitCode;
-      updateBuildStatus(buildId, result.success ? BuildStatus.SUCCESS : BuildStatus.FAILED, {
+      await updateBuildStatus(buildId, resultStatus(result), {
         logs: finalLogs,
         exitCode: finalExitCode,
+        cache: result.finalBuild?.cache || result.cache,
         completedAt: new Date(),
         error: result.success ? undefined : (result.cannotFixReason || result.error || 'Build failed'),
       });
@@ -457,22 +716,22 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
           programs: rawArtifacts.programs.map(a => ({
             name: a.name,
             type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
           idl: rawArtifacts.idl.map(a => ({
             name: a.name,
             type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
           types: rawArtifacts.types.map(a => ({
             name: a.name,
             type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
           deploy: (rawArtifacts.deploy || []).map(a => ({
             name: a.name,
             type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
         };
       } catch (e) {
@@ -481,7 +740,8 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
     }
 
     const finalBuildLogs = result.finalBuild?.logs || result.logs || null;
-    const compilationErrors = result.success ? [] : extractCompilationErrors(finalBuildLogs);
+    const diagnostics = result.finalBuild?.diagnostics || result.diagnostics || [];
+    const compilationErrors = result.success ? [] : extractCompilationErrors(finalBuildLogs, diagnostics);
 
     // Extract keypairs from build output (will be inlined in response, then deleted)
     let keypairs = [];
@@ -492,18 +752,23 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
     const response = {
       buildId,
       source: isGithubBuild ? 'github' : 'inline',
-      status: result.success ? 'success' : 'failed',
+      git: isGithubBuild ? gitInfo(build) : undefined,
+      status: resultStatus(result),
       iterations: result.iterations || 1,
       artifacts,
       keypairs: keypairs.length > 0 ? keypairs : undefined,
       logs: finalBuildLogs,
       errors: compilationErrors,
+      diagnostics,
       error: result.success ? null : (result.cannotFixReason || result.error || 'Build failed'),
+      cache: result.finalBuild?.cache || result.cache || null,
+      toolchain: result.finalBuild?.toolchain || result.toolchain || null,
+      aiUsage: result.aiUsage,
       buildDuration: Math.round((Date.now() - startTime) / 1000),
     };
 
     // If build failed, give the agent clear next steps for fixing
-    if (!result.success) {
+    if (!result.success && !result.cancelled) {
       response.next_steps = {
         message: 'Build failed. Read the errors, fix the source files, then rebuild.',
         list_files: `GET /api/v1/project/${buildId}/files`,
@@ -522,9 +787,12 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
     }
   } catch (error) {
     // Ensure we clear the lock on unexpected errors
-    if (req.agent) clearActiveAgentBuild(req.agent.agent_id);
+    if (req.agent) clearActiveAgentBuild(req.agent.agent_id, agentLock);
     console.error('Agent build error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({
+      error: error.message,
+      ...(error.status && error.code ? { code: error.code } : {}), // e.g. clone_failed
+    });
   }
 });
 
@@ -536,11 +804,19 @@ router.post('/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
  * POST /api/v1/project/:buildId/build
  * Trigger build on an existing project (synchronous)
  */
-router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, async (req, res) => {
+router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, requireBuildAccess('write'), async (req, res) => {
+  let agentLock = null;
+  let signal = null;
   try {
     const { buildId } = req.params;
-    const { timeout = 600 } = req.body || {};
-    const useSmartBuild = false; // Agents must fix errors themselves — no AI assistance
+    const { timeout = 600, clean = false, smart_build: useSmartBuild = false } = req.body || {};
+
+    if (typeof clean !== 'boolean') {
+      return res.status(400).json({ error: 'clean must be a boolean' });
+    }
+    if (typeof useSmartBuild !== 'boolean') {
+      return res.status(400).json({ error: 'smart_build must be a boolean' });
+    }
 
     // ── Per-agent concurrency check ──
     const agentId = req.agent.agent_id;
@@ -554,14 +830,22 @@ router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, async
       });
     }
 
-    const build = getBuildStatus(buildId);
-    if (!build) {
-      return res.status(404).json({ error: 'Build/project not found' });
-    }
-
-    if (build.status === BuildStatus.RUNNING) {
+    const build = req.build;
+    if (build.status === BuildStatus.RUNNING || build.status === BuildStatus.QUEUED) {
       return res.status(409).json({ error: 'Build already running' });
     }
+    // Claimed before the next await, so a concurrent request can't start a second run
+    signal = claimBuildController(buildId);
+    if (!signal) {
+      return res.status(409).json({ error: 'A build or test run is already in progress for this project' });
+    }
+
+    // ── Lock: mark this agent as having an active build ──
+    agentLock = setActiveAgentBuild(agentId, buildId);
+
+    assertQueueCapacity();
+    // smartBuild charges the project's owner, not a collaborator who triggers it
+    if (useSmartBuild) await assertAiBudget(build.agentId);
 
     const effectiveTimeout = Math.min(timeout, config.agent.buildTimeout) * 1000;
     req.setTimeout(effectiveTimeout + 10000);
@@ -571,34 +855,42 @@ router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, async
     const projectDir = path.join(config.builds.uploadDir, buildId);
     const outputDir = path.join(config.builds.buildDir, buildId);
 
-    // ── Lock: mark this agent as having an active build ──
-    setActiveAgentBuild(agentId, buildId);
+    // Rebuilds reuse the project's target/ (only changed crates recompile) unless asked not to
+    if (clean) {
+      await fs.rm(path.join(projectDir, 'target'), { recursive: true, force: true });
+      await removeProjectTarget(buildId);
+      console.log(`[${buildId}] Clean build requested — target directory cleared`);
+    }
 
     let result;
+    let currentRun = false;
     try {
       if (useSmartBuild) {
         const { smartBuild } = require('../smartBuild');
-        result = await smartBuild(buildId, projectDir, outputDir, null);
+        result = await smartBuild(buildId, projectDir, outputDir, null, { signal });
       } else {
-        const { executeAnchorBuild } = require('../docker');
         const { findAnchorTomlSubdir } = require('../smartBuild');
         const anchorSubdir = await findAnchorTomlSubdir(projectDir) || '';
-        result = await executeAnchorBuild(buildId, projectDir, outputDir, anchorSubdir);
+        result = await queueAnchorBuild(buildId, projectDir, outputDir, anchorSubdir, null, { signal });
       }
     } finally {
       // ── Unlock: always clear active build, even on error ──
-      clearActiveAgentBuild(agentId);
+      currentRun = releaseBuildController(buildId, signal);
+      clearActiveAgentBuild(agentId, agentLock);
     }
 
-    // Update status
+    // Update status, unless a newer run on the build owns it
     const finalLogs = result.finalBuild?.logs || result.logs || build.logs;
     const finalExitCode = result.finalBuild?.exitCode ?? result.exitCode;
-    updateBuildStatus(buildId, result.success ? BuildStatus.SUCCESS : BuildStatus.FAILED, {
-      logs: finalLogs,
-      exitCode: finalExitCode,
-      completedAt: new Date(),
-      error: result.success ? undefined : (result.cannotFixReason || result.error || 'Build failed'),
-    });
+    if (currentRun) {
+      await updateBuildStatus(buildId, resultStatus(result), {
+        logs: finalLogs,
+        exitCode: finalExitCode,
+        cache: result.finalBuild?.cache || result.cache,
+        completedAt: new Date(),
+        error: result.success ? undefined : (result.cannotFixReason || result.error || 'Build failed'),
+      });
+    }
 
     // Gather artifacts
     let artifacts = null;
@@ -608,25 +900,26 @@ router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, async
         artifacts = {
           programs: rawArtifacts.programs.map(a => ({
             name: a.name, type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
           idl: rawArtifacts.idl.map(a => ({
             name: a.name, type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
           types: rawArtifacts.types.map(a => ({
             name: a.name, type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
           deploy: (rawArtifacts.deploy || []).map(a => ({
             name: a.name, type: a.type,
-            downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+            downloadUrl: artifactDownloadUrl(buildId, a),
           })),
         };
       } catch (e) { /* ignore */ }
     }
 
-    const compilationErrors = result.success ? [] : extractCompilationErrors(finalLogs);
+    const diagnostics = result.finalBuild?.diagnostics || result.diagnostics || [];
+    const compilationErrors = result.success ? [] : extractCompilationErrors(finalLogs, diagnostics);
 
     // Extract keypairs from build output (will be inlined in response, then deleted)
     let keypairs = [];
@@ -636,18 +929,22 @@ router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, async
 
     const response = {
       buildId,
-      status: result.success ? 'success' : 'failed',
+      status: resultStatus(result),
       iterations: result.iterations || 1,
       artifacts,
       keypairs: keypairs.length > 0 ? keypairs : undefined,
       logs: finalLogs,
       errors: compilationErrors,
+      diagnostics,
       error: result.success ? null : (result.cannotFixReason || result.error || 'Build failed'),
+      cache: result.finalBuild?.cache || result.cache || null,
+      toolchain: result.finalBuild?.toolchain || result.toolchain || null,
+      aiUsage: result.aiUsage,
       buildDuration: Math.round((Date.now() - startTime) / 1000),
     };
 
     // If build failed, give the agent clear next steps for fixing
-    if (!result.success) {
+    if (!result.success && !result.cancelled) {
       response.next_steps = {
         message: 'Build failed. Read the errors, fix the source files, then rebuild.',
         list_files: `GET /api/v1/project/${buildId}/files`,
@@ -665,9 +962,132 @@ router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, async
       await deleteKeypairFiles(outputDir, keypairs);
     }
   } catch (error) {
-    // Ensure we clear the lock on unexpected errors
-    if (req.agent) clearActiveAgentBuild(req.agent.agent_id);
+    // Ensure we clear the locks on unexpected errors
+    if (req.agent) clearActiveAgentBuild(req.agent.agent_id, agentLock);
+    if (signal) releaseBuildController(req.params.buildId, signal);
     console.error('Agent project build error:', error);
+    res.status(error.status || 500).json({
+      error: error.message,
+      ...(error.status && error.code ? { code: error.code } : {}), // e.g. ai_budget_exceeded
+    });
+  }
+});
+
+// ============================================================
+// TESTS
+// ============================================================
+
+/**
+ * POST /api/v1/project/:buildId/test
+ * Run `anchor test` against a local validator (synchronous)
+ */
+router.post('/project/:buildId/test', agentBuildLimiter, requireAgentKey, requireBuildAccess('write'), async (req, res) => {
+  let agentLock = null;
+  let signal = null;
+  try {
+    const { buildId } = req.params;
+
+    // Tests hold the same per-agent slot as builds
+    const agentId = req.agent.agent_id;
+    const activeBuild = getActiveAgentBuild(agentId);
+    if (activeBuild) {
+      return res.status(409).json({
+        error: 'You already have an active build running. Wait for it to complete or check its status.',
+        activeBuildId: activeBuild.buildId,
+        statusUrl: `/api/v1/build/${activeBuild.buildId}`,
+        startedAt: new Date(activeBuild.startedAt).toISOString(),
+      });
+    }
+
+    const build = req.build;
+    const busy = build.status === BuildStatus.RUNNING || build.status === BuildStatus.QUEUED;
+    // Claimed before the next await, so a concurrent request can't start a second run
+    signal = busy ? null : claimBuildController(buildId, 'test');
+    if (!signal) {
+      return res.status(409).json({ error: 'A build or test run is already in progress for this project' });
+    }
+    agentLock = setActiveAgentBuild(agentId, buildId);
+
+    assertQueueCapacity();
+
+    const effectiveTimeout = config.agent.buildTimeout * 1000;
+    req.setTimeout(effectiveTimeout + 10000);
+    res.setTimeout(effectiveTimeout + 10000);
+
+    const startTime = Date.now();
+    const projectDir = path.join(config.builds.uploadDir, buildId);
+    const { findAnchorTomlSubdir } = require('../smartBuild');
+    const anchorSubdir = await findAnchorTomlSubdir(projectDir) || '';
+
+    let result;
+    try {
+      result = await queueAnchorTest(
+        buildId,
+        projectDir,
+        anchorSubdir,
+        (logs) => broadcastLog(buildId, { ...logs, source: 'test' }),
+        { onStatusChange: (status) => broadcastTestProgress(buildId, { status }), signal }
+      );
+    } finally {
+      releaseBuildController(buildId, signal);
+      clearActiveAgentBuild(agentId, agentLock);
+    }
+
+    const summary = result.results || { ran: false, passed: 0, failed: 0, pending: 0, tests: [] };
+    broadcastTestProgress(buildId, { status: result.status, passed: summary.passed, failed: summary.failed, pending: summary.pending });
+
+    const response = {
+      buildId,
+      status: result.status,
+      passed: summary.passed,
+      failed: summary.failed,
+      pending: summary.pending,
+      tests: summary.tests,
+      exitCode: result.exitCode ?? null,
+      logs: result.logs,
+      error: result.error,
+      toolchain: result.toolchain || null,
+      testDuration: Math.round((Date.now() - startTime) / 1000),
+    };
+
+    // Tests never started: most often the program failed to compile
+    if (result.status === TestStatus.ERROR) {
+      response.errors = extractCompilationErrors(result.logs);
+    }
+
+    if (result.status === TestStatus.FAILED || result.status === TestStatus.ERROR) {
+      response.next_steps = {
+        message: result.status === TestStatus.FAILED
+          ? 'Some tests failed. Read each failing test\'s error, fix the program or the test, then run the tests again.'
+          : 'The tests did not run. Read the logs and errors, fix the project, then run the tests again.',
+        read_file: `GET /api/v1/project/${buildId}/file?path=<file_path>`,
+        write_file: `POST /api/v1/project/${buildId}/file`,
+        rerun_tests: `POST /api/v1/project/${buildId}/test`,
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (req.agent) clearActiveAgentBuild(req.agent.agent_id, agentLock);
+    if (signal) releaseBuildController(req.params.buildId, signal);
+    console.error('Agent project test error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/project/:buildId/test
+ * Latest test run and its per-test results
+ */
+router.get('/project/:buildId/test', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
+  try {
+    const testRun = await getTestRun(req.params.buildId);
+    if (!testRun) {
+      return res.status(404).json({ error: 'No test run for this project' });
+    }
+    res.json({ buildId: req.params.buildId, ...testRun });
+  } catch (error) {
+    console.error('Agent test status error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -680,13 +1100,8 @@ router.post('/project/:buildId/build', agentBuildLimiter, requireAgentKey, async
  * GET /api/v1/project/:buildId/files
  * List all files in the project (recursive tree)
  */
-router.get('/project/:buildId/files', agentApiLimiter, requireAgentKey, async (req, res) => {
+router.get('/project/:buildId/files', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
   try {
-    const build = getBuildStatus(req.params.buildId);
-    if (!build) {
-      return res.status(404).json({ error: 'Build/project not found' });
-    }
-
     const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
 
     async function listFilesRecursive(dir, relativePath = '') {
@@ -734,13 +1149,8 @@ router.get('/project/:buildId/files', agentApiLimiter, requireAgentKey, async (r
  * GET /api/v1/project/:buildId/file?path=src/lib.rs
  * Read a file's content from the project
  */
-router.get('/project/:buildId/file', agentApiLimiter, requireAgentKey, async (req, res) => {
+router.get('/project/:buildId/file', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
   try {
-    const build = getBuildStatus(req.params.buildId);
-    if (!build) {
-      return res.status(404).json({ error: 'Build/project not found' });
-    }
-
     const filePath = req.query.path;
     if (!filePath) {
       return res.status(400).json({ error: 'Missing ?path= query parameter' });
@@ -776,13 +1186,8 @@ router.get('/project/:buildId/file', agentApiLimiter, requireAgentKey, async (re
  * DELETE /api/v1/project/:buildId/file
  * Delete a file or folder from the project
  */
-router.delete('/project/:buildId/file', agentApiLimiter, requireAgentKey, async (req, res) => {
+router.delete('/project/:buildId/file', agentApiLimiter, requireAgentKey, requireBuildAccess('write'), async (req, res) => {
   try {
-    const build = getBuildStatus(req.params.buildId);
-    if (!build) {
-      return res.status(404).json({ error: 'Build/project not found' });
-    }
-
     const { path: filePath } = req.body;
     if (!filePath) {
       return res.status(400).json({ error: 'path is required in request body' });
@@ -797,11 +1202,13 @@ router.delete('/project/:buildId/file', agentApiLimiter, requireAgentKey, async
     }
 
     const stats = await fs.stat(fullPath);
-    if (stats.isDirectory()) {
-      await fs.rm(fullPath, { recursive: true, force: true });
-    } else {
-      await fs.unlink(fullPath);
-    }
+    await recordChange(req.params.buildId, projectDir, { author: Authors.agent(req.agent), message: `Delete ${safePath}` }, async () => {
+      if (stats.isDirectory()) {
+        await fs.rm(fullPath, { recursive: true, force: true });
+      } else {
+        await fs.unlink(fullPath);
+      }
+    });
 
     res.json({
       buildId: req.params.buildId,
@@ -822,23 +1229,21 @@ router.delete('/project/:buildId/file', agentApiLimiter, requireAgentKey, async
  * POST /api/v1/project/:buildId/file
  * Write/update a file in existing project
  */
-router.post('/project/:buildId/file', agentApiLimiter, requireAgentKey, async (req, res) => {
+router.post('/project/:buildId/file', agentApiLimiter, requireAgentKey, requireBuildAccess('write'), async (req, res) => {
   try {
-    const build = getBuildStatus(req.params.buildId);
-    if (!build) {
-      return res.status(404).json({ error: 'Build/project not found' });
-    }
-
     const { path: filePath, content } = req.body;
     if (!filePath || content === undefined) {
       return res.status(400).json({ error: 'path and content are required' });
     }
 
     const safePath = path.normalize(filePath).replace(/^(\.\.(\/|\\|$))+/, '');
-    const fullPath = path.join(config.builds.uploadDir, req.params.buildId, safePath);
+    const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
+    const fullPath = path.join(projectDir, safePath);
 
-    await fs.mkdir(path.dirname(fullPath), { recursive: true });
-    await fs.writeFile(fullPath, content, 'utf-8');
+    await recordChange(req.params.buildId, projectDir, { author: Authors.agent(req.agent), message: `Update ${safePath}` }, async () => {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, content, 'utf-8');
+    });
 
     res.json({
       buildId: req.params.buildId,
@@ -852,6 +1257,76 @@ router.post('/project/:buildId/file', agentApiLimiter, requireAgentKey, async (r
   }
 });
 
+// ============================================================
+// HISTORY — every write is a commit; diff and revert between them
+// ============================================================
+
+/**
+ * GET /api/v1/project/:buildId/history?path=<file_path>&limit=50
+ * Commits newest first, optionally only those touching one file
+ */
+router.get('/project/:buildId/history', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
+  try {
+    const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
+    const history = await listHistory(req.params.buildId, projectDir, {
+      path: req.query.path,
+      limit: req.query.limit,
+    });
+    res.json({ buildId: req.params.buildId, history });
+  } catch (error) {
+    console.error('Agent history error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/project/:buildId/diff?from=<rev>&to=<rev>&path=<file_path>
+ * Unified diff between two revisions (default: the latest commit's change)
+ */
+router.get('/project/:buildId/diff', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
+  try {
+    const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
+    const result = await diffRevisions(req.params.buildId, projectDir, {
+      from: req.query.from,
+      to: req.query.to || 'HEAD',
+      path: req.query.path,
+    });
+    res.json({ buildId: req.params.buildId, ...result });
+  } catch (error) {
+    console.error('Agent diff error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/project/:buildId/revert
+ * Restore one file (body.path) or the whole project to a revision. The
+ * revert is recorded as a new commit.
+ */
+router.post('/project/:buildId/revert', agentApiLimiter, requireAgentKey, requireBuildAccess('write'), async (req, res) => {
+  try {
+    const { revision, path: filePath } = req.body || {};
+    if (!revision) {
+      return res.status(400).json({ error: 'revision is required (a commit SHA from GET /history, or HEAD~N)' });
+    }
+
+    const projectDir = path.join(config.builds.uploadDir, req.params.buildId);
+    const result = await revertToRevision(req.params.buildId, projectDir, {
+      revision,
+      path: filePath,
+      author: Authors.agent(req.agent),
+    });
+    res.json({
+      buildId: req.params.buildId,
+      ...result,
+      message: result.commit ? 'Reverted' : 'Nothing to revert — already at that revision',
+    });
+  } catch (error) {
+    console.error('Agent revert error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ============================================================
 // BUILD STATUS & ARTIFACTS
 // ============================================================
@@ -860,12 +1335,9 @@ router.post('/project/:buildId/file', agentApiLimiter, requireAgentKey, async (r
  * GET /api/v1/build/:buildId
  * Get build status and logs
  */
-router.get('/build/:buildId', agentApiLimiter, requireAgentKey, async (req, res) => {
+router.get('/build/:buildId', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
   try {
-    const build = getBuildStatus(req.params.buildId);
-    if (!build) {
-      return res.status(404).json({ error: 'Build not found' });
-    }
+    const build = req.build;
 
     const response = {
       buildId: build.id,
@@ -874,11 +1346,20 @@ router.get('/build/:buildId', agentApiLimiter, requireAgentKey, async (req, res)
       updatedAt: build.updatedAt,
     };
 
-    if (build.status === BuildStatus.SUCCESS || build.status === BuildStatus.FAILED) {
+    if ([BuildStatus.SUCCESS, BuildStatus.FAILED, BuildStatus.INTERRUPTED, BuildStatus.CANCELLED].includes(build.status)) {
       response.completedAt = build.completedAt;
       response.logs = build.logs;
       response.exitCode = build.exitCode;
       if (build.error) response.error = build.error;
+      if (build.cache) response.cache = build.cache;
+    }
+    if (build.toolchain) response.toolchain = build.toolchain;
+    if (build.source === 'github') response.git = gitInfo(build);
+    response.diagnostics = build.diagnostics || [];
+
+    if (build.status === BuildStatus.QUEUED) {
+      const queue = getQueuePosition(build.id);
+      if (queue) response.queue = queue;
     }
 
     res.json(response);
@@ -888,11 +1369,54 @@ router.get('/build/:buildId', agentApiLimiter, requireAgentKey, async (req, res)
   }
 });
 
+/**
+ * POST /api/v1/build/:buildId/cancel
+ * Cancel a queued or running build you own or have write access to
+ */
+router.post('/build/:buildId/cancel', agentApiLimiter, requireAgentKey, requireBuildAccess('write'), async (req, res) => {
+  try {
+    const { buildId } = req.params;
+    const build = req.build;
+
+    const cancelled = await cancelBuild(buildId);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: `Build is not in progress (status: ${build.status})`,
+        status: build.status,
+      });
+    }
+
+    // Free the build slot now rather than when the container finishes dying
+    clearBuildLocks(buildId);
+
+    if (cancelled === 'test') {
+      broadcastTestProgress(buildId, { status: TestStatus.CANCELLED });
+      return res.json({
+        buildId,
+        status: build.status,
+        testStatus: TestStatus.CANCELLED,
+        message: 'Test run cancelled',
+      });
+    }
+
+    broadcastStatus(buildId, BuildStatus.CANCELLED);
+
+    res.json({
+      buildId,
+      status: BuildStatus.CANCELLED,
+      message: 'Build cancelled',
+    });
+  } catch (error) {
+    console.error('Agent build cancel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/v1/build/:buildId/artifacts
  * List build artifacts with download URLs
  */
-router.get('/build/:buildId/artifacts', agentApiLimiter, requireAgentKey, async (req, res) => {
+router.get('/build/:buildId/artifacts', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
   try {
     const { buildId } = req.params;
     const rawArtifacts = await getBuildArtifacts(buildId);
@@ -900,7 +1424,7 @@ router.get('/build/:buildId/artifacts', agentApiLimiter, requireAgentKey, async
     const mapArtifact = (a) => ({
       name: a.name,
       type: a.type,
-      downloadUrl: `/compile/${buildId}/artifacts/download/${a.type}/${a.name}`,
+      downloadUrl: artifactDownloadUrl(buildId, a),
     });
 
     res.json({
@@ -923,7 +1447,7 @@ router.get('/build/:buildId/artifacts', agentApiLimiter, requireAgentKey, async
  * GET /api/v1/build/:buildId/idl
  * Return IDL JSON directly (convenience for agents)
  */
-router.get('/build/:buildId/idl', agentApiLimiter, requireAgentKey, async (req, res) => {
+router.get('/build/:buildId/idl', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
   try {
     const rawArtifacts = await getBuildArtifacts(req.params.buildId);
 
@@ -947,6 +1471,206 @@ router.get('/build/:buildId/idl', agentApiLimiter, requireAgentKey, async (req,
   }
 });
 
+/**
+ * GET /api/v1/build/:buildId/artifacts/download/:type/:filename
+ * Download a single artifact. Program keypairs (`deploy`) are owner-only.
+ */
+router.get('/build/:buildId/artifacts/download/:type/:filename', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
+  try {
+    const { buildId, type, filename } = req.params;
+
+    if (type === 'deploy' && req.buildAccess !== 'owner') {
+      return res.status(403).json({ error: 'Only the build owner can download program keypairs' });
+    }
+
+    const rawArtifacts = await getBuildArtifacts(buildId);
+    const allArtifacts = [...rawArtifacts.programs, ...rawArtifacts.idl, ...rawArtifacts.types, ...(rawArtifacts.deploy || [])];
+    const artifact = allArtifacts.find(a => a.name === filename && a.type === type);
+    if (!artifact) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    res.download(artifact.path, filename);
+  } catch (error) {
+    console.error('Agent artifact download error:', error);
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// SHARING
+// ============================================================
+
+/**
+ * GET /api/v1/project/:buildId/collaborators
+ * List agents the owner has shared this build with
+ */
+router.get('/project/:buildId/collaborators', agentApiLimiter, requireAgentKey, requireBuildAccess('owner'), async (req, res) => {
+  try {
+    const collaborators = await listBuildCollaborators(req.params.buildId);
+    res.json({ buildId: req.params.buildId, collaborators });
+  } catch (error) {
+    console.error('Agent list collaborators error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/project/:buildId/collaborators
+ * Share a build with another agent: read (status, files, artifacts) or
+ * write (also edit files, build, cancel). Granting again changes the permission.
+ */
+router.post('/project/:buildId/collaborators', agentApiLimiter, requireAgentKey, requireBuildAccess('owner'), async (req, res) => {
+  try {
+    const { buildId } = req.params;
+    const { agent_id: agentId, permission = 'read' } = req.body || {};
+
+    if (!agentId || typeof agentId !== 'string') {
+      return res.status(400).json({ error: 'agent_id is required' });
+    }
+    if (!['read', 'write'].includes(permission)) {
+      return res.status(400).json({ error: "permission must be 'read' or 'write'" });
+    }
+    if (agentId === req.agent.agent_id) {
+      return res.status(400).json({ error: 'You already own this build' });
+    }
+
+    const collaborator = await getAgent(agentId);
+    if (!collaborator || !collaborator.is_active) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    await upsertBuildCollaborator(buildId, agentId, permission, req.agent.agent_id);
+    console.log(`[${buildId}] Granted ${permission} access to agent ${agentId}`);
+
+    res.status(201).json({
+      buildId,
+      agent_id: agentId,
+      name: collaborator.name,
+      permission,
+    });
+  } catch (error) {
+    console.error('Agent grant collaborator error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/v1/project/:buildId/collaborators/:agentId
+ * Revoke an agent's access to a build
+ */
+router.delete('/project/:buildId/collaborators/:agentId', agentApiLimiter, requireAgentKey, requireBuildAccess('owner'), async (req, res) => {
+  try {
+    const { buildId, agentId } = req.params;
+    const removed = await deleteBuildCollaborator(buildId, agentId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    console.log(`[${buildId}] Revoked access for agent ${agentId}`);
+    res.json({ buildId, agent_id: agentId, success: true });
+  } catch (error) {
+    console.error('Agent revoke collaborator error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// DEPLOY
+// ============================================================
+
+/**
+ * POST /api/v1/build/:buildId/deploy/prepare
+ * Get an ephemeral deployer address to fund, with the estimated cost
+ */
+router.post('/build/:buildId/deploy/prepare', agentApiLimiter, requireAgentKey, requireBuildAccess('owner'), async (req, res) => {
+  try {
+    const { network, mode, walletAddress, programKeypair, programId, upgradeAuthority, program } = req.body || {};
+    const prepared = await prepareDeployment(req.params.buildId, {
+      network, mode, walletAddress, programKeypair, programId, upgradeAuthority, program, byOwner: true,
+    });
+    res.json(prepared);
+  } catch (error) {
+    console.error('Agent deploy prepare error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/build/:buildId/deploy/execute
+ * Deploy once the deployer is funded; poll deploy/status for the result
+ */
+router.post('/build/:buildId/deploy/execute', agentApiLimiter, requireAgentKey, requireBuildAccess('owner'), async (req, res) => {
+  try {
+    const { buildId } = req.params;
+    const deployment = await executeDeployment(buildId, {
+      onProgress: (event) => broadcastDeployProgress(buildId, event),
+    });
+
+    res.status(202).json({
+      buildId,
+      deploymentId: deployment.deploymentId,
+      status: deployment.status,
+      network: deployment.network,
+      programId: deployment.programId,
+      statusUrl: `/api/v1/build/${buildId}/deploy/status`,
+    });
+  } catch (error) {
+    console.error('Agent deploy execute error:', error);
+    res.status(error.status || 500).json({ error: error.message, ...(error.details || {}) });
+  }
+});
+
+/**
+ * POST /api/v1/build/:buildId/deploy/confirm
+ * After signing and submitting an upgrade's transaction: verify it on chain
+ */
+router.post('/build/:buildId/deploy/confirm', agentApiLimiter, requireAgentKey, requireBuildAccess('owner'), async (req, res) => {
+  try {
+    const { signature } = req.body || {};
+    res.json(await confirmUpgrade(req.params.buildId, { signature }));
+  } catch (error) {
+    console.error('Agent deploy confirm error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/build/:buildId/deploy/status
+ * Latest deployment: phase, chunk progress, program ID and explorer link
+ */
+router.get('/build/:buildId/deploy/status', agentApiLimiter, requireAgentKey, requireBuildAccess('read'), async (req, res) => {
+  try {
+    const deployment = await getDeploymentStatus(req.params.buildId);
+    if (!deployment) {
+      return res.status(404).json({ error: 'No deployment for this build' });
+    }
+    res.json(deployment);
+  } catch (error) {
+    console.error('Agent deploy status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/programs/:programId/deployments
+ * Deploy/upgrade history of a program, limited to builds you can access
+ */
+router.get('/programs/:programId/deployments', agentApiLimiter, requireAgentKey, async (req, res) => {
+  try {
+    const deployments = [];
+    for (const deployment of await listProgramDeployments(req.params.programId)) {
+      const build = await getBuildStatus(deployment.buildId);
+      if (await getBuildAccess(build, req.agent.agent_id)) deployments.push(deployment);
+    }
+    res.json({ programId: req.params.programId, deployments });
+  } catch (error) {
+    console.error('Agent program deployments error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================
 // DISCOVERY
 // ============================================================
@@ -981,27 +1705,52 @@ router.get('/info', (req, res) => {
     },
     capabilities: [
       'compile_solana_programs',
+      'multiple_anchor_toolchains',
       'build_from_github',
+      'build_from_any_git_host',
+      'private_git_repositories',
       'ai_powered_build_fixing',
       'idl_generation',
       'typescript_type_generation',
       'program_deployment',
+      'anchor_test_local_validator',
+      'project_history',
     ],
     endpoints: {
       register: 'POST /api/v1/agent/register',
       claim: 'POST /api/v1/claim/:code',
       claimPage: 'GET /claim/:code',
       agentStatus: 'GET /api/v1/agent/status',
-      build: 'POST /api/v1/build (accepts files OR github_url)',
+      agentUsage: 'GET /api/v1/agent/usage',
+      build: 'POST /api/v1/build (accepts files OR repo_url/github_url + optional ref)',
+      listGitCredentials: 'GET /api/v1/git-credentials',
+      storeGitCredential: 'PUT /api/v1/git-credentials',
+      deleteGitCredential: 'DELETE /api/v1/git-credentials/:host',
       createProject: 'POST /api/v1/project/create',
       buildProject: 'POST /api/v1/project/:buildId/build',
+      testProject: 'POST /api/v1/project/:buildId/test',
+      testResults: 'GET /api/v1/project/:buildId/test',
       listFiles: 'GET /api/v1/project/:buildId/files',
       readFile: 'GET /api/v1/project/:buildId/file?path=<file_path>',
       writeFile: 'POST /api/v1/project/:buildId/file',
       deleteFile: 'DELETE /api/v1/project/:buildId/file',
+      history: 'GET /api/v1/project/:buildId/history',
+      diff: 'GET /api/v1/project/:buildId/diff?from=<rev>&to=<rev>',
+      revert: 'POST /api/v1/project/:buildId/revert',
       buildStatus: 'GET /api/v1/build/:buildId',
+      cancelBuild: 'POST /api/v1/build/:buildId/cancel',
+      toolchains: 'GET /api/v1/toolchains',
       artifacts: 'GET /api/v1/build/:buildId/artifacts',
       idl: 'GET /api/v1/build/:buildId/idl',
+      downloadArtifact: 'GET /api/v1/build/:buildId/artifacts/download/:type/:filename',
+      listCollaborators: 'GET /api/v1/project/:buildId/collaborators',
+      addCollaborator: 'POST /api/v1/project/:buildId/collaborators',
+      removeCollaborator: 'DELETE /api/v1/project/:buildId/collaborators/:agentId',
+      deployPrepare: 'POST /api/v1/build/:buildId/deploy/prepare',
+      deployExecute: 'POST /api/v1/build/:buildId/deploy/execute',
+      deployConfirm: 'POST /api/v1/build/:buildId/deploy/confirm',
+      deployStatus: 'GET /api/v1/build/:buildId/deploy/status',
+      programDeployments: 'GET /api/v1/programs/:programId/deployments',
       skill: 'GET /api/v1/skill',
     },
     limits: {
@@ -1010,9 +1759,12 @@ router.get('/info', (req, res) => {
       buildTimeout: `${config.agent.buildTimeout}s`,
       apiRateLimit: '300 requests / 15 min',
       buildRateLimit: '20 builds / hour',
+      concurrentBuilds: config.queue.workers,
+      maxQueuedBuilds: config.queue.maxQueued,
+      aiMonthlyTokenBudget: config.agent.aiMonthlyTokenBudget, // per agent; null = unlimited
     },
     buildInfo: {
-      typicalDuration: '3-7 minutes',
+      typicalDuration: '3-7 minutes cold, faster when dependencies are cached',
       smartBuildMaxIterations: 8,
       artifactTypes: ['program (.so)', 'idl (.json)', 'types (.ts)', 'keypair (.json)'],
     },
@@ -0,0 +1,289 @@
+const Parser = require('web-tree-sitter');
+
+/**
+ * Structural safety check for AI-proposed Rust changes.
+ *
+ * Both versions of a file are parsed with tree-sitter-rust (WASM, no native
+ * build) and reduced to the constructs a fix must not take away:
+ *
+ *   - items:        every fn, struct, enum and impl block, by name
+ *   - instructions: pub fns in the #[program] module, and whether the body
+ *                   does anything beyond `Ok(())` / `msg!` / `todo!()`
+ *   - constraints:  each #[account(...)] item on an Accounts field, the
+ *                   field's account type (Signer, Account, ...) and
+ *                   #[access_control(...)] on instructions
+ *   - checks:       require!/require_*!/err!/error! invocations
+ *   - errorCodes:   variants of #[error_code] enums
+ *
+ * compareRustSafety() lists everything present before and missing after.
+ */
+
+const CHECK_MACRO = /^(require(_[a-z]+)*|err|error)$/;
+// Statements that don't count as an instruction doing anything
+const TRIVIAL_STATEMENT = /^(return)?(Ok\(\(\)\)|todo!\(.*\)|unimplemented!\(.*\)|msg!\(.*\))$/s;
+const MAX_REPORTED = 10;
+
+let parserPromise = null;
+
+// One parser for the process; the WASM runtime loads on first use
+function getParser() {
+  if (!parserPromise) {
+    parserPromise = (async () => {
+      await Parser.init();
+      const rust = await Parser.Language.load(require.resolve('tree-sitter-rust/tree-sitter-rust.wasm'));
+      const parser = new Parser();
+      parser.setLanguage(rust);
+      return parser;
+    })();
+    parserPromise.catch(() => { parserPromise = null; });
+  }
+  return parserPromise;
+}
+
+function compact(text) {
+  return text.replace(/\s+/g, '');
+}
+
+function oneLine(text, max = 80) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+function isComment(node) {
+  return node.type === 'line_comment' || node.type === 'block_comment';
+}
+
+// Outer attributes of an item or field: the attribute_item siblings just before it
+function attributesOf(node) {
+  const attributes = [];
+  let sibling = node.previousNamedSibling;
+  while (sibling && (sibling.type === 'attribute_item' || isComment(sibling))) {
+    if (sibling.type === 'attribute_item') {
+      const attribute = sibling.namedChildren.find(child => child.type === 'attribute');
+      if (attribute) {
+        const args = attribute.childForFieldName('arguments');
+        attributes.push({
+          name: attribute.namedChildren[0] ? attribute.namedChildren[0].text : '',
+          args: args ? args.text.slice(1, -1) : '',
+        });
+      }
+    }
+    sibling = sibling.previousNamedSibling;
+  }
+  return attributes;
+}
+
+function hasAttribute(node, name) {
+  return attributesOf(node).some(attribute => attribute.name === name);
+}
+
+// Split attribute arguments on top-level commas: `mut, seeds = [a, b], bump`
+function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => oneLine(part, 200)).filter(Boolean);
+}
+
+function enclosingFunction(node) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'function_item') {
+      const name = parent.childForFieldName('name');
+      return name ? name.text : null;
+    }
+  }
+  return null;
+}
+
+function isTrivialBody(body) {
+  if (!body) return true;
+  return body.namedChildren
+    .filter(child => !isComment(child))
+    .every(statement => TRIVIAL_STATEMENT.test(compact(statement.text).replace(/;$/, '')));
+}
+
+function add(counts, key, label) {
+  const entry = counts.get(key) || { count: 0, label };
+  entry.count++;
+  counts.set(key, entry);
+}
+
+function collectFacts(root) {
+  const facts = {
+    items: new Map(),
+    instructions: new Map(),
+    constraints: new Map(),
+    checks: new Map(),
+    errorCodes: new Map(),
+  };
+
+  for (const node of root.descendantsOfType(['function_item', 'struct_item', 'enum_item', 'impl_item'])) {
+    if (node.type === 'impl_item') {
+      const trait = node.childForFieldName('trait');
+      const type = node.childForFieldName('type');
+      const name = `${trait ? `${compact(trait.text)} for ` : ''}${type ? compact(type.text) : '?'}`;
+      add(facts.items, `impl ${name}`, `impl ${name}`);
+      continue;
+    }
+    const nameNode = node.childForFieldName('name');
+    if (!nameNode) continue;
+    const kind = { function_item: 'fn', struct_item: 'struct', enum_item: 'enum' }[node.type];
+    add(facts.items, `${kind} ${nameNode.text}`, `${kind} \`${nameNode.text}\``);
+  }
+
+  // Instructions: pub fns directly inside the #[program] module
+  for (const mod of root.descendantsOfType('mod_item')) {
+    if (!hasAttribute(mod, 'program')) continue;
+    const body = mod.childForFieldName('body');
+    if (!body) continue;
+    for (const fn of body.namedChildren) {
+      if (fn.type !== 'function_item' || !fn.namedChildren.some(child => child.type === 'visibility_modifier')) continue;
+      const name = fn.childForFieldName('name').text;
+      facts.instructions.set(name, { trivial: isTrivialBody(fn.childForFieldName('body')) });
+
+      for (const attribute of attributesOf(fn)) {
+        if (attribute.name !== 'access_control') continue;
+        const label = `#[access_control(${oneLine(attribute.args)})] on instruction \`${name}\``;
+        add(facts.constraints, `${name}#access_control(${compact(attribute.args)})`, label);
+      }
+    }
+  }
+
+  // Account constraints and types on #[derive(Accounts)] structs
+  for (const struct of root.descendantsOfType('struct_item')) {
+    const derives = attributesOf(struct).filter(attribute => attribute.name === 'derive');
+    if (!derives.some(attribute => /\bAccounts\b/.test(attribute.args))) continue;
+    const structName = struct.childForFieldName('name').text;
+    const fields = struct.childForFieldName('body');
+    if (!fields) continue;
+
+    for (const field of fields.namedChildren) {
+      if (field.type !== 'field_declaration') continue;
+      const fieldName = `${structName}.${field.childForFieldName('name').text}`;
+
+      const type = field.childForFieldName('type');
+      if (type) {
+        const wrapper = type.type === 'generic_type' ? type.childForFieldName('type').text : compact(type.text);
+        add(facts.constraints, `${fieldName}:type ${wrapper}`, `the \`${wrapper}\` type of \`${fieldName}\``);
+      }
+
+      for (const attribute of attributesOf(field)) {
+        if (attribute.name !== 'account') continue;
+        for (const constraint of splitArguments(attribute.args)) {
+          add(facts.constraints, `${fieldName}:${compact(constraint)}`, `#[account(${constraint})] on \`${fieldName}\``);
+        }
+      }
+    }
+  }
+
+  // Checks anywhere in the file (they may move between functions)
+  for (const macro of root.descendantsOfType('macro_invocation')) {
+    const name = macro.childForFieldName('macro');
+    if (!name || !CHECK_MACRO.test(name.text)) continue;
+    const fn = enclosingFunction(macro);
+    add(facts.checks, compact(macro.text), `\`${oneLine(macro.text)}\`${fn ? ` in \`${fn}\`` : ''}`);
+  }
+
+  for (const enumItem of root.descendantsOfType('enum_item')) {
+    if (!hasAttribute(enumItem, 'error_code')) continue;
+    const enumName = enumItem.childForFieldName('name').text;
+    for (const variant of enumItem.descendantsOfType('enum_variant')) {
+      const name = `${enumName}::${variant.childForFieldName('name').text}`;
+      add(facts.errorCodes, name, `error code \`${name}\``);
+    }
+  }
+
+  return facts;
+}
+
+// First line (1-based) with a syntax error, or null
+function firstSyntaxError(node) {
+  if (node.isError || node.isMissing) return node.startPosition.row + 1;
+  if (!node.hasError) return null;
+  for (const child of node.children) {
+    const line = firstSyntaxError(child);
+    if (line) return line;
+  }
+  return node.startPosition.row + 1;
+}
+
+/**
+ * Parse Rust source into the constructs compareRustSafety() tracks
+ * @returns {Promise<{facts: object, syntaxErrorLine: number|null}>}
+ */
+async function extractSafetyFacts(source) {
+  const parser = await getParser();
+  const tree = parser.parse(source);
+  try {
+    return { facts: collectFacts(tree.rootNode), syntaxErrorLine: firstSyntaxError(tree.rootNode) };
+  } finally {
+    tree.delete();
+  }
+}
+
+function missingFrom(before, after) {
+  const removed = [];
+  for (const [key, { count, label }] of before) {
+    const remaining = after.has(key) ? after.get(key).count : 0;
+    for (let i = remaining; i < count; i++) removed.push(label);
+  }
+  return removed;
+}
+
+/**
+ * Safety-relevant constructs in oldSource that newSource drops
+ * @returns {Promise<{safe: boolean, removed: string[], reason: string|null}>}
+ */
+async function compareRustSafety(oldSource, newSource) {
+  const before = await extractSafetyFacts(oldSource);
+  const after = await extractSafetyFacts(newSource);
+
+  // Nothing below can be trusted from a broken parse
+  if (after.syntaxErrorLine && !before.syntaxErrorLine) {
+    return { safe: false, removed: [], reason: `Fix introduces a syntax error at line ${after.syntaxErrorLine}` };
+  }
+
+  const removed = [];
+
+  for (const [name, instruction] of before.facts.instructions) {
+    const now = after.facts.instructions.get(name);
+    if (!now) {
+      removed.push(`instruction \`${name}\``);
+    } else if (now.trivial && !instruction.trivial) {
+      removed.push(`the body of instruction \`${name}\` (replaced with a stub)`);
+    }
+  }
+  // Instructions are reported above; don't repeat them as plain fns
+  const itemsBefore = new Map([...before.facts.items].filter(([key]) => (
+    !(key.startsWith('fn ') && before.facts.instructions.has(key.slice(3)))
+  )));
+
+  removed.push(
+    ...missingFrom(before.facts.constraints, after.facts.constraints),
+    ...missingFrom(before.facts.checks, after.facts.checks),
+    ...missingFrom(before.facts.errorCodes, after.facts.errorCodes),
+    ...missingFrom(itemsBefore, after.facts.items),
+  );
+
+  if (removed.length === 0) return { safe: true, removed, reason: null };
+
+  const listed = removed.slice(0, MAX_REPORTED).join('; ');
+  const more = removed.length > MAX_REPORTED ? `; and ${removed.length - MAX_REPORTED} more` : '';
+  return { safe: false, removed, reason: `Fix removes ${listed}${more}` };
+}
+
+module.exports = {
+  extractSafetyFacts,
+  compareRustSafety,
+};
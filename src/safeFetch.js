@@ -0,0 +1,274 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const config = require('./config');
+const { runQuery, getAll } = require('./db');
+
+/**
+ * Outbound fetches on behalf of the AI (the fetch_page tool). The model
+ * chooses the URL, and a prompt-injected source file can steer it, so every
+ * request goes through the policy here:
+ *
+ *   - http(s) only, on the default port, with no credentials in the URL
+ *   - the host must be on the allow-list (config.aiTools.fetch.allowedDomains)
+ *   - every address the host resolves to must be public — checked inside the
+ *     connection's own DNS lookup, so a rebinding DNS answer can't slip an
+ *     internal address in after the check
+ *   - redirects are followed by hand, each hop checked again
+ *   - bodies are cut off at maxBytes
+ *
+ * Every fetch, allowed or blocked, is written to the fetch_audit table.
+ */
+
+const Outcome = {
+  FETCHED: 'fetched',
+  BLOCKED: 'blocked',
+  FAILED: 'failed',
+};
+
+const URL_BLOCKED = 'url_blocked';
+
+// Loopback, private, link-local (cloud metadata), CGNAT, documentation,
+// multicast and reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 rules.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function policyError(message) {
+  const err = new Error(message);
+  err.status = 403;
+  err.code = URL_BLOCKED;
+  return err;
+}
+
+function isAllowedHost(hostname) {
+  const { allowedDomains } = config.aiTools.fetch;
+  if (allowedDomains.includes('*')) return true;
+  return allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Static checks on a URL — everything except DNS
+ * @returns {URL}
+ * @throws {Error} 403 url_blocked
+ */
+function checkUrlPolicy(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw policyError(`Not a valid URL: ${String(rawUrl).slice(0, 200)}`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw policyError(`Scheme ${url.protocol} is not allowed (http and https only)`);
+  }
+  if (url.username || url.password) {
+    throw policyError('URLs with credentials are not allowed');
+  }
+  if (url.port) {
+    throw policyError(`Port ${url.port} is not allowed (default ports only)`);
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw policyError(`${hostname} is not a public address`);
+  }
+  if (!isAllowedHost(hostname)) {
+    throw policyError(`${hostname} is not on the fetch allow-list`);
+  }
+  return url;
+}
+
+// dns.lookup replacement for http(s).request: refuses non-public answers at connect time
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(policyError(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function requestOnce(url, { headers, timeout, maxBytes }) {
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    // Deadline for the whole exchange, not just socket idle time — a server
+    // dripping bytes can't hold the tool call open
+    const deadline = setTimeout(() => {
+      const err = new Error(`Timed out after ${timeout}ms`);
+      err.name = 'TimeoutError';
+      reject(err);
+      req.destroy(err);
+    }, timeout);
+    const settle = (fn) => (value) => {
+      clearTimeout(deadline);
+      fn(value);
+    };
+    resolve = settle(resolve);
+    reject = settle(reject);
+
+    const req = transport.get(url, {
+      headers: { ...headers, 'Accept-Encoding': 'identity' },
+      lookup: guardedLookup,
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        return resolve({ status: res.statusCode, headers: res.headers, redirect: res.headers.location });
+      }
+
+      const chunks = [];
+      let bytes = 0;
+      let truncated = false;
+      res.on('data', (chunk) => {
+        if (truncated) return;
+        const room = maxBytes - bytes;
+        if (chunk.length > room) {
+          chunks.push(chunk.subarray(0, room));
+          bytes = maxBytes;
+          truncated = true;
+          res.destroy();
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks), bytes, truncated });
+          return;
+        }
+        chunks.push(chunk);
+        bytes += chunk.length;
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks), bytes, truncated });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+  });
+}
+
+async function recordFetchAudit(entry) {
+  const { buildId = null, url, finalUrl = null, outcome, status = null, bytes = null, reason = null } = entry;
+  console.log(`${buildId ? `[${buildId}] ` : ''}fetch_page ${outcome}: ${url}${reason ? ` (${reason})` : ''}`);
+  try {
+    await runQuery(
+      `INSERT INTO fetch_audit (build_id, url, final_url, outcome, http_status, bytes, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [buildId, String(url).slice(0, 2048), finalUrl, outcome, status, bytes, reason, new Date().toISOString()]
+    );
+  } catch (err) {
+    console.warn(`Fetch audit write failed: ${err.message}`);
+  }
+}
+
+/**
+ * checkUrlPolicy, with refusals audited — for callers that check before
+ * deciding whether to fetch at all (e.g. ahead of a cache lookup)
+ * @throws {Error} 403 url_blocked
+ */
+async function assertFetchAllowed(rawUrl, { buildId = null } = {}) {
+  try {
+    return checkUrlPolicy(rawUrl);
+  } catch (err) {
+    await recordFetchAudit({ buildId, url: rawUrl, outcome: Outcome.BLOCKED, reason: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Fetch a URL under the policy above
+ * @param {string} rawUrl
+ * @param {{buildId?: string, headers?: object}} [options] - buildId tags the audit entry
+ * @returns {Promise<{status: number, ok: boolean, headers: object, body: Buffer, bytes: number, truncated: boolean, finalUrl: string}>}
+ * @throws {Error} 403 url_blocked when the policy refuses a hop; network errors as-is
+ */
+async function safeFetch(rawUrl, { buildId = null, headers = {} } = {}) {
+  const { maxBytes, maxRedirects, timeout } = config.aiTools.fetch;
+  let url;
+
+  try {
+    url = checkUrlPolicy(rawUrl);
+    for (let hop = 0; ; hop++) {
+      const response = await requestOnce(url, { headers, timeout, maxBytes });
+      if (!response.redirect) {
+        await recordFetchAudit({
+          buildId,
+          url: rawUrl,
+          finalUrl: url.href !== rawUrl ? url.href : null,
+          outcome: Outcome.FETCHED,
+          status: response.status,
+          bytes: response.bytes,
+          reason: response.truncated ? `truncated at ${maxBytes} bytes` : null,
+        });
+        return { ...response, ok: response.status >= 200 && response.status < 300, finalUrl: url.href };
+      }
+      if (hop >= maxRedirects) {
+        throw policyError(`More than ${maxRedirects} redirects`);
+      }
+      url = checkUrlPolicy(new URL(response.redirect, url).href);
+    }
+  } catch (err) {
+    await recordFetchAudit({
+      buildId,
+      url: rawUrl,
+      finalUrl: url && url.href !== rawUrl ? url.href : null,
+      outcome: err.code === URL_BLOCKED ? Outcome.BLOCKED : Outcome.FAILED,
+      reason: err.message,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Most recent audit entries, newest first
+ * @param {{buildId?: string, outcome?: string, limit?: number}} [filters]
+ */
+async function listFetchAudit({ buildId = null, outcome = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (buildId) { where.push('build_id = ?'); params.push(buildId); }
+  if (outcome) { where.push('outcome = ?'); params.push(outcome); }
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000));
+
+  const rows = await getAll(
+    `SELECT * FROM fetch_audit ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY id DESC LIMIT ?`,
+    params
+  );
+  return rows.map(row => ({
+    buildId: row.build_id,
+    url: row.url,
+    finalUrl: row.final_url,
+    outcome: row.outcome,
+    status: row.http_status,
+    bytes: row.bytes,
+    reason: row.reason,
+    createdAt: row.created_at,
+  }));
+}
+
+module.exports = {
+  Outcome,
+  URL_BLOCKED,
+  isBlockedAddress,
+  checkUrlPolicy,
+  assertFetchAllowed,
+  safeFetch,
+  listFetchAudit,
+};
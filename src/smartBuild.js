@@ -2,7 +2,14 @@ const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config');
 const { verifyAndFixStructure, analyzeAndFixBuildFailure, readAllSourceFiles } = require('./ai');
-const { executeAnchorBuild } = require('./docker');
+const { queueAnchorBuild } = require('./buildManager');
+const { Authors, recordChange } = require('./projectHistory');
+const { requestReview } = require('./fixReview');
+const { compareRustSafety } = require('./rustAst');
+const { getBuildRecord } = require('./buildStore');
+const { createUsageTracker } = require('./aiUsage');
+const { errorDiagnostics } = require('./diagnostics');
+const { planAutoFixes, describeSuggestion } = require('./autoFix');
 
 /**
  * Smart build orchestrator — verify structure, build, analyze errors, fix, retry
@@ -10,15 +17,81 @@ const { executeAnchorBuild } = require('./docker');
  * @param {string} projectDir - Absolute path to extracted project
  * @param {string} outputDir - Absolute path for build output
  * @param {function} onProgress - Callback: (progressEvent) => void
- * @returns {Promise<SmartBuildResult>}
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Checked between iterations and AI calls
+ * @param {boolean} [options.review] - Pause for approval of each iteration's fixes
+ *   (see fixReview.js) instead of applying them straight away
+ * @returns {Promise<SmartBuildResult>} Includes `aiUsage`: this run's LLM
+ *   tokens and estimated cost, in total and per iteration (see aiUsage.js)
  */
-async function smartBuild(buildId, projectDir, outputDir, onProgress) {
+async function smartBuild(buildId, projectDir, outputDir, onProgress, options = {}) {
+  // AI usage is charged to the build's agent, and stops at its monthly budget
+  const build = await getBuildRecord(buildId);
+  const aiUsage = createUsageTracker(buildId, { agentId: build ? build.agentId : null });
+
+  const result = await runSmartBuild(buildId, projectDir, outputDir, onProgress, { ...options, aiUsage });
+  result.aiUsage = aiUsage.summary();
+  console.log(`[${buildId}] [smart-build] AI usage: ${result.aiUsage.totalTokens} tokens over ${result.aiUsage.calls} call(s), ~$${result.aiUsage.costUsd}`);
+  return result;
+}
+
+async function runSmartBuild(buildId, projectDir, outputDir, onProgress, { signal = null, review = false, aiUsage }) {
   const MAX_ITERATIONS = config.smartBuild.maxIterations;
   const phases = [];
   const aiAnalyses = [];
   const previousFixes = []; // Track what was already tried so AI doesn't repeat
+  const triedSuggestions = new Set(); // rustc suggestions already applied (autoFix.js)
   let lastBuildResult = null;
 
+  const isCancelled = () => !!(signal && signal.aborted);
+  const cancelledResult = (iteration) => {
+    console.log(`[${buildId}] [smart-build] Cancelled at iteration ${iteration + 1}`);
+    return {
+      success: false,
+      cancelled: true,
+      iterations: iteration + 1,
+      phases,
+      aiAnalyses,
+      finalBuild: lastBuildResult,
+      cannotFix: false,
+      cannotFixReason: null,
+      error: 'Build cancelled',
+    };
+  };
+
+  // Checked before every AI call; the build stops rather than run over budget
+  const budgetResult = (iteration, reason) => {
+    phases.push({ phase: iteration === 0 ? 'verifying' : 'fixing', iteration, timestamp: new Date(), result: 'budget_exceeded', details: { reason } });
+    progress('complete', iteration, reason, { budgetExceeded: true });
+    return {
+      success: false,
+      budgetExceeded: true,
+      iterations: iteration + 1,
+      phases,
+      aiAnalyses,
+      finalBuild: lastBuildResult,
+      cannotFix: false,
+      cannotFixReason: null,
+      error: reason,
+    };
+  };
+
+  const reviewTimeoutResult = (iteration) => {
+    const reason = `No review of the proposed fixes within ${Math.round(config.smartBuild.reviewTimeout / 60)} minutes`;
+    phases.push({ phase: 'review', iteration, timestamp: new Date(), result: 'timeout', details: {} });
+    progress('complete', iteration, reason, { reviewTimedOut: true });
+    return {
+      success: false,
+      iterations: iteration + 1,
+      phases,
+      aiAnalyses,
+      finalBuild: lastBuildResult,
+      cannotFix: false,
+      cannotFixReason: reason,
+      reviewTimedOut: true,
+    };
+  };
+
   const progress = (phase, iteration, message, details = null) => {
     const event = {
       type: 'smart_build_phase',
@@ -34,6 +107,7 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
   };
 
   for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    if (isCancelled()) return cancelledResult(iteration);
 
     // ---- PHASE: DEEP ANALYSIS (iteration 0 only) ----
     if (iteration === 0) {
@@ -48,11 +122,73 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
       }
     }
 
+    // ---- PHASE: AUTO-FIX (iteration 1+) ----
+    // rustc's machine-applicable suggestions need no AI; it is only asked
+    // when the last build left none that haven't been tried
+    if (isCancelled()) return cancelledResult(iteration);
+
+    let autoFixed = false;
+    if (iteration > 0 && config.smartBuild.autoFix) {
+      let plan = { fixes: [], suggestions: [], skipped: [] };
+      try {
+        plan = await planAutoFixes(projectDir, lastBuildResult.diagnostics, { exclude: triedSuggestions });
+      } catch (err) {
+        console.error(`[${buildId}] Auto-fix planning failed:`, err.message);
+      }
+
+      if (plan.fixes.length > 0) {
+        plan.suggestions.forEach(suggestion => triedSuggestions.add(suggestion.key));
+        progress('autofix', iteration, `Applying ${plan.suggestions.length} compiler suggestion(s)...`);
+
+        const fixes = plan.fixes.map(({ suggestions, ...fix }) => fix);
+        const safeResult = review
+          ? await reviewSafeFixes(buildId, projectDir, fixes, iteration, {
+            signal,
+            analysis: `rustc suggestions: ${plan.suggestions.map(describeSuggestion).join('; ')}`,
+            onRequested: (pending) => progress('review', iteration,
+              `Waiting for review of ${pending.fixes.length} file(s)`, pending),
+          })
+          : await applyAutoFixes(buildId, projectDir, fixes, plan.suggestions, iteration);
+
+        if (safeResult.reviewStatus === 'cancelled' || isCancelled()) return cancelledResult(iteration);
+        if (safeResult.reviewStatus === 'timeout') return reviewTimeoutResult(iteration);
+
+        autoFixed = safeResult.applied.length > 0;
+        const appliedPaths = new Set(safeResult.applied.map(f => f.path));
+        const applied = plan.suggestions.filter(s => appliedPaths.has(s.edits[0].file));
+        phases.push({
+          phase: 'autofix',
+          iteration,
+          timestamp: new Date(),
+          result: autoFixed ? 'fixed' : 'rejected',
+          details: {
+            applied: applied.map(describeSuggestion),
+            skipped: plan.skipped.map(s => `${describeSuggestion(s)} — ${s.reason}`),
+            rejected: safeResult.rejected,
+            safetyLog: safeResult.safetyLog,
+          },
+        });
+        if (autoFixed) {
+          previousFixes.push({ files: [...appliedPaths], summary: `rustc suggestions: ${applied.map(describeSuggestion).join('; ')}` });
+        }
+        progress('autofix', iteration, autoFixed
+          ? `Applied ${applied.length} compiler suggestion(s) in ${appliedPaths.size} file(s), rebuilding before asking the AI`
+          : 'Compiler suggestions were not applied, asking the AI',
+          { suggestionsApplied: applied.length });
+      }
+    }
+
     // ---- PHASE: VERIFY STRUCTURE (iteration 0) or FIX ERRORS (iteration 1+) ----
+    if (isCancelled()) return cancelledResult(iteration);
+
+    const overBudget = autoFixed ? null : await aiUsage.budgetExceeded();
+    if (overBudget) return budgetResult(iteration, overBudget);
+
     if (iteration === 0) {
       progress('verifying', iteration, 'AI verifying project structure and generating config files...');
       try {
         const verifyResult = await verifyAndFixStructure(buildId, projectDir);
+        await aiUsage.record(iteration, 'verifying', verifyResult.usage);
         const fixCount = verifyResult.fixes ? verifyResult.fixes.length : 0;
         phases.push({ phase: 'verifying', iteration, timestamp: new Date(), result: verifyResult.success ? 'fixed' : 'failed', details: verifyResult });
         progress('verifying', iteration, fixCount > 0
@@ -64,7 +200,7 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
         phases.push({ phase: 'verifying', iteration, timestamp: new Date(), result: 'failed', details: { error: err.message } });
         progress('verifying', iteration, `Structure verification failed: ${err.message}`);
       }
-    } else {
+    } else if (!autoFixed) {
       // Post-failure: AI analyzes build error and suggests fixes
       progress('fixing', iteration, `AI analyzing build error (attempt ${iteration + 1})...`);
 
@@ -72,8 +208,13 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
       const fixResult = await analyzeAndFixBuildFailure(
         buildId, projectDir, lastBuildResult.logs, errorMsg, iteration,
         (msg) => progress('fixing', iteration, msg),
-        previousFixes
+        previousFixes,
+        lastBuildResult.diagnostics
       );
+      await aiUsage.record(iteration, 'fixing', fixResult.usage);
+
+      // Don't apply fixes to a project the user has already walked away from
+      if (isCancelled()) return cancelledResult(iteration);
 
       if (!fixResult.success) {
         phases.push({ phase: 'fixing', iteration, timestamp: new Date(), result: 'failed', details: { error: fixResult.error } });
@@ -105,11 +246,35 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
         progress('fixing', iteration, 'AI found no fixes to apply');
         // Still try building — maybe the AI analysis was insufficient
       } else {
-        // Apply fixes with safety enforcement
-        const safeResult = await applySafeFixes(buildId, projectDir, fixResult.fixes, iteration);
-        phases.push({ phase: 'fixing', iteration, timestamp: new Date(), result: 'fixed', details: safeResult });
+        // Apply fixes with safety enforcement (after review, in review mode)
+        const safeResult = review
+          ? await reviewSafeFixes(buildId, projectDir, fixResult.fixes, iteration, {
+            signal,
+            analysis: extractShortAnalysis(fixResult.analysis),
+            onRequested: (pending) => progress('review', iteration,
+              `Waiting for review of ${pending.fixes.length} file(s)`, pending),
+          })
+          : await applySafeFixes(buildId, projectDir, fixResult.fixes, iteration);
+
+        if (safeResult.reviewStatus === 'cancelled' || isCancelled()) return cancelledResult(iteration);
+        if (safeResult.reviewStatus === 'timeout') return reviewTimeoutResult(iteration);
+
         aiAnalyses.push({ iteration, analysis: fixResult.analysis, fixes: fixResult.fixes });
 
+        if (safeResult.reviewStatus === 'reviewed' && safeResult.applied.length === 0) {
+          // Nothing changed, so a rebuild would fail the same way — ask the AI again,
+          // telling it what the reviewer turned down
+          phases.push({ phase: 'fixing', iteration, timestamp: new Date(), result: 'rejected_in_review', details: safeResult });
+          previousFixes.push({
+            files: safeResult.reviewed.map(f => f.path),
+            summary: `REJECTED by the reviewer, do not propose again: ${extractShortAnalysis(fixResult.analysis) || safeResult.reviewed.map(f => f.path).join(', ')}`,
+          });
+          progress('fixing', iteration, 'All proposed fixes were rejected in review');
+          continue;
+        }
+
+        phases.push({ phase: 'fixing', iteration, timestamp: new Date(), result: 'fixed', details: safeResult });
+
         // Record what was tried so AI doesn't repeat the same fix
         previousFixes.push({
           files: safeResult.applied.map(f => f.path),
@@ -123,6 +288,8 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
     }
 
     // ---- PHASE: BUILD ----
+    if (isCancelled()) return cancelledResult(iteration);
+
     progress('building', iteration, `Building project (attempt ${iteration + 1}/${MAX_ITERATIONS})...`);
 
     const anchorSubdir = await findAnchorTomlSubdir(projectDir);
@@ -131,7 +298,7 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
       await fs.mkdir(outputDir, { recursive: true });
     } catch (err) { /* ignore */ }
 
-    lastBuildResult = await executeAnchorBuild(
+    lastBuildResult = await queueAnchorBuild(
       buildId,
       projectDir,
       outputDir,
@@ -148,9 +315,12 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
             details: logs,
           });
         }
-      }
+      },
+      { signal }
     );
 
+    if (lastBuildResult.cancelled) return cancelledResult(iteration);
+
     phases.push({
       phase: 'building',
       iteration,
@@ -162,7 +332,7 @@ async function smartBuild(buildId, projectDir, outputDir, onProgress) {
     // Even if exit code is 0, verify actual artifacts exist
     if (lastBuildResult.success) {
       const hasArtifacts = await verifyBuildArtifacts(outputDir);
-      const hasErrorsInLogs = detectBuildErrorsInLogs(lastBuildResult.logs);
+      const hasErrorsInLogs = detectBuildErrors(lastBuildResult);
 
       if (!hasArtifacts || hasErrorsInLogs) {
         console.log(`[${buildId}] Build exit code was 0 but artifacts missing or errors in logs — treating as failure`);
@@ -280,12 +450,132 @@ async function deepCodeAnalysis(buildId, projectDir) {
 }
 
 /**
- * Apply AI fixes with strict safety rules based on iteration
+ * Apply AI fixes with strict safety rules based on iteration, as one
+ * history commit per iteration
  * Iteration 0: ONLY config files (.toml)
  * Iteration 1+: config + .rs syntax fixes (no simplification)
  */
 async function applySafeFixes(buildId, projectDir, fixes, iteration) {
+  return recordChange(buildId, projectDir, {
+    author: Authors.smartBuild(iteration),
+    message: ({ applied }) => `AI fixes: ${applied.map(f => `${f.action} ${f.path}`).join(', ') || 'none applied'}`,
+  }, () => applyFixesWithSafetyRules(buildId, projectDir, fixes, iteration));
+}
+
+/**
+ * Apply rustc's machine-applicable suggestions (autoFix.js) under the same
+ * safety rules as AI fixes, as their own history commit
+ */
+async function applyAutoFixes(buildId, projectDir, fixes, suggestions, iteration) {
+  return recordChange(buildId, projectDir, {
+    author: Authors.smartBuild(iteration),
+    message: ({ applied }) => {
+      const paths = new Set(applied.map(f => f.path));
+      const described = suggestions.filter(s => paths.has(s.edits[0].file)).map(describeSuggestion);
+      return `Compiler suggestions: ${described.join('; ') || 'none applied'}`;
+    },
+  }, () => applyFixesWithSafetyRules(buildId, projectDir, fixes, iteration));
+}
+
+async function applyFixesWithSafetyRules(buildId, projectDir, fixes, iteration) {
+  const { accepted, rejected, safetyLog } = await screenFixes(buildId, projectDir, fixes, iteration);
   const applied = [];
+
+  for (const fix of accepted) {
+    try {
+      const filePath = path.join(projectDir, fix.path);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, fix.content, 'utf-8');
+      applied.push(fix);
+      safetyLog.push(`APPLIED: ${fix.action} ${fix.path}`);
+      console.log(`[${buildId}] ✅ Safe fix applied: ${fix.action} ${fix.path}`);
+    } catch (err) {
+      rejected.push({ ...fix, reason: `File write failed: ${err.message}` });
+      safetyLog.push(`ERROR: ${fix.path} — ${err.message}`);
+    }
+  }
+
+  return { applied, rejected, safetyLog };
+}
+
+/**
+ * Review mode: run the safety rules, then hold the surviving fixes for review
+ * and write what the reviewer approved or edited (one history commit).
+ * @returns {Promise<{applied: Array, rejected: Array, safetyLog: string[],
+ *   reviewStatus: 'reviewed'|'timeout'|'cancelled'|null, reviewed: Array}>}
+ *   reviewStatus is null when no fix survived the safety rules
+ */
+async function reviewSafeFixes(buildId, projectDir, fixes, iteration, { signal, analysis, onRequested }) {
+  const { accepted, rejected, safetyLog } = await screenFixes(buildId, projectDir, fixes, iteration);
+
+  const proposals = [];
+  for (const fix of accepted) {
+    let oldContent = null;
+    try {
+      oldContent = await fs.readFile(path.join(projectDir, fix.path), 'utf-8');
+    } catch { /* new file */ }
+    if (oldContent !== fix.content) proposals.push({ ...fix, oldContent });
+  }
+  if (proposals.length === 0) {
+    return { applied: [], rejected, safetyLog, reviewStatus: null, reviewed: [] };
+  }
+
+  const outcome = await requestReview(buildId, { iteration, analysis, fixes: proposals }, { signal, onRequested });
+  if (outcome.status !== 'reviewed') {
+    return { applied: [], rejected, safetyLog, reviewStatus: outcome.status, reviewed: proposals };
+  }
+
+  const applied = await recordChange(buildId, projectDir, {
+    author: Authors.smartBuild(iteration),
+    message: (written) => `Reviewed AI fixes: ${written.map(f => f.path).join(', ') || 'none applied'}`,
+  }, async () => {
+    const written = [];
+    for (const file of outcome.files) {
+      const filePath = path.join(projectDir, file.path);
+      let current = null;
+      try {
+        current = await fs.readFile(filePath, 'utf-8');
+      } catch { /* still absent */ }
+
+      // The project may have been edited while the review was open
+      if (current !== file.oldContent) {
+        rejected.push({ path: file.path, reason: 'File changed while the review was pending' });
+        safetyLog.push(`REJECTED: ${file.path} — changed while the review was pending`);
+        continue;
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.content, 'utf-8');
+      written.push(file);
+      safetyLog.push(`APPLIED: ${file.path} (reviewed: ${file.approved} approved, ${file.edited} edited, ${file.rejected} rejected)`);
+      console.log(`[${buildId}] ✅ Reviewed fix applied: ${file.path}`);
+    }
+    return written;
+  });
+
+  const approvedPaths = new Set(applied.map(f => f.path));
+  proposals
+    .filter(fix => !outcome.files.some(f => f.path === fix.path))
+    .forEach(({ oldContent, ...fix }) => rejected.push({ ...fix, reason: 'Rejected in review' }));
+
+  return {
+    applied: applied.map(({ path: filePath, approved, rejected: rejectedHunks, edited }) => ({
+      path: filePath,
+      action: proposals.find(fix => fix.path === filePath).action,
+      hunks: { approved, rejected: rejectedHunks, edited },
+    })),
+    rejected,
+    safetyLog,
+    reviewStatus: 'reviewed',
+    reviewed: proposals.map(fix => ({ path: fix.path, action: fix.action, applied: approvedPaths.has(fix.path) })),
+  };
+}
+
+/**
+ * Split fixes into those that pass the safety rules and those that don't
+ * (nothing is written)
+ */
+async function screenFixes(buildId, projectDir, fixes, iteration) {
+  const accepted = [];
   const rejected = [];
   const safetyLog = [];
 
@@ -347,18 +637,7 @@ async function applySafeFixes(buildId, projectDir, fixes, iteration) {
       continue;
     }
 
-    // All checks passed — apply the fix
-    try {
-      const filePath = path.join(projectDir, fix.path);
-      await fs.mkdir(path.dirname(filePath), { recursive: true });
-      await fs.writeFile(filePath, fix.content, 'utf-8');
-      applied.push(fix);
-      safetyLog.push(`APPLIED: ${fix.action} ${fix.path}`);
-      console.log(`[${buildId}] ✅ Safe fix applied: ${fix.action} ${fix.path}`);
-    } catch (err) {
-      rejected.push({ ...fix, reason: `File write failed: ${err.message}` });
-      safetyLog.push(`ERROR: ${fix.path} — ${err.message}`);
-    }
+    accepted.push(fix);
   }
 
   if (rejected.length > 0) {
@@ -366,59 +645,45 @@ async function applySafeFixes(buildId, projectDir, fixes, iteration) {
     rejected.forEach(r => console.log(`  - ${r.path}: ${r.reason}`));
   }
 
-  return { applied, rejected, safetyLog };
+  return { accepted, rejected, safetyLog };
 }
 
 /**
  * Validate that a .rs fix does NOT simplify/remove code
- * Compares the proposed content against the existing file
+ * Compares the proposed content against the existing file structurally
+ * (instructions, account constraints, require!/err! checks, error codes,
+ * items — see rustAst.js), then by size
  */
 async function validateRsFixSafety(buildId, projectDir, fix) {
+  let existingContent;
   try {
-    const existingContent = await fs.readFile(path.join(projectDir, fix.path), 'utf-8');
-    const newContent = fix.content;
-
-    // Count meaningful constructs
-    const countPattern = (text, pattern) => (text.match(pattern) || []).length;
-
-    const existingFns = countPattern(existingContent, /(?:pub\s+)?(?:async\s+)?fn\s+\w+/g);
-    const newFns = countPattern(newContent, /(?:pub\s+)?(?:async\s+)?fn\s+\w+/g);
-
-    const existingStructs = countPattern(existingContent, /(?:pub\s+)?struct\s+\w+/g);
-    const newStructs = countPattern(newContent, /(?:pub\s+)?struct\s+\w+/g);
-
-    const existingEnums = countPattern(existingContent, /(?:pub\s+)?enum\s+\w+/g);
-    const newEnums = countPattern(newContent, /(?:pub\s+)?enum\s+\w+/g);
-
-    const existingImpls = countPattern(existingContent, /impl\s+/g);
-    const newImpls = countPattern(newContent, /impl\s+/g);
-
-    if (newFns < existingFns) {
-      return { safe: false, reason: `Functions reduced from ${existingFns} to ${newFns} — code simplification detected` };
-    }
-    if (newStructs < existingStructs) {
-      return { safe: false, reason: `Structs reduced from ${existingStructs} to ${newStructs} — code simplification detected` };
-    }
-    if (newEnums < existingEnums) {
-      return { safe: false, reason: `Enums reduced from ${existingEnums} to ${newEnums} — code simplification detected` };
-    }
-    if (newImpls < existingImpls) {
-      return { safe: false, reason: `Impl blocks reduced from ${existingImpls} to ${newImpls} — code simplification detected` };
-    }
-
-    // Check for massive reduction (>30%)
-    const existingLines = existingContent.split('\n').length;
-    const newLines = newContent.split('\n').length;
-    if (existingLines > 10 && newLines < existingLines * 0.7) {
-      const pct = Math.round((1 - newLines / existingLines) * 100);
-      return { safe: false, reason: `Code reduced by ${pct}% (${existingLines} → ${newLines} lines) — likely simplification` };
-    }
-
-    return { safe: true, reason: null };
-  } catch (err) {
+    existingContent = await fs.readFile(path.join(projectDir, fix.path), 'utf-8');
+  } catch {
     // File doesn't exist — shouldn't happen (checked earlier) but allow
     return { safe: true, reason: null };
   }
+  const newContent = fix.content;
+
+  let structural;
+  try {
+    structural = await compareRustSafety(existingContent, newContent);
+  } catch (err) {
+    console.error(`[${buildId}] Rust safety check failed for ${fix.path}:`, err.message);
+    return { safe: false, reason: `Could not verify the fix is safe: ${err.message}` };
+  }
+  if (!structural.safe) {
+    return { safe: false, reason: structural.reason };
+  }
+
+  // Check for massive reduction (>30%)
+  const existingLines = existingContent.split('\n').length;
+  const newLines = newContent.split('\n').length;
+  if (existingLines > 10 && newLines < existingLines * 0.7) {
+    const pct = Math.round((1 - newLines / existingLines) * 100);
+    return { safe: false, reason: `Code reduced by ${pct}% (${existingLines} → ${newLines} lines) — likely simplification` };
+  }
+
+  return { safe: true, reason: null };
 }
 
 /**
@@ -496,9 +761,12 @@ async function verifyBuildArtifacts(outputDir) {
 }
 
 /**
- * Detect build errors in logs even when exit code is 0
+ * Detect build errors even when exit code is 0: compiler diagnostics first,
+ * then the logs for errors that don't come from rustc
  */
-function detectBuildErrorsInLogs(logs) {
+function detectBuildErrors({ logs, diagnostics }) {
+  if (errorDiagnostics(diagnostics).length > 0) return true;
+
   const stdout = typeof logs === 'object' ? (logs.stdout || '') : String(logs);
   const stderr = typeof logs === 'object' ? (logs.stderr || '') : '';
   const combined = stdout + '\n' + stderr;
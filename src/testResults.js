@@ -0,0 +1,149 @@
+/**
+ * Parse the output of `anchor test` into per-test results.
+ *
+ * Anchor runs the project's test script (ts-mocha / mocha by default), whose
+ * spec reporter prints:
+ *
+ *     my-program
+ *       ✔ initializes (412ms)
+ *       1) rejects a bad authority
+ *       - skipped case
+ *
+ *     1 passing (3s)
+ *     1 failing
+ *     1 pending
+ *
+ *     1) my-program
+ *          rejects a bad authority:
+ *        Error: AnchorError ... ConstraintHasOne
+ *         at ...
+ *
+ * Callers pass only the output after the test phase starts, so build output
+ * and validator logs never reach the parser.
+ */
+
+const PASS_LINE = /^(\s*)[✔✓]\s+(.+?)(?:\s+\((\d+)ms\))?$/;
+const FAIL_LINE = /^(\s*)(\d+)\)\s+(.+)$/;
+const PENDING_LINE = /^(\s*)-\s+(.+)$/;
+const SUMMARY_LINE = /^\s*(\d+)\s+(passing|failing|pending)\b/;
+
+const MAX_ERROR_LENGTH = 2000;
+
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').replace(/\r/g, '');
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+// Failure details after the summary: "N) suite\n   title:\n  Error: ..."
+function parseFailureDetails(lines) {
+  const details = new Map();
+  let current = null;
+
+  for (const line of lines) {
+    const header = line.match(/^\s*(\d+)\)\s+/);
+    if (header && (!current || indentOf(line) <= current.indent)) {
+      current = { number: Number(header[1]), indent: indentOf(line), titleDone: false, lines: [] };
+      details.set(current.number, current);
+      continue;
+    }
+    if (!current) continue;
+
+    if (!current.titleDone) {
+      // The title lines end with a colon; the error follows
+      if (line.trim().endsWith(':')) current.titleDone = true;
+      continue;
+    }
+    if (/^\s*at\s/.test(line)) {
+      current.titleDone = 'stack';
+      continue;
+    }
+    if (current.titleDone === 'stack') continue;
+    current.lines.push(line.trim());
+  }
+
+  const errors = new Map();
+  for (const [number, detail] of details) {
+    const message = detail.lines.join('\n').trim();
+    errors.set(number, message.length > MAX_ERROR_LENGTH ? `${message.slice(0, MAX_ERROR_LENGTH)}…` : message);
+  }
+  return errors;
+}
+
+/**
+ * @param {string} rawOutput - Container output of the test run
+ * @returns {{ran: boolean, passed: number, failed: number, pending: number,
+ *   tests: Array<{title: string, fullTitle: string, status: string, durationMs: number|null, error: string|null}>}}
+ */
+function parseTestResults(rawOutput) {
+  const lines = stripAnsi(rawOutput || '').split('\n');
+  const tests = [];
+  const counts = {};
+  const suites = []; // [{ indent, title }]
+  let summaryAt = -1;
+
+  const suitePath = (indent) => {
+    while (suites.length && suites[suites.length - 1].indent >= indent) suites.pop();
+    return suites.map(s => s.title);
+  };
+  const addTest = (indent, title, fields) => {
+    const path = suitePath(indent);
+    tests.push({ title, fullTitle: [...path, title].join(' '), status: null, durationMs: null, error: null, ...fields });
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const summary = line.match(SUMMARY_LINE);
+    if (summary) {
+      counts[summary[2]] = Number(summary[1]);
+      summaryAt = i;
+      continue;
+    }
+    if (summaryAt !== -1) {
+      // First non-summary line after the summary ends it; the rest is failure details
+      if (line.trim()) break;
+      continue;
+    }
+
+    let match;
+    if ((match = line.match(PASS_LINE))) {
+      addTest(match[1].length, match[2], { status: 'passed', durationMs: match[3] ? Number(match[3]) : null });
+    } else if ((match = line.match(FAIL_LINE))) {
+      addTest(match[1].length, match[3], { status: 'failed', failureNumber: Number(match[2]) });
+    } else if ((match = line.match(PENDING_LINE)) && suites.length) {
+      addTest(match[1].length, match[2], { status: 'pending' });
+    } else if (line.trim() && indentOf(line) > 0) {
+      // An indented bare line is a describe() title if the next line nests under it
+      const next = lines.slice(i + 1).find(l => l.trim());
+      if (next && indentOf(next) > indentOf(line)) {
+        suitePath(indentOf(line));
+        suites.push({ indent: indentOf(line), title: line.trim() });
+      }
+    }
+  }
+
+  if (summaryAt === -1) {
+    return { ran: false, passed: 0, failed: 0, pending: 0, tests: [] };
+  }
+
+  const errors = parseFailureDetails(lines.slice(summaryAt + 1));
+  for (const test of tests) {
+    if (test.status === 'failed') {
+      test.error = errors.get(test.failureNumber) || null;
+    }
+    delete test.failureNumber;
+  }
+
+  return {
+    ran: true,
+    passed: counts.passing || 0,
+    failed: counts.failing || 0,
+    pending: counts.pending || 0,
+    tests,
+  };
+}
+
+module.exports = { parseTestResults };
@@ -0,0 +1,77 @@
+const config = require('./config');
+const { runQuery, getOne } = require('./db');
+
+/**
+ * Persistent cache for the AI research tools (aiTools.js), keyed by tool
+ * and normalized input, with a TTL per tool (config.aiTools.cache.ttl).
+ *
+ * Expired entries are not deleted straight away: they stay for
+ * staleRetention as a fallback when the live source can't be reached, and
+ * are swept on write at most once an hour.
+ *
+ * The cache is an optimization — if the database is unavailable, lookups
+ * miss and writes are dropped.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+let lastSweep = 0;
+
+function ttlFor(tool) {
+  return config.aiTools.cache.ttl[tool] || 0;
+}
+
+/**
+ * @returns {Promise<{result: string, fresh: boolean, createdAt: string}|null>}
+ */
+async function getCachedResult(tool, key) {
+  if (!config.aiTools.cache.enabled || !ttlFor(tool)) return null;
+  try {
+    const row = await getOne(
+      `SELECT result, created_at, expires_at FROM tool_cache WHERE tool = ? AND cache_key = ?`,
+      [tool, key]
+    );
+    if (!row) return null;
+    return {
+      result: row.result,
+      fresh: row.expires_at > new Date().toISOString(),
+      createdAt: row.created_at,
+    };
+  } catch (err) {
+    console.warn(`Tool cache read failed (${tool}): ${err.message}`);
+    return null;
+  }
+}
+
+async function setCachedResult(tool, key, result) {
+  const ttl = ttlFor(tool);
+  if (!config.aiTools.cache.enabled || !ttl) return;
+  const now = Date.now();
+  try {
+    await runQuery(
+      `INSERT OR REPLACE INTO tool_cache (tool, cache_key, result, created_at, expires_at) VALUES (?, ?, ?, ?, ?)`,
+      [tool, key, result, new Date(now).toISOString(), new Date(now + ttl * 1000).toISOString()]
+    );
+    if (now - lastSweep > SWEEP_INTERVAL_MS) {
+      lastSweep = now;
+      await purgeToolCache();
+    }
+  } catch (err) {
+    console.warn(`Tool cache write failed (${tool}): ${err.message}`);
+  }
+}
+
+/**
+ * Delete entries that expired more than staleRetention ago
+ * @returns {Promise<number>} Entries deleted
+ */
+async function purgeToolCache() {
+  const cutoff = new Date(Date.now() - config.aiTools.cache.staleRetention * 1000).toISOString();
+  const result = await runQuery(`DELETE FROM tool_cache WHERE expires_at < ?`, [cutoff]);
+  return result.changes;
+}
+
+module.exports = {
+  getCachedResult,
+  setCachedResult,
+  purgeToolCache,
+};
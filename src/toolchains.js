@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Docker = require('dockerode');
+const config = require('./config');
+
+const docker = new Docker();
+
+/**
+ * Builder toolchains — each is a Dockerfile.anchor-builder image built with
+ * matching --build-arg values. The default toolchain uses config.dockerImage;
+ * the others are tagged `<prefix>:<anchorVersion>`.
+ */
+const TOOLCHAINS = [
+  { id: 'anchor-0.31.1-solana-3.1.8', anchorVersion: '0.31.1', solanaVersion: '3.1.8', rustVersion: '1.90', platformTools: 'v1.52' },
+  { id: 'anchor-0.30.1-solana-1.18.26', anchorVersion: '0.30.1', solanaVersion: '1.18.26', rustVersion: '1.79', platformTools: 'v1.41' },
+  { id: 'anchor-0.29.0-solana-1.18.26', anchorVersion: '0.29.0', solanaVersion: '1.18.26', rustVersion: '1.75', platformTools: 'v1.41' },
+];
+
+function imageFor(toolchain) {
+  if (toolchain.id === config.toolchains.default) return config.dockerImage;
+  return `${config.toolchains.imagePrefix}:${toolchain.anchorVersion}`;
+}
+
+function withImage(toolchain) {
+  return { ...toolchain, image: imageFor(toolchain) };
+}
+
+function getDefaultToolchain() {
+  const toolchain = TOOLCHAINS.find(t => t.id === config.toolchains.default) || TOOLCHAINS[0];
+  return withImage(toolchain);
+}
+
+/**
+ * Look up a toolchain by id ("anchor-0.30.1-solana-1.18.26") or Anchor
+ * version ("0.30.1").
+ * @returns {object|null}
+ */
+function findToolchain(name) {
+  if (!name || typeof name !== 'string') return null;
+  const toolchain = TOOLCHAINS.find(t => t.id === name || t.anchorVersion === name);
+  return toolchain ? withImage(toolchain) : null;
+}
+
+function minorVersion(version) {
+  return version.split('.').slice(0, 2).join('.');
+}
+
+/**
+ * Pick the closest toolchain for a requested Anchor (and optionally Solana)
+ * version: exact Anchor match first, then the same Anchor minor, preferring
+ * a matching Solana minor within either group.
+ */
+function matchToolchain(anchorVersion, solanaVersion = null) {
+  const candidates = [
+    TOOLCHAINS.filter(t => t.anchorVersion === anchorVersion),
+    TOOLCHAINS.filter(t => minorVersion(t.anchorVersion) === minorVersion(anchorVersion)),
+  ];
+
+  for (const group of candidates) {
+    if (group.length === 0) continue;
+    const sameSolana = solanaVersion
+      && group.find(t => minorVersion(t.solanaVersion) === minorVersion(solanaVersion));
+    return withImage(sameSolana || group[0]);
+  }
+  return null;
+}
+
+async function readFileOrNull(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+// Lines of a top-level TOML table, e.g. [toolchain]
+function tomlSection(text, name) {
+  const lines = [];
+  let inSection = false;
+  for (const line of text.split('\n')) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+    if (header) {
+      inSection = header[1].trim() === name;
+    } else if (inSection) {
+      lines.push(line);
+    }
+  }
+  return lines.join('\n');
+}
+
+// "0.30.1", "=0.30.1", "^0.30.1" and "~0.30" all mean 0.30.x for our purposes
+function cleanVersion(raw) {
+  const match = raw && raw.match(/(\d+\.\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  return match[1].split('.').length === 2 ? `${match[1]}.0` : match[1];
+}
+
+/**
+ * Read the toolchain a project asks for: `[toolchain]` in Anchor.toml, or the
+ * anchor-lang dependency in the program crates' Cargo.toml files.
+ * @returns {Promise<{anchorVersion: string|null, solanaVersion: string|null, source: string|null}>}
+ */
+async function detectProjectVersions(anchorRoot) {
+  const anchorToml = await readFileOrNull(path.join(anchorRoot, 'Anchor.toml'));
+  if (anchorToml) {
+    const section = tomlSection(anchorToml, 'toolchain');
+    const anchor = section.match(/^\s*anchor_version\s*=\s*"([^"]+)"/m);
+    const solana = section.match(/^\s*solana_version\s*=\s*"([^"]+)"/m);
+    if (anchor) {
+      return {
+        anchorVersion: cleanVersion(anchor[1]),
+        solanaVersion: solana ? cleanVersion(solana[1]) : null,
+        source: 'Anchor.toml',
+      };
+    }
+  }
+
+  let programDirs = [];
+  try {
+    const entries = await fs.readdir(path.join(anchorRoot, 'programs'), { withFileTypes: true });
+    programDirs = entries.filter(e => e.isDirectory()).map(e => path.join('programs', e.name));
+  } catch { /* no programs/ directory */ }
+
+  for (const dir of programDirs) {
+    const cargoToml = await readFileOrNull(path.join(anchorRoot, dir, 'Cargo.toml'));
+    if (!cargoToml) continue;
+    // anchor-lang = "0.30.1"  or  anchor-lang = { version = "0.30.1", features = [...] }
+    const match = cargoToml.match(/^\s*anchor-lang\s*=\s*(?:"([^"]+)"|\{[^}]*version\s*=\s*"([^"]+)")/m);
+    if (match) {
+      return {
+        anchorVersion: cleanVersion(match[1] || match[2]),
+        solanaVersion: null,
+        source: `${dir}/Cargo.toml`,
+      };
+    }
+  }
+
+  return { anchorVersion: null, solanaVersion: null, source: null };
+}
+
+async function isImageInstalled(image) {
+  try {
+    await docker.getImage(image).inspect();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Choose the toolchain for a build. An explicit request must exist and be
+ * installed; a detected version falls back to the default toolchain when no
+ * matching image is installed (the build may still succeed).
+ * @param {string} anchorRoot - Directory containing Anchor.toml
+ * @param {string|null} requested - Toolchain id or Anchor version from the API
+ * @returns {Promise<{toolchain: object, reason: string}>}
+ */
+async function resolveToolchain(anchorRoot, requested = null) {
+  if (requested) {
+    const toolchain = findToolchain(requested);
+    if (!toolchain) {
+      const err = new Error(`Unknown toolchain '${requested}'. Available: ${TOOLCHAINS.map(t => t.id).join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    if (!(await isImageInstalled(toolchain.image))) {
+      const err = new Error(`Toolchain '${toolchain.id}' is not installed on this server (image ${toolchain.image})`);
+      err.status = 400;
+      throw err;
+    }
+    return { toolchain, reason: 'requested' };
+  }
+
+  const fallback = getDefaultToolchain();
+  const detected = await detectProjectVersions(anchorRoot);
+  if (!detected.anchorVersion) {
+    return { toolchain: fallback, reason: 'default' };
+  }
+
+  const toolchain = matchToolchain(detected.anchorVersion, detected.solanaVersion);
+  if (!toolchain) {
+    return { toolchain: fallback, reason: `no toolchain for Anchor ${detected.anchorVersion} (${detected.source}), using default` };
+  }
+  if (toolchain.id !== fallback.id && !(await isImageInstalled(toolchain.image))) {
+    return { toolchain: fallback, reason: `${toolchain.id} not installed, using default` };
+  }
+  return { toolchain, reason: `detected Anchor ${detected.anchorVersion} from ${detected.source}` };
+}
+
+/**
+ * All registered toolchains with whether their image is present locally
+ */
+async function listToolchains() {
+  const defaultId = getDefaultToolchain().id;
+  return Promise.all(TOOLCHAINS.map(async (t) => {
+    const toolchain = withImage(t);
+    return {
+      ...toolchain,
+      default: toolchain.id === defaultId,
+      installed: await isImageInstalled(toolchain.image),
+    };
+  }));
+}
+
+module.exports = {
+  TOOLCHAINS,
+  findToolchain,
+  getDefaultToolchain,
+  resolveToolchain,
+  detectProjectVersions,
+  listToolchains,
+};
@@ -1,8 +1,45 @@
 const WebSocket = require('ws');
 const logger = require('./logger');
+const { getBuildRecord } = require('./buildStore');
+const { verifyAgentKey } = require('./agentAuth');
+const { getBuildAccess } = require('./middleware/agentAuth');
 
 let wss = null;
 const clients = new Map(); // buildId -> Set of WebSocket clients
+const actionHandlers = new Map(); // action -> async (message) => result
+
+function sendToClient(ws, payload) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
+/**
+ * Whether a client may follow a build. Web builds are open to anyone with
+ * the buildId, as their /compile routes are; agent builds need an agent key
+ * with access to the build (the same rule as the agent routes).
+ */
+async function canSubscribe(buildId, agentKey) {
+  const build = await getBuildRecord(buildId);
+  if (!build) return false;
+  if (!build.agentId) return true;
+  const agent = typeof agentKey === 'string' ? await verifyAgentKey(agentKey) : null;
+  return !!agent && !!(await getBuildAccess(build, agent.agent_id));
+}
+
+function subscribe(ws, buildId) {
+  if (!clients.has(buildId)) {
+    clients.set(buildId, new Set());
+  }
+  clients.get(buildId).add(ws);
+  ws.buildId = buildId;
+
+  logger.info(`Client subscribed to build: ${buildId}`);
+  sendToClient(ws, {
+    type: 'subscribed',
+    buildId,
+  });
+}
 
 /**
  * Initialize WebSocket server
@@ -18,19 +55,31 @@ function initWebSocket(server) {
       try {
         const data = JSON.parse(message);
         
-        // Subscribe to build logs
-        if (data.action === 'subscribe' && data.buildId) {
-          if (!clients.has(data.buildId)) {
-            clients.set(data.buildId, new Set());
-          }
-          clients.get(data.buildId).add(ws);
-          ws.buildId = data.buildId;
-          
-          logger.info(`Client subscribed to build: ${data.buildId}`);
-          ws.send(JSON.stringify({
-            type: 'subscribed',
-            buildId: data.buildId,
-          }));
+        // Subscribe to build logs. Agents send their key as `agentKey` or as
+        // the X-Agent-Key header of the connection; builds they can't access
+        // get the same answer as missing ones, so buildIds can't be probed
+        if (data.action === 'subscribe' && typeof data.buildId === 'string') {
+          const { buildId } = data;
+          canSubscribe(buildId, data.agentKey || req.headers['x-agent-key'])
+            .then(allowed => {
+              if (allowed) return subscribe(ws, buildId);
+              sendToClient(ws, { type: 'error', action: 'subscribe', buildId, status: 404, error: 'Build not found' });
+            })
+            .catch(error => {
+              logger.error('WebSocket subscribe error:', error);
+              sendToClient(ws, { type: 'error', action: 'subscribe', buildId, status: 500, error: 'Subscription failed' });
+            });
+        } else if (actionHandlers.has(data.action)) {
+          Promise.resolve()
+            .then(() => actionHandlers.get(data.action)(data))
+            .then(result => sendToClient(ws, { type: `${data.action}_result`, buildId: data.buildId, ...result }))
+            .catch(error => sendToClient(ws, {
+              type: 'error',
+              action: data.action,
+              buildId: data.buildId,
+              status: error.status || 500,
+              error: error.message,
+            }));
         }
       } catch (error) {
         logger.error('WebSocket message error:', error);
@@ -63,6 +112,15 @@ function initWebSocket(server) {
   return wss;
 }
 
+/**
+ * Handle a client message `{ action, ... }` other than subscribe. The
+ * handler's result is sent back as `<action>_result`, a thrown error as
+ * `{ type: 'error', action, status, error }`.
+ */
+function onClientAction(action, handler) {
+  actionHandlers.set(action, handler);
+}
+
 /**
  * Broadcast log update to all clients subscribed to a build
  */
@@ -131,9 +189,54 @@ function broadcastSmartBuildProgress(buildId, progressEvent) {
   });
 }
 
+/**
+ * Broadcast server-side deployment progress (phase, chunks written, result)
+ */
+function broadcastDeployProgress(buildId, progressEvent) {
+  const subscribers = clients.get(buildId);
+  if (!subscribers || subscribers.size === 0) return;
+
+  const message = JSON.stringify({
+    type: 'deploy_progress',
+    buildId,
+    ...progressEvent,
+    timestamp: new Date().toISOString(),
+  });
+
+  subscribers.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(message);
+    }
+  });
+}
+
+/**
+ * Broadcast `anchor test` run status; the final event carries the results
+ */
+function broadcastTestProgress(buildId, progressEvent) {
+  const subscribers = clients.get(buildId);
+  if (!subscribers || subscribers.size === 0) return;
+
+  const message = JSON.stringify({
+    type: 'test_progress',
+    buildId,
+    ...progressEvent,
+    timestamp: new Date().toISOString(),
+  });
+
+  subscribers.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(message);
+    }
+  });
+}
+
 module.exports = {
   initWebSocket,
+  onClientAction,
   broadcastLog,
   broadcastStatus,
   broadcastSmartBuildProgress,
+  broadcastDeployProgress,
+  broadcastTestProgress,
 };
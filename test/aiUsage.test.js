@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/config');
+config.cleanup.enableAutoCleanup = false;
+config.agent.dbPath = ':memory:';
+
+const { initDatabase, getDb } = require('../src/db');
+const { insertBuild, upsertBuildCollaborator } = require('../src/buildStore');
+const { createUsageTracker, setAgentAiBudget, BUDGET_EXCEEDED } = require('../src/aiUsage');
+const { startAgentApi } = require('./helpers/agentApi');
+
+let api;
+
+const USAGE = { provider: 'fixture', model: 'hand-written', inputTokens: 700, outputTokens: 300, calls: 2 };
+
+async function createBuild(agentId) {
+  const id = crypto.randomUUID();
+  const now = new Date();
+  // Never built: every request here is refused before the build starts
+  const dir = path.join(os.tmpdir(), id);
+  await insertBuild({ id, status: 'failed', source: 'agent', agentId, projectDir: dir, outputDir: dir, createdAt: now, updatedAt: now });
+  return id;
+}
+
+before(async () => {
+  await initDatabase();
+  api = await startAgentApi();
+});
+
+after(async () => {
+  await api.close();
+  await new Promise(resolve => getDb().close(resolve));
+});
+
+test('smart-build usage is charged to the agent and shown against its budget', async () => {
+  const agent = await api.registerAgent('spender');
+  const buildId = await createBuild(agent.agent_id);
+  const tracker = createUsageTracker(buildId, { agentId: agent.agent_id });
+  await tracker.record(0, 'verify', USAGE);
+  await tracker.record(1, 'fix', USAGE);
+  assert.deepStrictEqual(tracker.summary().iterations.map(i => [i.iteration, i.totalTokens]), [[0, 1000], [1, 1000]]);
+
+  await setAgentAiBudget(agent.agent_id, 5000);
+  const usage = await api.request('GET', '/agent/usage', { key: agent.api_key });
+  assert.strictEqual(usage.status, 200);
+  assert.deepStrictEqual(
+    [usage.body.total_tokens, usage.body.calls, usage.body.budget_tokens, usage.body.remaining_tokens],
+    [2000, 4, 5000, 3000]
+  );
+  assert.strictEqual(await tracker.budgetExceeded(), null);
+
+  await setAgentAiBudget(agent.agent_id, 2000);
+  assert.match(await tracker.budgetExceeded(), /Monthly AI token budget exhausted \(2000 of 2000 tokens used/);
+});
+
+test('an agent over its budget is refused a smart build', async () => {
+  const agent = await api.registerAgent('over-budget');
+  await createUsageTracker(await createBuild(agent.agent_id), { agentId: agent.agent_id }).record(0, 'fix', USAGE);
+  await setAgentAiBudget(agent.agent_id, 1000);
+
+  const oneShot = await api.request('POST', '/build', {
+    key: agent.api_key,
+    body: { name: 'demo', files: { 'Anchor.toml': '' }, smart_build: true },
+  });
+  assert.strictEqual(oneShot.status, 429);
+  assert.strictEqual(oneShot.body.code, BUDGET_EXCEEDED);
+  assert.match(oneShot.body.error, /budget exhausted/);
+
+  const buildId = await createBuild(agent.agent_id);
+  const rebuild = await api.request('POST', `/project/${buildId}/build`, { key: agent.api_key, body: { smart_build: true } });
+  assert.deepStrictEqual([rebuild.status, rebuild.body.code], [429, BUDGET_EXCEEDED]);
+
+  // The refusal holds no lock: asking again is refused for the budget, not as a concurrent build
+  const again = await api.request('POST', `/project/${buildId}/build`, { key: agent.api_key, body: { smart_build: true } });
+  assert.strictEqual(again.status, 429);
+});
+
+test('a collaborator\'s smart build is checked against the owner\'s budget', async () => {
+  const [owner, collaborator] = [await api.registerAgent('owner'), await api.registerAgent('collaborator')];
+  const buildId = await createBuild(owner.agent_id);
+  await upsertBuildCollaborator(buildId, collaborator.agent_id, 'write', owner.agent_id);
+  await createUsageTracker(buildId, { agentId: owner.agent_id }).record(0, 'fix', USAGE);
+  await setAgentAiBudget(owner.agent_id, 500);
+
+  const res = await api.request('POST', `/project/${buildId}/build`, { key: collaborator.api_key, body: { smart_build: true } });
+  assert.deepStrictEqual([res.status, res.body.code], [429, BUDGET_EXCEEDED]);
+});
+
+test('smart_build must be a boolean', async () => {
+  const agent = await api.registerAgent('typo');
+  const buildId = await createBuild(agent.agent_id);
+  for (const [urlPath, body] of [
+    ['/build', { name: 'demo', files: { 'Anchor.toml': '' }, smart_build: 'yes' }],
+    [`/project/${buildId}/build`, { smart_build: 1 }],
+  ]) {
+    const res = await api.request('POST', urlPath, { key: agent.api_key, body });
+    assert.deepStrictEqual([res.status, res.body], [400, { error: 'smart_build must be a boolean' }], urlPath);
+  }
+});
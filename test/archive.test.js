@@ -0,0 +1,166 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/config');
+const { extractArchive, archiveTypeFor } = require('../src/archive');
+const { tar, tgz, zip } = require('./helpers/archives');
+
+let workDir;
+let count = 0;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// Extract into <case>/project so anything that escapes lands in <case>
+async function extract(archive, type) {
+  const caseDir = path.join(workDir, `case-${++count}`);
+  const dest = path.join(caseDir, 'project');
+  await fs.mkdir(dest, { recursive: true });
+  const file = path.join(workDir, `upload-${count}`);
+  await fs.writeFile(file, archive);
+  try {
+    await extractArchive(file, dest, type);
+  } finally {
+    await fs.rm(file);
+  }
+  return { caseDir, dest };
+}
+
+async function assertRejected(archive, type, message) {
+  const caseDir = path.join(workDir, `case-${count + 1}`);
+  await assert.rejects(extract(archive, type), { status: 400, code: 'archive_rejected', message });
+  assert.deepStrictEqual(await fs.readdir(caseDir), ['project'], 'nothing written outside the project');
+  assert.deepStrictEqual(await fs.readdir(path.join(caseDir, 'project')), [], 'project left empty');
+}
+
+async function withLimits(limits, fn) {
+  const saved = { ...config.builds.archive };
+  Object.assign(config.builds.archive, limits);
+  try {
+    await fn();
+  } finally {
+    Object.assign(config.builds.archive, saved);
+  }
+}
+
+const PROJECT = [
+  { name: 'Anchor.toml', data: '[programs.localnet]\n' },
+  { name: 'programs/', type: 'directory' },
+  { name: 'programs/demo/src/lib.rs', data: 'use anchor_lang::prelude::*;\n' },
+  { name: 'scripts/run.sh', data: '#!/bin/sh\n', mode: 0o100755 },
+];
+
+test('archive types come from the file name', () => {
+  assert.strictEqual(archiveTypeFor('project.ZIP'), 'zip');
+  assert.strictEqual(archiveTypeFor('project.tar.gz'), 'tar.gz');
+  assert.strictEqual(archiveTypeFor('project.tgz'), 'tar.gz');
+  assert.strictEqual(archiveTypeFor('project.tar'), 'tar');
+  assert.strictEqual(archiveTypeFor('project.rar'), null);
+  assert.strictEqual(archiveTypeFor(undefined), null);
+});
+
+test('files and directories are extracted from zip, tar and tar.gz', async () => {
+  const tarProject = PROJECT.map(({ mode, ...entry }) => ({ ...entry, mode: mode ? 0o755 : undefined }));
+  for (const [archive, type] of [[zip(PROJECT), 'zip'], [tar(tarProject), 'tar'], [tgz(tarProject), 'tar.gz']]) {
+    const { dest } = await extract(archive, type);
+    assert.strictEqual(await fs.readFile(path.join(dest, 'Anchor.toml'), 'utf8'), '[programs.localnet]\n', type);
+    assert.strictEqual(await fs.readFile(path.join(dest, 'programs/demo/src/lib.rs'), 'utf8'), 'use anchor_lang::prelude::*;\n', type);
+    assert.ok((await fs.stat(path.join(dest, 'scripts/run.sh'))).mode & 0o100, `${type}: executable bit kept`);
+  }
+});
+
+const ESCAPES = [
+  ['../evil.txt', /escapes the project directory/],
+  ['programs/../../evil.txt', /escapes the project directory/],
+  ['/tmp/evil.txt', /absolute path/],
+  ['C:/evil.txt', /absolute path/],
+  ['..\\evil.txt', /malformed name/],
+];
+
+test('zip entries outside the project directory reject the archive', async () => {
+  for (const [name, message] of [...ESCAPES, ['a\0b', /malformed name/]]) {
+    await assertRejected(zip([{ name: 'ok.txt', data: 'fine' }, { name, data: 'pwned' }]), 'zip', message);
+  }
+});
+
+test('tar entries outside the project directory reject the archive', async () => {
+  for (const [name, message] of ESCAPES) {
+    await assertRejected(tar([{ name: 'ok.txt', data: 'fine' }, { name, data: 'pwned' }]), 'tar', message);
+    await assertRejected(tgz([{ name, data: 'pwned' }]), 'tar.gz', message);
+  }
+});
+
+test('links and special files reject the archive', async () => {
+  // A symlink followed by a file written through it is the classic escape
+  await assertRejected(tar([
+    { name: 'link', type: 'symlink', linkname: '..' },
+    { name: 'link/evil.txt', data: 'pwned' },
+  ]), 'tar', /'link' is a SymbolicLink/);
+  await assertRejected(tar([{ name: 'passwd', type: 'hardlink', linkname: '/etc/passwd' }]), 'tar', /is a Link/);
+  await assertRejected(tar([{ name: 'tty', type: 'char' }]), 'tar', /is a CharacterDevice/);
+  await assertRejected(tar([{ name: 'sda', type: 'block' }]), 'tar', /is a BlockDevice/);
+  await assertRejected(tar([{ name: 'pipe', type: 'fifo' }]), 'tar', /is a FIFO/);
+
+  await assertRejected(zip([
+    { name: 'ok.txt', data: 'fine' },
+    { name: 'link', type: 'symlink', data: '/etc' },
+  ]), 'zip', /'link' is a symbolic link/);
+  await assertRejected(zip([{ name: 'tty', type: 'char' }]), 'zip', /'tty' is a special file/);
+  await assertRejected(zip([{ name: 'pipe', type: 'fifo' }]), 'zip', /'pipe' is a special file/);
+});
+
+test('archives over the size, entry count or depth limits are rejected', async () => {
+  await withLimits({ maxExtractedSize: 64 * 1024 }, async () => {
+    const big = Buffer.alloc(40 * 1024, 'a');
+    const entries = [{ name: 'a.bin', data: big }, { name: 'b.bin', data: big }];
+    await assertRejected(zip(entries.map(e => ({ ...e, method: 'deflate' }))), 'zip', /exceed 0.0625 MB uncompressed/);
+    await assertRejected(tgz(entries), 'tar.gz', /exceed 0.0625 MB uncompressed/);
+  });
+
+  await withLimits({ maxEntries: 5 }, async () => {
+    const entries = Array.from({ length: 6 }, (_, i) => ({ name: `f${i}.txt`, data: 'x' }));
+    await assertRejected(zip(entries), 'zip', /more than 5 entries/);
+    await assertRejected(tar(entries), 'tar', /more than 5 entries/);
+    await extract(zip(entries.slice(1)), 'zip');
+  });
+
+  const deep = `${'d/'.repeat(config.builds.archive.maxPathDepth)}file.txt`;
+  await assertRejected(zip([{ name: deep, data: 'x' }]), 'zip', /nested more than 32 levels deep/);
+  await assertRejected(tar([{ name: deep, data: 'x' }]), 'tar', /nested more than 32 levels deep/);
+});
+
+test('entry names that are not valid UTF-8 reject the archive', async () => {
+  const name = Buffer.from([0x66, 0xff, 0xfe, 0x2e, 0x72, 0x73]);
+  await assertRejected(zip([{ name, data: 'x' }]), 'zip', /not valid UTF-8/);
+  await assertRejected(tar([{ name, data: 'x' }]), 'tar', /not valid UTF-8/);
+
+  const { dest } = await extract(zip([{ name: 'src/länge.rs', data: 'x' }]), 'zip');
+  assert.deepStrictEqual(await fs.readdir(path.join(dest, 'src')), ['länge.rs']);
+});
+
+test('zip entries whose headers lie about their size are rejected', async () => {
+  const data = Buffer.alloc(100 * 1024, 'z');
+  await assertRejected(zip([{ name: 'bomb.bin', data, method: 'deflate', size: 10 }]), 'zip', /larger than its header declares/);
+  await assertRejected(zip([{ name: 'short.bin', data, method: 'deflate', size: data.length * 2 }]), 'zip', /smaller than its header declares/);
+
+  // A small declared size must not slip a big entry past the size limit
+  await withLimits({ maxExtractedSize: 64 * 1024 }, async () => {
+    await assertRejected(zip([{ name: 'bomb.bin', data, method: 'deflate', size: 1024 }]), 'zip', /larger than its header declares/);
+  });
+});
+
+test('corrupt and unsupported archives are rejected', async () => {
+  const junk = Buffer.from('this is not an archive at all, just text padding'.repeat(20));
+  await assertRejected(junk, 'zip', /unreadable zip/);
+  await assertRejected(junk, 'tar.gz', /unreadable tarball/);
+  await assertRejected(zip(PROJECT).subarray(0, 60), 'zip', /unreadable zip/);
+  await assertRejected(zip(PROJECT), 'rar', /unsupported file type 'rar'/);
+});
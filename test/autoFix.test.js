@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const {
+  MACHINE_APPLICABLE,
+  machineApplicableSuggestions,
+  applyEdits,
+  planAutoFixes,
+  describeSuggestion,
+} = require('../src/autoFix');
+
+const LIB_RS = 'programs/demo/src/lib.rs';
+
+// A single-line edit as diagnostics.js reports it
+function edit(line, columnStart, columnEnd, replacement, { lineEnd = line, file = LIB_RS, message = 'fix', applicability = MACHINE_APPLICABLE } = {}) {
+  return { message, file, lineStart: line, lineEnd, columnStart, columnEnd, replacement, applicability };
+}
+
+const suggestion = (...edits) => ({ message: edits[0].message, edits });
+
+test('edits replace, insert and delete by 1-based line and column', () => {
+  const result = applyEdits('ab\ncd', [
+    suggestion(edit(1, 1, 2, 'X')),
+    suggestion(edit(2, 3, 3, '!')),
+    suggestion(edit(3, 1, 1, 'past the end')),
+    suggestion(edit(1, 1, 2, 'Y')),
+  ]);
+  assert.strictEqual(result.content, 'Xb\ncd!');
+  assert.strictEqual(result.applied.length, 2);
+  assert.deepStrictEqual(result.skipped.map(s => s.reason), [
+    'Span is outside the file (changed since the build?)',
+    'Overlaps another suggestion',
+  ]);
+
+  // A deletion spanning a line break
+  assert.strictEqual(applyEdits('use a;\nuse b;\n', [suggestion(edit(1, 1, 1, '', { lineEnd: 2 }))]).content, 'use b;\n');
+});
+
+test('columns count characters, not UTF-16 units', () => {
+  const source = 'let s = "🦀"; let mut x = 1;';
+  // `mut ` starts at character 18, after the two-unit crab
+  const { content } = applyEdits(source, [suggestion(edit(1, 18, 22, ''))]);
+  assert.strictEqual(content, 'let s = "🦀"; let x = 1;');
+});
+
+test('the edits of one suggestion are applied together or not at all', () => {
+  const source = 'foo(a, b);\nbar(a);\n';
+  const borrow = suggestion(edit(1, 5, 5, '&', { message: 'borrow' }), edit(1, 8, 8, '&', { message: 'borrow' }));
+  const clash = suggestion(edit(2, 5, 6, 'x', { message: 'rename' }), edit(1, 4, 6, '[c', { message: 'rename' }));
+  const result = applyEdits(source, [borrow, clash]);
+  assert.strictEqual(result.content, 'foo(&a, &b);\nbar(a);\n');
+  assert.deepStrictEqual(result.applied, [borrow]);
+  assert.strictEqual(result.skipped[0].message, 'rename');
+
+  // Two insertions at one point would be ambiguous; touching ranges are fine
+  const touching = applyEdits('ab', [suggestion(edit(1, 1, 1, '<')), suggestion(edit(1, 1, 1, '>')), suggestion(edit(1, 1, 2, 'A'))]);
+  assert.strictEqual(touching.content, '<Ab');
+  assert.strictEqual(touching.skipped.length, 1);
+});
+
+test('only machine-applicable suggestions of a failed build are offered, once each', () => {
+  const importEdit = edit(1, 1, 1, 'use anchor_lang::prelude::*;\n', { message: 'consider importing this trait' });
+  const diagnostics = [
+    { level: 'error', code: 'E0412', message: 'cannot find type `Pubkey`', suggestions: [importEdit] },
+    { level: 'error', code: 'E0433', message: 'failed to resolve: use of undeclared type `Account`', suggestions: [importEdit] },
+    { level: 'error', code: 'E0308', message: 'mismatched types', suggestions: [edit(5, 1, 2, 'x', { applicability: 'MaybeIncorrect' })] },
+    { level: 'warning', code: null, message: 'unused import', suggestions: [edit(3, 1, 9, '', { message: 'remove the unused import' })] },
+  ];
+  const suggestions = machineApplicableSuggestions(diagnostics);
+  assert.deepStrictEqual(suggestions.map(s => [s.code, s.message, s.edits.length]), [
+    ['E0412', 'consider importing this trait', 1],
+    [null, 'remove the unused import', 1],
+  ]);
+  assert.strictEqual(suggestions[0].key, `${LIB_RS}:1:1-1:1=use anchor_lang::prelude::*;\n`);
+  assert.strictEqual(describeSuggestion(suggestions[0]), `${LIB_RS}:1: consider importing this trait (E0412)`);
+  assert.strictEqual(describeSuggestion(suggestions[1]), `${LIB_RS}:3: remove the unused import`);
+
+  // Nothing to fix in a build that only warned
+  assert.deepStrictEqual(machineApplicableSuggestions(diagnostics.slice(3)), []);
+});
+
+test('planned fixes cover project .rs files only and leave them unwritten', async () => {
+  const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autofix-test-'));
+  try {
+    const original = 'pub fn f() {\n    let mut x = 1;\n}\n';
+    await fs.mkdir(path.join(projectDir, 'programs/demo/src'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, LIB_RS), original);
+
+    const unusedMut = edit(2, 9, 13, '', { message: 'remove this `mut`' });
+    const diagnostics = [
+      { level: 'error', code: 'E0308', message: 'mismatched types', suggestions: [] },
+      { level: 'warning', code: null, message: 'variable does not need to be mutable', suggestions: [unusedMut] },
+      { level: 'error', code: 'E0599', message: 'no method', suggestions: [edit(1, 1, 1, 'x', { file: '/usr/local/cargo/registry/src/borsh/src/lib.rs' })] },
+      { level: 'error', code: 'E0599', message: 'no method', suggestions: [edit(1, 1, 1, 'x', { file: '../outside.rs' })] },
+      { level: 'error', code: 'E0599', message: 'no method', suggestions: [edit(1, 1, 1, 'x', { file: 'Cargo.toml' })] },
+    ];
+
+    const plan = await planAutoFixes(projectDir, diagnostics);
+    assert.deepStrictEqual(plan.fixes.map(f => [f.action, f.path, f.content]), [['update', LIB_RS, 'pub fn f() {\n    let x = 1;\n}\n']]);
+    assert.deepStrictEqual(plan.suggestions.map(s => s.message), ['remove this `mut`']);
+    assert.deepStrictEqual(plan.skipped.map(s => s.reason), Array(3).fill('Not a single project .rs file'));
+    assert.strictEqual(await fs.readFile(path.join(projectDir, LIB_RS), 'utf-8'), original);
+
+    // A suggestion already tried in an earlier round isn't offered again
+    const retry = await planAutoFixes(projectDir, diagnostics, { exclude: new Set([plan.suggestions[0].key]) });
+    assert.deepStrictEqual(retry.fixes, []);
+  } finally {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const config = require('../src/config');
+config.cleanup.enableAutoCleanup = false;
+config.agent.dbPath = ':memory:';
+
+const { initDatabase, getDb } = require('../src/db');
+const { insertBuild, upsertBuildCollaborator } = require('../src/buildStore');
+const { getBuildAccess } = require('../src/middleware/agentAuth');
+const { startAgentApi } = require('./helpers/agentApi');
+
+let api;
+let workDir;
+const configuredUploadDir = config.builds.uploadDir;
+let owner, reader, writer, stranger;
+
+// A successful agent build with a program keypair among its artifacts
+async function createBuild(agentId) {
+  const id = crypto.randomUUID();
+  const outputDir = path.join(workDir, 'builds', id);
+  await fs.mkdir(path.join(outputDir, 'target', 'deploy'), { recursive: true });
+  await fs.writeFile(path.join(outputDir, 'target', 'deploy', 'demo-keypair.json'), JSON.stringify(Array(64).fill(1)));
+  await fs.mkdir(path.join(workDir, 'uploads', id), { recursive: true });
+  const now = new Date();
+  await insertBuild({ id, status: 'success', source: 'agent', agentId, projectDir: path.join(workDir, 'uploads', id), outputDir, createdAt: now, updatedAt: now });
+  return id;
+}
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-access-test-'));
+  config.builds.uploadDir = path.join(workDir, 'uploads');
+  await initDatabase();
+  api = await startAgentApi();
+  [owner, reader, writer, stranger] = await Promise.all(['owner', 'reader', 'writer', 'stranger'].map(name => api.registerAgent(name)));
+});
+
+after(async () => {
+  config.builds.uploadDir = configuredUploadDir;
+  await api.close();
+  await new Promise(resolve => getDb().close(resolve));
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('access is owner for the creating agent, the granted level for collaborators, none otherwise', async () => {
+  const buildId = await createBuild(owner.agent_id);
+  await upsertBuildCollaborator(buildId, reader.agent_id, 'read', owner.agent_id);
+  await upsertBuildCollaborator(buildId, writer.agent_id, 'write', owner.agent_id);
+  const build = { id: buildId, agentId: owner.agent_id };
+
+  assert.strictEqual(await getBuildAccess(build, owner.agent_id), 'owner');
+  assert.strictEqual(await getBuildAccess(build, reader.agent_id), 'read');
+  assert.strictEqual(await getBuildAccess(build, writer.agent_id), 'write');
+  assert.strictEqual(await getBuildAccess(build, stranger.agent_id), null);
+  // Builds from the web UI have no agent, and no agent gets them
+  assert.strictEqual(await getBuildAccess({ id: buildId, agentId: null }, owner.agent_id), null);
+  assert.strictEqual(await getBuildAccess(null, owner.agent_id), null);
+});
+
+test('strangers get the same 404 as for a build that does not exist', async () => {
+  const buildId = await createBuild(owner.agent_id);
+  const missing = await api.request('GET', `/build/${crypto.randomUUID()}`, { key: stranger.api_key });
+  assert.deepStrictEqual([missing.status, missing.body], [404, { error: 'Build not found' }]);
+
+  for (const [method, urlPath, body] of [
+    ['GET', `/build/${buildId}`],
+    ['GET', `/project/${buildId}/files`],
+    ['POST', `/project/${buildId}/file`, { path: 'x.rs', content: '' }],
+    ['POST', `/project/${buildId}/build`, {}],
+    ['POST', `/build/${buildId}/cancel`],
+    ['GET', `/build/${buildId}/artifacts/download/deploy/demo-keypair.json`],
+    ['GET', `/project/${buildId}/collaborators`],
+  ]) {
+    const res = await api.request(method, urlPath, { key: stranger.api_key, body });
+    assert.deepStrictEqual([res.status, res.body], [404, { error: 'Build not found' }], `${method} ${urlPath}`);
+  }
+
+  assert.strictEqual((await api.request('GET', `/build/${buildId}`)).status, 401);
+  assert.strictEqual((await api.request('GET', `/build/${buildId}`, { key: owner.api_key })).status, 200);
+});
+
+test('collaborators below the required level get a 403', async () => {
+  const buildId = await createBuild(owner.agent_id);
+  await upsertBuildCollaborator(buildId, reader.agent_id, 'read', owner.agent_id);
+  await upsertBuildCollaborator(buildId, writer.agent_id, 'write', owner.agent_id);
+  const write = (key) => api.request('POST', `/project/${buildId}/file`, { key, body: { path: 'notes.txt', content: 'hi' } });
+
+  assert.strictEqual((await api.request('GET', `/build/${buildId}`, { key: reader.api_key })).status, 200);
+  const refused = await write(reader.api_key);
+  assert.deepStrictEqual([refused.status, refused.body], [403, { error: 'This action requires write access to the build', access: 'read' }]);
+
+  assert.strictEqual((await write(writer.api_key)).status, 200);
+  assert.strictEqual(await fs.readFile(path.join(workDir, 'uploads', buildId, 'notes.txt'), 'utf-8'), 'hi');
+
+  // Sharing is the owner's alone
+  const grant = await api.request('POST', `/project/${buildId}/collaborators`, { key: writer.api_key, body: { agent_id: stranger.agent_id } });
+  assert.deepStrictEqual([grant.status, grant.body.access], [403, 'write']);
+});
+
+test('program keypairs download for the owner only', async () => {
+  const buildId = await createBuild(owner.agent_id);
+  await upsertBuildCollaborator(buildId, writer.agent_id, 'write', owner.agent_id);
+  const download = (key) => api.request('GET', `/build/${buildId}/artifacts/download/deploy/demo-keypair.json`, { key });
+
+  const refused = await download(writer.api_key);
+  assert.deepStrictEqual([refused.status, refused.body], [403, { error: 'Only the build owner can download program keypairs' }]);
+  const allowed = await download(owner.api_key);
+  assert.strictEqual(allowed.status, 200);
+  assert.strictEqual(allowed.body.length, 64);
+});
+
+test('the owner grants, changes and revokes access', async () => {
+  const buildId = await createBuild(owner.agent_id);
+  const status = () => api.request('GET', `/build/${buildId}`, { key: stranger.api_key }).then(res => res.status);
+  const grant = (permission) => api.request('POST', `/project/${buildId}/collaborators`, {
+    key: owner.api_key,
+    body: { agent_id: stranger.agent_id, permission },
+  });
+
+  assert.strictEqual(await status(), 404);
+  const granted = await grant('read');
+  assert.deepStrictEqual([granted.status, granted.body.permission], [201, 'read']);
+  assert.strictEqual(await status(), 200);
+
+  // Granting again changes the permission
+  await grant('write');
+  const listed = await api.request('GET', `/project/${buildId}/collaborators`, { key: owner.api_key });
+  assert.deepStrictEqual(listed.body.collaborators.map(c => [c.agent_id, c.permission]), [[stranger.agent_id, 'write']]);
+
+  for (const [body, error] of [
+    [{ agent_id: stranger.agent_id, permission: 'owner' }, "permission must be 'read' or 'write'"],
+    [{ agent_id: owner.agent_id }, 'You already own this build'],
+    [{}, 'agent_id is required'],
+  ]) {
+    const res = await api.request('POST', `/project/${buildId}/collaborators`, { key: owner.api_key, body });
+    assert.deepStrictEqual([res.status, res.body.error], [400, error]);
+  }
+  assert.strictEqual((await api.request('POST', `/project/${buildId}/collaborators`, { key: owner.api_key, body: { agent_id: crypto.randomUUID() } })).status, 404);
+
+  const revoked = await api.request('DELETE', `/project/${buildId}/collaborators/${stranger.agent_id}`, { key: owner.api_key });
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual(await status(), 404);
+  assert.strictEqual((await api.request('DELETE', `/project/${buildId}/collaborators/${stranger.agent_id}`, { key: owner.api_key })).status, 404);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const config = require('../src/config');
+config.cleanup.enableAutoCleanup = false;
+config.agent.dbPath = ':memory:';
+
+const { initDatabase, getDb } = require('../src/db');
+const { insertBuild, upsertBuildCollaborator } = require('../src/buildStore');
+const buildManager = require('../src/buildManager');
+const { claimBuildController, releaseBuildController, isCurrentRun, cancelBuild } = buildManager;
+
+// Builds and target cleaning finish when the test says so. Routes
+// destructure both when they are required, so the stubs go in first.
+const pendingBuilds = [];
+const pendingCleans = [];
+buildManager.queueAnchorBuild = (buildId) => new Promise(resolve => pendingBuilds.push({ buildId, resolve }));
+require('../src/buildCache').removeProjectTarget = (buildId) => new Promise(resolve => pendingCleans.push({ buildId, resolve }));
+const { startAgentApi } = require('./helpers/agentApi');
+
+let api;
+let workDir;
+const configuredDirs = { ...config.builds };
+
+async function createBuild(agentId) {
+  const id = crypto.randomUUID();
+  const now = new Date();
+  await insertBuild({ id, status: 'failed', source: 'agent', agentId, projectDir: path.join(workDir, id), outputDir: path.join(workDir, id), createdAt: now, updatedAt: now });
+  return id;
+}
+
+async function waitForPending(pending) {
+  for (let i = 0; i < 200 && pending.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(pending.length, 1);
+  return pending.shift();
+}
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-runs-test-'));
+  config.builds.uploadDir = workDir;
+  config.builds.buildDir = workDir;
+  await initDatabase();
+  api = await startAgentApi();
+});
+
+after(async () => {
+  Object.assign(config.builds, configuredDirs);
+  await api.close();
+  await new Promise(resolve => getDb().close(resolve));
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('a build can be claimed by one run at a time', async () => {
+  const buildId = crypto.randomUUID();
+  const signal = claimBuildController(buildId);
+  assert.ok(signal);
+  assert.strictEqual(claimBuildController(buildId), null);
+  assert.strictEqual(claimBuildController(buildId, 'test'), null);
+
+  assert.strictEqual(releaseBuildController(buildId, signal), true);
+  const next = claimBuildController(buildId, 'test');
+  assert.ok(next && next !== signal);
+  // The old run's late release must not free the new run's claim
+  assert.strictEqual(releaseBuildController(buildId, signal), false);
+  assert.strictEqual(claimBuildController(buildId), null);
+  releaseBuildController(buildId, next);
+});
+
+test('cancelling frees the build for a new run; the cancelled run no longer owns it', async () => {
+  const buildId = await createBuild(null);
+  const cancelled = claimBuildController(buildId);
+  assert.strictEqual(await cancelBuild(buildId), 'build');
+  assert.strictEqual(cancelled.aborted, true);
+
+  const next = claimBuildController(buildId);
+  assert.ok(next);
+  assert.strictEqual(isCurrentRun(buildId, cancelled), false);
+  assert.strictEqual(releaseBuildController(buildId, cancelled), false);
+  assert.strictEqual(isCurrentRun(buildId, next), true);
+  releaseBuildController(buildId, next);
+});
+
+test('of two concurrent rebuilds only one runs', async () => {
+  const [owner, collaborator] = [await api.registerAgent('owner'), await api.registerAgent('collaborator')];
+  const buildId = await createBuild(owner.agent_id);
+  await upsertBuildCollaborator(buildId, collaborator.agent_id, 'write', owner.agent_id);
+
+  // The first rebuild is still cleaning its target when the second arrives
+  const first = api.request('POST', `/project/${buildId}/build`, { key: owner.api_key, body: { clean: true } });
+  const clean = await waitForPending(pendingCleans);
+  const second = await api.request('POST', `/project/${buildId}/build`, { key: collaborator.api_key, body: { clean: true } });
+  assert.deepStrictEqual([second.status, second.body], [409, { error: 'A build or test run is already in progress for this project' }]);
+
+  clean.resolve(false);
+  const running = await waitForPending(pendingBuilds);
+  assert.strictEqual(running.buildId, buildId);
+  // The run that started is still the one a cancel reaches
+  assert.strictEqual((await api.request('POST', `/build/${buildId}/cancel`, { key: owner.api_key })).status, 200);
+  running.resolve({ success: false, cancelled: true, exitCode: null, logs: { stdout: '', stderr: '' }, error: 'Build cancelled' });
+  const finished = await first;
+  assert.deepStrictEqual([finished.status, finished.body.status], [200, 'cancelled']);
+
+  // Both the build and the agents are free again
+  const again = api.request('POST', `/project/${buildId}/build`, { key: collaborator.api_key, body: {} });
+  const rerun = await waitForPending(pendingBuilds);
+  rerun.resolve({ success: true, exitCode: 0, logs: { stdout: '', stderr: '' } });
+  assert.strictEqual((await again).status, 200);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/config');
+const {
+  indexPath,
+  isIndexAvailable,
+  readIndexEntries,
+  compareVersions,
+  lookupCrateInIndex,
+  lookupCrateDepsInIndex,
+} = require('../src/cratesIndex');
+
+let indexDir;
+const configuredIndexDir = config.aiTools.cratesIndexDir;
+
+const ANCHOR_LANG = [
+  { name: 'anchor-lang', vers: '0.30.1', deps: [] },
+  { name: 'anchor-lang', vers: '0.31.0', deps: [], yanked: true },
+  {
+    name: 'anchor-lang',
+    vers: '0.31.1',
+    deps: [
+      { name: 'anchor-attribute-program', req: '=0.31.1', kind: 'normal' },
+      { name: 'borsh', req: '^1.5.1', features: ['derive'], default_features: false },
+      { name: 'solana-program', package: 'solana-program', req: '^2', optional: true },
+      { name: 'sha2', req: '^0.10', kind: 'dev' },
+      { name: 'rustc_version', req: '^0.4', kind: 'build' },
+    ],
+  },
+  { name: 'anchor-lang', vers: '0.32.0-rc.1', deps: [] },
+  { name: 'anchor-lang', vers: '0.4.0', deps: [] },
+];
+
+async function writeIndex(name, entries) {
+  const file = path.join(indexDir, indexPath(name));
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, entries.map(entry => (typeof entry === 'string' ? entry : JSON.stringify(entry))).join('\n') + '\n');
+}
+
+before(async () => {
+  indexDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crates-index-test-'));
+  config.aiTools.cratesIndexDir = indexDir;
+  await writeIndex('anchor-lang', ANCHOR_LANG);
+  await writeIndex('solana_rbpf', [{ name: 'solana_rbpf', vers: '0.8.3', deps: [] }]);
+  await writeIndex('syn', ['{"name":"syn","vers":"2.0.0","deps":[]}', '{"name":"syn","vers":', '{"name":"syn","vers":"2.0.96","deps":[]}']);
+  await writeIndex('my-renamed', [{
+    name: 'my-renamed',
+    vers: '1.0.0',
+    deps: [{ name: 'token', package: 'spl-token', req: '^6' }],
+  }]);
+});
+
+after(async () => {
+  config.aiTools.cratesIndexDir = configuredIndexDir;
+  await fs.rm(indexDir, { recursive: true, force: true });
+});
+
+test('index paths follow the crates.io sparse index layout', () => {
+  assert.strictEqual(indexPath('a'), path.join('1', 'a'));
+  assert.strictEqual(indexPath('ab'), path.join('2', 'ab'));
+  assert.strictEqual(indexPath('Syn'), path.join('3', 's', 'syn'));
+  assert.strictEqual(indexPath('anchor-lang'), path.join('an', 'ch', 'anchor-lang'));
+});
+
+test('versions sort by semver, prereleases below their release', () => {
+  const sorted = ['0.4.0', '0.31.1', '0.32.0-rc.1', '0.32.0', '0.32.0-alpha', '0.32.0-rc.10', '0.32.0-rc.2', 'bogus', '0.30.1']
+    .sort(compareVersions);
+  assert.deepStrictEqual(sorted, ['bogus', '0.4.0', '0.30.1', '0.31.1', '0.32.0-alpha', '0.32.0-rc.1', '0.32.0-rc.2', '0.32.0-rc.10', '0.32.0']);
+  assert.strictEqual(compareVersions('1.0.0', '1.0.0'), 0);
+  assert.ok(compareVersions('1.0.0-alpha.1', '1.0.0-alpha') > 0);
+  assert.ok(compareVersions('1.0.0-1', '1.0.0-alpha') < 0);
+});
+
+test('lookups read the snapshot, trying both - and _ spellings', async () => {
+  assert.strictEqual(isIndexAvailable(), true);
+  assert.strictEqual((await readIndexEntries('solana-rbpf'))[0].vers, '0.8.3');
+  assert.strictEqual((await readIndexEntries('anchor_lang')).length, 5);
+  // A corrupt line is skipped, not the crate
+  assert.deepStrictEqual((await readIndexEntries('syn')).map(entry => entry.vers), ['2.0.0', '2.0.96']);
+
+  assert.strictEqual(await readIndexEntries('no-such-crate'), null);
+  assert.strictEqual(await readIndexEntries('../../etc/passwd'), null);
+  assert.strictEqual(await readIndexEntries('a'.repeat(65)), null);
+});
+
+test('lookup_crate from the snapshot: newest first, stable skips yanked and prereleases', async () => {
+  const info = JSON.parse(await lookupCrateInIndex('anchor-lang'));
+  assert.strictEqual(info.max_version, '0.32.0-rc.1');
+  assert.strictEqual(info.max_stable_version, '0.31.1');
+  assert.deepStrictEqual(info.versions.map(v => [v.version, v.yanked]), [
+    ['0.32.0-rc.1', false], ['0.31.1', false], ['0.31.0', true], ['0.30.1', false], ['0.4.0', false],
+  ]);
+  assert.strictEqual(info.total_versions, 5);
+  assert.match(info.source, /snapshot/);
+  assert.strictEqual(await lookupCrateInIndex('no-such-crate'), null);
+});
+
+test('lookup_crate_deps from the snapshot splits dependency kinds', async () => {
+  const deps = JSON.parse(await lookupCrateDepsInIndex('anchor-lang', '0.31.1'));
+  assert.deepStrictEqual(deps.dependencies, [
+    { name: 'anchor-attribute-program', version_req: '=0.31.1', kind: 'normal', optional: false, default_features: true, features: [] },
+    { name: 'borsh', version_req: '^1.5.1', kind: 'normal', optional: false, default_features: false, features: ['derive'] },
+    { name: 'solana-program', version_req: '^2', kind: 'normal', optional: true, default_features: true, features: [] },
+  ]);
+  assert.deepStrictEqual(deps.dev_dependencies.map(d => d.name), ['sha2']);
+  assert.deepStrictEqual(deps.build_dependencies.map(d => d.name), ['rustc_version']);
+
+  // A renamed dependency is reported as the crate it really is
+  const renamed = JSON.parse(await lookupCrateDepsInIndex('my-renamed', '1.0.0'));
+  assert.strictEqual(renamed.dependencies[0].name, 'spl-token');
+  assert.strictEqual(renamed.dev_dependencies, undefined);
+
+  assert.match(JSON.parse(await lookupCrateDepsInIndex('anchor-lang', '9.9.9')).error, /not in the local crates.io index/);
+  assert.strictEqual(await lookupCrateDepsInIndex('no-such-crate', '1.0.0'), null);
+});
+
+test('without a snapshot directory nothing is looked up', async () => {
+  config.aiTools.cratesIndexDir = null;
+  try {
+    assert.strictEqual(isIndexAvailable(), false);
+    assert.strictEqual(await lookupCrateInIndex('anchor-lang'), null);
+  } finally {
+    config.aiTools.cratesIndexDir = indexDir;
+  }
+});
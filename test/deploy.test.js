@@ -0,0 +1,173 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Connection, Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+
+const config = require('../src/config');
+config.cleanup.enableAutoCleanup = false;
+config.agent.dbPath = ':memory:';
+
+const { initDatabase, getDb } = require('../src/db');
+const { insertBuild } = require('../src/buildStore');
+const {
+  prepareDeployment,
+  executeDeployment,
+  confirmUpgrade,
+  getDeploymentStatus,
+  DeployStatus,
+} = require('../src/deploy');
+const { startFakeValidator } = require('./helpers/fakeValidator');
+
+let validator;
+let workDir;
+
+async function createBuild(soSize, programKeypair = null) {
+  const id = crypto.randomUUID();
+  const outputDir = path.join(workDir, id);
+  const deployDir = path.join(outputDir, 'target', 'deploy');
+  await fs.mkdir(deployDir, { recursive: true });
+  const so = crypto.randomBytes(soSize);
+  await fs.writeFile(path.join(deployDir, 'demo.so'), so);
+  if (programKeypair) {
+    await fs.writeFile(path.join(deployDir, 'demo-keypair.json'), JSON.stringify(Array.from(programKeypair.secretKey)));
+  }
+  const now = new Date();
+  await insertBuild({ id, status: 'success', projectDir: outputDir, outputDir, createdAt: now, updatedAt: now });
+  return { id, so };
+}
+
+async function waitForDeployment(buildId) {
+  for (let i = 0; i < 500; i++) {
+    const status = await getDeploymentStatus(buildId);
+    if (status.status !== DeployStatus.DEPLOYING) return status;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('deployment did not finish');
+}
+
+function programData(programId) {
+  const address = PublicKey.findProgramAddressSync([programId.toBuffer()], new PublicKey('BPFLoaderUpgradeab1e11111111111111111111111'))[0];
+  return validator.bank.get(address).data;
+}
+
+function authorityOf(data) {
+  const offset = data.readUInt32LE(0) === 1 ? 4 : 12;
+  return data[offset] === 1 ? new PublicKey(data.subarray(offset + 1, offset + 33)).toBase58() : null;
+}
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deploy-test-'));
+  await initDatabase();
+  validator = await startFakeValidator();
+  config.deploy.rpc.localnet = validator.url;
+});
+
+after(async () => {
+  await validator.close();
+  await new Promise(resolve => getDb().close(resolve));
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+const wallet = Keypair.generate();
+const programKeypair = Keypair.generate();
+
+test('deploy: prepare, fund, execute and verify', async () => {
+  const { id, so } = await createBuild(3000, programKeypair);
+
+  const prepared = await prepareDeployment(id, { network: 'localnet', walletAddress: wallet.publicKey.toBase58() });
+  assert.strictEqual(prepared.programAddress, programKeypair.publicKey.toBase58());
+  assert.strictEqual(prepared.deployerBalanceSol, 0);
+
+  await assert.rejects(executeDeployment(id), { status: 402 });
+  assert.strictEqual((await getDeploymentStatus(id)).status, DeployStatus.PREPARED);
+
+  validator.bank.airdrop(prepared.deployerAddress, prepared.estimatedCostLamports);
+
+  // Only one of two concurrent executes may start
+  const results = await Promise.allSettled([executeDeployment(id), executeDeployment(id)]);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(r => r.status === 'rejected').reason.status, 409);
+
+  const status = await waitForDeployment(id);
+  assert.strictEqual(status.status, DeployStatus.SUCCESS, status.error);
+  assert.strictEqual(status.verified, true);
+  assert.strictEqual(status.onchainHash, status.programHash);
+
+  const data = programData(programKeypair.publicKey);
+  assert.ok(data.subarray(45, 45 + so.length).equals(so));
+  assert.strictEqual(authorityOf(data), wallet.publicKey.toBase58());
+  assert.strictEqual(validator.bank.get(prepared.deployerAddress).lamports, 0);
+  assert.ok(validator.bank.get(wallet.publicKey).lamports > 0);
+});
+
+test('re-prepare keeps the deployer bound to its wallet', async () => {
+  const { id } = await createBuild(1000, Keypair.generate());
+  const walletA = Keypair.generate().publicKey.toBase58();
+  const walletB = Keypair.generate().publicKey.toBase58();
+
+  const first = await prepareDeployment(id, { network: 'localnet', walletAddress: walletA });
+  validator.bank.airdrop(first.deployerAddress, 1000000);
+
+  await assert.rejects(prepareDeployment(id, { network: 'localnet', walletAddress: walletB }), { status: 403 });
+  const again = await prepareDeployment(id, { network: 'localnet', walletAddress: walletA });
+  assert.strictEqual(again.deploymentId, first.deploymentId);
+  assert.strictEqual(again.deployerAddress, first.deployerAddress);
+  assert.strictEqual((await getDeploymentStatus(id)).walletAddress, walletA);
+
+  // The owner may switch wallets: new deployer, the old one refunded to its own wallet
+  const switched = await prepareDeployment(id, { network: 'localnet', walletAddress: walletB, byOwner: true });
+  assert.notStrictEqual(switched.deploymentId, first.deploymentId);
+  assert.notStrictEqual(switched.deployerAddress, first.deployerAddress);
+  // The refund runs in the background: wait until it is confirmed, not just sent
+  const refunded = () => validator.bank.get(walletA) &&
+    validator.calls.lastIndexOf('getSignatureStatuses') > validator.calls.lastIndexOf('sendTransaction');
+  for (let i = 0; i < 100 && !refunded(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.strictEqual(validator.bank.get(walletA).lamports, 1000000 - 5000);
+  assert.strictEqual(validator.bank.get(first.deployerAddress).lamports, 0);
+});
+
+test('upgrade: the client signs the Upgrade transaction', async () => {
+  // Larger than the programdata the first deploy reserved, so it is extended too
+  const { id, so } = await createBuild(7000);
+  const programId = programKeypair.publicKey.toBase58();
+  const upgrade = { network: 'localnet', mode: 'upgrade', programId };
+
+  await assert.rejects(
+    prepareDeployment(id, { ...upgrade, upgradeAuthority: Array.from(wallet.secretKey) }),
+    { status: 400, message: /public key/ }
+  );
+  await assert.rejects(
+    prepareDeployment(id, { ...upgrade, upgradeAuthority: Keypair.generate().publicKey.toBase58() }),
+    { status: 403 }
+  );
+
+  const prepared = await prepareDeployment(id, { ...upgrade, upgradeAuthority: wallet.publicKey.toBase58() });
+  validator.bank.airdrop(prepared.deployerAddress, prepared.estimatedCostLamports);
+  await executeDeployment(id);
+
+  const staged = await waitForDeployment(id);
+  assert.strictEqual(staged.status, DeployStatus.AWAITING_SIGNATURE, staged.error);
+  assert.strictEqual(authorityOf(validator.bank.get(staged.bufferAddress).data), wallet.publicKey.toBase58());
+  assert.strictEqual(validator.bank.get(prepared.deployerAddress).lamports, 0);
+  await assert.rejects(confirmUpgrade(id, {}), { status: 400 });
+
+  const tx = Transaction.from(Buffer.from(staged.upgradeTransaction, 'base64'));
+  assert.ok(tx.feePayer.equals(wallet.publicKey));
+  tx.sign(wallet);
+  const connection = new Connection(validator.url, 'confirmed');
+  const signature = await connection.sendRawTransaction(tx.serialize());
+
+  const confirmed = await confirmUpgrade(id, { signature });
+  assert.strictEqual(confirmed.status, DeployStatus.SUCCESS);
+  assert.strictEqual(confirmed.verified, true);
+  assert.strictEqual(confirmed.signature, signature);
+  assert.ok(programData(programKeypair.publicKey).subarray(45, 45 + so.length).equals(so));
+  assert.strictEqual(validator.bank.get(staged.bufferAddress), null);
+
+  await assert.rejects(confirmUpgrade(id, { signature }), { status: 409 });
+});
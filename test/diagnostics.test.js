@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const {
+  DIAGNOSTICS_FILE,
+  parseDiagnostics,
+  readDiagnostics,
+  errorDiagnostics,
+  describeErrors,
+  formatDiagnosticsForPrompt,
+} = require('../src/diagnostics');
+
+// A rustc JSON diagnostic, as the wrapper captures it
+function rustc({ level = 'error', message, code = null, file = 'programs/demo/src/lib.rs', line = 1, column = 1, children = [], rendered }) {
+  return {
+    $message_type: 'diagnostic',
+    message,
+    code: code ? { code, explanation: null } : null,
+    level,
+    spans: file ? [{
+      file_name: file,
+      line_start: line,
+      line_end: line,
+      column_start: column,
+      column_end: column + 3,
+      is_primary: true,
+      label: null,
+      suggested_replacement: null,
+    }] : [],
+    children,
+    rendered: rendered === undefined ? `${level}${code ? `[${code}]` : ''}: ${message}\n --> ${file}:${line}:${column}\n` : rendered,
+  };
+}
+
+const jsonl = (...records) => records.map(record => JSON.stringify(record)).join('\n');
+
+const UNUSED_MUT = rustc({
+  level: 'warning',
+  message: 'variable does not need to be mutable',
+  file: 'programs/demo/src/lib.rs',
+  line: 9,
+  column: 13,
+  children: [
+    { message: '`#[warn(unused_mut)]` on by default', level: 'note', spans: [], children: [] },
+    {
+      message: 'remove this `mut`',
+      level: 'help',
+      spans: [{
+        file_name: 'programs/demo/src/lib.rs',
+        line_start: 9,
+        line_end: 9,
+        column_start: 13,
+        column_end: 17,
+        is_primary: true,
+        suggested_replacement: '',
+        suggestion_applicability: 'MachineApplicable',
+      }],
+      children: [],
+    },
+  ],
+});
+const MISMATCH = rustc({ message: 'mismatched types', code: 'E0308', line: 12, column: 20 });
+
+test('rustc and cargo records become diagnostics, errors first', () => {
+  const text = [
+    'not json at all',
+    jsonl(UNUSED_MUT),
+    JSON.stringify({ reason: 'compiler-message', package_id: 'demo 0.1.0', message: MISMATCH }),
+    JSON.stringify({ reason: 'compiler-artifact', target: { name: 'demo' } }),
+    jsonl(rustc({ message: 'aborting due to 1 previous error', file: null })),
+    jsonl(rustc({ level: 'warning', message: '2 warnings emitted', file: null })),
+    jsonl(rustc({ level: 'failure-note', message: 'For more information about this error, try `rustc --explain E0308`.', file: null })),
+    '{"$message_type":"diagnostic","message":"cut off',
+  ].join('\n');
+
+  const diagnostics = parseDiagnostics(text);
+  assert.deepStrictEqual(diagnostics.map(d => [d.level, d.code, d.message, d.file, d.line, d.column]), [
+    ['error', 'E0308', 'mismatched types', 'programs/demo/src/lib.rs', 12, 20],
+    ['warning', null, 'variable does not need to be mutable', 'programs/demo/src/lib.rs', 9, 13],
+  ]);
+
+  const [, warning] = diagnostics;
+  assert.deepStrictEqual(warning.notes, ['note: `#[warn(unused_mut)]` on by default']);
+  assert.deepStrictEqual(warning.suggestions, [{
+    message: 'remove this `mut`',
+    file: 'programs/demo/src/lib.rs',
+    lineStart: 9,
+    lineEnd: 9,
+    columnStart: 13,
+    columnEnd: 17,
+    replacement: '',
+    applicability: 'MachineApplicable',
+  }]);
+  assert.deepStrictEqual(errorDiagnostics(diagnostics), [diagnostics[0]]);
+  assert.deepStrictEqual(errorDiagnostics(null), []);
+});
+
+test('paths come out relative to the project, whatever rustc reported', () => {
+  const diagnostics = parseDiagnostics(jsonl(
+    rustc({ message: 'a', file: 'programs/demo/src/lib.rs' }),
+    rustc({ message: 'b', file: '/workspace/anchor/programs/demo/src/state.rs' }),
+    rustc({ message: 'c', file: '/usr/local/cargo/registry/src/index.crates.io-6f17d22bba15001f/borsh-1.5.1/src/lib.rs' }),
+  ), { workspaceDir: 'anchor' });
+  assert.deepStrictEqual(diagnostics.map(d => d.file), [
+    'anchor/programs/demo/src/lib.rs',
+    'anchor/programs/demo/src/state.rs',
+    '/usr/local/cargo/registry/src/index.crates.io-6f17d22bba15001f/borsh-1.5.1/src/lib.rs',
+  ]);
+});
+
+test('duplicates from the IDL build are dropped and long output is bounded', () => {
+  const repeated = parseDiagnostics(jsonl(MISMATCH, MISMATCH, UNUSED_MUT, UNUSED_MUT));
+  assert.strictEqual(repeated.length, 2);
+
+  const many = Array.from({ length: 150 }, (_, i) => rustc({ message: `error ${i}`, line: i + 1 }));
+  assert.strictEqual(parseDiagnostics(jsonl(...many)).length, 100);
+
+  const [long] = parseDiagnostics(jsonl(rustc({ message: 'long', rendered: `\x1b[1merror\x1b[0m: ${'x'.repeat(5000)}` })));
+  assert.ok(long.rendered.startsWith('error: xxx'));
+  assert.ok(long.rendered.endsWith('\n... [truncated]'));
+  assert.strictEqual(parseDiagnostics('').length, 0);
+});
+
+test('readDiagnostics reads the captured file once', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'diagnostics-test-'));
+  try {
+    assert.strictEqual(await readDiagnostics(outputDir), null);
+    await fs.writeFile(path.join(outputDir, DIAGNOSTICS_FILE), jsonl(MISMATCH));
+    const diagnostics = await readDiagnostics(outputDir, { workspaceDir: 'anchor' });
+    assert.strictEqual(diagnostics[0].file, 'anchor/programs/demo/src/lib.rs');
+    // Removed, so it isn't mistaken for a build artifact
+    assert.deepStrictEqual(await fs.readdir(outputDir), []);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('errors are described per error and formatted for the prompt', () => {
+  const diagnostics = parseDiagnostics(jsonl(MISMATCH, UNUSED_MUT), { workspaceDir: 'anchor' });
+  assert.deepStrictEqual(describeErrors(diagnostics), ['error[E0308]: mismatched types\n--> anchor/programs/demo/src/lib.rs:12:20']);
+
+  // rustc names files relative to the workspace; the prompt gets the project path too
+  assert.strictEqual(formatDiagnosticsForPrompt(diagnostics), [
+    'error[E0308]: mismatched types\n --> programs/demo/src/lib.rs:12:20\n  (project file: anchor/programs/demo/src/lib.rs:12:20)',
+    'warning: variable does not need to be mutable (anchor/programs/demo/src/lib.rs:9)',
+  ].join('\n\n'));
+
+  const many = parseDiagnostics(jsonl(...Array.from({ length: 10 }, (_, i) => rustc({ message: `error ${i}`, line: i + 1 }))));
+  const limited = formatDiagnosticsForPrompt(many, { maxChars: 200 });
+  assert.ok(limited.length < 300);
+  assert.match(limited, /\.\.\. \d+ more diagnostic\(s\) not shown$/);
+});
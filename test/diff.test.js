@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { diffFile, applyHunks } = require('../src/diff');
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix}${i + 1}\n`).join('');
+
+const OLD = lines(20);
+const NEW = OLD.replace('line2\n', 'LINE2\n').replace('line18\n', 'line18\nadded\n');
+
+// Small deterministic PRNG so the round-trip cases are the same every run
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function mutate(text, rand) {
+  const out = [];
+  for (const line of text.split('\n')) {
+    const r = rand();
+    if (r < 0.1) continue;
+    if (r < 0.2) out.push(`changed ${line}`);
+    else out.push(line);
+    if (rand() < 0.1) out.push(`inserted ${out.length}`);
+  }
+  return out.join('\n');
+}
+
+test('diffFile splits a change into unified-diff hunks', () => {
+  const diff = diffFile('programs/demo/src/lib.rs', OLD, NEW);
+  assert.strictEqual(diff.isNew, false);
+  assert.strictEqual(diff.additions, 2);
+  assert.strictEqual(diff.deletions, 1);
+  assert.deepStrictEqual(diff.hunks.map(h => h.header), ['@@ -1,5 +1,5 @@', '@@ -16,5 +16,6 @@']);
+  assert.deepStrictEqual(diff.hunks[0].lines, [' line1', '-line2', '+LINE2', ' line3', ' line4', ' line5']);
+  assert.ok(diff.patch.startsWith('--- a/programs/demo/src/lib.rs\n+++ b/programs/demo/src/lib.rs\n@@ -1,5 +1,5 @@\n'));
+
+  // Changes within 2 * context lines of each other share a hunk
+  assert.strictEqual(diffFile('f', OLD, NEW, { context: 10 }).hunks.length, 1);
+  assert.strictEqual(diffFile('f', OLD, OLD).patch, '');
+});
+
+test('new files and missing final newlines are diffed like diff -u', () => {
+  const created = diffFile('Cargo.toml', null, 'a\nb');
+  assert.strictEqual(created.isNew, true);
+  assert.deepStrictEqual(created.hunks[0].lines, ['+a', '+b', '\\ No newline at end of file']);
+  assert.strictEqual(created.hunks[0].header, '@@ -0,0 +1,2 @@');
+  assert.ok(created.patch.startsWith('--- /dev/null\n'));
+
+  const newline = diffFile('f', 'a\nb', 'a\nb\n');
+  assert.deepStrictEqual(newline.hunks[0].lines, [' a', '-b', '\\ No newline at end of file', '+b']);
+
+  const emptied = diffFile('f', 'a\n', '');
+  assert.strictEqual(emptied.hunks[0].header, '@@ -1,1 +0,0 @@');
+});
+
+test('applyHunks applies only the approved hunks', () => {
+  assert.strictEqual(applyHunks(OLD, NEW, () => 'approve'), NEW);
+  assert.strictEqual(applyHunks(OLD, NEW, () => 'reject'), OLD);
+  assert.strictEqual(applyHunks(OLD, NEW, i => (i === 0 ? 'approve' : 'reject')), OLD.replace('line2\n', 'LINE2\n'));
+  assert.strictEqual(applyHunks(OLD, NEW, i => (i === 1 ? 'approve' : 'reject')), OLD.replace('line18\n', 'line18\nadded\n'));
+  assert.strictEqual(applyHunks(null, 'a\nb\n', () => 'approve'), 'a\nb\n');
+  assert.strictEqual(applyHunks(null, 'a\nb\n', () => 'reject'), '');
+});
+
+test('an edited hunk replaces every line it covers, context included', () => {
+  const edited = applyHunks(OLD, NEW, i => (i === 1 ? { content: 'line16\nline17\nline18\nreviewed\nline19\nline20' } : 'reject'));
+  assert.strictEqual(edited, OLD.replace('line18\n', 'line18\nreviewed\n'));
+
+  // The line break before the next unchanged line is kept
+  const first = applyHunks(OLD, NEW, i => (i === 0 ? { content: 'only' } : 'reject'));
+  assert.ok(first.startsWith('only\nline6\n'));
+
+  // An empty edit drops the hunk's lines
+  assert.strictEqual(applyHunks('a\nb\n', 'a\nc\n', () => ({ content: '' })), '');
+});
+
+test('approving every hunk rebuilds the new text, rejecting every hunk the old', () => {
+  const rand = random(7);
+  const base = lines(60, 'fn item_');
+  for (let i = 0; i < 50; i++) {
+    const before = mutate(base, rand);
+    const after = mutate(before, rand);
+    const { hunks } = diffFile('f', before, after);
+    assert.strictEqual(applyHunks(before, after, () => 'approve'), after, `case ${i}`);
+    assert.strictEqual(applyHunks(before, after, () => 'reject'), before, `case ${i}`);
+
+    // Every hunk's lines describe the texts it came from
+    for (const hunk of hunks) {
+      assert.strictEqual(hunk.lines.filter(l => l[0] !== '+' && l[0] !== '\\').length, hunk.oldLines);
+      assert.strictEqual(hunk.lines.filter(l => l[0] !== '-' && l[0] !== '\\').length, hunk.newLines);
+    }
+  }
+});
+
+test('rewrites past the edit-distance limit become one replacement hunk', () => {
+  const before = lines(1500, 'a');
+  const after = lines(1500, 'b');
+  const diff = diffFile('f', before, after);
+  assert.strictEqual(diff.hunks.length, 1);
+  assert.strictEqual(diff.additions, 1500);
+  assert.strictEqual(diff.deletions, 1500);
+  assert.strictEqual(applyHunks(before, after, () => 'approve'), after);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { requestReview, getPendingReview, submitReview } = require('../src/fixReview');
+
+const OLD = Array.from({ length: 20 }, (_, i) => `line${i + 1}\n`).join('');
+const NEW = OLD.replace('line2\n', 'LINE2\n').replace('line18\n', 'line18\nadded\n');
+
+function propose(buildId, fixes) {
+  let view;
+  const outcome = requestReview(buildId, { iteration: 1, analysis: 'two changes', fixes }, {
+    onRequested: (pending) => { view = pending; },
+  });
+  return { outcome, view };
+}
+
+test('each hunk is applied as the reviewer decided', async () => {
+  const { outcome, view } = propose('build-hunks', [
+    { path: 'src/lib.rs', action: 'update', oldContent: OLD, content: NEW },
+    { path: 'Cargo.toml', action: 'create', oldContent: null, content: '[workspace]\n' },
+    { path: 'same.rs', action: 'update', oldContent: 'x\n', content: 'x\n' },
+  ]);
+
+  // Files without changes are not offered for review
+  assert.deepStrictEqual(view.fixes.map(f => f.path), ['src/lib.rs', 'Cargo.toml']);
+  assert.strictEqual(view.fixes[0].hunks.length, 2);
+  assert.deepStrictEqual(getPendingReview('build-hunks'), view);
+  assert.throws(() => propose('build-hunks', []), { status: 409 });
+
+  const answer = submitReview('build-hunks', {
+    reviewId: view.reviewId,
+    decisions: [
+      { path: 'src/lib.rs', hunk: 0, decision: 'approve' },
+      { path: 'src/lib.rs', hunk: 1, decision: 'edit', content: 'line16\nline17\nline18\nreviewed\nline19\nline20\n' },
+    ],
+  });
+  assert.deepStrictEqual(answer.files, [
+    { path: 'src/lib.rs', approved: 1, rejected: 0, edited: 1 },
+    { path: 'Cargo.toml', approved: 0, rejected: 1, edited: 0 },
+  ]);
+
+  const { status, files } = await outcome;
+  assert.strictEqual(status, 'reviewed');
+  // The rejected new file is left out
+  assert.deepStrictEqual(files.map(f => f.path), ['src/lib.rs']);
+  assert.strictEqual(files[0].content, OLD.replace('line2\n', 'LINE2\n').replace('line18\n', 'line18\nreviewed\n'));
+  assert.strictEqual(getPendingReview('build-hunks'), null);
+});
+
+test('a decision without a hunk covers the whole file, the default the rest', async () => {
+  const { outcome, view } = propose('build-default', [
+    { path: 'a.rs', action: 'update', oldContent: OLD, content: NEW },
+    { path: 'b.rs', action: 'update', oldContent: OLD, content: NEW },
+  ]);
+  submitReview('build-default', {
+    reviewId: view.reviewId,
+    decisions: [{ path: 'a.rs', decision: 'reject' }],
+    default: 'approve',
+  });
+  const { files } = await outcome;
+  assert.deepStrictEqual(files.map(f => [f.path, f.content === NEW]), [['b.rs', true]]);
+});
+
+test('invalid answers are refused and leave the review pending', async () => {
+  const { outcome, view } = propose('build-invalid', [
+    { path: 'a.rs', action: 'update', oldContent: OLD, content: NEW },
+  ]);
+  const answer = (fields) => () => submitReview('build-invalid', { reviewId: view.reviewId, ...fields });
+
+  assert.throws(() => submitReview('no-such-build', { reviewId: view.reviewId }), { status: 404 });
+  assert.throws(answer({ reviewId: 'stale' }), { status: 409 });
+  assert.throws(answer({ decisions: {} }), { status: 400, message: /must be an array/ });
+  assert.throws(answer({ default: 'edit' }), { status: 400, message: /default must be/ });
+  assert.throws(answer({ decisions: [null] }), { status: 400, message: /must be an object/ });
+  assert.throws(answer({ decisions: [{ path: '../etc/passwd', decision: 'approve' }] }), { status: 400, message: /not part of this review/ });
+  assert.throws(answer({ decisions: [{ path: 'a.rs', decision: 'merge' }] }), { status: 400, message: /decision must be one of/ });
+  assert.throws(answer({ decisions: [{ path: 'a.rs', hunk: 7, decision: 'approve' }] }), { status: 400, message: /has no hunk 7/ });
+  assert.throws(answer({ decisions: [{ path: 'a.rs', hunk: '0', decision: 'approve' }] }), { status: 400, message: /has no hunk 0/ });
+  assert.throws(answer({ decisions: [{ path: 'a.rs', decision: 'edit', content: 'x' }] }), { status: 400, message: /needs the hunk/ });
+  assert.throws(answer({ decisions: [{ path: 'a.rs', hunk: 0, decision: 'edit' }] }), { status: 400, message: /needs content/ });
+  assert.notStrictEqual(getPendingReview('build-invalid'), null);
+
+  submitReview('build-invalid', { reviewId: view.reviewId });
+  assert.deepStrictEqual(await outcome, { status: 'reviewed', files: [] });
+});
+
+test('a cancelled build ends its review', async () => {
+  const controller = new AbortController();
+  const outcome = requestReview('build-cancel', {
+    iteration: 1,
+    fixes: [{ path: 'a.rs', action: 'update', oldContent: OLD, content: NEW }],
+  }, { signal: controller.signal });
+  controller.abort();
+  assert.deepStrictEqual(await outcome, { status: 'cancelled' });
+  assert.strictEqual(getPendingReview('build-cancel'), null);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+
+const config = require('../src/config');
+config.cleanup.enableAutoCleanup = false;
+config.agent.dbPath = ':memory:';
+config.git.credentialsKey = crypto.randomBytes(32).toString('hex');
+config.git.githubApp.appId = '4242';
+config.git.githubApp.privateKeyPath = '/nonexistent/app.pem';
+
+const { initDatabase, getDb, getOne } = require('../src/db');
+const { setGitCredential, listGitCredentials, resolveGitAuth } = require('../src/gitCredentials');
+
+// GitHub API stand-in: GET /user/installations for two user tokens
+const INSTALLATIONS = {
+  'ghu_alice': [
+    { id: 111, app_id: 4242, account: { login: 'alice-org' } },
+    { id: 222, app_id: 9999, account: { login: 'alice-org' } },
+  ],
+  'ghu_bob': [{ id: 333, app_id: 4242, account: { login: 'bob' } }],
+};
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    res.setHeader('Content-Type', 'application/json');
+    if (!req.url.startsWith('/user/installations') || !INSTALLATIONS[token]) {
+      res.statusCode = 401;
+      return res.end(JSON.stringify({ message: 'Bad credentials' }));
+    }
+    res.end(JSON.stringify({ total_count: INSTALLATIONS[token].length, installations: INSTALLATIONS[token] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  config.git.githubApiUrl = `http://127.0.0.1:${server.address().port}`;
+  await initDatabase();
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => getDb().close(resolve));
+});
+
+test('an installation is stored only with a user token that can access it', async () => {
+  await assert.rejects(
+    setGitCredential('agent-a', { host: 'github.com', installationId: 111 }),
+    { status: 400, message: /github_token is required/ }
+  );
+  await assert.rejects(
+    setGitCredential('agent-a', { host: 'github.com', installationId: 111, githubToken: 'ghu_bob' }),
+    { status: 403, message: /not accessible/ }
+  );
+  await assert.rejects(
+    setGitCredential('agent-a', { host: 'github.com', installationId: 111, githubToken: 'ghu_forged' }),
+    { status: 403, message: /rejected github_token/ }
+  );
+  // Installation of another app
+  await assert.rejects(
+    setGitCredential('agent-a', { host: 'github.com', installationId: 222, githubToken: 'ghu_alice' }),
+    { status: 403 }
+  );
+  assert.deepStrictEqual(await listGitCredentials('agent-a'), []);
+
+  const stored = await setGitCredential('agent-a', { host: 'github.com', installationId: 111, githubToken: 'ghu_alice' });
+  assert.strictEqual(stored.kind, 'github_app');
+  assert.strictEqual(stored.installationId, '111');
+  assert.strictEqual(stored.installationAccount, 'alice-org');
+});
+
+test('tokens round-trip encrypted', async () => {
+  await setGitCredential('agent-b', { host: 'gitlab.com', token: 'glpat-secret' });
+  const row = await getOne(`SELECT secret FROM agent_git_credentials WHERE agent_id = ?`, ['agent-b']);
+  assert.ok(!row.secret.includes('glpat-secret'));
+  assert.deepStrictEqual(await resolveGitAuth('agent-b', 'gitlab.com'), { username: 'oauth2', token: 'glpat-secret' });
+});
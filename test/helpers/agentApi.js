@@ -0,0 +1,48 @@
+const express = require('express');
+const { registerAgent } = require('../../src/agentAuth');
+
+/**
+ * The agent API (src/routes/agent.js) on a local port, mounted as index.js
+ * mounts it. Call after initDatabase().
+ * @returns {Promise<{request: Function, registerAgent: Function, close: Function}>}
+ */
+async function startAgentApi() {
+  const agentRouter = require('../../src/routes/agent');
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use('/api/v1', agentRouter);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  /**
+   * @returns {Promise<{status: number, body: any, headers: Headers}>}
+   */
+  async function request(method, urlPath, { key, body } = {}) {
+    const headers = {};
+    if (key) headers['x-agent-key'] = key;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(baseUrl + urlPath, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch { /* not JSON, e.g. a download */ }
+    return { status: res.status, body: parsed, headers: res.headers };
+  }
+
+  return {
+    request,
+    // { agent_id, api_key, ... }
+    registerAgent: (name) => registerAgent(name, 'test agent'),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { startAgentApi };
@@ -0,0 +1,123 @@
+const zlib = require('zlib');
+
+/**
+ * Hand-built archives for archive.js tests. tar and zip libraries refuse to
+ * write most of the entries worth testing (links, '..' paths, lying sizes),
+ * so the headers are written byte by byte here.
+ *
+ * An entry is { name, data, type, mode } plus, for zips, { method, size }
+ * where size overrides the uncompressed size the headers declare. name may
+ * be a Buffer to get bytes that aren't valid UTF-8.
+ */
+
+const TAR_TYPES = { file: '0', hardlink: '1', symlink: '2', char: '3', block: '4', directory: '5', fifo: '6' };
+
+function tarHeader({ name, type = 'file', mode = 0o644, size = 0, linkname = '' }) {
+  const header = Buffer.alloc(512);
+  const field = (value, offset, length) => {
+    const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value);
+    if (bytes.length > length) throw new Error(`tar field too long: ${value}`);
+    bytes.copy(header, offset);
+  };
+  const octal = (value, offset, length) => field(value.toString(8).padStart(length - 1, '0'), offset, length);
+
+  field(name, 0, 100);
+  octal(mode, 100, 8);
+  octal(0, 108, 8);
+  octal(0, 116, 8);
+  octal(size, 124, 12);
+  octal(Math.floor(Date.now() / 1000), 136, 12);
+  field(TAR_TYPES[type], 156, 1);
+  field(linkname, 157, 100);
+  field('ustar\0', 257, 6);
+  field('00', 263, 2);
+
+  header.fill(' ', 148, 156);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  field(`${sum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
+}
+
+/**
+ * @param {Array<{name: string|Buffer, data?: string|Buffer, type?: string, mode?: number, linkname?: string}>} entries
+ * @returns {Buffer} An uncompressed tar
+ */
+function tar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data || '');
+    blocks.push(tarHeader({ ...entry, size: data.length }));
+    if (data.length) {
+      blocks.push(data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+function tgz(entries) {
+  return zlib.gzipSync(tar(entries));
+}
+
+const ZIP_UNIX_MODES = { file: 0o100644, directory: 0o040755, symlink: 0o120777, char: 0o020644, fifo: 0o010644 };
+
+/**
+ * @param {Array<{name: string|Buffer, data?: string|Buffer, type?: string, mode?: number, method?: 'store'|'deflate', size?: number}>} entries
+ * @returns {Buffer} A zip
+ */
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.isBuffer(entry.name) ? entry.name : Buffer.from(entry.name);
+    const data = Buffer.from(entry.data || '');
+    const method = entry.method === 'deflate' ? 8 : 0;
+    const body = method === 8 ? zlib.deflateRawSync(data) : data;
+    const size = entry.size === undefined ? data.length : entry.size;
+    // Bit 11: name is UTF-8. Left off for raw byte names.
+    const flags = Buffer.isBuffer(entry.name) ? 0 : 0x0800;
+    const crc = zlib.crc32(data);
+    const mode = entry.mode || ZIP_UNIX_MODES[entry.type || 'file'];
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // made by Unix, so the mode bits count
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(mode * 0x10000, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { tar, tgz, zip };
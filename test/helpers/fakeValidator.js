@@ -0,0 +1,380 @@
+const http = require('http');
+const WebSocket = require('ws');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  SystemInstruction,
+  Transaction,
+} = require('@solana/web3.js');
+
+/**
+ * A solana-test-validator stand-in for tests: a JSON-RPC server over an
+ * in-memory bank that executes the System program and the parts of the BPF
+ * upgradeable loader that src/deploy.js uses (buffers, Write, Deploy,
+ * Upgrade, SetAuthority, Close, ExtendProgram). Transactions are checked for
+ * valid signatures and applied atomically; a failing one is rejected the way
+ * preflight would reject it. Programs are never executed.
+ */
+
+const LOADER_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+const FEE_LAMPORTS = 5000;
+const BUFFER_HEADER = 37;
+const PROGRAMDATA_HEADER = 45;
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58(bytes) {
+  let digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  let out = '';
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    out += '1';
+  }
+  for (let i = digits.length - 1; i >= 0; i--) out += BASE58[digits[i]];
+  return out;
+}
+
+function rentExempt(size) {
+  return (size + 128) * 6960;
+}
+
+function fail(message) {
+  throw Object.assign(new Error(message), { txError: { InstructionError: [0, { Custom: 0 }] } });
+}
+
+class Bank {
+  constructor() {
+    this.accounts = new Map(); // base58 → { lamports, owner, data, executable }
+    this.signatures = new Map(); // signature → { slot, err }
+    this.slot = 1;
+  }
+
+  get(key) {
+    return this.accounts.get(typeof key === 'string' ? key : key.toBase58()) || null;
+  }
+
+  set(key, account) {
+    this.accounts.set(typeof key === 'string' ? key : key.toBase58(), account);
+  }
+
+  airdrop(key, lamports) {
+    const account = this.get(key) || { lamports: 0, owner: SystemProgram.programId.toBase58(), data: Buffer.alloc(0), executable: false };
+    account.lamports += lamports;
+    this.set(key, account);
+  }
+
+  debit(key, lamports) {
+    const account = this.get(key);
+    if (!account || account.lamports < lamports) fail(`insufficient funds in ${key.toBase58 ? key.toBase58() : key}`);
+    account.lamports -= lamports;
+  }
+
+  credit(key, lamports) {
+    const account = this.get(key);
+    if (account) account.lamports += lamports;
+    else this.airdrop(key, lamports);
+  }
+
+  snapshot() {
+    const copy = new Map();
+    for (const [key, account] of this.accounts) copy.set(key, { ...account, data: Buffer.from(account.data) });
+    return copy;
+  }
+
+  /** @returns {string} The transaction signature */
+  process(tx) {
+    if (!tx.verifySignatures(true)) fail('invalid or missing signature');
+    const signature = base58(tx.signature);
+    const signers = new Set(tx.signatures.map(s => s.publicKey.toBase58()));
+    const saved = this.snapshot();
+    try {
+      this.debit(tx.feePayer, FEE_LAMPORTS * tx.signatures.length);
+      for (const ix of tx.instructions) {
+        const isSigner = (key) => signers.has(key.toBase58());
+        if (ix.programId.equals(SystemProgram.programId)) this.system(ix, isSigner);
+        else if (ix.programId.toBase58() === LOADER_ID) this.loader(ix, isSigner);
+        else fail(`unsupported program ${ix.programId.toBase58()}`);
+      }
+    } catch (err) {
+      this.accounts = saved;
+      throw err;
+    }
+    this.slot++;
+    this.signatures.set(signature, { slot: this.slot, err: null });
+    return signature;
+  }
+
+  system(ix, isSigner) {
+    const type = SystemInstruction.decodeInstructionType(ix);
+    if (type === 'Create') {
+      const { fromPubkey, newAccountPubkey, lamports, space, programId } = SystemInstruction.decodeCreateAccount(ix);
+      if (!isSigner(fromPubkey) || !isSigner(newAccountPubkey)) fail('createAccount needs both signatures');
+      const existing = this.get(newAccountPubkey);
+      if (existing && (existing.lamports > 0 || existing.data.length > 0)) fail('account already in use');
+      this.debit(fromPubkey, lamports);
+      this.set(newAccountPubkey, { lamports, owner: programId.toBase58(), data: Buffer.alloc(space), executable: false });
+    } else if (type === 'Transfer') {
+      const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(ix);
+      if (!isSigner(fromPubkey)) fail('transfer needs the sender signature');
+      this.debit(fromPubkey, Number(lamports));
+      this.credit(toPubkey, Number(lamports));
+    } else {
+      fail(`unsupported system instruction ${type}`);
+    }
+  }
+
+  loaderAccount(key, tag) {
+    const account = this.get(key);
+    if (!account || account.owner !== LOADER_ID || account.data.length < 4 || account.data.readUInt32LE(0) !== tag) {
+      fail(`${key.toBase58()} is not a loader account of type ${tag}`);
+    }
+    return account;
+  }
+
+  // Buffer: tag 1 at 0, authority option at 4. ProgramData: tag 3 at 0, slot at 4, authority option at 12
+  static authorityOffset(tag) {
+    return tag === 1 ? 4 : 12;
+  }
+
+  checkAuthority(account, key, isSigner) {
+    const offset = Bank.authorityOffset(account.data.readUInt32LE(0));
+    if (account.data[offset] !== 1) fail('account is immutable');
+    if (!new PublicKey(account.data.subarray(offset + 1, offset + 33)).equals(key)) fail('incorrect authority');
+    if (!isSigner(key)) fail('authority did not sign');
+  }
+
+  loader(ix, isSigner) {
+    const key = (i) => ix.keys[i].pubkey;
+    const data = ix.data;
+    switch (data.readUInt32LE(0)) {
+      case 0: { // InitializeBuffer
+        const buffer = this.get(key(0));
+        if (!buffer || buffer.owner !== LOADER_ID || buffer.data.readUInt32LE(0) !== 0) fail('buffer not uninitialized');
+        buffer.data.writeUInt32LE(1, 0);
+        buffer.data[4] = 1;
+        key(1).toBuffer().copy(buffer.data, 5);
+        break;
+      }
+      case 1: { // Write
+        const buffer = this.loaderAccount(key(0), 1);
+        this.checkAuthority(buffer, key(1), isSigner);
+        const offset = data.readUInt32LE(4);
+        const length = Number(data.readBigUInt64LE(8));
+        const bytes = data.subarray(16, 16 + length);
+        if (BUFFER_HEADER + offset + bytes.length > buffer.data.length) fail('write out of bounds');
+        bytes.copy(buffer.data, BUFFER_HEADER + offset);
+        break;
+      }
+      case 2: { // DeployWithMaxDataLen
+        const [payer, programData, program, bufferKey] = [key(0), key(1), key(2), key(3)];
+        const authority = key(7);
+        const maxDataLen = Number(data.readBigUInt64LE(4));
+        const expected = PublicKey.findProgramAddressSync([program.toBuffer()], new PublicKey(LOADER_ID))[0];
+        if (!expected.equals(programData)) fail('wrong programdata address');
+        const buffer = this.loaderAccount(bufferKey, 1);
+        this.checkAuthority(buffer, authority, isSigner);
+        const programAccount = this.get(program);
+        if (!programAccount || programAccount.owner !== LOADER_ID || programAccount.data.readUInt32LE(0) !== 0) {
+          fail('program account not uninitialized');
+        }
+        const elf = buffer.data.subarray(BUFFER_HEADER);
+        if (elf.length > maxDataLen) fail('max data length too small');
+
+        const pd = Buffer.alloc(PROGRAMDATA_HEADER + maxDataLen);
+        pd.writeUInt32LE(3, 0);
+        pd.writeBigUInt64LE(BigInt(this.slot), 4);
+        pd[12] = 1;
+        authority.toBuffer().copy(pd, 13);
+        elf.copy(pd, PROGRAMDATA_HEADER);
+        const rent = rentExempt(pd.length);
+        this.debit(payer, rent);
+        this.set(programData, { lamports: rent, owner: LOADER_ID, data: pd, executable: false });
+
+        programAccount.data.writeUInt32LE(2, 0);
+        programData.toBuffer().copy(programAccount.data, 4);
+        programAccount.executable = true;
+
+        this.credit(payer, buffer.lamports);
+        this.accounts.delete(bufferKey.toBase58());
+        break;
+      }
+      case 3: { // Upgrade
+        const [programData, program, bufferKey, spill] = [key(0), key(1), key(2), key(3)];
+        const authority = key(6);
+        const programAccount = this.loaderAccount(program, 2);
+        if (!new PublicKey(programAccount.data.subarray(4, 36)).equals(programData)) fail('wrong programdata');
+        const pd = this.loaderAccount(programData, 3);
+        this.checkAuthority(pd, authority, isSigner);
+        const buffer = this.loaderAccount(bufferKey, 1);
+        this.checkAuthority(buffer, authority, isSigner);
+        const elf = buffer.data.subarray(BUFFER_HEADER);
+        if (elf.length > pd.data.length - PROGRAMDATA_HEADER) fail('programdata too small');
+        pd.data.fill(0, PROGRAMDATA_HEADER);
+        elf.copy(pd.data, PROGRAMDATA_HEADER);
+        pd.data.writeBigUInt64LE(BigInt(this.slot), 4);
+        this.credit(spill, buffer.lamports);
+        this.accounts.delete(bufferKey.toBase58());
+        break;
+      }
+      case 4: { // SetAuthority
+        const account = this.get(key(0));
+        if (!account || account.owner !== LOADER_ID) fail('not a loader account');
+        const tag = account.data.readUInt32LE(0);
+        if (tag !== 1 && tag !== 3) fail('authority can only be set on buffers and programdata');
+        this.checkAuthority(account, key(1), isSigner);
+        const offset = Bank.authorityOffset(tag);
+        if (ix.keys[2]) {
+          account.data[offset] = 1;
+          key(2).toBuffer().copy(account.data, offset + 1);
+        } else {
+          if (tag === 1) fail('buffer authority is required');
+          account.data[offset] = 0;
+        }
+        break;
+      }
+      case 5: { // Close (buffers only here)
+        const buffer = this.loaderAccount(key(0), 1);
+        this.checkAuthority(buffer, key(2), isSigner);
+        this.credit(key(1), buffer.lamports);
+        this.accounts.delete(key(0).toBase58());
+        break;
+      }
+      case 6: { // ExtendProgram
+        const [programData, , , payer] = [key(0), key(1), key(2), key(3)];
+        const pd = this.loaderAccount(programData, 3);
+        const additional = data.readUInt32LE(4);
+        pd.data = Buffer.concat([pd.data, Buffer.alloc(additional)]);
+        const needed = Math.max(0, rentExempt(pd.data.length) - pd.lamports);
+        if (!isSigner(payer)) fail('payer did not sign');
+        this.debit(payer, needed);
+        pd.lamports += needed;
+        break;
+      }
+      default:
+        fail(`unsupported loader instruction ${data.readUInt32LE(0)}`);
+    }
+  }
+}
+
+function accountJson(account) {
+  if (!account) return null;
+  return {
+    data: [account.data.toString('base64'), 'base64'],
+    executable: account.executable,
+    lamports: account.lamports,
+    owner: account.owner,
+    rentEpoch: 0,
+    space: account.data.length,
+  };
+}
+
+/**
+ * Start a fake validator on 127.0.0.1. web3.js expects the WebSocket endpoint
+ * on the next port up, so both ports are claimed.
+ * @returns {Promise<{url: string, bank: Bank, calls: string[], close: () => Promise<void>}>}
+ *   `calls` records every RPC method name in order
+ */
+async function startFakeValidator() {
+  const bank = new Bank();
+  const calls = [];
+  const context = () => ({ slot: bank.slot });
+
+  const methods = {
+    getAccountInfo: ([key]) => ({ context: context(), value: accountJson(bank.get(key)) }),
+    getBalance: ([key]) => ({ context: context(), value: (bank.get(key) || { lamports: 0 }).lamports }),
+    getMinimumBalanceForRentExemption: ([size]) => rentExempt(size),
+    getLatestBlockhash: () => ({
+      context: context(),
+      value: { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: bank.slot + 150 },
+    }),
+    getBlockHeight: () => bank.slot,
+    sendTransaction: ([encoded]) => bank.process(Transaction.from(Buffer.from(encoded, 'base64'))),
+    getSignatureStatuses: ([signatures]) => ({
+      context: context(),
+      value: signatures.map((sig) => {
+        const status = bank.signatures.get(sig);
+        return status ? { slot: status.slot, confirmations: null, err: status.err, confirmationStatus: 'confirmed' } : null;
+      }),
+    }),
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const requests = JSON.parse(body);
+      const answer = (request) => {
+        calls.push(request.method);
+        const method = methods[request.method];
+        if (!method) {
+          return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `Method not found: ${request.method}` } };
+        }
+        try {
+          return { jsonrpc: '2.0', id: request.id, result: method(request.params || []) };
+        } catch (err) {
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: { code: -32002, message: `Transaction simulation failed: ${err.message}`, data: { err: err.txError || null, logs: [] } },
+          };
+        }
+      };
+      const response = Array.isArray(requests) ? requests.map(answer) : answer(requests);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  // Confirmation subscribes, then asks getSignatureStatuses — subscribing is enough
+  let wss;
+  for (let attempt = 0; ; attempt++) {
+    await new Promise((resolve, reject) => server.once('error', reject).listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+    try {
+      wss = await new Promise((resolve, reject) => {
+        const ws = new WebSocket.Server({ host: '127.0.0.1', port: port + 1 });
+        ws.once('listening', () => resolve(ws)).once('error', reject);
+      });
+      break;
+    } catch (err) {
+      await new Promise(resolve => server.close(resolve));
+      if (attempt >= 5) throw err;
+    }
+  }
+  let subscriptionId = 0;
+  wss.on('connection', (socket) => {
+    socket.on('message', (raw) => {
+      const request = JSON.parse(raw.toString());
+      const result = request.method.endsWith('Unsubscribe') ? true : ++subscriptionId;
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    bank,
+    calls,
+    close: async () => {
+      // A normal closure (1000) is the one code web3.js doesn't reconnect after
+      for (const client of wss.clients) client.close(1000);
+      await new Promise(resolve => wss.close(resolve));
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startFakeValidator, LOADER_ID };
@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/config');
+const { executeProjectTool, resolveProjectPath } = require('../src/projectTools');
+
+let workDir;
+let projectDir;
+let realProjectDir;
+
+const LIB_RS = `use anchor_lang::prelude::*;
+
+declare_id!("Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS");
+
+#[program]
+pub mod demo {
+    use super::*;
+    pub fn initialize(_ctx: Context<Initialize>) -> Result<()> {
+        Ok(())
+    }
+}
+`;
+
+const ANCHOR_TOML = '[programs.localnet]\ndemo = "Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS"\n';
+
+const run = (tool, input) => executeProjectTool(tool, input, { buildId: 'build-tools', projectDir });
+const errorOf = (result) => JSON.parse(result).error;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-tools-test-'));
+  projectDir = path.join(workDir, 'project');
+  await fs.mkdir(path.join(projectDir, 'programs/demo/src'), { recursive: true });
+  await fs.mkdir(path.join(projectDir, 'target/deploy'), { recursive: true });
+  await fs.writeFile(path.join(projectDir, 'Anchor.toml'), ANCHOR_TOML);
+  await fs.writeFile(path.join(projectDir, 'programs/demo/src/lib.rs'), LIB_RS);
+  await fs.writeFile(path.join(projectDir, 'target/deploy/demo-keypair.json'), '[1,2,3]');
+  await fs.writeFile(path.join(projectDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0x0d]));
+
+  // Outside the project, reachable only through symlinks
+  await fs.mkdir(path.join(workDir, 'outside'));
+  await fs.writeFile(path.join(workDir, 'outside/secret.txt'), 'OUTSIDE_SECRET=hunter2\n');
+  await fs.symlink(path.join(workDir, 'outside/secret.txt'), path.join(projectDir, 'secret-link.txt'));
+  await fs.symlink(path.join(workDir, 'outside'), path.join(projectDir, 'outside-dir'));
+  await fs.symlink('programs/demo/src/lib.rs', path.join(projectDir, 'lib-link.rs'));
+  realProjectDir = await fs.realpath(projectDir);
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('paths resolve inside the project only, symlinks included', async () => {
+  assert.strictEqual(await resolveProjectPath(projectDir), realProjectDir);
+  assert.strictEqual(await resolveProjectPath(projectDir, './programs/demo/src/lib.rs'), path.join(realProjectDir, 'programs/demo/src/lib.rs'));
+  assert.strictEqual(await resolveProjectPath(projectDir, 'programs/demo/../demo/src'), path.join(realProjectDir, 'programs/demo/src'));
+  // A link that stays in the project is followed
+  assert.strictEqual(await resolveProjectPath(projectDir, 'lib-link.rs'), path.join(realProjectDir, 'programs/demo/src/lib.rs'));
+
+  for (const escape of [
+    '..', '../outside/secret.txt', 'programs/../../outside/secret.txt', '/etc/passwd', path.join(workDir, 'outside/secret.txt'),
+    'secret-link.txt', 'outside-dir', 'outside-dir/secret.txt', 'no/such/file.rs',
+  ]) {
+    assert.strictEqual(await resolveProjectPath(projectDir, escape), null, escape);
+  }
+});
+
+test('read_file numbers lines, pages through ranges and refuses escapes', async () => {
+  const file = await run('read_file', { path: 'programs/demo/src/lib.rs', start_line: 5, end_line: 6 });
+  assert.strictEqual(file, [
+    'programs/demo/src/lib.rs (12 lines)',
+    '    5| #[program]',
+    '    6| pub mod demo {',
+    '[lines 5-6 of 12 — read_file with start_line=7 for more]',
+  ].join('\n'));
+
+  for (const escape of ['secret-link.txt', 'outside-dir/secret.txt', '../outside/secret.txt', '/etc/passwd']) {
+    assert.strictEqual(errorOf(await run('read_file', { path: escape })), `No such file in the project: ${escape}`);
+  }
+  assert.match(errorOf(await run('read_file', { path: 'programs' })), /is not a file/);
+  assert.strictEqual(errorOf(await run('read_file', { path: 'logo.png' })), 'logo.png is a binary file');
+});
+
+test('list_files shows the tree without build output or links out of the project', async () => {
+  assert.strictEqual(await run('list_files', {}), [
+    `Anchor.toml (${ANCHOR_TOML.length} bytes)`,
+    'logo.png (8 bytes)',
+    'programs/',
+    'programs/demo/',
+    'programs/demo/src/',
+    `programs/demo/src/lib.rs (${Buffer.byteLength(LIB_RS)} bytes)`,
+  ].join('\n'));
+  assert.strictEqual(errorOf(await run('list_files', { path: 'outside-dir' })), 'No such directory in the project: outside-dir');
+});
+
+test('grep_project finds matches in the project and nothing behind a link', async () => {
+  assert.strictEqual(await run('grep_project', { pattern: 'pub (mod|fn) \\w+' }), [
+    'programs/demo/src/lib.rs:6:pub mod demo {',
+    'programs/demo/src/lib.rs:8:    pub fn initialize(_ctx: Context<Initialize>) -> Result<()> {',
+  ].join('\n'));
+  assert.strictEqual(await run('grep_project', { pattern: 'DECLARE_ID', ignore_case: true, path: 'programs' }),
+    'programs/demo/src/lib.rs:3:declare_id!("Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS");');
+
+  assert.strictEqual(await run('grep_project', { pattern: 'OUTSIDE_SECRET' }), 'No matches for /OUTSIDE_SECRET/');
+  assert.strictEqual(await run('grep_project', { pattern: 'no_such_identifier' }), 'No matches for /no_such_identifier/');
+  assert.strictEqual(errorOf(await run('grep_project', { pattern: 'x', path: 'outside-dir' })), 'No such path in the project: outside-dir');
+  assert.strictEqual(errorOf(await run('grep_project', { pattern: 'x', path: '../outside' })), 'No such path in the project: ../outside');
+  assert.match(errorOf(await run('grep_project', { pattern: '' })), /pattern is required/);
+  assert.match(errorOf(await run('grep_project', { pattern: '(' })), /^grep failed: /);
+});
+
+test('grep_project gives up on a search that runs too long', async () => {
+  // A backreference sends the regex engine backtracking through every split of the line
+  await fs.writeFile(path.join(projectDir, 'slow.txt'), `${'a'.repeat(3000)}\n`);
+  const configured = config.aiTools.grepTimeout;
+  config.aiTools.grepTimeout = 300;
+  try {
+    assert.strictEqual(errorOf(await run('grep_project', { pattern: '(a*)*\\1b', path: 'slow.txt' })), 'grep timed out after 0.3s — narrow the pattern or path');
+  } finally {
+    config.aiTools.grepTimeout = configured;
+    await fs.rm(path.join(projectDir, 'slow.txt'));
+  }
+});
+
+test('project tools need a project; other tools are not theirs', async () => {
+  assert.strictEqual(errorOf(await executeProjectTool('read_file', { path: 'Anchor.toml' }, { buildId: 'x', projectDir: null })),
+    'read_file is only available while fixing a project');
+  assert.strictEqual(await executeProjectTool('search_web', { query: 'anchor' }, { buildId: 'x', projectDir }), null);
+});
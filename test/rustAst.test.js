@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { extractSafetyFacts, compareRustSafety } = require('../src/rustAst');
+
+const PROGRAM = `use anchor_lang::prelude::*;
+
+declare_id!("Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS");
+
+#[program]
+pub mod vault {
+    use super::*;
+
+    pub fn deposit(ctx: Context<Deposit>, amount: u64) -> Result<()> {
+        require!(amount > 0, VaultError::ZeroAmount);
+        ctx.accounts.vault.balance += amount;
+        Ok(())
+    }
+
+    #[access_control(not_paused(&ctx.accounts.vault))]
+    pub fn withdraw(ctx: Context<Withdraw>, amount: u64) -> Result<()> {
+        require!(amount > 0, VaultError::ZeroAmount);
+        require_keys_eq!(ctx.accounts.owner.key(), ctx.accounts.vault.owner);
+        ctx.accounts.vault.balance -= amount;
+        Ok(())
+    }
+}
+
+fn not_paused(vault: &Vault) -> Result<()> {
+    if vault.paused {
+        return err!(VaultError::Paused);
+    }
+    Ok(())
+}
+
+#[derive(Accounts)]
+pub struct Deposit<'info> {
+    #[account(mut, seeds = [b"vault", owner.key().as_ref()], bump)]
+    pub vault: Account<'info, Vault>,
+    pub owner: Signer<'info>,
+}
+
+#[derive(Accounts)]
+pub struct Withdraw<'info> {
+    #[account(mut, has_one = owner)]
+    pub vault: Account<'info, Vault>,
+    pub owner: Signer<'info>,
+}
+
+#[account]
+pub struct Vault {
+    pub owner: Pubkey,
+    pub balance: u64,
+    pub paused: bool,
+}
+
+impl Vault {
+    pub const LEN: usize = 8 + 32 + 8 + 1;
+}
+
+#[error_code]
+pub enum VaultError {
+    ZeroAmount,
+    Paused,
+}
+`;
+
+async function compare(change) {
+  const changed = change(PROGRAM);
+  assert.notStrictEqual(changed, PROGRAM, 'the change must apply');
+  return compareRustSafety(PROGRAM, changed);
+}
+
+test('facts cover items, instructions, constraints, checks and error codes', async () => {
+  const { facts, syntaxErrorLine } = await extractSafetyFacts(PROGRAM);
+  assert.strictEqual(syntaxErrorLine, null);
+  assert.deepStrictEqual([...facts.instructions], [['deposit', { trivial: false }], ['withdraw', { trivial: false }]]);
+  for (const item of ['fn not_paused', 'struct Deposit', 'struct Vault', 'enum VaultError', 'impl Vault']) {
+    assert.ok(facts.items.has(item), item);
+  }
+  for (const constraint of ['Withdraw.vault:has_one=owner', 'Deposit.vault:seeds=[b"vault",owner.key().as_ref()]', 'Withdraw.owner:type Signer', 'withdraw#access_control(not_paused(&ctx.accounts.vault))']) {
+    assert.ok(facts.constraints.has(constraint), constraint);
+  }
+  // The same require! in two instructions counts twice
+  assert.strictEqual(facts.checks.get('require!(amount>0,VaultError::ZeroAmount)').count, 2);
+  assert.deepStrictEqual([...facts.errorCodes.keys()], ['VaultError::ZeroAmount', 'VaultError::Paused']);
+});
+
+test('fixes that only add or reformat code are safe', async () => {
+  const cases = [
+    source => source.replace('use anchor_lang::prelude::*;', 'use anchor_lang::prelude::*;\nuse anchor_spl::token::Token;'),
+    source => source.replace(/ {4}/g, '\t'),
+    source => source.replace('has_one = owner', 'has_one = owner, constraint = !vault.paused'),
+    source => source.replace('    Paused,\n', '    Paused,\n    Overflow,\n'),
+    source => source.replace('ctx.accounts.vault.balance += amount;', 'ctx.accounts.vault.balance = ctx.accounts.vault.balance.checked_add(amount).unwrap();'),
+    // A check may move to another function
+    source => source
+      .replace('        require!(amount > 0, VaultError::ZeroAmount);\n        ctx.accounts.vault.balance += amount;', '        check_amount(amount)?;\n        ctx.accounts.vault.balance += amount;')
+      .replace('fn not_paused', 'fn check_amount(amount: u64) -> Result<()> {\n    require!(amount > 0, VaultError::ZeroAmount);\n    Ok(())\n}\n\nfn not_paused'),
+  ];
+  for (const [i, change] of cases.entries()) {
+    assert.deepStrictEqual(await compare(change), { safe: true, removed: [], reason: null }, `case ${i}`);
+  }
+});
+
+test('fixes that take safety constructs away are rejected', async () => {
+  const cases = [
+    [
+      source => source.replace(/ {4}pub fn deposit[\s\S]*?\n {4}}\n\n/, ''),
+      ['instruction `deposit`', '`require!(amount > 0, VaultError::ZeroAmount)` in `deposit`'],
+    ],
+    [
+      source => source.replace(/(pub fn deposit[^{]*\{)[\s\S]*?\n {4}}/, '$1\n        Ok(())\n    }'),
+      ['the body of instruction `deposit` (replaced with a stub)', '`require!(amount > 0, VaultError::ZeroAmount)` in `deposit`'],
+    ],
+    [source => source.replace('mut, has_one = owner', 'mut'), ['#[account(has_one = owner)] on `Withdraw.vault`']],
+    [
+      source => source.replace("pub struct Withdraw<'info> {\n    #[account(mut, has_one = owner)]\n    pub vault: Account<'info, Vault>,\n    pub owner: Signer<'info>,", "pub struct Withdraw<'info> {\n    #[account(mut, has_one = owner)]\n    pub vault: Account<'info, Vault>,\n    /// CHECK: none\n    pub owner: UncheckedAccount<'info>,"),
+      ['the `Signer` type of `Withdraw.owner`'],
+    ],
+    [source => source.replace('    #[access_control(not_paused(&ctx.accounts.vault))]\n', ''), ['#[access_control(not_paused(&ctx.accounts.vault))] on instruction `withdraw`']],
+    [source => source.replace('        require_keys_eq!(ctx.accounts.owner.key(), ctx.accounts.vault.owner);\n', ''), ['`require_keys_eq!(ctx.accounts.owner.key(), ctx.accounts.vault.owner)` in `withdraw`']],
+    [source => source.replace('        return err!(VaultError::Paused);\n', ''), ['`err!(VaultError::Paused)` in `not_paused`']],
+    [source => source.replace('    Paused,\n', ''), ['error code `VaultError::Paused`']],
+    [source => source.replace(/impl Vault \{[\s\S]*?\n}\n/, ''), ['impl Vault']],
+  ];
+  for (const [i, [change, removed]] of cases.entries()) {
+    const result = await compare(change);
+    assert.strictEqual(result.safe, false, `case ${i}`);
+    assert.deepStrictEqual(result.removed, removed, `case ${i}`);
+    assert.strictEqual(result.reason, `Fix removes ${removed.join('; ')}`);
+  }
+});
+
+test('a fix that breaks the syntax is rejected before anything else', async () => {
+  const result = await compare(source => source.replace('ctx.accounts.vault.balance -= amount;', 'ctx.accounts.vault.balance -= ;'));
+  assert.strictEqual(result.safe, false);
+  assert.match(result.reason, /^Fix introduces a syntax error at line \d+$/);
+
+  // A file that was already broken can still be fixed
+  const broken = PROGRAM.replace('Ok(())\n    }\n}', 'Ok(())\n    }');
+  assert.strictEqual((await compareRustSafety(broken, PROGRAM)).safe, true);
+});
+
+test('long lists of removals are cut short in the reason', async () => {
+  const result = await compareRustSafety(PROGRAM, 'use anchor_lang::prelude::*;\n');
+  assert.ok(result.removed.length > 10);
+  assert.match(result.reason, new RegExp(`; and ${result.removed.length - 10} more$`));
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const config = require('../src/config');
+config.cleanup.enableAutoCleanup = false;
+config.agent.dbPath = ':memory:';
+
+const { initDatabase, getDb } = require('../src/db');
+const { insertBuild } = require('../src/buildStore');
+const { parseDiagnostics } = require('../src/diagnostics');
+const { createLlmProvider, setLlmProvider } = require('../src/llm');
+const { createFixtureProvider } = require('../src/llm/fixture');
+const buildManager = require('../src/buildManager');
+
+// A project missing its `use anchor_lang::prelude::*;`, the output of
+// building it, and recorded answers for the three LLM calls the smart build
+// makes (written by hand). After a prompt change, re-record them from the
+// configured provider with LLM_RECORD=true (delete llm/ first).
+const FIXTURES = path.join(__dirname, 'fixtures', 'smart-build');
+const LLM_FIXTURES = path.join(FIXTURES, 'llm');
+
+// No Docker here: `anchor build` fails the way it did for the fixture
+// project until the import is there. smartBuild takes queueAnchorBuild when
+// it is loaded, so the stub goes in first.
+const builds = [];
+buildManager.queueAnchorBuild = async (buildId, projectDir, outputDir, anchorSubdir) => {
+  const source = await fs.readFile(path.join(projectDir, anchorSubdir, 'programs/demo/src/lib.rs'), 'utf-8');
+  builds.push({ anchorSubdir, source });
+  if (!source.includes('use anchor_lang::prelude::*;')) {
+    return {
+      success: false,
+      exitCode: 1,
+      error: 'Build failed with exit code 1',
+      logs: { stdout: await fs.readFile(path.join(FIXTURES, 'build-output.txt'), 'utf-8'), stderr: '' },
+      diagnostics: parseDiagnostics(await fs.readFile(path.join(FIXTURES, 'diagnostics.jsonl'), 'utf-8')),
+    };
+  }
+  const deployDir = path.join(outputDir, 'target', 'deploy');
+  await fs.mkdir(deployDir, { recursive: true });
+  await fs.writeFile(path.join(deployDir, 'demo.so'), Buffer.alloc(64));
+  return { success: true, exitCode: 0, logs: { stdout: 'Finished `release` profile [optimized]', stderr: '' }, diagnostics: [] };
+};
+const { smartBuild } = require('../src/smartBuild');
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-build-test-'));
+  config.builds.uploadDir = path.join(workDir, 'uploads');
+  await initDatabase();
+  setLlmProvider(config.llm.record
+    ? createLlmProvider({ fixturesDir: LLM_FIXTURES })
+    : createFixtureProvider({ dir: LLM_FIXTURES }));
+});
+
+after(async () => {
+  setLlmProvider(null);
+  await new Promise(resolve => getDb().close(resolve));
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+async function recordedTokens() {
+  let total = 0;
+  for (const file of await fs.readdir(LLM_FIXTURES)) {
+    const { response } = JSON.parse(await fs.readFile(path.join(LLM_FIXTURES, file), 'utf-8'));
+    total += response.usage.inputTokens + response.usage.outputTokens;
+  }
+  return total;
+}
+
+test('smart build replays a recorded fix for a missing import', async () => {
+  const buildId = crypto.randomUUID();
+  const projectDir = path.join(config.builds.uploadDir, buildId);
+  const outputDir = path.join(workDir, 'builds', buildId);
+  await fs.cp(path.join(FIXTURES, 'project'), projectDir, { recursive: true });
+  const now = new Date();
+  await insertBuild({ id: buildId, status: 'pending', projectDir, outputDir, createdAt: now, updatedAt: now });
+
+  const events = [];
+  const result = await smartBuild(buildId, projectDir, outputDir, event => events.push(event));
+
+  // A prompt that no longer matches its recording fails a phase with the missing key
+  const errors = result.phases.map(phase => phase.details && phase.details.error).filter(Boolean);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.iterations, 2);
+  assert.deepStrictEqual(
+    result.phases.map(({ phase, result: outcome }) => `${phase}:${outcome}`),
+    ['analyzing:success', 'verifying:fixed', 'building:failed', 'fixing:fixed', 'building:success']
+  );
+
+  // Structure verification added the workspace Cargo.toml (config only)
+  const workspace = await fs.readFile(path.join(projectDir, 'Cargo.toml'), 'utf-8');
+  assert.match(workspace, /\[workspace\]/);
+
+  // The fix went through the safety checks: import added, nothing removed
+  assert.strictEqual(builds.length, 2);
+  const fixed = await fs.readFile(path.join(projectDir, 'programs/demo/src/lib.rs'), 'utf-8');
+  assert.strictEqual(fixed, builds[1].source);
+  assert.match(fixed, /^use anchor_lang::prelude::\*;$/m);
+  assert.match(fixed, /require!\(counter\.count < u64::MAX, DemoError::Overflow\);/);
+  assert.strictEqual(result.phases[3].details.applied.length, 1);
+  assert.deepStrictEqual(result.phases[3].details.rejected, []);
+
+  // Usage is what the recording reported
+  assert.strictEqual(result.aiUsage.calls, 3);
+  assert.strictEqual(result.aiUsage.totalTokens, await recordedTokens());
+  assert.ok(events.some(event => event.phase === 'fixing' && /Researching: read_file/.test(event.message)));
+  assert.strictEqual(events.at(-1).message, 'Build succeeded!');
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseTestResults } = require('../src/testResults');
+
+const MOCHA_OUTPUT = `
+yarn run v1.22.22
+$ /workspace/node_modules/.bin/ts-mocha -p ./tsconfig.json -t 1000000 'tests/**/*.ts'
+
+
+  \x1b[0mvault\x1b[0m
+    \x1b[32m  ✔\x1b[0m\x1b[90m initializes (412ms)\x1b[0m
+    deposits
+      ✔ accepts a deposit (38ms)
+      ✔ emits an event
+      1) rejects a zero amount
+    withdrawals
+      2) rejects a bad authority
+      - is paused when the admin says so
+
+
+  3 passing (3s)
+  2 failing
+  1 pending
+
+  1) vault
+       deposits
+         rejects a zero amount:
+     Error: AnchorError occurred. Error Code: ZeroAmount. Error Number: 6000.
+Program log: amount was 0
+      at Function.parse (node_modules/@coral-xyz/anchor/src/error.ts:168:14)
+      at processTicksAndRejections (node:internal/process/task_queues:95:5)
+
+  2) vault
+       withdrawals
+         rejects a bad authority:
+
+      AssertionError: expected promise to be rejected
+      + expected - actual
+
+      -false
+      +true
+      at Context.<anonymous> (tests/vault.ts:88:7)
+
+
+
+error Command failed with exit code 2.
+`;
+
+test('mocha spec output becomes per-test results with suites and errors', () => {
+  const results = parseTestResults(MOCHA_OUTPUT);
+  assert.strictEqual(results.ran, true);
+  assert.deepStrictEqual([results.passed, results.failed, results.pending], [3, 2, 1]);
+  assert.deepStrictEqual(results.tests.map(t => [t.fullTitle, t.status, t.durationMs]), [
+    ['vault initializes', 'passed', 412],
+    ['vault deposits accepts a deposit', 'passed', 38],
+    ['vault deposits emits an event', 'passed', null],
+    ['vault deposits rejects a zero amount', 'failed', null],
+    ['vault withdrawals rejects a bad authority', 'failed', null],
+    ['vault withdrawals is paused when the admin says so', 'pending', null],
+  ]);
+  assert.strictEqual(results.tests[0].title, 'initializes');
+
+  // Error text without the stack trace, matched to its test by number
+  const [zeroAmount, badAuthority] = results.tests.filter(t => t.status === 'failed');
+  assert.strictEqual(zeroAmount.error, 'Error: AnchorError occurred. Error Code: ZeroAmount. Error Number: 6000.\nProgram log: amount was 0');
+  assert.strictEqual(badAuthority.error, 'AssertionError: expected promise to be rejected\n+ expected - actual\n\n-false\n+true');
+  assert.ok(results.tests.filter(t => t.status !== 'failed').every(t => t.error === null));
+});
+
+test('output without a mocha summary means the tests never ran', () => {
+  const notRun = { ran: false, passed: 0, failed: 0, pending: 0, tests: [] };
+  assert.deepStrictEqual(parseTestResults(''), notRun);
+  assert.deepStrictEqual(parseTestResults(null), notRun);
+  assert.deepStrictEqual(parseTestResults('Error: Unable to read keypair file (/root/.config/solana/id.json)\n'), notRun);
+  assert.deepStrictEqual(parseTestResults('  vault\n    ✔ initializes (12ms)\n'), notRun);
+});
+
+test('a run where everything passes has no failure details', () => {
+  const results = parseTestResults('\r\n  counter\r\n    ✓ increments\r\n\r\n  1 passing (1s)\r\n\r\nDone in 4.2s.\r\n');
+  assert.deepStrictEqual(results, {
+    ran: true,
+    passed: 1,
+    failed: 0,
+    pending: 0,
+    tests: [{ title: 'increments', fullTitle: 'counter increments', status: 'passed', durationMs: null, error: null }],
+  });
+});
+
+test('long failure messages are cut', () => {
+  const output = `  suite\n    1) fails\n\n  0 passing\n  1 failing\n\n  1) suite\n       fails:\n     Error: ${'x'.repeat(3000)}\n`;
+  const { tests } = parseTestResults(output);
+  assert.strictEqual(tests[0].error.length, 2001);
+  assert.ok(tests[0].error.endsWith('…'));
+});
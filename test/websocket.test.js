@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const config = require('../src/config');
+config.cleanup.enableAutoCleanup = false;
+config.agent.dbPath = ':memory:';
+
+const { initDatabase, getDb } = require('../src/db');
+const { insertBuild, upsertBuildCollaborator } = require('../src/buildStore');
+const { registerAgent } = require('../src/agentAuth');
+const { initWebSocket, broadcastLog } = require('../src/websocket');
+
+let server;
+let wss;
+let wsUrl;
+let owner, reader, stranger;
+
+async function createBuild(agentId) {
+  const id = crypto.randomUUID();
+  const now = new Date();
+  await insertBuild({ id, status: 'running', agentId, projectDir: `/tmp/${id}`, outputDir: `/tmp/${id}`, createdAt: now, updatedAt: now });
+  return id;
+}
+
+// A connected client; next() resolves with the next message it receives
+async function connect(headers = {}) {
+  const ws = new WebSocket(wsUrl, { headers });
+  const queue = [];
+  const waiting = [];
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw);
+    if (waiting.length > 0) waiting.shift()(message);
+    else queue.push(message);
+  });
+  const next = () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve)));
+  assert.deepStrictEqual(await next(), { type: 'connected' });
+  return {
+    next,
+    subscribe: (buildId, agentKey) => {
+      ws.send(JSON.stringify({ action: 'subscribe', buildId, agentKey }));
+      return next();
+    },
+    close: () => ws.close(),
+  };
+}
+
+const notFound = (buildId) => ({ type: 'error', action: 'subscribe', buildId, status: 404, error: 'Build not found' });
+
+before(async () => {
+  await initDatabase();
+  server = http.createServer();
+  wss = initWebSocket(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  wsUrl = `ws://127.0.0.1:${server.address().port}/ws`;
+  [owner, reader, stranger] = await Promise.all(['owner', 'reader', 'stranger'].map(name => registerAgent(name)));
+});
+
+after(async () => {
+  await new Promise(resolve => wss.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => getDb().close(resolve));
+});
+
+test('agent builds are followed only with a key that has access to them', async () => {
+  const buildId = await createBuild(owner.agent_id);
+  await upsertBuildCollaborator(buildId, reader.agent_id, 'read', owner.agent_id);
+  const client = await connect();
+
+  assert.deepStrictEqual(await client.subscribe(buildId), notFound(buildId));
+  assert.deepStrictEqual(await client.subscribe(buildId, stranger.api_key), notFound(buildId));
+  assert.deepStrictEqual(await client.subscribe(buildId, 'ocsvc_not-a-key'), notFound(buildId));
+  // Indistinguishable from a build that does not exist
+  const missing = crypto.randomUUID();
+  assert.deepStrictEqual(await client.subscribe(missing, stranger.api_key), notFound(missing));
+
+  assert.deepStrictEqual(await client.subscribe(buildId, reader.api_key), { type: 'subscribed', buildId });
+  broadcastLog(buildId, { stdout: 'Compiling demo', stderr: '' });
+  assert.deepStrictEqual(await client.next(), { type: 'log', buildId, data: { stdout: 'Compiling demo', stderr: '' } });
+  client.close();
+});
+
+test('the key can come from the connection header', async () => {
+  const buildId = await createBuild(owner.agent_id);
+  const client = await connect({ 'x-agent-key': owner.api_key });
+  assert.deepStrictEqual(await client.subscribe(buildId), { type: 'subscribed', buildId });
+  client.close();
+});
+
+test('web builds stay open to anyone with the buildId', async () => {
+  const buildId = await createBuild(null);
+  const client = await connect();
+  assert.deepStrictEqual(await client.subscribe(buildId), { type: 'subscribed', buildId });
+  client.close();
+});